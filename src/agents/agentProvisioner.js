@@ -0,0 +1,238 @@
+const fs = require('fs');
+const winston = require('winston');
+
+// Each provisioned agent's state file and the environment variables that
+// override it or supply the agent's ID before there is a state file
+const AGENTS = {
+  matt: {
+    stateFileVariable: 'RETELL_AGENT_STATE_FILE',
+    defaultStateFile: 'retell-agent-state.json',
+    agentIdVariable: 'RETELL_AGENT_ID'
+  },
+  reminder: {
+    stateFileVariable: 'RETELL_REMINDER_AGENT_STATE_FILE',
+    defaultStateFile: 'retell-reminder-agent-state.json',
+    agentIdVariable: 'RETELL_REMINDER_AGENT_ID'
+  }
+};
+
+/**
+ * Keeps a live Retell agent and LLM in line with the declarative config
+ * RetellAgent.getDesiredConfig() builds for it. The agent and LLM IDs plus
+ * every applied configuration are recorded in a state file, so changes
+ * update the existing agent rather than creating another one and any
+ * earlier version can be restored.
+ */
+class AgentProvisioner {
+  constructor({ retellAgent, stateFile, agentName = 'matt' } = {}) {
+    if (!AGENTS[agentName]) {
+      throw new Error(`Unknown agent ${agentName}; expected one of: ${Object.keys(AGENTS).join(', ')}`);
+    }
+
+    this.retellAgent = retellAgent;
+    this.agentName = agentName;
+    this.stateFile = stateFile || process.env[AGENTS[agentName].stateFileVariable] || AGENTS[agentName].defaultStateFile;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Compare the declarative config with the live agent and LLM
+   */
+  async diff() {
+    try {
+      const state = this.loadState();
+      const desired = this.retellAgent.getDesiredConfig(this.agentName);
+      const live = await this.getLive(state);
+
+      if (!live) {
+        return { exists: false, agentId: null, llmId: null, changes: this.diffConfig(desired, { agent: {}, llm: {} }) };
+      }
+
+      return {
+        exists: true,
+        agentId: state.agentId,
+        llmId: live.llmId,
+        changes: this.diffConfig(desired, live)
+      };
+    } catch (error) {
+      this.logger.error('Error diffing agent config:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the agent on first run, otherwise update only the fields that
+   * differ, and record the result as a new version
+   */
+  async apply({ dryRun = false } = {}) {
+    try {
+      const plan = await this.diff();
+      if (dryRun || (plan.exists && plan.changes.length === 0)) {
+        return { ...plan, changed: false };
+      }
+
+      const desired = this.retellAgent.getDesiredConfig(this.agentName);
+      const state = this.loadState();
+
+      if (!plan.exists) {
+        const llm = await this.retellAgent.createLLM(desired.llm);
+        const agent = await this.retellAgent.createAgent({
+          ...desired.agent,
+          response_engine: { type: 'retell-llm', llm_id: llm.llm_id }
+        });
+        state.agentId = agent.agent_id;
+        state.llmId = llm.llm_id;
+      } else {
+        await this.pushChanges(plan.agentId, plan.llmId, plan.changes);
+        state.llmId = plan.llmId;
+      }
+
+      const version = this.recordVersion(state, desired, 'apply');
+      this.logger.info(`Agent ${state.agentId} at version ${version.version}`);
+
+      return { ...plan, agentId: state.agentId, llmId: state.llmId, changed: true, version: version.version };
+    } catch (error) {
+      this.logger.error('Error applying agent config:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the agent and LLM to a recorded version, by default the one
+   * before the latest
+   */
+  async rollback(versionNumber = null) {
+    try {
+      const state = this.loadState();
+      const target = versionNumber
+        ? state.versions.find(version => version.version === Number(versionNumber))
+        : state.versions[state.versions.length - 2];
+
+      if (!target) {
+        throw new Error(versionNumber ? `Version ${versionNumber} not found` : 'No earlier version to roll back to');
+      }
+
+      const live = await this.getLive(state);
+      if (!live) {
+        throw new Error('No live agent to roll back');
+      }
+
+      const changes = this.diffConfig(target, live);
+      await this.pushChanges(state.agentId, live.llmId, changes);
+
+      const version = this.recordVersion(state, target, `rollback to v${target.version}`);
+      this.logger.info(`Agent ${state.agentId} rolled back to version ${target.version} as version ${version.version}`);
+
+      return { agentId: state.agentId, changes, version: version.version, restored: target.version };
+    } catch (error) {
+      this.logger.error('Error rolling back agent config:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recorded versions, oldest first, without the full config bodies
+   */
+  listVersions() {
+    return this.loadState().versions.map(({ version, appliedAt, source }) => ({ version, appliedAt, source }));
+  }
+
+  async getLive(state) {
+    if (!state.agentId) {
+      return null;
+    }
+
+    const agent = await this.retellAgent.getAgent(state.agentId);
+    const llmId = (agent.response_engine && agent.response_engine.llm_id) || state.llmId;
+    const llm = llmId ? await this.retellAgent.getLLM(llmId) : {};
+
+    return { agent, llm, llmId };
+  }
+
+  /**
+   * Fields whose desired value differs from the live one
+   */
+  diffConfig(desired, live) {
+    const changes = [];
+
+    ['agent', 'llm'].forEach(target => {
+      Object.entries(desired[target]).forEach(([field, value]) => {
+        if (this.stableStringify(value) !== this.stableStringify(live[target][field])) {
+          changes.push({ target, field, live: live[target][field], desired: value });
+        }
+      });
+    });
+
+    return changes;
+  }
+
+  async pushChanges(agentId, llmId, changes) {
+    const updates = { agent: {}, llm: {} };
+    changes.forEach(change => {
+      updates[change.target][change.field] = change.desired;
+    });
+
+    if (Object.keys(updates.llm).length > 0) {
+      await this.retellAgent.updateLLM(llmId, updates.llm);
+    }
+    if (Object.keys(updates.agent).length > 0) {
+      await this.retellAgent.updateAgent(agentId, updates.agent);
+    }
+  }
+
+  recordVersion(state, config, source) {
+    const previous = state.versions[state.versions.length - 1];
+    const version = {
+      version: previous ? previous.version + 1 : 1,
+      appliedAt: new Date().toISOString(),
+      source,
+      agent: config.agent,
+      llm: config.llm
+    };
+
+    state.versions.push(version);
+    this.saveState(state);
+    return version;
+  }
+
+  loadState() {
+    const state = fs.existsSync(this.stateFile)
+      ? JSON.parse(fs.readFileSync(this.stateFile, 'utf8'))
+      : {};
+
+    return {
+      agentId: state.agentId || process.env[AGENTS[this.agentName].agentIdVariable] || null,
+      llmId: state.llmId || null,
+      versions: state.versions || []
+    };
+  }
+
+  saveState(state) {
+    fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2) + '\n');
+  }
+
+  /**
+   * JSON with object keys sorted, so key order from the API doesn't count
+   * as a change
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+}
+
+module.exports = AgentProvisioner;
@@ -0,0 +1,118 @@
+const winston = require('winston');
+const ClinicFaq = require('../services/clinicFaq');
+
+// FAQ sources are titled with this prefix and the FAQ's version
+const SOURCE_TITLE_PREFIX = 'Clinic FAQ';
+
+/**
+ * Keeps Matt's Retell knowledge base in line with the clinic FAQ. The FAQ
+ * is one text source titled with its content hash; when the FAQ changes
+ * the new version is added before the old one is removed, so the agent
+ * never answers from an empty knowledge base. The LLM picks the knowledge
+ * base up from RETELL_KNOWLEDGE_BASE_ID on the next agent apply.
+ */
+class KnowledgeBaseProvisioner {
+  constructor({ retellAgent, clinicFaq = null, knowledgeBaseId } = {}) {
+    this.retellAgent = retellAgent;
+    this.clinicFaq = clinicFaq || new ClinicFaq();
+    this.knowledgeBaseId = knowledgeBaseId || process.env.RETELL_KNOWLEDGE_BASE_ID || null;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Compare the FAQ with the knowledge base's sources
+   */
+  async diff() {
+    try {
+      const knowledgeBase = await this.findKnowledgeBase();
+      const title = this.getSourceTitle();
+
+      if (!knowledgeBase) {
+        return { exists: false, knowledgeBaseId: null, upToDate: false, current: null, stale: [] };
+      }
+
+      const faqSources = (knowledgeBase.knowledge_base_sources || [])
+        .filter(source => (source.title || '').startsWith(SOURCE_TITLE_PREFIX));
+      const current = faqSources.find(source => source.title === title) || null;
+      const stale = faqSources.filter(source => source !== current);
+
+      return {
+        exists: true,
+        knowledgeBaseId: knowledgeBase.knowledge_base_id,
+        upToDate: Boolean(current) && stale.length === 0,
+        current,
+        stale
+      };
+    } catch (error) {
+      this.logger.error('Error diffing knowledge base:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the knowledge base on first run, otherwise replace an outdated
+   * FAQ source
+   */
+  async sync({ dryRun = false } = {}) {
+    try {
+      const plan = await this.diff();
+      if (dryRun || plan.upToDate) {
+        return { ...plan, changed: false };
+      }
+
+      const source = { knowledge_base_texts: [{ title: this.getSourceTitle(), text: this.clinicFaq.toMarkdown() }] };
+      let knowledgeBaseId = plan.knowledgeBaseId;
+
+      if (!plan.exists) {
+        const knowledgeBase = await this.retellAgent.createKnowledgeBase({
+          knowledge_base_name: this.getKnowledgeBaseName(),
+          ...source
+        });
+        knowledgeBaseId = knowledgeBase.knowledge_base_id;
+      } else if (!plan.current) {
+        await this.retellAgent.addKnowledgeBaseSources(knowledgeBaseId, source);
+      }
+
+      for (const stale of plan.stale) {
+        await this.retellAgent.deleteKnowledgeBaseSource(knowledgeBaseId, stale.source_id);
+      }
+
+      this.logger.info(`Knowledge base ${knowledgeBaseId} synced to FAQ version ${this.clinicFaq.getVersion()}`);
+      return { ...plan, knowledgeBaseId, changed: true };
+    } catch (error) {
+      this.logger.error('Error syncing knowledge base:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The knowledge base named by RETELL_KNOWLEDGE_BASE_ID, or else the one
+   * with the FAQ's name
+   */
+  async findKnowledgeBase() {
+    if (this.knowledgeBaseId) {
+      return this.retellAgent.getKnowledgeBase(this.knowledgeBaseId);
+    }
+
+    const knowledgeBases = await this.retellAgent.listKnowledgeBases() || [];
+    return knowledgeBases.find(knowledgeBase => knowledgeBase.knowledge_base_name === this.getKnowledgeBaseName()) || null;
+  }
+
+  getKnowledgeBaseName() {
+    return this.clinicFaq.faq.name;
+  }
+
+  getSourceTitle() {
+    return `${SOURCE_TITLE_PREFIX} ${this.clinicFaq.getVersion()}`;
+  }
+}
+
+module.exports = KnowledgeBaseProvisioner;
@@ -0,0 +1,154 @@
+const winston = require('winston');
+const PhoneLineDirectory = require('../services/phoneLineDirectory');
+
+// Phone number fields kept in line with PHONE_LINES
+const BINDING_FIELDS = ['inbound_agent_id', 'nickname', 'inbound_webhook_url'];
+
+/**
+ * Keeps the clinic's Retell phone numbers bound the way PHONE_LINES says:
+ * each line's number answered by its agent, with inbound calls sent to our
+ * inbound webhook so the line's flow variables are filled in.
+ */
+class PhoneNumberProvisioner {
+  constructor({ retellAgent, phoneLineDirectory = null, webhookUrl } = {}) {
+    this.retellAgent = retellAgent;
+    this.phoneLineDirectory = phoneLineDirectory || new PhoneLineDirectory();
+    this.webhookUrl = webhookUrl || `${process.env.BASE_URL}/webhook/retell/inbound`;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Compare the configured lines with the numbers in Retell. Lines whose
+   * number isn't in Retell are listed as missing; numbers no line uses are
+   * listed as unrouted.
+   */
+  async diff() {
+    try {
+      const live = await this.retellAgent.listPhoneNumbers() || [];
+      const liveByNumber = new Map(live.map(phoneNumber => [phoneNumber.phone_number, phoneNumber]));
+      const lines = this.phoneLineDirectory.getLines();
+
+      const changes = [];
+      const missing = [];
+      lines.forEach(line => {
+        const current = line.number && liveByNumber.get(line.number);
+        if (!current) {
+          missing.push(line.id);
+          return;
+        }
+
+        const desired = this.getBinding(line);
+        const updates = {};
+        BINDING_FIELDS.forEach(field => {
+          if ((current[field] || null) !== desired[field]) {
+            updates[field] = desired[field];
+          }
+        });
+
+        if (Object.keys(updates).length > 0) {
+          changes.push({ line: line.id, number: line.number, current: this.pick(current), updates });
+        }
+      });
+
+      const configured = new Set(lines.map(line => line.number));
+      const unrouted = live.map(phoneNumber => phoneNumber.phone_number).filter(number => !configured.has(number));
+
+      return { changes, missing, unrouted };
+    } catch (error) {
+      this.logger.error('Error diffing phone numbers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebind every number whose settings differ from its line
+   */
+  async sync({ dryRun = false } = {}) {
+    try {
+      const plan = await this.diff();
+      if (dryRun) {
+        return { ...plan, changed: false };
+      }
+
+      for (const change of plan.changes) {
+        await this.retellAgent.updatePhoneNumber(change.number, change.updates);
+        this.logger.info(`Phone number ${change.number} bound for line ${change.line}`);
+      }
+
+      return { ...plan, changed: plan.changes.length > 0 };
+    } catch (error) {
+      this.logger.error('Error syncing phone numbers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buy a number for a line; add it to the line's PHONE_LINES entry afterwards
+   */
+  async create(lineId, { areaCode = null } = {}) {
+    const line = this.getLine(lineId);
+
+    return this.retellAgent.createPhoneNumber({
+      ...this.getBinding(line),
+      ...(areaCode && { area_code: parseInt(areaCode) })
+    });
+  }
+
+  /**
+   * Import a line's existing number from our SIP trunk
+   */
+  async import(lineId, { terminationUri, username = null, password = null } = {}) {
+    const line = this.getLine(lineId);
+    if (!line.number) {
+      throw new Error(`Phone line ${lineId} has no number to import`);
+    }
+    if (!terminationUri) {
+      throw new Error('A SIP termination URI is required to import a number');
+    }
+
+    return this.retellAgent.importPhoneNumber({
+      ...this.getBinding(line),
+      phone_number: line.number,
+      termination_uri: terminationUri,
+      ...(username && { sip_trunk_auth_username: username }),
+      ...(password && { sip_trunk_auth_password: password })
+    });
+  }
+
+  /**
+   * The Retell settings a line's number should have
+   */
+  getBinding(line) {
+    if (!line.agentId) {
+      throw new Error(`Phone line ${line.id} has no agent; set agent_id or RETELL_AGENT_ID`);
+    }
+
+    return {
+      inbound_agent_id: line.agentId,
+      nickname: line.name,
+      inbound_webhook_url: this.webhookUrl
+    };
+  }
+
+  getLine(lineId) {
+    const line = this.phoneLineDirectory.getLine(lineId);
+    if (!line) {
+      throw new Error(`Unknown phone line ${lineId}; expected one of: ${this.phoneLineDirectory.getLines().map(l => l.id).join(', ')}`);
+    }
+    return line;
+  }
+
+  pick(phoneNumber) {
+    return BINDING_FIELDS.reduce((picked, field) => ({ ...picked, [field]: phoneNumber[field] || null }), {});
+  }
+}
+
+module.exports = PhoneNumberProvisioner;
@@ -1,9 +1,13 @@
 const Retell = require('retell-sdk');
 const winston = require('winston');
+const ProviderDirectory = require('../services/providerDirectory');
+const ToolRegistry = require('./toolRegistry');
+const mattAgentConfig = require('./mattAgent.json');
+const reminderAgentConfig = require('./reminderAgent.json');
 
 class RetellAgent {
-  constructor() {
-    this.client = new Retell({
+  constructor({ providerDirectory = null, client = null, toolRegistry = null } = {}) {
+    this.client = client || new Retell({
       apiKey: process.env.RETELL_API_KEY
     });
     this.logger = winston.createLogger({
@@ -14,68 +18,23 @@ class RetellAgent {
       ),
       transports: [new winston.transports.Console()]
     });
+    this.providerDirectory = providerDirectory || new ProviderDirectory();
+    this.toolRegistry = toolRegistry || new ToolRegistry({ providerDirectory: this.providerDirectory });
   }
 
+  /**
+   * Create a new agent and LLM from the declarative config. Prefer
+   * `node src/cli/agent.js apply`, which updates the existing agent instead.
+   */
   async createMattAgent() {
     try {
-      const agentConfig = {
-        agent_name: 'Matt - The Practice Voice Assistant',
-        voice_id: '11labs-Adrian', // Professional, warm voice
-        voice_temperature: 0.7,
-        voice_speed: 1.0,
-        volume: 0.8,
-        responsiveness: 0.8,
-        interruption_sensitivity: 0.7,
-        enable_backchannel: true,
-        backchannel_frequency: 0.3,
-        backchannel_words: ['mm-hmm', 'I understand', 'okay', 'yes'],
-        language: 'en-US',
-        webhook_url: `${process.env.BASE_URL}/webhook/retell`,
-        boosted_keywords: [
-          'appointment', 'schedule', 'reschedule', 'cancel', 'insurance',
-          'copay', 'deductible', 'provider', 'doctor', 'psychiatrist',
-          'mental health', 'therapy', 'medication', 'follow-up'
-        ],
-        pronunciation_dictionary: [
-          {
-            word: 'IntakeQ',
-            alphabet: 'ipa',
-            phoneme: 'ɪnˈteɪk kjuː'
-          },
-          {
-            word: 'Availity',
-            alphabet: 'ipa', 
-            phoneme: 'əˈveɪlɪti'
-          },
-          {
-            word: 'Maddix',
-            alphabet: 'ipa',
-            phoneme: 'ˈmædɪks'
-          },
-          {
-            word: 'Suleiman',
-            alphabet: 'ipa',
-            phoneme: 'suːˈleɪmən'
-          }
-        ],
-        normalize_for_speech: true,
-        end_call_after_silence_ms: 30000,
-        max_call_duration_ms: 1800000, // 30 minutes max
-        begin_message_delay_ms: 2000,
-        ring_duration_ms: 25000,
+      const agent = await this.client.agent.create({
+        ...this.getDesiredConfig().agent,
         response_engine: {
           type: 'retell-llm',
           llm_id: await this.createCustomLLM()
-        },
-        post_call_analysis_data: [
-          'call_summary',
-          'appointment_scheduled',
-          'insurance_verified',
-          'client_satisfaction'
-        ]
-      };
-
-      const agent = await this.client.agent.create(agentConfig);
+        }
+      });
       this.logger.info(`Matt agent created with ID: ${agent.agent_id}`);
       
       return agent;
@@ -86,62 +45,91 @@ class RetellAgent {
   }
 
   async createCustomLLM() {
-    try {
-      const llmConfig = {
-        llm_dynamic_variables: [
-          {
-            name: 'client_name',
-            description: 'The verified client\'s name'
-          },
-          {
-            name: 'client_phone',
-            description: 'The verified client\'s phone number'
-          },
-          {
-            name: 'client_dob',
-            description: 'The verified client\'s date of birth'
-          },
-          {
-            name: 'insurance_provider',
-            description: 'The client\'s insurance provider'
-          },
-          {
-            name: 'copay_amount',
-            description: 'The client\'s copay amount'
-          },
-          {
-            name: 'provider_availability',
-            description: 'Available appointment slots'
-          },
-          {
-            name: 'appointment_type',
-            description: 'Type of appointment requested'
-          }
-        ],
-        general_prompt: this.getSystemPrompt(),
-        general_prompt_llm_dynamic_variables: [
-          'client_name',
-          'client_phone', 
-          'client_dob',
-          'insurance_provider',
-          'copay_amount',
-          'provider_availability',
-          'appointment_type'
-        ],
-        general_prompt_llm_dynamic_variables_type: 'string'
+    const llm = await this.createLLM(this.getDesiredConfig().llm);
+    return llm.llm_id;
+  }
+
+  /**
+   * Agent and LLM settings: mattAgent.json (or reminderAgent.json for the
+   * outbound reminder agent) plus the fields that come from the
+   * environment, provider configuration and tool registry
+   */
+  getDesiredConfig(agentName = 'matt') {
+    if (agentName === 'reminder') {
+      return {
+        agent: {
+          ...reminderAgentConfig.agent,
+          webhook_url: `${process.env.BASE_URL}/webhook/retell`
+        },
+        llm: {
+          ...reminderAgentConfig.llm,
+          general_prompt: this.getReminderSystemPrompt()
+        }
       };
+    }
+
+    return {
+      agent: {
+        ...mattAgentConfig.agent,
+        webhook_url: `${process.env.BASE_URL}/webhook/retell`
+      },
+      llm: {
+        ...mattAgentConfig.llm,
+        general_prompt: this.getSystemPrompt(),
+        general_tools: this.toolRegistry.toRetellTools(process.env.BASE_URL),
+        // The clinic FAQ, synced with `npm run faq:sync`
+        ...(process.env.RETELL_KNOWLEDGE_BASE_ID && { knowledge_base_ids: [process.env.RETELL_KNOWLEDGE_BASE_ID] })
+      }
+    };
+  }
 
-      const llm = await this.client.retellLLM.create(llmConfig);
+  async createLLM(llmConfig) {
+    try {
+      const llm = await this.client.llm.create(llmConfig);
       this.logger.info(`Custom LLM created with ID: ${llm.llm_id}`);
       
-      return llm.llm_id;
+      return llm;
     } catch (error) {
       this.logger.error('Error creating custom LLM:', error);
       throw error;
     }
   }
 
+  async updateLLM(llmId, updates) {
+    try {
+      const updatedLLM = await this.client.llm.update(llmId, updates);
+      this.logger.info(`LLM ${llmId} updated successfully`);
+      return updatedLLM;
+    } catch (error) {
+      this.logger.error(`Error updating LLM ${llmId}:`, error);
+      throw error;
+    }
+  }
+
+  async getLLM(llmId) {
+    try {
+      const llm = await this.client.llm.retrieve(llmId);
+      return llm;
+    } catch (error) {
+      this.logger.error(`Error getting LLM ${llmId}:`, error);
+      throw error;
+    }
+  }
+
+  async createAgent(agentConfig) {
+    try {
+      const agent = await this.client.agent.create(agentConfig);
+      this.logger.info(`Agent created with ID: ${agent.agent_id}`);
+      return agent;
+    } catch (error) {
+      this.logger.error('Error creating agent:', error);
+      throw error;
+    }
+  }
+
   getSystemPrompt() {
+    const { providers, appointmentTypes } = this.providerDirectory.describeForPrompt();
+
     return `You are Matt, the HIPAA-compliant voice assistant for The Practice psychiatric wellness clinic in Jacksonville, FL.
 
 PRACTICE INFORMATION:
@@ -151,16 +139,12 @@ PRACTICE INFORMATION:
 - Email: ${process.env.PRACTICE_EMAIL}
 
 PROVIDERS AND SCHEDULES:
-- Charles Maddix: Monday-Thursday, 10:30 AM-6:00 PM
-- Ava Suleiman: Tuesday only, 10:30 AM-6:00 PM  
-- Dr. Soto: Monday-Thursday, 4:00 PM-6:00 PM (follow-ups only)
-- Lunch break: Daily 1:00 PM-2:00 PM
+${providers}
 
 APPOINTMENT TYPES:
-- Comprehensive evaluations: 60 minutes
-- Follow-ups: 15 minutes
-- Ketamine consultations: 30 minutes
-- Both telehealth and in-person available
+${appointmentTypes}
+- Telehealth and in-person visits are available unless a provider is noted otherwise
+- Only offer a provider for appointment types and visit types they are listed for
 
 INSURANCE ACCEPTED:
 - Aetna, Blue Cross Blue Shield (Florida Blue), Cigna, Medicare, Tricare
@@ -172,20 +156,40 @@ HIPAA COMPLIANCE REQUIREMENTS:
 3. If verification fails, politely explain you cannot access their information
 4. All conversations are recorded for quality and compliance purposes
 
+CALL CONTEXT:
+- Caller ID: {{caller_number}}
+- Line called: {{phone_line}}
+- Call flow: {{call_flow}}. When it is message_only (after hours), do not verify, schedule, reschedule or cancel: take the caller's name, callback number and message, tell them the front desk will call back on the next business day, and remind them to dial 911, or call or text 988, in an emergency
+- Appointment type: {{appointment_type}} (set by the line called; assume it when scheduling unless the caller asks for something else)
+- Practice hours:
+{{practice_hours}}
+- Next openings:
+{{provider_availability}}
+- Verified client: {{client_name}}, client ID {{client_id}} (empty until verify_client succeeds; greet them by name once it is set)
+- Calls from the patient portal start with the client already verified; do not ask them for their phone number and date of birth
+
 CONVERSATION FLOW:
 1. Greet warmly and identify yourself as Matt from The Practice
 2. Ask for verification: "For your security and HIPAA compliance, I need to verify your identity. Could you please provide your phone number and date of birth?"
-3. Verify the information matches our records
+3. Verify the information matches our records using the verify_client function
 4. If verified, proceed with appointment scheduling
 5. If not verified, offer to transfer to front desk or schedule new patient intake
 
 APPOINTMENT SCHEDULING:
 - Check provider availability using the get_availability function
+- When you offer a specific time, hold it with the hold_slot function; if it comes back taken, apologize and offer the alternatives it returns
 - Confirm appointment details (date, time, provider, type)
+- Book with the schedule_appointment function; use reschedule_appointment or cancel_appointment for existing appointments
+- If schedule_appointment says the slot was taken, read its message and offer the alternatives instead
 - Verify insurance and communicate copay amount
 - Send confirmation details
 - Offer to add to calendar or send text reminder
 
+CLINIC QUESTIONS:
+- Answer questions about the clinic (location, parking, insurance, medications we prescribe, ketamine consultations, telehealth, policies) from the clinic knowledge base
+- If the knowledge base doesn't cover a question, say so and offer to take a message or transfer to the front desk; never guess
+- Don't give medical advice; questions about a caller's own treatment are for their provider
+
 INSURANCE VERIFICATION:
 - Use check_insurance function to verify coverage
 - Communicate copay amounts clearly
@@ -202,6 +206,38 @@ TONE AND STYLE:
 Remember: You are representing a psychiatric wellness clinic. Be sensitive to mental health concerns and maintain a supportive, non-judgmental tone throughout the conversation.`;
   }
 
+  /**
+   * Prompt for outbound appointment-reminder calls; the outcome is read
+   * from the reminder_response post-call analysis field
+   */
+  getReminderSystemPrompt() {
+    return `You are Matt, calling on behalf of The Practice in Jacksonville, FL with an appointment reminder.
+
+CALL CONTEXT:
+- Client: {{client_first_name}}
+- Appointment: {{appointment_time}} with {{provider_name}} ({{appointment_type}})
+
+PRIVACY:
+1. First confirm you are speaking with {{client_first_name}}
+2. If someone else answers, ask them to have {{client_first_name}} call The Practice at ${process.env.PRACTICE_PHONE}; do NOT mention the appointment, provider or visit type
+3. Never discuss diagnoses, medications or other clinical details
+
+CALL FLOW:
+1. Introduce yourself as Matt from The Practice, calling with a reminder
+2. Once you have confirmed who you are speaking with, state the appointment date, time and provider
+3. Ask whether they will be able to make it
+4. If yes, thank them and confirm they are all set
+5. If they want to cancel, ask for their date of birth (do not say it back or tell them whether it matches), confirm that they want it cancelled and let them know the front desk can help them book again
+6. If they want a different time, let them know the front desk will call them back to reschedule; do not offer specific times
+7. If they ask not to receive reminder calls, confirm you will stop calling and thank them
+
+TONE AND STYLE:
+- Brief, warm and professional; this is a reminder, not a sales call
+- Respect the client's time and end the call once they have answered
+
+Remember: You are representing a psychiatric wellness clinic. Be sensitive to mental health concerns and keep the call short and supportive.`;
+  }
+
   async updateAgent(agentId, updates) {
     try {
       const updatedAgent = await this.client.agent.update(agentId, updates);
@@ -225,7 +261,7 @@ Remember: You are representing a psychiatric wellness clinic. Be sensitive to me
 
   async getAgent(agentId) {
     try {
-      const agent = await this.client.agent.get(agentId);
+      const agent = await this.client.agent.retrieve(agentId);
       return agent;
     } catch (error) {
       this.logger.error(`Error getting agent ${agentId}:`, error);
@@ -243,6 +279,148 @@ Remember: You are representing a psychiatric wellness clinic. Be sensitive to me
     }
   }
 
+  /**
+   * Buy a new number from Retell. Settings are Retell's phone number fields,
+   * e.g. { area_code, inbound_agent_id, nickname, inbound_webhook_url }.
+   */
+  async createPhoneNumber(settings) {
+    try {
+      const phoneNumber = await this.client.phoneNumber.create(settings);
+      this.logger.info(`Phone number created: ${phoneNumber.phone_number}`);
+      return phoneNumber;
+    } catch (error) {
+      this.logger.error('Error creating phone number:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring a number we already own into Retell over SIP. Settings include
+   * phone_number and termination_uri plus the same binding fields as
+   * createPhoneNumber.
+   */
+  async importPhoneNumber(settings) {
+    try {
+      const phoneNumber = await this.client.phoneNumber.import(settings);
+      this.logger.info(`Phone number imported: ${phoneNumber.phone_number}`);
+      return phoneNumber;
+    } catch (error) {
+      this.logger.error(`Error importing phone number ${settings.phone_number}:`, error);
+      throw error;
+    }
+  }
+
+  async getPhoneNumber(phoneNumber) {
+    try {
+      return await this.client.phoneNumber.retrieve(phoneNumber);
+    } catch (error) {
+      this.logger.error(`Error getting phone number ${phoneNumber}:`, error);
+      throw error;
+    }
+  }
+
+  async listPhoneNumbers() {
+    try {
+      return await this.client.phoneNumber.list();
+    } catch (error) {
+      this.logger.error('Error listing phone numbers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a number's settings, e.g. bind it to another agent
+   */
+  async updatePhoneNumber(phoneNumber, updates) {
+    try {
+      const updated = await this.client.phoneNumber.update(phoneNumber, updates);
+      this.logger.info(`Phone number ${phoneNumber} updated successfully`);
+      return updated;
+    } catch (error) {
+      this.logger.error(`Error updating phone number ${phoneNumber}:`, error);
+      throw error;
+    }
+  }
+
+  async deletePhoneNumber(phoneNumber) {
+    try {
+      await this.client.phoneNumber.delete(phoneNumber);
+      this.logger.info(`Phone number ${phoneNumber} deleted successfully`);
+    } catch (error) {
+      this.logger.error(`Error deleting phone number ${phoneNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a knowledge base; sources are given as knowledge_base_texts,
+   * knowledge_base_urls or knowledge_base_files
+   */
+  async createKnowledgeBase(settings) {
+    try {
+      const knowledgeBase = await this.client.knowledgeBase.create(settings);
+      this.logger.info(`Knowledge base created with ID: ${knowledgeBase.knowledge_base_id}`);
+      return knowledgeBase;
+    } catch (error) {
+      this.logger.error('Error creating knowledge base:', error);
+      throw error;
+    }
+  }
+
+  async getKnowledgeBase(knowledgeBaseId) {
+    try {
+      return await this.client.knowledgeBase.retrieve(knowledgeBaseId);
+    } catch (error) {
+      this.logger.error(`Error getting knowledge base ${knowledgeBaseId}:`, error);
+      throw error;
+    }
+  }
+
+  async listKnowledgeBases() {
+    try {
+      return await this.client.knowledgeBase.list();
+    } catch (error) {
+      this.logger.error('Error listing knowledge bases:', error);
+      throw error;
+    }
+  }
+
+  async deleteKnowledgeBase(knowledgeBaseId) {
+    try {
+      await this.client.knowledgeBase.delete(knowledgeBaseId);
+      this.logger.info(`Knowledge base ${knowledgeBaseId} deleted successfully`);
+    } catch (error) {
+      this.logger.error(`Error deleting knowledge base ${knowledgeBaseId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add sources to an existing knowledge base, in the same shape as
+   * createKnowledgeBase
+   */
+  async addKnowledgeBaseSources(knowledgeBaseId, sources) {
+    try {
+      const knowledgeBase = await this.client.knowledgeBase.addSources(knowledgeBaseId, sources);
+      this.logger.info(`Sources added to knowledge base ${knowledgeBaseId}`);
+      return knowledgeBase;
+    } catch (error) {
+      this.logger.error(`Error adding sources to knowledge base ${knowledgeBaseId}:`, error);
+      throw error;
+    }
+  }
+
+  async deleteKnowledgeBaseSource(knowledgeBaseId, sourceId) {
+    try {
+      const knowledgeBase = await this.client.knowledgeBase.deleteSource(knowledgeBaseId, sourceId);
+      this.logger.info(`Source ${sourceId} deleted from knowledge base ${knowledgeBaseId}`);
+      return knowledgeBase;
+    } catch (error) {
+      this.logger.error(`Error deleting source ${sourceId} from knowledge base ${knowledgeBaseId}:`, error);
+      throw error;
+    }
+  }
+
   async createPhoneCall(fromNumber, toNumber, agentId) {
     try {
       const call = await this.client.call.createPhoneCall({
@@ -259,9 +437,51 @@ Remember: You are representing a psychiatric wellness clinic. Be sensitive to me
     }
   }
 
+  /**
+   * Create a browser call; the returned access_token starts it from the
+   * Retell web client SDK
+   */
+  async createWebCall({ agentId, dynamicVariables = {}, metadata = {} }) {
+    try {
+      const call = await this.client.call.createWebCall({
+        agent_id: agentId,
+        retell_llm_dynamic_variables: dynamicVariables,
+        metadata
+      });
+
+      this.logger.info(`Web call created: ${call.call_id}`);
+      return call;
+    } catch (error) {
+      this.logger.error('Error creating web call:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Place outbound calls in one Retell batch. Each task is
+   * { to_number, retell_llm_dynamic_variables, metadata }; tasks run with
+   * agentId instead of the number's default outbound agent when given.
+   */
+  async createBatchCall({ name, fromNumber, tasks, agentId = null, triggerTimestamp = null }) {
+    try {
+      const batch = await this.client.batchCall.createBatchCall({
+        name,
+        from_number: fromNumber,
+        tasks: agentId ? tasks.map(task => ({ ...task, override_agent_id: agentId })) : tasks,
+        ...(triggerTimestamp && { trigger_timestamp: triggerTimestamp })
+      });
+
+      this.logger.info(`Batch call created: ${batch.batch_call_id} (${tasks.length} calls)`);
+      return batch;
+    } catch (error) {
+      this.logger.error('Error creating batch call:', error);
+      throw error;
+    }
+  }
+
   async getCall(callId) {
     try {
-      const call = await this.client.call.get(callId);
+      const call = await this.client.call.retrieve(callId);
       return call;
     } catch (error) {
       this.logger.error(`Error getting call ${callId}:`, error);
@@ -269,6 +489,23 @@ Remember: You are representing a psychiatric wellness clinic. Be sensitive to me
     }
   }
 
+  /**
+   * Override dynamic variables on a call in progress; applies from the
+   * next agent turn
+   */
+  async updateCallVariables(callId, variables) {
+    try {
+      const call = await this.client.call.update(callId, {
+        override_dynamic_variables: variables
+      });
+      this.logger.info(`Dynamic variables updated for call ${callId}`);
+      return call;
+    } catch (error) {
+      this.logger.error(`Error updating dynamic variables for call ${callId}:`, error);
+      throw error;
+    }
+  }
+
   async listCalls(filters = {}) {
     try {
       const calls = await this.client.call.list(filters);
@@ -0,0 +1,297 @@
+const winston = require('winston');
+
+// Calls Retell would still open a custom-LLM socket for
+const LIVE_CALL_STATUSES = ['registered', 'ongoing'];
+
+/**
+ * Retell custom-LLM WebSocket protocol. Retell connects to /{call_id} for
+ * each call; every response_required turn is fed to ConversationFlow and
+ * answered with the response_id Retell asked for. The upgrade carries no
+ * signature, so the call_id is looked up with Retell first and connections
+ * for calls it doesn't know as live are closed before any conversation
+ * state, including a web call's pre-verified state, is attached.
+ */
+class RetellLlmSocket {
+  constructor({ conversationFlow, retellAgent = null, maxReminders } = {}) {
+    this.conversationFlow = conversationFlow;
+    this.retellAgent = retellAgent;
+    this.maxReminders = maxReminders || parseInt(process.env.RETELL_MAX_REMINDERS) || 2;
+    this.transferNumber = process.env.RETELL_TRANSFER_NUMBER || null;
+    // Open connections by call_id
+    this.sessions = new Map();
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Attach protocol handling to a new Retell connection
+   */
+  handleConnection(ws, req) {
+    const callId = this.getCallId(req.url);
+    if (!callId) {
+      this.logger.warn(`Rejected LLM WebSocket without a call_id: ${req.url}`);
+      ws.close(1008, 'call_id required');
+      return Promise.resolve();
+    }
+
+    const session = {
+      callId,
+      ws,
+      call: null,
+      verified: false,
+      // Highest response_id Retell has asked for; anything older was interrupted
+      currentResponseId: 0,
+      remindersSent: 0,
+      lastAgentMessage: null,
+      queue: null
+    };
+
+    ws.on('message', (raw) => this.handleMessage(session, raw));
+    ws.on('close', (code) => {
+      // A reconnect may already have replaced this session
+      if (this.sessions.get(callId) === session) {
+        this.sessions.delete(callId);
+      }
+      this.logger.info(`LLM WebSocket closed for call ${callId} (${code})`);
+    });
+    ws.on('error', (error) => {
+      this.logger.error(`LLM WebSocket error for call ${callId}:`, error);
+    });
+
+    // Events wait on the queue, so no turn runs before the call is
+    // verified and its state exists
+    session.queue = this.verifyCall(callId).then(verified => {
+      if (!verified) {
+        ws.close(1008, 'unknown call');
+        return null;
+      }
+
+      session.verified = true;
+      this.sessions.set(callId, session);
+      this.send(session, {
+        response_type: 'config',
+        config: { auto_reconnect: true, call_details: true }
+      });
+      return this.startConversation(session);
+    });
+    return session.queue;
+  }
+
+  /**
+   * Whether Retell has a live call with this ID. Fails closed when Retell
+   * can't be asked.
+   */
+  async verifyCall(callId) {
+    if (!this.retellAgent) {
+      this.logger.error(`Rejected LLM WebSocket for call ${callId}: no Retell client to verify it with`);
+      return false;
+    }
+
+    try {
+      const call = await this.retellAgent.getCall(callId);
+      if (call && call.call_id === callId && LIVE_CALL_STATUSES.includes(call.call_status)) {
+        return true;
+      }
+      this.logger.warn(`Rejected LLM WebSocket for call ${callId}: call is ${call ? call.call_status : 'unknown'}`);
+    } catch (error) {
+      this.logger.warn(`Rejected LLM WebSocket for call ${callId}: Retell lookup failed`);
+    }
+    return false;
+  }
+
+  /**
+   * Create conversation state for a new call and send the begin message
+   */
+  async startConversation(session) {
+    try {
+      // Retell reconnects to the same call_id after a dropped socket; pick up
+      // the existing conversation instead of starting over
+      const existing = await this.conversationFlow.loadConversation(session.callId);
+      if (existing && existing.conversationHistory.length > 0) {
+        const lastAgentTurn = existing.conversationHistory.filter(entry => entry.role === 'agent').pop();
+        session.lastAgentMessage = lastAgentTurn ? lastAgentTurn.content : null;
+        this.logger.info(`LLM WebSocket reconnected for call ${session.callId}`);
+        return;
+      }
+
+      // Web calls arrive with their conversation already set up as verified
+      if (!existing) {
+        this.conversationFlow.initializeConversation(session.callId);
+      }
+      this.logger.info(`LLM WebSocket connected for call ${session.callId}`);
+
+      // Empty begin message: the caller speaks first and the greeting step
+      // introduces Matt, or the first reminder does if they stay silent
+      this.send(session, {
+        response_type: 'response',
+        response_id: 0,
+        content: '',
+        content_complete: true,
+        end_call: false
+      });
+    } catch (error) {
+      this.logger.error(`Error starting conversation for call ${session.callId}:`, error);
+    }
+  }
+
+  /**
+   * Dispatch one event from Retell
+   */
+  handleMessage(session, raw) {
+    let event;
+    try {
+      event = JSON.parse(raw);
+    } catch (error) {
+      this.logger.warn(`Ignoring malformed LLM WebSocket event for call ${session.callId}`);
+      return session.queue;
+    }
+
+    switch (event.interaction_type) {
+      case 'ping_pong':
+        this.send(session, { response_type: 'ping_pong', timestamp: event.timestamp });
+        break;
+      case 'call_details':
+        // The number called picks the line's flow before the first turn
+        session.queue = session.queue.then(() => {
+          if (session.verified) {
+            session.call = event.call;
+            return this.conversationFlow.applyCallDetails(session.callId, event.call);
+          }
+        }).catch(error => this.logger.error(`Error applying call details for call ${session.callId}:`, error));
+        break;
+      case 'update_only':
+        // Transcript updates need no reply; the next response_required
+        // carries the full transcript
+        break;
+      case 'response_required':
+      case 'reminder_required':
+        session.currentResponseId = Math.max(session.currentResponseId, event.response_id);
+        // Turns are processed one at a time so state changes stay ordered
+        session.queue = session.queue.then(() => session.verified && this.respond(session, event));
+        break;
+      default:
+        this.logger.info(`Unhandled LLM WebSocket event: ${event.interaction_type}`);
+    }
+
+    return session.queue;
+  }
+
+  /**
+   * Answer a response_required or reminder_required event
+   */
+  async respond(session, event) {
+    // The caller kept talking after this turn was requested; the newer
+    // event carries what they said, so don't act on the partial turn
+    if (this.isStale(session, event)) {
+      this.logger.info(`Skipping interrupted response ${event.response_id} for call ${session.callId}`);
+      return;
+    }
+
+    try {
+      const reply = event.interaction_type === 'reminder_required'
+        ? await this.getReminder(session)
+        : await this.getResponse(session, event.transcript);
+
+      if (this.isStale(session, event)) {
+        this.logger.info(`Dropping interrupted response ${event.response_id} for call ${session.callId}`);
+        return;
+      }
+
+      const message = {
+        response_type: 'response',
+        response_id: event.response_id,
+        content: reply.content,
+        content_complete: true,
+        end_call: Boolean(reply.endCall)
+      };
+      if (reply.transferNumber) {
+        message.transfer_number = reply.transferNumber;
+      }
+
+      if (!reply.isReminder) {
+        session.lastAgentMessage = reply.content;
+      }
+      this.send(session, message);
+    } catch (error) {
+      this.logger.error(`Error responding on LLM WebSocket for call ${session.callId}:`, error);
+    }
+  }
+
+  /**
+   * Run the caller's latest turn through the conversation flow
+   */
+  async getResponse(session, transcript) {
+    session.remindersSent = 0;
+
+    const response = await this.conversationFlow.processMessage(session.callId, this.getLatestUserTurn(transcript));
+
+    return {
+      content: response.message,
+      endCall: response.endCall,
+      transferNumber: response.requiresTransfer ? this.transferNumber : null
+    };
+  }
+
+  /**
+   * Prompt a silent caller, repeating the last question, and end the call
+   * once maxReminders have gone unanswered
+   */
+  async getReminder(session) {
+    if (!session.lastAgentMessage) {
+      // Silent from the start: greet them
+      return this.getResponse(session, []);
+    }
+
+    if (session.remindersSent >= this.maxReminders) {
+      return {
+        content: 'It sounds like now might not be a good time. Please call us back whenever you\'re ready. Goodbye!',
+        endCall: true,
+        isReminder: true
+      };
+    }
+
+    session.remindersSent += 1;
+    return { content: `Are you still there? ${session.lastAgentMessage}`, isReminder: true };
+  }
+
+  /**
+   * Text the caller said since the agent last spoke
+   */
+  getLatestUserTurn(transcript = []) {
+    const utterances = [];
+
+    for (let i = transcript.length - 1; i >= 0 && transcript[i].role === 'user'; i--) {
+      utterances.unshift(transcript[i].content);
+    }
+
+    return utterances.join(' ').trim();
+  }
+
+  isStale(session, event) {
+    return event.response_id < session.currentResponseId;
+  }
+
+  /**
+   * Extract the call_id from a /{call_id} upgrade URL
+   */
+  getCallId(url = '') {
+    const path = url.split('?')[0];
+    const match = path.match(/^\/([A-Za-z0-9_-]+)\/?$/);
+    return match ? match[1] : null;
+  }
+
+  send(session, message) {
+    if (session.ws.readyState === session.ws.OPEN) {
+      session.ws.send(JSON.stringify(message));
+    }
+  }
+}
+
+module.exports = RetellLlmSocket;
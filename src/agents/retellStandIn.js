@@ -0,0 +1,155 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Local stand-in for the Retell client's agent, LLM, phone number and
+ * knowledge base endpoints, so provisioning can run without a Retell account. Set RETELL_STAND_IN to a
+ * JSON file path to have the CLI use it; state lives in that file between
+ * runs, or in memory when no file is given.
+ */
+class RetellStandIn {
+  constructor({ file = null } = {}) {
+    this.file = file;
+    this.data = { agents: {}, llms: {}, phoneNumbers: {}, knowledgeBases: {} };
+
+    if (file && fs.existsSync(file)) {
+      this.data = { ...this.data, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    }
+
+    this.agent = {
+      create: async (config) => this.create('agents', 'agent_id', config),
+      retrieve: async (agentId) => this.get('agents', agentId),
+      update: async (agentId, updates) => this.update('agents', agentId, updates),
+      list: async () => Object.values(this.data.agents),
+      delete: async (agentId) => this.remove('agents', agentId)
+    };
+
+    this.llm = {
+      create: async (config) => this.create('llms', 'llm_id', config),
+      retrieve: async (llmId) => this.get('llms', llmId),
+      update: async (llmId, updates) => this.update('llms', llmId, updates)
+    };
+
+    this.phoneNumber = {
+      create: async ({ area_code: areaCode = 904, ...settings } = {}) => this.addPhoneNumber(
+        `+1${areaCode}555${crypto.randomInt(10000).toString().padStart(4, '0')}`,
+        { ...settings, area_code: areaCode }
+      ),
+      import: async ({ phone_number: phoneNumber, ...settings }) => this.addPhoneNumber(phoneNumber, settings),
+      retrieve: async (phoneNumber) => this.get('phoneNumbers', phoneNumber),
+      update: async (phoneNumber, updates) => this.update('phoneNumbers', phoneNumber, updates),
+      list: async () => Object.values(this.data.phoneNumbers),
+      delete: async (phoneNumber) => this.remove('phoneNumbers', phoneNumber)
+    };
+
+    this.knowledgeBase = {
+      create: async ({ knowledge_base_texts: texts = [], ...settings }) => {
+        const id = `knowledge_base_${crypto.randomBytes(8).toString('hex')}`;
+        this.data.knowledgeBases[id] = {
+          ...this.clone(settings),
+          knowledge_base_id: id,
+          status: 'complete',
+          knowledge_base_sources: [],
+          user_modified_timestamp: Date.now()
+        };
+        return this.addTextSources(id, texts);
+      },
+      retrieve: async (knowledgeBaseId) => this.get('knowledgeBases', knowledgeBaseId),
+      list: async () => Object.values(this.data.knowledgeBases),
+      delete: async (knowledgeBaseId) => this.remove('knowledgeBases', knowledgeBaseId),
+      addSources: async (knowledgeBaseId, { knowledge_base_texts: texts = [] }) => this.addTextSources(knowledgeBaseId, texts),
+      deleteSource: async (knowledgeBaseId, sourceId) => {
+        const record = this.get('knowledgeBases', knowledgeBaseId);
+        return this.update('knowledgeBases', knowledgeBaseId, {
+          knowledge_base_sources: record.knowledge_base_sources.filter(source => source.source_id !== sourceId)
+        });
+      }
+    };
+  }
+
+  addTextSources(knowledgeBaseId, texts) {
+    const record = this.get('knowledgeBases', knowledgeBaseId);
+    const sources = texts.map(({ title, text }) => ({
+      type: 'text',
+      source_id: `source_${crypto.randomBytes(8).toString('hex')}`,
+      title,
+      text
+    }));
+
+    return this.update('knowledgeBases', knowledgeBaseId, {
+      knowledge_base_sources: [...record.knowledge_base_sources, ...sources]
+    });
+  }
+
+  addPhoneNumber(phoneNumber, settings) {
+    const record = {
+      ...this.clone(settings),
+      phone_number: phoneNumber,
+      last_modification_timestamp: Date.now()
+    };
+
+    this.data.phoneNumbers[phoneNumber] = record;
+    this.save();
+    return this.clone(record);
+  }
+
+  create(collection, idField, config) {
+    const id = `${collection === 'agents' ? 'agent' : 'llm'}_${crypto.randomBytes(8).toString('hex')}`;
+    const record = {
+      ...this.clone(config),
+      [idField]: id,
+      last_modification_timestamp: Date.now()
+    };
+
+    this.data[collection][id] = record;
+    this.save();
+    return this.clone(record);
+  }
+
+  get(collection, id) {
+    const record = this.data[collection][id];
+    if (!record) {
+      throw this.notFound(id);
+    }
+
+    return this.clone(record);
+  }
+
+  update(collection, id, updates) {
+    const record = this.data[collection][id];
+    if (!record) {
+      throw this.notFound(id);
+    }
+
+    Object.assign(record, this.clone(updates), { last_modification_timestamp: Date.now() });
+    this.save();
+    return this.clone(record);
+  }
+
+  remove(collection, id) {
+    if (!this.data[collection][id]) {
+      throw this.notFound(id);
+    }
+
+    delete this.data[collection][id];
+    this.save();
+  }
+
+  notFound(id) {
+    const error = new Error(`${id} not found`);
+    error.status = 404;
+    return error;
+  }
+
+  save() {
+    if (this.file) {
+      fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+    }
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+module.exports = RetellStandIn;
@@ -0,0 +1,244 @@
+const ProviderDirectory = require('../services/providerDirectory');
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+
+/**
+ * The custom functions Matt can call. Each entry is both the Retell tool
+ * definition and the contract its /functions/<route> endpoint validates
+ * incoming args against, so the two can't drift apart.
+ */
+class ToolRegistry {
+  constructor({ providerDirectory = null } = {}) {
+    this.providerDirectory = providerDirectory || new ProviderDirectory();
+  }
+
+  /**
+   * Every registered tool
+   */
+  getTools() {
+    const providerIds = this.providerDirectory.getProviders().map(provider => provider.id);
+    const appointmentTypes = Object.keys(this.providerDirectory.appointmentTypes);
+
+    return [
+      {
+        name: 'verify_client',
+        route: 'verify-client',
+        description: 'Verify the caller\'s identity with their phone number and date of birth. Required before sharing or changing any appointment information.',
+        parameters: {
+          type: 'object',
+          properties: {
+            phoneNumber: { type: 'string', description: 'Phone number the caller gave, digits only or formatted' },
+            dateOfBirth: { type: 'string', description: 'Date of birth the caller gave, e.g. 03/15/1985' }
+          },
+          required: ['phoneNumber', 'dateOfBirth']
+        }
+      },
+      {
+        name: 'get_availability',
+        route: 'get-availability',
+        description: 'Get open appointment start times on a date, for one provider or every provider who sees the appointment type.',
+        parameters: {
+          type: 'object',
+          properties: {
+            providerId: { type: 'string', enum: providerIds, description: 'Provider to check; omit to check every eligible provider' },
+            date: { type: 'string', pattern: DATE_PATTERN, description: 'Date to check, YYYY-MM-DD' },
+            appointmentType: { type: 'string', enum: appointmentTypes, description: 'Type of appointment; defaults to follow_up' }
+          },
+          required: ['date']
+        }
+      },
+      {
+        name: 'hold_slot',
+        route: 'hold-slot',
+        description: 'Hold an open time for this caller while they confirm it, so no one else books it. Call it whenever you offer a specific time.',
+        parameters: {
+          type: 'object',
+          properties: {
+            providerId: { type: 'string', enum: providerIds, description: 'Provider the time is with' },
+            appointmentType: { type: 'string', enum: appointmentTypes, description: 'Type of appointment' },
+            date: { type: 'string', pattern: DATE_PATTERN, description: 'Date, YYYY-MM-DD' },
+            time: { type: 'string', pattern: TIME_PATTERN, description: 'Start time in 24-hour HH:mm, clinic local time' }
+          },
+          required: ['providerId', 'appointmentType', 'date', 'time']
+        }
+      },
+      {
+        name: 'schedule_appointment',
+        route: 'schedule-appointment',
+        description: 'Book an appointment for a verified client at an open time returned by get_availability.',
+        parameters: {
+          type: 'object',
+          properties: {
+            clientId: { type: 'string', description: 'Client ID returned by verify_client' },
+            providerId: { type: 'string', enum: providerIds, description: 'Provider to book with' },
+            appointmentType: { type: 'string', enum: appointmentTypes, description: 'Type of appointment' },
+            date: { type: 'string', pattern: DATE_PATTERN, description: 'Appointment date, YYYY-MM-DD' },
+            time: { type: 'string', pattern: TIME_PATTERN, description: 'Start time in 24-hour HH:mm, clinic local time' },
+            location: { type: 'string', enum: ['in-person', 'telehealth'], description: 'Visit type; defaults to in-person' }
+          },
+          required: ['clientId', 'providerId', 'appointmentType', 'date', 'time']
+        }
+      },
+      {
+        name: 'check_insurance',
+        route: 'check-insurance',
+        description: 'Check the caller\'s insurance eligibility and copay with Availity.',
+        parameters: {
+          type: 'object',
+          properties: {
+            insuranceInfo: {
+              type: 'object',
+              properties: {
+                insuranceProvider: { type: 'string', description: 'Insurance company name' },
+                memberId: { type: 'string', description: 'Member ID on the insurance card' },
+                dateOfBirth: { type: 'string', description: 'Member date of birth' },
+                firstName: { type: 'string', description: 'Member first name' },
+                lastName: { type: 'string', description: 'Member last name' },
+                groupNumber: { type: 'string', description: 'Group number, if the card has one' }
+              },
+              required: ['insuranceProvider', 'memberId', 'dateOfBirth']
+            }
+          },
+          required: ['insuranceInfo']
+        }
+      },
+      {
+        name: 'reschedule_appointment',
+        route: 'reschedule-appointment',
+        description: 'Move a verified client\'s existing appointment to an open time returned by get_availability.',
+        parameters: {
+          type: 'object',
+          properties: {
+            appointmentId: { type: 'string', description: 'ID of the appointment to move' },
+            date: { type: 'string', pattern: DATE_PATTERN, description: 'New date, YYYY-MM-DD' },
+            time: { type: 'string', pattern: TIME_PATTERN, description: 'New start time in 24-hour HH:mm, clinic local time' },
+            providerId: { type: 'string', enum: providerIds, description: 'New provider; omit to keep the current one' }
+          },
+          required: ['appointmentId', 'date', 'time']
+        }
+      },
+      {
+        name: 'cancel_appointment',
+        route: 'cancel-appointment',
+        description: 'Cancel a verified client\'s existing appointment.',
+        parameters: {
+          type: 'object',
+          properties: {
+            appointmentId: { type: 'string', description: 'ID of the appointment to cancel' },
+            reason: { type: 'string', description: 'Reason the caller gave, if any' }
+          },
+          required: ['appointmentId']
+        }
+      }
+    ];
+  }
+
+  /**
+   * Get a tool by name, or null if not registered
+   */
+  getTool(name) {
+    return this.getTools().find(tool => tool.name === name) || null;
+  }
+
+  /**
+   * Express path a tool is served on
+   */
+  getPath(tool) {
+    return `/functions/${tool.route}`;
+  }
+
+  /**
+   * Retell custom-function definitions for the LLM's general_tools
+   */
+  toRetellTools(baseUrl) {
+    return this.getTools().map(tool => ({
+      type: 'custom',
+      name: tool.name,
+      description: tool.description,
+      url: `${baseUrl}${this.getPath(tool)}`,
+      parameters: tool.parameters,
+      speak_during_execution: false,
+      speak_after_execution: true
+    }));
+  }
+
+  /**
+   * Check args against a tool's parameter schema; returns a list of
+   * problems, empty when the args are valid
+   */
+  validateArgs(name, args) {
+    const tool = this.getTool(name);
+    if (!tool) {
+      return [`unknown tool ${name}`];
+    }
+
+    const errors = [];
+    this.validateValue(tool.parameters, args, 'args', errors);
+    return errors;
+  }
+
+  /**
+   * Express middleware rejecting requests whose args don't match the tool
+   */
+  validateRequest(name) {
+    return (req, res, next) => {
+      const errors = this.validateArgs(name, (req.body || {}).args);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid arguments', details: errors });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * The subset of JSON Schema the tool definitions use: type, properties,
+   * required, enum and pattern
+   */
+  validateValue(schema, value, path, errors) {
+    if (!this.matchesType(schema.type, value)) {
+      errors.push(`${path} must be ${schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} is not in the expected format`);
+    }
+
+    if (schema.type === 'object') {
+      (schema.required || []).forEach(field => {
+        if (value[field] === undefined || value[field] === null || value[field] === '') {
+          errors.push(`${path}.${field} is required`);
+        }
+      });
+
+      Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+        if (value[field] !== undefined && value[field] !== null && value[field] !== '') {
+          this.validateValue(fieldSchema, value[field], `${path}.${field}`, errors);
+        }
+      });
+    }
+  }
+
+  matchesType(type, value) {
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number';
+      default:
+        return typeof value === type;
+    }
+  }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Provision Matt's Retell agent from src/agents/mattAgent.json, or the
+ * outbound reminder agent from src/agents/reminderAgent.json with
+ * --agent reminder.
+ *
+ *   node src/cli/agent.js diff              show how the live agent differs
+ *   node src/cli/agent.js apply [--dry-run] create or update the live agent
+ *   node src/cli/agent.js versions          list recorded versions
+ *   node src/cli/agent.js rollback [N]      restore version N (default: previous)
+ *
+ * Set RETELL_STAND_IN=<file.json> to run against a local stand-in instead
+ * of the Retell API.
+ */
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const RetellAgent = require('../agents/retellAgent');
+const RetellStandIn = require('../agents/retellStandIn');
+const AgentProvisioner = require('../agents/agentProvisioner');
+
+const formatValue = (value) => {
+  const text = value === undefined ? '(unset)' : JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+};
+
+const printChanges = (changes) => {
+  if (changes.length === 0) {
+    console.log('No changes: the live agent matches the config.');
+    return;
+  }
+
+  changes.forEach(change => {
+    console.log(`~ ${change.target}.${change.field}`);
+    console.log(`    live:    ${formatValue(change.live)}`);
+    console.log(`    desired: ${formatValue(change.desired)}`);
+  });
+};
+
+async function run(argv, { provisioner } = {}) {
+  const agentFlag = argv.indexOf('--agent');
+  const agentName = agentFlag >= 0 ? argv[agentFlag + 1] : 'matt';
+  const [command, ...args] = argv.filter((arg, index) => agentFlag < 0 || (index !== agentFlag && index !== agentFlag + 1));
+
+  if (!provisioner) {
+    const client = process.env.RETELL_STAND_IN ? new RetellStandIn({ file: process.env.RETELL_STAND_IN }) : null;
+    provisioner = new AgentProvisioner({ retellAgent: new RetellAgent({ client }), agentName });
+  }
+
+  switch (command) {
+    case 'diff': {
+      const plan = await provisioner.diff();
+      if (!plan.exists) {
+        console.log('No agent recorded yet; apply will create one.');
+      }
+      printChanges(plan.changes);
+      return plan;
+    }
+    case 'apply': {
+      const dryRun = args.includes('--dry-run');
+      const result = await provisioner.apply({ dryRun });
+      printChanges(result.changes);
+      if (result.changed) {
+        console.log(`Applied to agent ${result.agentId} as version ${result.version}.`);
+      } else if (dryRun) {
+        console.log('Dry run: nothing applied.');
+      }
+      return result;
+    }
+    case 'versions': {
+      const versions = provisioner.listVersions();
+      versions.forEach(version => console.log(`v${version.version}  ${version.appliedAt}  ${version.source}`));
+      return versions;
+    }
+    case 'rollback': {
+      const result = await provisioner.rollback(args[0] || null);
+      printChanges(result.changes);
+      console.log(`Restored version ${result.restored} as version ${result.version}.`);
+      return result;
+    }
+    default:
+      console.log('Usage: node src/cli/agent.js <diff|apply [--dry-run]|versions|rollback [version]> [--agent matt|reminder]');
+      process.exitCode = 1;
+      return null;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(`Agent command failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
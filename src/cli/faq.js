@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Sync the clinic FAQ in src/agents/clinicFaq.json to Matt's Retell
+ * knowledge base.
+ *
+ *   node src/cli/faq.js diff              show whether the knowledge base is current
+ *   node src/cli/faq.js sync [--dry-run]  create the knowledge base or replace the FAQ
+ *
+ * Set RETELL_STAND_IN=<file.json> to run against a local stand-in instead
+ * of the Retell API.
+ */
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const RetellAgent = require('../agents/retellAgent');
+const RetellStandIn = require('../agents/retellStandIn');
+const KnowledgeBaseProvisioner = require('../agents/knowledgeBaseProvisioner');
+
+const printPlan = (plan) => {
+  if (!plan.exists) {
+    console.log('No knowledge base yet; sync will create one.');
+  } else if (plan.upToDate) {
+    console.log(`Knowledge base ${plan.knowledgeBaseId} has the current FAQ.`);
+  } else {
+    if (!plan.current) {
+      console.log(`+ FAQ version ${plan.version}`);
+    }
+    plan.stale.forEach(source => console.log(`- ${source.title}`));
+  }
+};
+
+async function run(argv, { provisioner } = {}) {
+  const [command, ...args] = argv;
+
+  if (!provisioner) {
+    const client = process.env.RETELL_STAND_IN ? new RetellStandIn({ file: process.env.RETELL_STAND_IN }) : null;
+    provisioner = new KnowledgeBaseProvisioner({ retellAgent: new RetellAgent({ client }) });
+  }
+
+  switch (command) {
+    case 'diff': {
+      const plan = { ...await provisioner.diff(), version: provisioner.clinicFaq.getVersion() };
+      printPlan(plan);
+      return plan;
+    }
+    case 'sync': {
+      const dryRun = args.includes('--dry-run');
+      const result = { ...await provisioner.sync({ dryRun }), version: provisioner.clinicFaq.getVersion() };
+      if (dryRun) {
+        printPlan(result);
+        console.log('Dry run: nothing applied.');
+      } else if (result.changed) {
+        console.log(`Synced FAQ version ${result.version} to knowledge base ${result.knowledgeBaseId}.`);
+      } else {
+        printPlan(result);
+      }
+      if (result.knowledgeBaseId && result.knowledgeBaseId !== process.env.RETELL_KNOWLEDGE_BASE_ID) {
+        console.log(`Set RETELL_KNOWLEDGE_BASE_ID=${result.knowledgeBaseId} and run \`npm run agent:apply\` to attach it to Matt's LLM.`);
+      }
+      return result;
+    }
+    default:
+      console.log('Usage: node src/cli/faq.js <diff|sync [--dry-run]>');
+      process.exitCode = 1;
+      return null;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(`FAQ command failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Run the local IntakeQ stand-in for development.
+ *
+ *   node src/cli/intakeqStandIn.js [--port N] [--fixtures <file.json>] [--webhook-url <url>]
+ *
+ * Then start the app with INTAKEQ_BASE_URL=http://localhost:<port>/v1.
+ * Webhooks go to the app's /webhook/intakeq by default; pass
+ * --webhook-url none to turn them off. Faults are injected with
+ *
+ *   curl -X POST localhost:<port>/_stand-in/faults -H 'Content-Type: application/json' \
+ *     -d '{"path": "/appointments", "method": "POST", "status": 429, "retryAfter": 2}'
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const IntakeQStandIn = require('../services/intakeqStandIn');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '../../tests/fixtures/intakeq.json');
+
+const getOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+};
+
+async function run(argv) {
+  const port = parseInt(getOption(argv, '--port') || process.env.INTAKEQ_STAND_IN_PORT) || 4010;
+  const webhookUrl = getOption(argv, '--webhook-url') || process.env.INTAKEQ_STAND_IN_WEBHOOK_URL ||
+    `http://localhost:${process.env.PORT || 3000}/webhook/intakeq`;
+
+  const standIn = new IntakeQStandIn({
+    fixturesFile: getOption(argv, '--fixtures') || process.env.INTAKEQ_STAND_IN_FIXTURES || DEFAULT_FIXTURES,
+    apiKey: process.env.INTAKEQ_API_KEY || null,
+    webhookUrl: webhookUrl === 'none' ? null : webhookUrl,
+    webhookSecret: process.env.INTAKEQ_WEBHOOK_SECRET || null
+  });
+
+  const url = await standIn.start(port);
+  console.log(`IntakeQ stand-in running; set INTAKEQ_BASE_URL=${url}`);
+
+  const shutdown = () => standIn.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  return standIn;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(`IntakeQ stand-in failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
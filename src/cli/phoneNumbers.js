@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Manage the clinic's Retell phone numbers against PHONE_LINES.
+ *
+ *   node src/cli/phoneNumbers.js list                   numbers in Retell and their lines
+ *   node src/cli/phoneNumbers.js sync [--dry-run]       bind each line's number to its agent
+ *   node src/cli/phoneNumbers.js create <line> [--area-code N]
+ *                                                       buy a number for a line
+ *   node src/cli/phoneNumbers.js import <line> --termination-uri <uri>
+ *                     [--username <u> --password <p>]  import a line's number over SIP
+ *   node src/cli/phoneNumbers.js delete <number>        release a number
+ *
+ * Set RETELL_STAND_IN=<file.json> to run against a local stand-in instead
+ * of the Retell API.
+ */
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const RetellAgent = require('../agents/retellAgent');
+const RetellStandIn = require('../agents/retellStandIn');
+const PhoneNumberProvisioner = require('../agents/phoneNumberProvisioner');
+const PhoneLineDirectory = require('../services/phoneLineDirectory');
+
+const getOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+};
+
+const printPlan = (plan) => {
+  plan.changes.forEach(change => {
+    console.log(`~ ${change.number} (${change.line})`);
+    Object.entries(change.updates).forEach(([field, value]) => {
+      console.log(`    ${field}: ${JSON.stringify(change.current[field])} -> ${JSON.stringify(value)}`);
+    });
+  });
+  plan.missing.forEach(line => console.log(`! line ${line} has no number in Retell; create or import one`));
+  plan.unrouted.forEach(number => console.log(`? ${number} is not used by any line`));
+
+  if (plan.changes.length === 0) {
+    console.log('No changes: every number is bound as configured.');
+  }
+};
+
+async function run(argv, { provisioner, retellAgent, phoneLineDirectory } = {}) {
+  const [command, ...args] = argv;
+
+  if (!provisioner) {
+    const client = process.env.RETELL_STAND_IN ? new RetellStandIn({ file: process.env.RETELL_STAND_IN }) : null;
+    retellAgent = retellAgent || new RetellAgent({ client });
+    phoneLineDirectory = phoneLineDirectory || new PhoneLineDirectory();
+    provisioner = new PhoneNumberProvisioner({ retellAgent, phoneLineDirectory });
+  }
+  retellAgent = retellAgent || provisioner.retellAgent;
+  phoneLineDirectory = phoneLineDirectory || provisioner.phoneLineDirectory;
+
+  switch (command) {
+    case 'list': {
+      const numbers = await retellAgent.listPhoneNumbers() || [];
+      numbers.forEach(phoneNumber => {
+        const line = phoneLineDirectory.getLineForNumber(phoneNumber.phone_number);
+        console.log(`${phoneNumber.phone_number}  ${line ? line.id : '(no line)'}  agent ${phoneNumber.inbound_agent_id || '(none)'}`);
+      });
+      return numbers;
+    }
+    case 'sync': {
+      const dryRun = args.includes('--dry-run');
+      const result = await provisioner.sync({ dryRun });
+      printPlan(result);
+      if (dryRun) {
+        console.log('Dry run: nothing applied.');
+      }
+      return result;
+    }
+    case 'create': {
+      const phoneNumber = await provisioner.create(args[0], { areaCode: getOption(args, '--area-code') });
+      console.log(`Created ${phoneNumber.phone_number} for line ${args[0]}; set it as the line's number in PHONE_LINES.`);
+      return phoneNumber;
+    }
+    case 'import': {
+      const phoneNumber = await provisioner.import(args[0], {
+        terminationUri: getOption(args, '--termination-uri'),
+        username: getOption(args, '--username'),
+        password: getOption(args, '--password')
+      });
+      console.log(`Imported ${phoneNumber.phone_number} for line ${args[0]}.`);
+      return phoneNumber;
+    }
+    case 'delete': {
+      await retellAgent.deletePhoneNumber(args[0]);
+      console.log(`Deleted ${args[0]}.`);
+      return args[0];
+    }
+    default:
+      console.log('Usage: node src/cli/phoneNumbers.js <list|sync [--dry-run]|create <line>|import <line>|delete <number>>');
+      process.exitCode = 1;
+      return null;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(`Phone number command failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
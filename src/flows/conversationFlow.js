@@ -1,8 +1,37 @@
 const winston = require('winston');
-const moment = require('moment');
+const moment = require('moment-timezone');
+const InMemoryConversationStore = require('../stores/inMemoryConversationStore');
+const DateResolver = require('../utils/dateResolver');
+const TimeResolver = require('../utils/timeResolver');
+const AppointmentTimes = require('../utils/appointmentTimes');
+const AvailabilityEngine = require('../services/availabilityEngine');
+const PhoneLineDirectory = require('../services/phoneLineDirectory');
+const ClinicFaq = require('../services/clinicFaq');
+const BookingService = require('../services/bookingService');
 
 class ConversationFlow {
-  constructor() {
+  constructor({
+    verificationService = null,
+    intakeqService = null,
+    availityService = null,
+    auditLogger = null,
+    stateStore = null,
+    availabilityEngine = null,
+    phoneLineDirectory = null,
+    clinicFaq = null,
+    bookingService = null
+  } = {}) {
+    this.verificationService = verificationService;
+    this.intakeqService = intakeqService;
+    this.availityService = availityService;
+    this.auditLogger = auditLogger;
+    this.stateStore = stateStore || new InMemoryConversationStore();
+    this.availabilityEngine = availabilityEngine || new AvailabilityEngine({ intakeqService });
+    this.providerDirectory = this.availabilityEngine.providerDirectory;
+    this.phoneLineDirectory = phoneLineDirectory || new PhoneLineDirectory();
+    this.clinicFaq = clinicFaq || new ClinicFaq();
+    this.bookingService = bookingService || new BookingService({ intakeqService, availabilityEngine: this.availabilityEngine });
+
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.combine(
@@ -12,40 +41,142 @@ class ConversationFlow {
       transports: [new winston.transports.Console()]
     });
 
+    // Working copies of states for calls handled by this instance; the
+    // state store is the source of truth across restarts and containers
     this.conversationStates = new Map();
-    this.providerSchedules = JSON.parse(process.env.PROVIDER_SCHEDULES || '{}');
-    this.appointmentTypes = JSON.parse(process.env.APPOINTMENT_TYPES || '{}');
-    this.lunchBreakStart = process.env.LUNCH_BREAK_START || '13:00';
-    this.lunchBreakEnd = process.env.LUNCH_BREAK_END || '14:00';
+    this.stateTtlMs = (parseInt(process.env.CONVERSATION_STATE_TTL_SECONDS) || 1800) * 1000;
+    this.lateCancelWindowHours = parseInt(process.env.LATE_CANCEL_WINDOW_HOURS) || 24;
+    this.lateCancelFee = parseFloat(process.env.LATE_CANCEL_FEE) || null;
+    this.timezone = process.env.CLINIC_TIMEZONE || 'America/New_York';
+    this.dateResolver = new DateResolver({ timezone: this.timezone });
+    this.timeResolver = new TimeResolver();
+    this.appointmentTimes = new AppointmentTimes({
+      timezone: this.timezone,
+      providerDirectory: this.availabilityEngine.providerDirectory
+    });
   }
 
   /**
-   * Initialize conversation state for a new call
+   * Initialize conversation state for a new call. Pass clientInfo when the
+   * caller is already verified (a logged-in portal web call) to skip phone
+   * and date of birth verification.
    */
-  initializeConversation(callId) {
+  initializeConversation(callId, { clientInfo = null } = {}) {
     const state = {
       callId,
       step: 'greeting',
-      clientVerified: false,
-      clientInfo: null,
+      intent: null,
+      subStep: null,
+      clientVerified: Boolean(clientInfo),
+      clientInfo,
+      phoneLine: null,
+      flow: 'standard',
+      callerNumber: null,
+      message: null,
       insuranceVerified: false,
       insuranceInfo: null,
+      pendingInsuranceProvider: null,
       appointmentType: null,
       preferredProvider: null,
+      visitType: null,
       preferredDate: null,
       preferredTime: null,
+      slotHold: null,
       availableSlots: [],
       selectedSlot: null,
+      modifying: false,
+      upcomingAppointments: [],
+      selectedAppointment: null,
+      cancellationReason: null,
       conversationHistory: [],
       startTime: new Date(),
       lastActivity: new Date()
     };
 
     this.conversationStates.set(callId, state);
+    this.persistConversation(callId);
     this.logger.info(`Conversation initialized for call: ${callId}`);
     return state;
   }
 
+  /**
+   * Apply the line a phone call came in on, from Retell's call details:
+   * its flow and, for lines like the ketamine program line, the appointment
+   * type. Only applied before the first turn, so a reconnect changes nothing.
+   */
+  async applyCallDetails(callId, call = {}) {
+    const state = await this.loadConversation(callId);
+    if (!state || state.conversationHistory.length > 0) {
+      return state;
+    }
+
+    const line = this.phoneLineDirectory.getLineForNumber(call.to_number);
+    this.updateConversationState(callId, {
+      callerNumber: call.from_number || null,
+      ...(line && {
+        phoneLine: line.id,
+        flow: line.flow,
+        appointmentType: line.defaultAppointmentType
+      })
+    });
+    await this.persistConversation(callId);
+
+    return state;
+  }
+
+  /**
+   * Load the latest state for a call from the state store
+   */
+  async loadConversation(callId) {
+    try {
+      const stored = await this.stateStore.get(callId);
+      const local = this.conversationStates.get(callId);
+
+      // Another instance may have handled the last turn; keep whichever copy
+      // saw activity most recently
+      if (stored && (!local || new Date(stored.lastActivity) > local.lastActivity)) {
+        stored.startTime = new Date(stored.startTime);
+        stored.lastActivity = new Date(stored.lastActivity);
+        this.conversationStates.set(callId, stored);
+      }
+    } catch (error) {
+      this.logger.error(`Error loading conversation state for call ${callId}:`, error);
+    }
+
+    return this.conversationStates.get(callId);
+  }
+
+  /**
+   * Save the working state for a call to the state store
+   */
+  async persistConversation(callId) {
+    const state = this.conversationStates.get(callId);
+    if (!state) {
+      return;
+    }
+
+    try {
+      await this.stateStore.set(callId, state);
+    } catch (error) {
+      this.logger.error(`Error saving conversation state for call ${callId}:`, error);
+    }
+
+    this.evictIdleConversations();
+  }
+
+  /**
+   * Drop working copies for calls that have been idle longer than the state TTL
+   */
+  evictIdleConversations() {
+    const cutoff = Date.now() - this.stateTtlMs;
+
+    for (const [callId, state] of this.conversationStates) {
+      if (new Date(state.lastActivity).getTime() < cutoff) {
+        this.conversationStates.delete(callId);
+      }
+    }
+  }
+
   /**
    * Get conversation state for a call
    */
@@ -85,7 +216,7 @@ class ConversationFlow {
    */
   async processMessage(callId, userMessage) {
     try {
-      const state = this.getConversationState(callId);
+      const state = await this.loadConversation(callId);
       if (!state) {
         this.logger.error(`No conversation state found for call: ${callId}`);
         return this.getErrorResponse();
@@ -94,49 +225,63 @@ class ConversationFlow {
       // Add user message to history
       this.addToHistory(callId, 'user', userMessage);
 
-      // Process based on current step
-      let response;
-      switch (state.step) {
-        case 'greeting':
-          response = await this.handleGreeting(callId, userMessage);
-          break;
-        case 'verification':
-          response = await this.handleVerification(callId, userMessage);
-          break;
-        case 'appointment_type':
-          response = await this.handleAppointmentType(callId, userMessage);
-          break;
-        case 'provider_selection':
-          response = await this.handleProviderSelection(callId, userMessage);
-          break;
-        case 'date_selection':
-          response = await this.handleDateSelection(callId, userMessage);
-          break;
-        case 'time_selection':
-          response = await this.handleTimeSelection(callId, userMessage);
-          break;
-        case 'insurance_verification':
-          response = await this.handleInsuranceVerification(callId, userMessage);
-          break;
-        case 'confirmation':
-          response = await this.handleConfirmation(callId, userMessage);
-          break;
-        case 'rescheduling':
-          response = await this.handleRescheduling(callId, userMessage);
-          break;
-        case 'cancellation':
-          response = await this.handleCancellation(callId, userMessage);
-          break;
-        default:
-          response = await this.handleGeneralInquiry(callId, userMessage);
+      // A clinic question asked partway through is answered without
+      // leaving the step; anything else is handled by the current step
+      let response = this.answerQuestionInFlow(callId, state, userMessage);
+      if (!response) {
+        switch (state.step) {
+          case 'greeting':
+            response = await this.handleGreeting(callId, userMessage);
+            break;
+          case 'verification':
+            response = await this.handleVerification(callId, userMessage);
+            break;
+          case 'appointment_type':
+            response = await this.handleAppointmentType(callId, userMessage);
+            break;
+          case 'provider_selection':
+            response = await this.handleProviderSelection(callId, userMessage);
+            break;
+          case 'date_selection':
+            response = await this.handleDateSelection(callId, userMessage);
+            break;
+          case 'time_selection':
+            response = await this.handleTimeSelection(callId, userMessage);
+            break;
+          case 'insurance_verification':
+            response = await this.handleInsuranceVerification(callId, userMessage);
+            break;
+          case 'confirmation':
+            response = await this.handleConfirmation(callId, userMessage);
+            break;
+          case 'modification':
+            response = await this.handleModification(callId, userMessage);
+            break;
+          case 'rescheduling':
+            response = await this.handleRescheduling(callId, userMessage);
+            break;
+          case 'cancellation':
+            response = await this.handleCancellation(callId, userMessage);
+            break;
+          case 'message':
+          case 'message_taken':
+            response = await this.handleMessageTaking(callId, userMessage);
+            break;
+          default:
+            response = await this.handleGeneralInquiry(callId, userMessage);
+        }
       }
 
       // Add agent response to history
       this.addToHistory(callId, 'agent', response.message);
+      await this.persistConversation(callId);
 
       return response;
     } catch (error) {
       this.logger.error(`Error processing message for call ${callId}:`, error);
+      // Kept so the call's outcome record shows the flow failed
+      this.updateConversationState(callId, { lastError: error.message });
+      await this.persistConversation(callId);
       return this.getErrorResponse();
     }
   }
@@ -148,23 +293,49 @@ class ConversationFlow {
     
     // Check if user is asking to schedule, reschedule, or cancel
     const intent = this.detectIntent(userMessage);
+    const { clientVerified, clientInfo, flow } = this.getConversationState(callId);
+
+    if (flow === 'message_only') {
+      this.updateConversationState(callId, { step: 'message', intent });
+      return {
+        message: 'Hello! I\'m Matt from The Practice. Our office is closed right now, so I can\'t make changes to appointments, but I can take a message for our front desk. Please tell me your name, the best number to reach you, and what you\'re calling about. If this is an emergency, please hang up and dial 911, or call or text 988 for the Suicide and Crisis Lifeline.',
+        nextStep: 'message'
+      };
+    }
+
+    if (intent === 'general' && this.clinicFaq.match(userMessage)) {
+      return this.handleGeneralInquiry(callId, userMessage);
+    }
+
+    if (clientVerified) {
+      if (['schedule', 'reschedule', 'cancel'].includes(intent)) {
+        this.updateConversationState(callId, { intent });
+        return this.continueVerified(callId, `Hello ${clientInfo.name}! I'm Matt from The Practice.`);
+      }
+
+      return {
+        message: `Hello ${clientInfo.name}! I'm Matt from The Practice psychiatric wellness clinic. How can I help you today? I can assist with scheduling, rescheduling, or canceling appointments.`,
+        nextStep: 'greeting',
+        options: ['Schedule appointment', 'Reschedule appointment', 'Cancel appointment']
+      };
+    }
     
     if (intent === 'schedule') {
-      this.updateConversationState(callId, { step: 'verification' });
+      this.updateConversationState(callId, { step: 'verification', intent });
       return {
         message: 'Hello! I\'m Matt from The Practice psychiatric wellness clinic. I\'d be happy to help you schedule an appointment. For your security and HIPAA compliance, I need to verify your identity. Could you please provide your phone number and date of birth?',
         nextStep: 'verification',
         requiresVerification: true
       };
     } else if (intent === 'reschedule') {
-      this.updateConversationState(callId, { step: 'verification' });
+      this.updateConversationState(callId, { step: 'verification', intent });
       return {
         message: 'Hello! I\'m Matt from The Practice. I can help you reschedule your appointment. For your security, I need to verify your identity first. Could you please provide your phone number and date of birth?',
         nextStep: 'verification',
         requiresVerification: true
       };
     } else if (intent === 'cancel') {
-      this.updateConversationState(callId, { step: 'verification' });
+      this.updateConversationState(callId, { step: 'verification', intent });
       return {
         message: 'Hello! I\'m Matt from The Practice. I can help you cancel your appointment. For your security, I need to verify your identity first. Could you please provide your phone number and date of birth?',
         nextStep: 'verification',
@@ -195,24 +366,33 @@ class ConversationFlow {
       };
     }
 
-    // This would call the verification service
-    // For now, we'll simulate verification
-    const verificationResult = await this.simulateVerification(verificationData);
+    const verificationResult = await this.verificationService.verifyClient(
+      verificationData.phoneNumber,
+      verificationData.dateOfBirth
+    );
+
+    if (this.auditLogger) {
+      await this.auditLogger.logClientVerification(callId, verificationData, verificationResult);
+    }
     
     if (verificationResult.verified) {
+      const clientInfo = {
+        id: verificationResult.clientId,
+        name: verificationResult.clientName,
+        phone: verificationData.phoneNumber,
+        dateOfBirth: this.verificationService.normalizeDateOfBirth(verificationData.dateOfBirth),
+        insurance: verificationResult.insuranceInfo || null
+      };
+
       this.updateConversationState(callId, {
         clientVerified: true,
-        clientInfo: verificationResult.clientInfo,
-        step: 'appointment_type'
+        clientInfo: clientInfo,
+        verificationFailed: false
       });
-      
-      return {
-        message: `Thank you, ${verificationResult.clientInfo.name}. I've verified your identity. What type of appointment would you like to schedule?`,
-        nextStep: 'appointment_type',
-        clientInfo: verificationResult.clientInfo,
-        options: ['Comprehensive evaluation (60 minutes)', 'Follow-up (15 minutes)', 'Ketamine consultation (30 minutes)']
-      };
+
+      return this.continueVerified(callId, `Thank you, ${clientInfo.name}. I've verified your identity.`);
     } else {
+      this.updateConversationState(callId, { verificationFailed: true });
       return {
         message: 'I\'m sorry, but I couldn\'t verify your identity with the information provided. For your security, I cannot access your information. Would you like me to transfer you to our front desk?',
         nextStep: 'verification_failed',
@@ -221,6 +401,36 @@ class ConversationFlow {
     }
   }
 
+  /**
+   * Move a verified client on to what they called about
+   */
+  async continueVerified(callId, opening) {
+    const state = this.getConversationState(callId);
+
+    if (state.intent === 'reschedule') {
+      return this.startRescheduling(callId, opening);
+    }
+
+    if (state.intent === 'cancel') {
+      return this.startCancellation(callId, opening);
+    }
+
+    // Set by the line called, e.g. the ketamine program line
+    if (state.appointmentType) {
+      this.updateConversationState(callId, { step: 'provider_selection' });
+      return this.offerProviders(callId, `${opening} I can help you schedule a ${this.providerDirectory.getAppointmentTypeLabel(state.appointmentType)}.`);
+    }
+
+    this.updateConversationState(callId, { step: 'appointment_type' });
+
+    return {
+      message: `${opening} What type of appointment would you like to schedule?`,
+      nextStep: 'appointment_type',
+      clientInfo: state.clientInfo,
+      options: ['Comprehensive evaluation (60 minutes)', 'Follow-up (15 minutes)', 'Ketamine consultation (30 minutes)']
+    };
+  }
+
   /**
    * Handle appointment type selection
    */
@@ -235,15 +445,41 @@ class ConversationFlow {
       };
     }
 
+    const state = this.getConversationState(callId);
+    const visitType = this.detectVisitType(userMessage) || state.visitType;
+
     this.updateConversationState(callId, {
       appointmentType,
+      visitType,
       step: 'provider_selection'
     });
 
-    const availableProviders = this.getAvailableProviders(appointmentType);
+    if (state.modifying) {
+      return this.resumeAfterModification(callId);
+    }
+
+    return this.offerProviders(callId, `Great! You've selected a ${this.providerDirectory.getAppointmentTypeLabel(appointmentType)}.`);
+  }
+
+  /**
+   * Ask which provider the caller would like for the chosen appointment
+   * type, or for another type if no provider is booking it
+   */
+  offerProviders(callId, opening) {
+    const { appointmentType, visitType } = this.getConversationState(callId);
+    const availableProviders = this.getAvailableProviders(appointmentType, visitType);
+
+    if (availableProviders.length === 0) {
+      this.updateConversationState(callId, { step: 'appointment_type' });
+      return {
+        message: `I'm sorry, none of our providers are currently booking ${this.providerDirectory.getAppointmentTypeLabel(appointmentType)} appointments${visitType ? ` by ${visitType === 'telehealth' ? 'telehealth' : 'in-person visit'}` : ''}. Is there another type of appointment I can help you with?`,
+        nextStep: 'appointment_type',
+        options: ['Comprehensive evaluation', 'Follow-up', 'Ketamine consultation']
+      };
+    }
     
     return {
-      message: `Great! You've selected a ${appointmentType}. Which provider would you prefer?`,
+      message: `${opening} Which provider would you prefer?`,
       nextStep: 'provider_selection',
       appointmentType,
       providers: availableProviders,
@@ -256,12 +492,17 @@ class ConversationFlow {
    */
   async handleProviderSelection(callId, userMessage) {
     const state = this.getConversationState(callId);
-    const selectedProvider = this.detectProviderSelection(userMessage, state.appointmentType);
+    const visitType = this.detectVisitType(userMessage) || state.visitType;
+    const selectedProvider = this.detectProviderSelection(userMessage, state.appointmentType, visitType);
     
     if (!selectedProvider) {
-      const availableProviders = this.getAvailableProviders(state.appointmentType);
+      const availableProviders = this.getAvailableProviders(state.appointmentType, visitType);
+      const namedProvider = this.detectProviderSelection(userMessage);
+      const reason = namedProvider && this.providerDirectory.getIneligibilityReason(namedProvider, state.appointmentType, { visitType });
       return {
-        message: 'I didn\'t catch that. Which provider would you prefer?',
+        message: reason
+          ? `I'm sorry, ${reason}. Which provider would you prefer?${availableProviders.length > 0 ? ` I can book you with ${availableProviders.map(p => p.name).join(' or ')}.` : ''}`
+          : 'I didn\'t catch that. Which provider would you prefer?',
         nextStep: 'provider_selection',
         providers: availableProviders,
         options: availableProviders.map(p => p.name)
@@ -270,9 +511,14 @@ class ConversationFlow {
 
     this.updateConversationState(callId, {
       preferredProvider: selectedProvider,
+      visitType,
       step: 'date_selection'
     });
 
+    if (state.modifying) {
+      return this.resumeAfterModification(callId);
+    }
+
     const availableDates = this.getAvailableDates(selectedProvider);
     
     return {
@@ -289,16 +535,10 @@ class ConversationFlow {
    */
   async handleDateSelection(callId, userMessage) {
     const state = this.getConversationState(callId);
-    const selectedDate = this.detectDateSelection(userMessage);
-    
-    if (!selectedDate) {
-      const availableDates = this.getAvailableDates(state.preferredProvider);
-      return {
-        message: 'I didn\'t catch that date. What date would work best for you?',
-        nextStep: 'date_selection',
-        availableDates,
-        options: availableDates.slice(0, 5)
-      };
+    const { date: selectedDate, partOfDay, response } = this.resolveProviderDate(userMessage, state.preferredProvider, 'date_selection');
+
+    if (response) {
+      return response;
     }
 
     this.updateConversationState(callId, {
@@ -306,10 +546,17 @@ class ConversationFlow {
       step: 'time_selection'
     });
 
-    const availableTimes = await this.getAvailableTimes(state.preferredProvider, selectedDate, state.appointmentType);
+    if (state.modifying) {
+      return this.resumeAfterModification(callId);
+    }
+
+    const availableTimes = this.timeResolver.filterByPartOfDay(
+      await this.getAvailableTimes(state.preferredProvider, selectedDate, state.appointmentType),
+      partOfDay
+    );
     
     return {
-      message: `Great! You've selected ${selectedDate}. What time would work best for you?`,
+      message: `Great! You've selected ${this.dateResolver.formatSpoken(selectedDate)}. What time would work best for you?`,
       nextStep: 'time_selection',
       date: selectedDate,
       availableTimes,
@@ -322,29 +569,15 @@ class ConversationFlow {
    */
   async handleTimeSelection(callId, userMessage) {
     const state = this.getConversationState(callId);
-    const selectedTime = this.detectTimeSelection(userMessage);
-    
-    if (!selectedTime) {
-      const availableTimes = await this.getAvailableTimes(state.preferredProvider, state.preferredDate, state.appointmentType);
-      return {
-        message: 'I didn\'t catch that time. What time would work best for you?',
-        nextStep: 'time_selection',
-        availableTimes,
-        options: availableTimes.slice(0, 5)
-      };
+    const { time: selectedTime, response } = await this.resolveProviderTime(userMessage, state, 'time_selection');
+
+    if (response) {
+      return response;
     }
 
-    // Check if the selected time is available
-    const isAvailable = await this.checkTimeAvailability(state.preferredProvider, state.preferredDate, selectedTime);
-    
-    if (!isAvailable) {
-      const availableTimes = await this.getAvailableTimes(state.preferredProvider, state.preferredDate, state.appointmentType);
-      return {
-        message: 'I\'m sorry, that time slot is no longer available. Here are the available times:',
-        nextStep: 'time_selection',
-        availableTimes,
-        options: availableTimes.slice(0, 5)
-      };
+    const slotTaken = await this.holdSelectedSlot(callId, selectedTime);
+    if (slotTaken) {
+      return slotTaken;
     }
 
     this.updateConversationState(callId, {
@@ -352,8 +585,13 @@ class ConversationFlow {
       step: 'insurance_verification'
     });
 
+    // Insurance was already verified before the caller asked for a change
+    if (state.modifying) {
+      return this.resumeAfterModification(callId);
+    }
+
     return {
-      message: `Perfect! You've selected ${selectedTime} on ${state.preferredDate}. Now I need to verify your insurance information. What insurance provider do you have?`,
+      message: `Perfect! You've selected ${this.timeResolver.formatSpoken(selectedTime)} on ${this.dateResolver.formatSpoken(state.preferredDate)}. Now I need to verify your insurance information. What insurance provider do you have?`,
       nextStep: 'insurance_verification',
       selectedSlot: {
         provider: state.preferredProvider,
@@ -370,6 +608,7 @@ class ConversationFlow {
   async handleInsuranceVerification(callId, userMessage) {
     const state = this.getConversationState(callId);
     const insuranceInfo = this.extractInsuranceInfo(userMessage);
+    insuranceInfo.provider = insuranceInfo.provider || state.pendingInsuranceProvider;
     
     if (!insuranceInfo.provider) {
       return {
@@ -389,27 +628,46 @@ class ConversationFlow {
       };
     }
 
-    // This would call the Availity service for verification
-    const verificationResult = await this.simulateInsuranceVerification(insuranceInfo);
+    const memberId = insuranceInfo.memberId || this.getMemberIdOnFile(state.clientInfo, insuranceInfo.provider);
+
+    if (!memberId) {
+      this.updateConversationState(callId, { pendingInsuranceProvider: insuranceInfo.provider });
+      return {
+        message: `Thank you. What's the member ID on your ${insuranceInfo.provider} card?`,
+        nextStep: 'insurance_verification'
+      };
+    }
+
+    const [firstName, ...lastNames] = (state.clientInfo.name || '').split(' ');
+    const eligibility = await this.availityService.verifyInsurance({
+      memberId,
+      dateOfBirth: state.clientInfo.dateOfBirth,
+      firstName,
+      lastName: lastNames.join(' '),
+      insuranceProvider: insuranceInfo.provider
+    });
+    const verificationResult = { ...eligibility, provider: insuranceInfo.provider };
+
+    if (this.auditLogger) {
+      await this.auditLogger.logInsuranceVerification(callId, { provider: insuranceInfo.provider, memberId }, verificationResult);
+    }
     
     if (verificationResult.verified) {
       this.updateConversationState(callId, {
         insuranceVerified: true,
         insuranceInfo: verificationResult,
+        pendingInsuranceProvider: null,
         step: 'confirmation'
       });
       
+      const confirmation = this.getConfirmationPrompt(callId);
+      const copayMessage = verificationResult.copay !== undefined && verificationResult.copay !== null
+        ? ` Your copay will be $${verificationResult.copay}.`
+        : '';
       return {
-        message: `Great! I've verified your ${insuranceInfo.provider} insurance. Your copay will be $${verificationResult.copay}. Let me confirm your appointment details: ${state.appointmentType} with ${state.preferredProvider.name} on ${state.preferredDate} at ${state.preferredTime}. Is this correct?`,
-        nextStep: 'confirmation',
-        insuranceInfo: verificationResult,
-        appointmentDetails: {
-          type: state.appointmentType,
-          provider: state.preferredProvider.name,
-          date: state.preferredDate,
-          time: state.preferredTime,
-          copay: verificationResult.copay
-        }
+        ...confirmation,
+        message: `Great! I've verified your ${insuranceInfo.provider} insurance.${copayMessage} ${confirmation.message}`,
+        insuranceInfo: verificationResult
       };
     } else {
       return {
@@ -432,8 +690,12 @@ class ConversationFlow {
       // Create the appointment
       const appointmentResult = await this.createAppointment(state);
       
+      if (appointmentResult.slotTaken) {
+        return this.getSlotTakenResponse(callId, appointmentResult.slotTaken);
+      }
+
       if (appointmentResult.success) {
-        this.updateConversationState(callId, { step: 'completed' });
+        this.updateConversationState(callId, { step: 'completed', slotHold: null });
         return {
           message: 'Perfect! Your appointment has been scheduled. You\'ll receive a confirmation email and text message. Is there anything else I can help you with?',
           nextStep: 'completed',
@@ -448,6 +710,7 @@ class ConversationFlow {
         };
       }
     } else if (confirmation === 'no') {
+      this.updateConversationState(callId, { step: 'modification' });
       return {
         message: 'No problem! Let me know what you\'d like to change about your appointment.',
         nextStep: 'modification',
@@ -463,110 +726,788 @@ class ConversationFlow {
   }
 
   /**
-   * Detect user intent from message
+   * Build the appointment summary the caller is asked to confirm
    */
-  detectIntent(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    if (lowerMessage.includes('schedule') || lowerMessage.includes('book') || lowerMessage.includes('appointment')) {
-      return 'schedule';
-    } else if (lowerMessage.includes('reschedule') || lowerMessage.includes('change')) {
-      return 'reschedule';
-    } else if (lowerMessage.includes('cancel')) {
-      return 'cancel';
-    }
-    
-    return 'general';
-  }
+  getConfirmationPrompt(callId) {
+    const state = this.getConversationState(callId);
 
-  /**
-   * Extract verification data from user message
-   */
-  extractVerificationData(message) {
-    const phoneRegex = /(\+?1?[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})/;
-    const dobRegex = /(\d{1,2}[/-]\d{1,2}[/-]\d{4}|\d{4}[/-]\d{1,2}[/-]\d{1,2})/;
-    
-    const phoneMatch = message.match(phoneRegex);
-    const dobMatch = message.match(dobRegex);
-    
     return {
-      phoneNumber: phoneMatch ? phoneMatch[0] : null,
-      dateOfBirth: dobMatch ? dobMatch[0] : null
+      message: `Let me confirm your appointment details: ${state.appointmentType} with ${state.preferredProvider.name} on ${this.dateResolver.formatSpoken(state.preferredDate)} at ${this.timeResolver.formatSpoken(state.preferredTime)}. Is this correct?`,
+      nextStep: 'confirmation',
+      appointmentDetails: {
+        type: state.appointmentType,
+        provider: state.preferredProvider.name,
+        date: state.preferredDate,
+        time: state.preferredTime,
+        copay: state.insuranceInfo ? state.insuranceInfo.copay : null
+      }
     };
   }
 
   /**
-   * Simulate client verification
+   * Handle a change to one detail of a booking that was pending confirmation
    */
-  async simulateVerification(verificationData) {
-    // This would call the actual verification service
-    // For now, we'll simulate with mock data
+  async handleModification(callId, userMessage) {
+    const state = this.getConversationState(callId);
+    const lowerMessage = userMessage.toLowerCase();
+
+    this.updateConversationState(callId, { modifying: true });
+
+    // Callers often name the new value outright ("make it with Ava"), so hand
+    // those straight to the matching step; otherwise ask for the new value
+    if (this.detectAppointmentType(userMessage)) {
+      this.updateConversationState(callId, { step: 'appointment_type' });
+      return this.handleAppointmentType(callId, userMessage);
+    }
+    if (this.detectProviderSelection(userMessage, state.appointmentType)) {
+      this.updateConversationState(callId, { step: 'provider_selection' });
+      return this.handleProviderSelection(callId, userMessage);
+    }
+    if (this.dateResolver.resolve(userMessage)) {
+      this.updateConversationState(callId, { step: 'date_selection' });
+      return this.handleDateSelection(callId, userMessage);
+    }
+    if (this.timeResolver.resolve(userMessage)) {
+      this.updateConversationState(callId, { step: 'time_selection' });
+      return this.handleTimeSelection(callId, userMessage);
+    }
+
+    if (lowerMessage.includes('type') || lowerMessage.includes('kind')) {
+      this.updateConversationState(callId, { step: 'appointment_type' });
+      return {
+        message: 'Sure. What type of appointment would you like instead? You can choose from: Comprehensive evaluation (60 minutes), Follow-up (15 minutes), or Ketamine consultation (30 minutes).',
+        nextStep: 'appointment_type',
+        options: ['Comprehensive evaluation', 'Follow-up', 'Ketamine consultation']
+      };
+    }
+    if (lowerMessage.includes('provider') || lowerMessage.includes('doctor') || lowerMessage.includes('someone else')) {
+      const availableProviders = this.getAvailableProviders(state.appointmentType);
+      this.updateConversationState(callId, { step: 'provider_selection' });
+      return {
+        message: 'Sure. Which provider would you prefer instead?',
+        nextStep: 'provider_selection',
+        providers: availableProviders,
+        options: availableProviders.map(p => p.name)
+      };
+    }
+    if (lowerMessage.includes('date') || lowerMessage.includes('day')) {
+      const availableDates = this.getAvailableDates(state.preferredProvider);
+      this.updateConversationState(callId, { step: 'date_selection' });
+      return {
+        message: `Sure. What date would work better for you with ${state.preferredProvider.name}?`,
+        nextStep: 'date_selection',
+        availableDates,
+        options: availableDates.slice(0, 5)
+      };
+    }
+    if (lowerMessage.includes('time')) {
+      const availableTimes = await this.getAvailableTimes(state.preferredProvider, state.preferredDate, state.appointmentType);
+      this.updateConversationState(callId, { step: 'time_selection' });
+      return {
+        message: `Sure. What time on ${this.dateResolver.formatSpoken(state.preferredDate)} would work better for you?`,
+        nextStep: 'time_selection',
+        availableTimes,
+        options: availableTimes.slice(0, 5)
+      };
+    }
+
     return {
-      verified: true,
-      clientInfo: {
-        id: 'client_001',
-        name: 'John Doe',
-        phone: verificationData.phoneNumber,
-        dateOfBirth: verificationData.dateOfBirth
-      }
+      message: 'What would you like to change: the provider, the date, the time, or the appointment type?',
+      nextStep: 'modification',
+      options: ['Change provider', 'Change date', 'Change time', 'Change appointment type']
     };
   }
 
   /**
-   * Detect appointment type from user message
+   * After a changed detail is resolved, re-check the choices that depend on it
+   * and return to confirmation once they all still hold
    */
-  detectAppointmentType(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    if (lowerMessage.includes('comprehensive') || lowerMessage.includes('evaluation')) {
-      return 'comprehensive_evaluation';
-    } else if (lowerMessage.includes('follow') || lowerMessage.includes('follow-up')) {
-      return 'follow_up';
-    } else if (lowerMessage.includes('ketamine')) {
-      return 'ketamine_consultation';
+  async resumeAfterModification(callId) {
+    const state = this.getConversationState(callId);
+
+    const availableProviders = this.getAvailableProviders(state.appointmentType, state.visitType);
+    if (!state.preferredProvider || !availableProviders.some(p => p.id === state.preferredProvider.id)) {
+      const reason = state.preferredProvider &&
+        this.providerDirectory.getIneligibilityReason(state.preferredProvider, state.appointmentType, { visitType: state.visitType });
+      this.updateConversationState(callId, { step: 'provider_selection' });
+      return {
+        message: `${reason ? `${reason}. ` : ''}Which provider would you prefer?`,
+        nextStep: 'provider_selection',
+        providers: availableProviders,
+        options: availableProviders.map(p => p.name)
+      };
     }
-    
-    return null;
-  }
 
-  /**
-   * Get available providers for appointment type
-   */
-  getAvailableProviders(appointmentType) {
-    const providers = [];
-    
-    // Charles Maddix - available for all appointment types
-    providers.push({
-      id: 'charles_maddix',
-      name: 'Charles Maddix',
-      schedule: this.providerSchedules.charles_maddix.schedule
-    });
-    
-    // Ava Suleiman - available for all appointment types
-    providers.push({
-      id: 'ava_suleiman',
-      name: 'Ava Suleiman',
-      schedule: this.providerSchedules.ava_suleiman.schedule
-    });
-    
-    // Dr. Soto - only for follow-ups
-    if (appointmentType === 'follow_up') {
-      providers.push({
-        id: 'dr_soto',
-        name: 'Dr. Soto',
-        schedule: this.providerSchedules.dr_soto.schedule
-      });
+    const availableDates = this.getAvailableDates(state.preferredProvider);
+    if (!state.preferredDate || !availableDates.includes(state.preferredDate)) {
+      this.updateConversationState(callId, { step: 'date_selection' });
+      return {
+        message: `${state.preferredDate ? `${state.preferredProvider.name} isn't available on ${this.dateResolver.formatSpoken(state.preferredDate)}. ` : ''}What date would work for you?`,
+        nextStep: 'date_selection',
+        availableDates,
+        options: availableDates.slice(0, 5)
+      };
     }
-    
-    return providers;
+
+    if (!state.preferredTime || !(await this.checkTimeAvailability(state.preferredProvider, state.preferredDate, state.preferredTime, state.appointmentType))) {
+      const availableTimes = await this.getAvailableTimes(state.preferredProvider, state.preferredDate, state.appointmentType);
+      this.updateConversationState(callId, { step: 'time_selection' });
+      return {
+        message: `${state.preferredTime ? `${this.timeResolver.formatSpoken(state.preferredTime)} isn't available with ${state.preferredProvider.name} on ${this.dateResolver.formatSpoken(state.preferredDate)}. ` : ''}What time would work best for you?`,
+        nextStep: 'time_selection',
+        availableTimes,
+        options: availableTimes.slice(0, 5)
+      };
+    }
+
+    this.updateConversationState(callId, {
+      modifying: false,
+      step: 'confirmation'
+    });
+
+    return this.getConfirmationPrompt(callId);
   }
 
   /**
-   * Detect provider selection from user message
+   * Start the reschedule sub-flow once the caller is verified, leading with
+   * the opening continueVerified chose for how they were verified
    */
-  detectProviderSelection(message, appointmentType) {
+  async startRescheduling(callId, opening = null) {
+    const state = this.getConversationState(callId);
+    const appointments = await this.intakeqService.getUpcomingAppointments(state.clientInfo.id);
+    const greeting = opening || `Thank you, ${state.clientInfo.name}.`;
+
+    if (!appointments || appointments.length === 0) {
+      this.updateConversationState(callId, {
+        intent: 'schedule',
+        step: 'appointment_type'
+      });
+      return {
+        message: `${greeting} I don't see any upcoming appointments on file for you. Would you like to schedule a new one? You can choose from: Comprehensive evaluation (60 minutes), Follow-up (15 minutes), or Ketamine consultation (30 minutes).`,
+        nextStep: 'appointment_type',
+        options: ['Comprehensive evaluation', 'Follow-up', 'Ketamine consultation']
+      };
+    }
+
+    this.updateConversationState(callId, {
+      step: 'rescheduling',
+      upcomingAppointments: appointments
+    });
+
+    if (appointments.length === 1) {
+      const selectResponse = this.selectAppointmentToReschedule(callId, appointments[0]);
+      return {
+        ...selectResponse,
+        message: `${greeting} I see your ${this.describeAppointment(appointments[0])}. ${selectResponse.message}`
+      };
+    }
+
+    this.updateConversationState(callId, { subStep: 'select_appointment' });
+
+    return {
+      message: `${greeting} I see ${appointments.length} upcoming appointments: ${appointments.map(apt => this.describeAppointment(apt)).join('; ')}. Which one would you like to reschedule?`,
+      nextStep: 'rescheduling',
+      appointments,
+      options: appointments.map(apt => this.describeAppointment(apt))
+    };
+  }
+
+  /**
+   * Handle the reschedule sub-flow
+   */
+  async handleRescheduling(callId, userMessage) {
+    const state = this.getConversationState(callId);
+
+    switch (state.subStep) {
+      case 'select_appointment':
+        return this.handleRescheduleAppointmentSelection(callId, userMessage);
+      case 'select_date':
+        return this.handleRescheduleDateSelection(callId, userMessage);
+      case 'select_time':
+        return this.handleRescheduleTimeSelection(callId, userMessage);
+      case 'confirm':
+        return this.handleRescheduleConfirmation(callId, userMessage);
+      default:
+        return this.startRescheduling(callId);
+    }
+  }
+
+  /**
+   * Let the caller pick which upcoming appointment to move
+   */
+  async handleRescheduleAppointmentSelection(callId, userMessage) {
+    const state = this.getConversationState(callId);
+    const matches = this.matchAppointments(userMessage, state.upcomingAppointments);
+
+    if (matches.length !== 1) {
+      return {
+        message: matches.length > 1
+          ? 'You have more than one appointment that matches. Could you tell me the date of the one you\'d like to reschedule?'
+          : 'I didn\'t catch which appointment you meant. You can tell me the date or the provider.',
+        nextStep: 'rescheduling',
+        appointments: state.upcomingAppointments,
+        options: state.upcomingAppointments.map(apt => this.describeAppointment(apt))
+      };
+    }
+
+    return this.selectAppointmentToReschedule(callId, matches[0]);
+  }
+
+  /**
+   * Lock in the appointment being rescheduled and offer dates with the same provider
+   */
+  selectAppointmentToReschedule(callId, appointment) {
+    const provider = this.getProviderById(appointment.provider_id);
+
+    if (!provider) {
+      this.logger.warn(`No schedule configured for provider: ${appointment.provider_id}`);
+      this.updateConversationState(callId, { lastError: `No schedule configured for provider: ${appointment.provider_id}` });
+      return {
+        message: 'I\'m not able to look up that provider\'s schedule right now. Let me transfer you to our front desk to reschedule.',
+        nextStep: 'error',
+        requiresTransfer: true
+      };
+    }
+
+    this.updateConversationState(callId, {
+      selectedAppointment: appointment,
+      appointmentType: appointment.appointment_type,
+      preferredProvider: provider,
+      subStep: 'select_date'
+    });
+
+    const availableDates = this.getAvailableDates(provider);
+
+    return {
+      message: `What new date would work for you with ${provider.name}?`,
+      nextStep: 'rescheduling',
+      appointment,
+      provider,
+      availableDates,
+      options: availableDates.slice(0, 5)
+    };
+  }
+
+  /**
+   * Handle new date selection while rescheduling
+   */
+  async handleRescheduleDateSelection(callId, userMessage) {
+    const state = this.getConversationState(callId);
+    const { date: selectedDate, partOfDay, response } = this.resolveProviderDate(userMessage, state.preferredProvider, 'rescheduling');
+
+    if (response) {
+      return response;
+    }
+
+    this.updateConversationState(callId, {
+      preferredDate: selectedDate,
+      subStep: 'select_time'
+    });
+
+    const availableTimes = this.timeResolver.filterByPartOfDay(
+      await this.getAvailableTimes(state.preferredProvider, selectedDate, state.appointmentType),
+      partOfDay
+    );
+
+    return {
+      message: `Great! What time on ${this.dateResolver.formatSpoken(selectedDate)} would work best for you?`,
+      nextStep: 'rescheduling',
+      date: selectedDate,
+      availableTimes,
+      options: availableTimes.slice(0, 5)
+    };
+  }
+
+  /**
+   * Handle new time selection while rescheduling
+   */
+  async handleRescheduleTimeSelection(callId, userMessage) {
+    const state = this.getConversationState(callId);
+    const { time: selectedTime, response } = await this.resolveProviderTime(userMessage, state, 'rescheduling');
+
+    if (response) {
+      return response;
+    }
+
+    const slotTaken = await this.holdSelectedSlot(callId, selectedTime);
+    if (slotTaken) {
+      return slotTaken;
+    }
+
+    this.updateConversationState(callId, {
+      preferredTime: selectedTime,
+      subStep: 'confirm'
+    });
+
+    return {
+      message: `Just to confirm, I'll move your ${this.describeAppointment(state.selectedAppointment)} to ${this.dateResolver.formatSpoken(state.preferredDate)} at ${this.timeResolver.formatSpoken(selectedTime)}. Is that correct?`,
+      nextStep: 'rescheduling',
+      options: ['Yes', 'No']
+    };
+  }
+
+  /**
+   * Confirm and commit the reschedule to IntakeQ
+   */
+  async handleRescheduleConfirmation(callId, userMessage) {
+    const state = this.getConversationState(callId);
+    const confirmation = this.detectConfirmation(userMessage);
+
+    if (confirmation === 'no') {
+      this.updateConversationState(callId, {
+        preferredDate: null,
+        preferredTime: null,
+        subStep: 'select_date'
+      });
+      const availableDates = this.getAvailableDates(state.preferredProvider);
+      return {
+        message: 'No problem. What new date would work for you instead?',
+        nextStep: 'rescheduling',
+        availableDates,
+        options: availableDates.slice(0, 5)
+      };
+    }
+
+    if (confirmation !== 'yes') {
+      return {
+        message: 'I didn\'t catch that. Should I go ahead and move your appointment?',
+        nextStep: 'rescheduling',
+        options: ['Yes', 'No']
+      };
+    }
+
+    const appointment = state.selectedAppointment;
+    let result;
+
+    try {
+      result = await this.bookingService.rescheduleAppointment({
+        callId,
+        appointment,
+        date: state.preferredDate,
+        time: state.preferredTime
+      });
+    } catch (error) {
+      this.logger.error(`Error rescheduling appointment ${appointment.id}:`, error);
+      return {
+        message: 'I\'m sorry, there was an issue rescheduling your appointment. Would you like me to try again, or would you prefer to speak with our front desk?',
+        nextStep: 'rescheduling',
+        error: error.message,
+        options: ['Try again', 'Front desk']
+      };
+    }
+
+    if (!result.success) {
+      return this.getSlotTakenResponse(callId, result);
+    }
+
+    if (this.auditLogger && !result.duplicate) {
+      await this.auditLogger.logAppointmentModification(callId, appointment.id, {
+        previousStartTime: appointment.start_time,
+        newStartTime: result.startTime,
+        providerId: appointment.provider_id,
+        appointmentType: appointment.appointment_type,
+        reason: 'client_request'
+      });
+    }
+
+    this.updateConversationState(callId, {
+      step: 'completed',
+      subStep: null,
+      slotHold: null
+    });
+
+    return {
+      message: `All set! Your appointment with ${state.preferredProvider.name} is now on ${this.dateResolver.formatSpoken(state.preferredDate)} at ${this.timeResolver.formatSpoken(state.preferredTime)}. You'll receive an updated confirmation. Is there anything else I can help you with?`,
+      nextStep: 'completed',
+      appointmentId: appointment.id,
+      confirmationSent: true
+    };
+  }
+
+  /**
+   * Start the cancellation sub-flow once the caller is verified, leading
+   * with the opening continueVerified chose
+   */
+  async startCancellation(callId, opening = null) {
+    const state = this.getConversationState(callId);
+    const appointments = await this.intakeqService.getUpcomingAppointments(state.clientInfo.id);
+    const greeting = opening || `Thank you, ${state.clientInfo.name}.`;
+
+    if (!appointments || appointments.length === 0) {
+      this.updateConversationState(callId, { step: 'completed' });
+      return {
+        message: `${greeting} I don't see any upcoming appointments on file for you, so there's nothing to cancel. Is there anything else I can help you with?`,
+        nextStep: 'completed'
+      };
+    }
+
+    this.updateConversationState(callId, {
+      step: 'cancellation',
+      upcomingAppointments: appointments
+    });
+
+    if (appointments.length === 1) {
+      const selectResponse = this.selectAppointmentToCancel(callId, appointments[0]);
+      return {
+        ...selectResponse,
+        message: `${greeting} ${selectResponse.message}`
+      };
+    }
+
+    this.updateConversationState(callId, { subStep: 'select_appointment' });
+
+    return {
+      message: `${greeting} I see ${appointments.length} upcoming appointments: ${appointments.map(apt => this.describeAppointment(apt)).join('; ')}. Which one would you like to cancel?`,
+      nextStep: 'cancellation',
+      appointments,
+      options: appointments.map(apt => this.describeAppointment(apt))
+    };
+  }
+
+  /**
+   * Handle the cancellation sub-flow
+   */
+  async handleCancellation(callId, userMessage) {
+    const state = this.getConversationState(callId);
+
+    switch (state.subStep) {
+      case 'select_appointment':
+        return this.handleCancelAppointmentSelection(callId, userMessage);
+      case 'confirm_appointment':
+        return this.handleCancelAppointmentConfirmation(callId, userMessage);
+      case 'reason':
+        return this.handleCancellationReason(callId, userMessage);
+      case 'offer_rebook':
+        return this.handleRebookOffer(callId, userMessage);
+      default:
+        return this.startCancellation(callId);
+    }
+  }
+
+  /**
+   * Let the caller pick which upcoming appointment to cancel
+   */
+  async handleCancelAppointmentSelection(callId, userMessage) {
+    const state = this.getConversationState(callId);
+    const matches = this.matchAppointments(userMessage, state.upcomingAppointments);
+
+    if (matches.length !== 1) {
+      return {
+        message: matches.length > 1
+          ? 'You have more than one appointment that matches. Could you tell me the date of the one you\'d like to cancel?'
+          : 'I didn\'t catch which appointment you meant. You can tell me the date or the provider.',
+        nextStep: 'cancellation',
+        appointments: state.upcomingAppointments,
+        options: state.upcomingAppointments.map(apt => this.describeAppointment(apt))
+      };
+    }
+
+    return this.selectAppointmentToCancel(callId, matches[0]);
+  }
+
+  /**
+   * Ask the caller to confirm the appointment they want to cancel
+   */
+  selectAppointmentToCancel(callId, appointment) {
+    this.updateConversationState(callId, {
+      selectedAppointment: appointment,
+      subStep: 'confirm_appointment'
+    });
+
+    return {
+      message: `Just to confirm, you'd like to cancel your ${this.describeAppointment(appointment)}?`,
+      nextStep: 'cancellation',
+      appointment,
+      options: ['Yes', 'No']
+    };
+  }
+
+  /**
+   * Handle confirmation of which appointment is being cancelled
+   */
+  async handleCancelAppointmentConfirmation(callId, userMessage) {
+    const state = this.getConversationState(callId);
+    const confirmation = this.detectConfirmation(userMessage);
+
+    if (confirmation === 'yes') {
+      this.updateConversationState(callId, { subStep: 'reason' });
+      return {
+        message: 'Okay. May I ask why you need to cancel?',
+        nextStep: 'cancellation'
+      };
+    }
+
+    if (confirmation === 'no') {
+      if (state.upcomingAppointments.length > 1) {
+        this.updateConversationState(callId, {
+          selectedAppointment: null,
+          subStep: 'select_appointment'
+        });
+        return {
+          message: 'No problem. Which appointment would you like to cancel?',
+          nextStep: 'cancellation',
+          appointments: state.upcomingAppointments,
+          options: state.upcomingAppointments.map(apt => this.describeAppointment(apt))
+        };
+      }
+
+      this.updateConversationState(callId, {
+        selectedAppointment: null,
+        subStep: null,
+        step: 'completed'
+      });
+      return {
+        message: 'No problem, I\'ll leave your appointment as it is. Is there anything else I can help you with?',
+        nextStep: 'completed'
+      };
+    }
+
+    return {
+      message: `I didn't catch that. Would you like to cancel your ${this.describeAppointment(state.selectedAppointment)}?`,
+      nextStep: 'cancellation',
+      options: ['Yes', 'No']
+    };
+  }
+
+  /**
+   * Capture the cancellation reason, then warn about late fees and offer to rebook
+   */
+  async handleCancellationReason(callId, userMessage) {
+    const state = this.getConversationState(callId);
+    const reason = userMessage.trim();
+
+    this.updateConversationState(callId, {
+      cancellationReason: reason,
+      subStep: 'offer_rebook'
+    });
+
+    const lateCancelNotice = this.isLateCancellation(state.selectedAppointment)
+      ? `${this.getLateCancelNotice()} `
+      : '';
+
+    return {
+      message: `Thank you for letting me know. ${lateCancelNotice}Before I cancel, would you like to reschedule it for another time instead?`,
+      nextStep: 'cancellation',
+      lateCancellation: lateCancelNotice !== '',
+      lateCancelFee: lateCancelNotice !== '' ? this.lateCancelFee : null,
+      options: ['Reschedule instead', 'Go ahead and cancel']
+    };
+  }
+
+  /**
+   * Handle the caller's answer to the rebook offer
+   */
+  async handleRebookOffer(callId, userMessage) {
+    const state = this.getConversationState(callId);
+    const intent = this.detectIntent(userMessage);
+    const confirmation = this.detectConfirmation(userMessage);
+
+    if (intent === 'reschedule' || (intent !== 'cancel' && confirmation === 'yes')) {
+      this.updateConversationState(callId, {
+        intent: 'reschedule',
+        step: 'rescheduling',
+        cancellationReason: null
+      });
+      return this.selectAppointmentToReschedule(callId, state.selectedAppointment);
+    }
+
+    if (intent === 'cancel' || confirmation === 'no') {
+      return this.commitCancellation(callId);
+    }
+
+    return {
+      message: 'I didn\'t catch that. Would you like to reschedule instead, or should I go ahead and cancel?',
+      nextStep: 'cancellation',
+      options: ['Reschedule instead', 'Go ahead and cancel']
+    };
+  }
+
+  /**
+   * Cancel the selected appointment in IntakeQ
+   */
+  async commitCancellation(callId) {
+    const state = this.getConversationState(callId);
+    const appointment = state.selectedAppointment;
+    const lateCancellation = this.isLateCancellation(appointment);
+
+    try {
+      await this.intakeqService.cancelAppointment(appointment.id, state.cancellationReason);
+    } catch (error) {
+      this.logger.error(`Error cancelling appointment ${appointment.id}:`, error);
+      return {
+        message: 'I\'m sorry, there was an issue cancelling your appointment. Would you like me to try again, or would you prefer to speak with our front desk?',
+        nextStep: 'cancellation',
+        error: error.message,
+        options: ['Go ahead and cancel', 'Front desk']
+      };
+    }
+
+    if (this.auditLogger) {
+      await this.auditLogger.logAppointmentCancellation(callId, appointment.id, state.cancellationReason);
+    }
+
+    this.updateConversationState(callId, {
+      step: 'completed',
+      subStep: null
+    });
+
+    return {
+      message: `Your ${this.describeAppointment(appointment)} has been cancelled.${lateCancellation ? ` ${this.getLateCancelNotice()}` : ''} Is there anything else I can help you with?`,
+      nextStep: 'completed',
+      appointmentId: appointment.id,
+      cancelled: true,
+      lateCancellation,
+      lateCancelFee: lateCancellation ? this.lateCancelFee : null
+    };
+  }
+
+  /**
+   * Check whether an appointment falls inside the late-cancel window
+   */
+  isLateCancellation(appointment) {
+    const hoursUntil = moment(appointment.start_time).diff(moment(), 'hours', true);
+    return hoursUntil < this.lateCancelWindowHours;
+  }
+
+  /**
+   * Describe the late-cancel policy for the caller
+   */
+  getLateCancelNotice() {
+    const fee = this.lateCancelFee
+      ? `a late cancellation fee of $${this.lateCancelFee} applies`
+      : 'our late cancellation policy applies';
+
+    return `Just so you know, this appointment is within ${this.lateCancelWindowHours} hours, so ${fee}.`;
+  }
+
+  /**
+   * Match a caller's description ("the one on Tuesday", "with Ava") against upcoming appointments
+   */
+  matchAppointments(message, appointments) {
+    const lowerMessage = message.toLowerCase();
+    const ordinals = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+    const ordinalIndex = ordinals.findIndex(ordinal => lowerMessage.includes(ordinal));
+    if (ordinalIndex !== -1 && appointments[ordinalIndex]) {
+      return [appointments[ordinalIndex]];
+    }
+
+    const appointmentDate = apt => moment.tz(apt.start_time, this.timezone).format('YYYY-MM-DD');
+    const resolution = this.dateResolver.resolve(message, { availableDates: appointments.map(appointmentDate) });
+    if (resolution) {
+      const dates = resolution.candidates || [resolution.date];
+      const byDate = appointments.filter(apt => dates.includes(appointmentDate(apt)));
+      if (byDate.length > 0) {
+        return byDate;
+      }
+    }
+
+    const byWeekday = appointments.filter(apt =>
+      lowerMessage.includes(moment.tz(apt.start_time, this.timezone).format('dddd').toLowerCase())
+    );
+    if (byWeekday.length > 0) {
+      return byWeekday;
+    }
+
+    return appointments.filter(apt => {
+      const provider = this.getProviderById(apt.provider_id);
+      if (!provider) {
+        return false;
+      }
+      const names = [provider.name, ...provider.name.split(' ')]
+        .map(name => name.toLowerCase().replace('.', ''))
+        .filter(name => name.length > 2 && name !== 'dr');
+      return names.some(name => lowerMessage.includes(name));
+    });
+  }
+
+  /**
+   * Describe an IntakeQ appointment for the caller
+   */
+  describeAppointment(appointment) {
+    const provider = this.getProviderById(appointment.provider_id);
+    const providerName = provider ? provider.name : 'your provider';
+    const type = (appointment.appointment_type || 'appointment').replace(/_/g, ' ');
+    const when = moment.tz(appointment.start_time, this.timezone).format('dddd, MMMM D [at] h:mm A');
+
+    return `${type} with ${providerName} on ${when}`;
+  }
+
+  /**
+   * Detect user intent from message
+   */
+  detectIntent(message) {
+    const lowerMessage = message.toLowerCase();
+    
+    // Check the more specific intents first: "reschedule" contains "schedule"
+    // and most cancel requests mention an "appointment"
+    if (lowerMessage.includes('reschedule') || lowerMessage.includes('change')) {
+      return 'reschedule';
+    } else if (lowerMessage.includes('cancel')) {
+      return 'cancel';
+    } else if (lowerMessage.includes('schedule') || lowerMessage.includes('book') || lowerMessage.includes('appointment')) {
+      return 'schedule';
+    }
+    
+    return 'general';
+  }
+
+  /**
+   * Extract verification data from user message
+   */
+  extractVerificationData(message) {
+    const phoneRegex = /(\+?1?[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})/;
+    const dobRegex = /(\d{1,2}[/-]\d{1,2}[/-]\d{4}|\d{4}[/-]\d{1,2}[/-]\d{1,2})/;
+    
+    const phoneMatch = message.match(phoneRegex);
+    const dobMatch = message.match(dobRegex);
+    
+    return {
+      phoneNumber: phoneMatch ? phoneMatch[0].trim() : null,
+      dateOfBirth: dobMatch ? dobMatch[0] : null
+    };
+  }
+
+  /**
+   * Detect appointment type from user message
+   */
+  detectAppointmentType(message) {
+    const lowerMessage = message.toLowerCase();
+    
+    if (lowerMessage.includes('comprehensive') || lowerMessage.includes('evaluation')) {
+      return 'comprehensive_evaluation';
+    } else if (lowerMessage.includes('follow') || lowerMessage.includes('follow-up')) {
+      return 'follow_up';
+    } else if (lowerMessage.includes('ketamine')) {
+      return 'ketamine_consultation';
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get available providers for appointment type
+   */
+  getAvailableProviders(appointmentType, visitType = null) {
+    return this.providerDirectory.getEligibleProviders(appointmentType, { visitType });
+  }
+
+  /**
+   * Look up a configured provider by ID
+   */
+  getProviderById(providerId) {
+    return this.providerDirectory.getProvider(providerId);
+  }
+
+  /**
+   * Detect provider selection from user message. Without an appointment
+   * type, any configured provider can match.
+   */
+  detectProviderSelection(message, appointmentType = null, visitType = null) {
     const lowerMessage = message.toLowerCase();
-    const providers = this.getAvailableProviders(appointmentType);
+    const providers = appointmentType
+      ? this.getAvailableProviders(appointmentType, visitType)
+      : this.providerDirectory.getProviders();
     
     for (const provider of providers) {
       if (lowerMessage.includes(provider.name.toLowerCase()) || 
@@ -578,97 +1519,152 @@ class ConversationFlow {
     return null;
   }
 
+  /**
+   * Detect whether the caller wants a telehealth or in-person visit
+   */
+  detectVisitType(message) {
+    const lowerMessage = message.toLowerCase();
+
+    if (/\b(telehealth|virtual|video|online|remote|zoom)\b/.test(lowerMessage)) {
+      return 'telehealth';
+    }
+    if (/\b(in person|in-person|in the office|in office|come in)\b/.test(lowerMessage)) {
+      return 'in_person';
+    }
+
+    return null;
+  }
+
   /**
    * Get available dates for a provider
    */
   getAvailableDates(provider) {
-    const dates = [];
-    const today = moment();
-    
-    // Generate next 30 days of available dates
-    for (let i = 1; i <= 30; i++) {
-      const date = today.clone().add(i, 'days');
-      const dayOfWeek = date.format('dddd').toLowerCase();
-      
-      // Check if provider is available on this day
-      if (provider.schedule[dayOfWeek]) {
-        dates.push(date.format('YYYY-MM-DD'));
-      }
-    }
-    
-    return dates;
+    return this.availabilityEngine.getScheduledDates(provider);
   }
 
   /**
    * Detect date selection from user message
    */
-  detectDateSelection(message) {
-    // This would use a more sophisticated date parsing library
-    // For now, we'll do basic pattern matching
-    const dateRegex = /(\d{1,2}[/-]\d{1,2}[/-]\d{4}|\d{4}[/-]\d{1,2}[/-]\d{1,2})/;
-    const match = message.match(dateRegex);
-    
-    if (match) {
-      return moment(match[0]).format('YYYY-MM-DD');
-    }
-    
-    return null;
+  detectDateSelection(message, availableDates = null) {
+    const resolution = this.dateResolver.resolve(message, { availableDates });
+    return resolution && resolution.date ? resolution.date : null;
   }
 
   /**
-   * Get available times for a provider on a specific date
+   * Resolve a spoken date against a provider's bookable dates. Returns the
+   * date, or a response asking again when the date is unclear, ambiguous or
+   * not bookable.
    */
-  async getAvailableTimes(provider, date) {
-    const times = [];
-    const dayOfWeek = moment(date).format('dddd').toLowerCase();
-    const schedule = provider.schedule[dayOfWeek];
-    
-    if (!schedule) {
-      return times;
+  resolveProviderDate(userMessage, provider, nextStep) {
+    const availableDates = this.getAvailableDates(provider);
+    const resolution = this.dateResolver.resolve(userMessage, { availableDates });
+
+    if (!resolution) {
+      return {
+        response: {
+          message: 'I didn\'t catch that date. What date would work best for you?',
+          nextStep,
+          availableDates,
+          options: availableDates.slice(0, 5)
+        }
+      };
     }
-    
-    const startHour = parseInt(schedule.start.split(':')[0]);
-    const endHour = parseInt(schedule.end.split(':')[0]);
-    const lunchStart = parseInt(this.lunchBreakStart.split(':')[0]);
-    const lunchEnd = parseInt(this.lunchBreakEnd.split(':')[0]);
-    
-    for (let hour = startHour; hour < endHour; hour++) {
-      // Skip lunch break
-      if (hour >= lunchStart && hour < lunchEnd) {
-        continue;
-      }
-      
-      // Generate 15-minute slots
-      for (let minute = 0; minute < 60; minute += 15) {
-        const timeString = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-        times.push(timeString);
-      }
+
+    if (resolution.clarification) {
+      return {
+        response: {
+          message: resolution.clarification,
+          nextStep,
+          availableDates,
+          options: resolution.candidates
+        }
+      };
     }
-    
-    return times;
+
+    if (!availableDates.includes(resolution.date)) {
+      const nextDates = availableDates.slice(0, 3).map(date => this.dateResolver.formatSpoken(date));
+      return {
+        response: {
+          message: `${provider.name} isn't available on ${this.dateResolver.formatSpoken(resolution.date)}. The next available dates are ${nextDates.join(', ')}. Would one of those work?`,
+          nextStep,
+          availableDates,
+          options: availableDates.slice(0, 5)
+        }
+      };
+    }
+
+    return resolution;
+  }
+
+  /**
+   * Get bookable start times for a provider on a specific date
+   */
+  async getAvailableTimes(provider, date, appointmentType) {
+    return this.availabilityEngine.getAvailableSlots(provider, date, appointmentType);
   }
 
   /**
-   * Detect time selection from user message
+   * Detect time selection from user message, as HH:mm
    */
   detectTimeSelection(message) {
-    const timeRegex = /(\d{1,2}:\d{2}|\d{1,2}\s*(am|pm))/i;
-    const match = message.match(timeRegex);
-    
-    if (match) {
-      return match[0];
+    const resolution = this.timeResolver.resolve(message);
+    return resolution && resolution.requested ? resolution.requested : null;
+  }
+
+  /**
+   * Resolve a spoken time against the provider's open slots on the selected
+   * date. Returns the HH:mm slot, or a response offering the closest
+   * alternatives when the time is unclear or taken.
+   */
+  async resolveProviderTime(userMessage, state, nextStep) {
+    const { preferredProvider: provider, preferredDate: date, appointmentType } = state;
+    const availableTimes = await this.getAvailableTimes(provider, date, appointmentType);
+    const hours = provider.schedule[moment(date, 'YYYY-MM-DD').format('dddd').toLowerCase()] || null;
+    const resolution = this.timeResolver.resolve(userMessage, { availableTimes, hours });
+
+    if (!resolution) {
+      return {
+        response: {
+          message: 'I didn\'t catch that time. What time would work best for you?',
+          nextStep,
+          availableTimes,
+          options: availableTimes.slice(0, 5)
+        }
+      };
     }
-    
-    return null;
+
+    let alternatives = resolution.alternatives;
+    if (resolution.time) {
+      if (await this.checkTimeAvailability(provider, date, resolution.time, appointmentType)) {
+        return { time: resolution.time };
+      }
+      alternatives = this.timeResolver.closest(
+        availableTimes.filter(time => time !== resolution.time),
+        this.timeResolver.toMinutes(resolution.time)
+      );
+    }
+
+    const offer = alternatives.length > 0
+      ? ` The closest times I have are ${alternatives.map(time => this.timeResolver.formatSpoken(time)).join(' and ')}. Would either of those work?`
+      : ' What other time would work for you?';
+
+    return {
+      response: {
+        message: `I'm sorry, ${resolution.requested ? `${resolution.label} isn't available` : `I don't have anything ${resolution.label}`}.${offer}`,
+        nextStep,
+        availableTimes,
+        options: alternatives
+      }
+    };
   }
 
   /**
-   * Check if a time slot is available
+   * Check if a time slot is available in IntakeQ
    */
-  async checkTimeAvailability() {
-    // This would check against the actual availability
-    // For now, we'll simulate availability
-    return Math.random() > 0.3; // 70% availability
+  async checkTimeAvailability(provider, date, time, appointmentType) {
+    const { startTime, endTime } = this.appointmentTimes.forSlot(date, time, appointmentType);
+
+    return this.intakeqService.isTimeSlotAvailable(provider.id, startTime, endTime);
   }
 
   /**
@@ -678,13 +1674,28 @@ class ConversationFlow {
     const lowerMessage = message.toLowerCase();
     const acceptedProviders = ['aetna', 'blue cross blue shield', 'cigna', 'medicare', 'tricare'];
     
+    const memberIdMatch = message.match(/\b[A-Za-z]{0,4}\d{6,12}\b/);
+    const memberId = memberIdMatch ? memberIdMatch[0].toUpperCase() : null;
+    
     for (const provider of acceptedProviders) {
       if (lowerMessage.includes(provider)) {
-        return { provider };
+        return { provider, memberId };
       }
     }
     
-    return { provider: null };
+    return { provider: null, memberId };
+  }
+
+  /**
+   * Use the member ID from the client's record when they name the insurer on file
+   */
+  getMemberIdOnFile(clientInfo, provider) {
+    const insurance = clientInfo && clientInfo.insurance;
+    if (!insurance || !insurance.provider || !insurance.memberId) {
+      return null;
+    }
+
+    return insurance.provider.toLowerCase().includes(provider.toLowerCase()) ? insurance.memberId : null;
   }
 
   /**
@@ -697,20 +1708,6 @@ class ConversationFlow {
     );
   }
 
-  /**
-   * Simulate insurance verification
-   */
-  async simulateInsuranceVerification(insuranceInfo) {
-    // This would call the actual Availity service
-    return {
-      verified: true,
-      provider: insuranceInfo.provider,
-      copay: 25,
-      deductible: 1000,
-      deductibleMet: false
-    };
-  }
-
   /**
    * Detect confirmation from user message
    */
@@ -727,22 +1724,278 @@ class ConversationFlow {
   }
 
   /**
-   * Create appointment
+   * Hold the time the caller picked and let go of any earlier pick. Returns
+   * the slot-taken response when another caller is holding it.
+   */
+  async holdSelectedSlot(callId, time) {
+    const state = this.getConversationState(callId);
+    const slot = { providerId: state.preferredProvider.id, appointmentType: state.appointmentType, date: state.preferredDate, time };
+    const hold = await this.bookingService.holdSlot({ ...slot, callId });
+
+    if (!hold.held) {
+      return this.getSlotTakenResponse(callId, hold);
+    }
+
+    const previous = state.slotHold;
+    if (previous && (previous.providerId !== slot.providerId || previous.appointmentType !== slot.appointmentType ||
+      previous.date !== slot.date || previous.time !== slot.time)) {
+      await this.bookingService.releaseHold({ ...previous, callId });
+    }
+    this.updateConversationState(callId, { slotHold: slot });
+    return null;
+  }
+
+  /**
+   * Send the caller back to picking a time, offering the alternatives; a
+   * caller who is rescheduling stays in that flow
+   */
+  getSlotTakenResponse(callId, slotTaken) {
+    const rescheduling = this.getConversationState(callId).step === 'rescheduling';
+    this.updateConversationState(callId, rescheduling
+      ? { subStep: 'select_time', preferredTime: null, slotHold: null }
+      : { step: 'time_selection', preferredTime: null, slotHold: null });
+
+    return {
+      message: slotTaken.alternatives.length > 0
+        ? `${slotTaken.message} Would either of those work?`
+        : `${slotTaken.message} What other time would work for you?`,
+      nextStep: rescheduling ? 'rescheduling' : 'time_selection',
+      slotTaken: true,
+      options: slotTaken.alternatives
+    };
+  }
+
+  /**
+   * Create appointment in IntakeQ, once per call and slot
+   */
+  async createAppointment(state) {
+    try {
+      const result = await this.bookingService.bookAppointment({
+        callId: state.callId,
+        clientId: state.clientInfo.id,
+        providerId: state.preferredProvider.id,
+        appointmentType: state.appointmentType,
+        date: state.preferredDate,
+        time: state.preferredTime,
+        location: state.visitType === 'telehealth' ? 'telehealth' : 'in-person',
+        insuranceVerified: state.insuranceVerified,
+        copayAmount: state.insuranceInfo ? state.insuranceInfo.copay : null
+      });
+
+      if (!result.success) {
+        return { success: false, slotTaken: result };
+      }
+
+      const appointment = result.appointment;
+      if (this.auditLogger && !result.duplicate) {
+        await this.auditLogger.logAppointmentCreation(state.callId, {
+          appointmentId: appointment.id,
+          clientId: state.clientInfo.id,
+          provider: state.preferredProvider.id,
+          date: state.preferredDate,
+          time: state.preferredTime,
+          type: state.appointmentType,
+          status: appointment.status || 'scheduled'
+        });
+      }
+
+      return {
+        success: true,
+        appointmentId: appointment.id,
+        message: 'Appointment created successfully'
+      };
+    } catch (error) {
+      this.logger.error(`Error creating appointment for call ${state.callId}:`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Take a message for the front desk on a message-only line. Anything the
+   * caller adds afterwards is appended to the same message. The message is
+   * added as a note to the IntakeQ record of the client whose number called;
+   * when the number matches no single client, the caller isn't told it was
+   * passed on.
+   */
+  async handleMessageTaking(callId, userMessage) {
+    const state = this.getConversationState(callId);
+    const previous = state.message;
+
+    if (!userMessage || !userMessage.trim()) {
+      return {
+        message: 'I\'m here to take your message. Please tell me your name, the best number to reach you, and what you\'re calling about.',
+        nextStep: state.step
+      };
+    }
+
+    const clientId = previous
+      ? previous.clientId
+      : await this.findMessageClient(state.callerNumber);
+    const delivered = Boolean(clientId) && await this.deliverMessage(callId, clientId, state.callerNumber, userMessage, Boolean(previous));
+
+    this.updateConversationState(callId, {
+      step: 'message_taken',
+      message: {
+        text: previous ? `${previous.text} ${userMessage}` : userMessage,
+        callerNumber: state.callerNumber,
+        clientId: clientId || null,
+        delivered: previous ? previous.delivered && delivered : delivered,
+        takenAt: previous ? previous.takenAt : new Date().toISOString()
+      }
+    });
+
+    if (this.auditLogger && !previous) {
+      await this.auditLogger.logDataAccess(callId, 'front_desk_message', `Message taken on the ${state.phoneLine || 'after-hours'} line`);
+    }
+
+    if (!delivered) {
+      return {
+        message: previous
+          ? 'I\'ve added that to your message. If you don\'t hear from us, please call back during office hours. Take care!'
+          : 'Thank you, I\'ve noted your message. If it\'s urgent or you don\'t hear from us, please call back during office hours. Take care!',
+        nextStep: 'message_taken',
+        endCall: true
+      };
+    }
+
+    return {
+      message: previous
+        ? 'I\'ve added that to your message. Our front desk will call you back on the next business day. Take care!'
+        : 'Thank you. I\'ve passed your message to our front desk, and someone will call you back on the next business day. Take care!',
+      nextStep: 'message_taken',
+      endCall: true
+    };
+  }
+
+  /**
+   * The client whose record has the caller's number, or null when it
+   * matches none or is shared by several
+   */
+  async findMessageClient(callerNumber) {
+    if (!callerNumber || !this.intakeqService) {
+      return null;
+    }
+
+    try {
+      const clients = await this.intakeqService.findClientsByPhone(callerNumber);
+      return clients.length === 1 ? clients[0].id : null;
+    } catch (error) {
+      this.logger.error('Error matching a message caller to a client:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Add the caller's message to their IntakeQ record, where the front desk
+   * will see it. Failures are logged, not thrown.
+   */
+  async deliverMessage(callId, clientId, callerNumber, text, followUp) {
+    try {
+      const when = moment().tz(this.timezone).format('MMMM D, YYYY h:mm A');
+      const heading = followUp ? 'Added to the after-hours message' : 'After-hours message';
+      await this.intakeqService.addClientNote(clientId, `${heading} left with Matt (voice assistant) from ${callerNumber} on ${when}. Please call the client back.\n\n${text}`);
+
+      if (this.auditLogger) {
+        await this.auditLogger.logDataAccess(callId, 'client_note', 'After-hours message added to IntakeQ client record');
+      }
+
+      return true;
+    } catch (error) {
+      this.logger.error(`Error adding after-hours message for call ${callId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Answer a clinic FAQ question the caller asks partway through a step,
+   * then repeat what Matt last asked. Returns null when the message isn't a
+   * question the FAQ covers, or it gives the step what it's asking for.
    */
-  async createAppointment() {
-    // This would call the actual IntakeQ service
-    // For now, we'll simulate appointment creation
+  answerQuestionInFlow(callId, state, userMessage) {
+    if (!this.isQuestion(userMessage) || this.fitsStep(state, userMessage)) {
+      return null;
+    }
+
+    const entry = this.clinicFaq.match(userMessage);
+    if (!entry) {
+      return null;
+    }
+
+    // After an earlier answer, the last turn ends with the prompt to repeat
+    const lastTurn = [...state.conversationHistory].reverse().find(turn => turn.role === 'agent');
+    const prompt = lastTurn && state.resumePrompt && lastTurn.content.endsWith(state.resumePrompt)
+      ? state.resumePrompt
+      : lastTurn && lastTurn.content;
+    this.updateConversationState(callId, { resumePrompt: prompt || null });
+
     return {
-      success: true,
-      appointmentId: 'apt_' + Date.now(),
-      message: 'Appointment created successfully'
+      message: prompt ? `${entry.answer} Now, back to where we were. ${prompt}` : entry.answer,
+      nextStep: state.step,
+      faqId: entry.id
     };
   }
 
+  isQuestion(message) {
+    return /\?/.test(message) ||
+      /^\s*(where|what|what's|how|when|who|which|why|do|does|is|are|can|could|will|would|should)\b/i.test(message);
+  }
+
   /**
-   * Handle general inquiries
+   * Whether a message gives the current step something to work with. The
+   * greeting, message taking and general inquiries take every message.
    */
-  async handleGeneralInquiry() {
+  fitsStep(state, message) {
+    switch (state.step) {
+      case 'verification': {
+        const { phoneNumber, dateOfBirth } = this.extractVerificationData(message);
+        return Boolean(phoneNumber || dateOfBirth);
+      }
+      case 'appointment_type':
+        return Boolean(this.detectAppointmentType(message));
+      case 'provider_selection':
+        return Boolean(this.detectProviderSelection(message, state.appointmentType) || this.detectVisitType(message));
+      case 'date_selection':
+        return Boolean(this.dateResolver.resolve(message));
+      case 'time_selection':
+        return Boolean(this.timeResolver.resolve(message));
+      case 'insurance_verification': {
+        const { provider, memberId } = this.extractInsuranceInfo(message);
+        return Boolean(provider || memberId) || this.detectConfirmation(message) !== null;
+      }
+      case 'confirmation':
+      case 'modification':
+      case 'rescheduling':
+      case 'cancellation':
+        return this.detectConfirmation(message) !== null ||
+          Boolean(this.dateResolver.resolve(message) || this.timeResolver.resolve(message));
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Handle general inquiries: questions the clinic FAQ covers are answered
+   * before steering back to appointments
+   */
+  async handleGeneralInquiry(callId, userMessage) {
+    const entry = this.clinicFaq.match(userMessage);
+
+    if (entry) {
+      const { conversationHistory } = this.getConversationState(callId);
+      // The caller's question is the only turn so far
+      const opening = conversationHistory.length <= 1 ? 'Hi, I\'m Matt from The Practice. ' : '';
+
+      return {
+        message: `${opening}${entry.answer} Is there anything else I can help you with? I can also schedule, reschedule, or cancel an appointment.`,
+        nextStep: 'greeting',
+        faqId: entry.id,
+        options: ['Schedule appointment', 'Reschedule appointment', 'Cancel appointment']
+      };
+    }
+
     return {
       message: 'I\'m here to help with appointment scheduling. Would you like to schedule, reschedule, or cancel an appointment?',
       nextStep: 'greeting',
@@ -764,8 +2017,25 @@ class ConversationFlow {
   /**
    * Clean up conversation state
    */
-  cleanupConversation(callId) {
+  async cleanupConversation(callId) {
+    const state = this.conversationStates.get(callId);
     this.conversationStates.delete(callId);
+
+    // A time the caller never booked is free for others again
+    if (state && state.slotHold) {
+      try {
+        await this.bookingService.releaseHold({ ...state.slotHold, callId });
+      } catch (error) {
+        this.logger.error(`Error releasing slot hold for call ${callId}:`, error);
+      }
+    }
+
+    try {
+      await this.stateStore.delete(callId);
+    } catch (error) {
+      this.logger.error(`Error deleting conversation state for call ${callId}:`, error);
+    }
+
     this.logger.info(`Conversation state cleaned up for call: ${callId}`);
   }
 }
@@ -11,11 +11,24 @@ dotenv.config();
 
 // Import modules
 const RetellAgent = require('./agents/retellAgent');
+const RetellLlmSocket = require('./agents/retellLlmSocket');
 const IntakeQService = require('./services/intakeqService');
 const AvailityService = require('./services/availityService');
 const CacheService = require('./services/cacheService');
 const VerificationService = require('./services/verificationService');
+const AvailabilityEngine = require('./services/availabilityEngine');
+const ProviderDirectory = require('./services/providerDirectory');
+const PhoneLineDirectory = require('./services/phoneLineDirectory');
+const CallVariableService = require('./services/callVariableService');
+const CallOutcomeService = require('./services/callOutcomeService');
+const ReminderCampaign = require('./services/reminderCampaign');
+const WebCallService = require('./services/webCallService');
+const BookingService = require('./services/bookingService');
+const IntakeQWebhookService = require('./services/intakeqWebhookService');
+const ToolRegistry = require('./agents/toolRegistry');
 const ConversationFlow = require('./flows/conversationFlow');
+const RedisConversationStore = require('./stores/redisConversationStore');
+const RedisCallOutcomeStore = require('./stores/redisCallOutcomeStore');
 const SecurityMiddleware = require('./middleware/security');
 const AuditLogger = require('./utils/auditLogger');
 
@@ -53,9 +66,61 @@ class VoiceAgentApp {
       this.intakeqService = new IntakeQService();
       this.availityService = new AvailityService();
       this.verificationService = new VerificationService();
-      this.conversationFlow = new ConversationFlow();
-      this.retellAgent = new RetellAgent();
       this.auditLogger = new AuditLogger();
+      this.providerDirectory = new ProviderDirectory();
+      this.phoneLineDirectory = new PhoneLineDirectory();
+      this.availabilityEngine = new AvailabilityEngine({
+        intakeqService: this.intakeqService,
+        cacheService: this.cacheService,
+        providerDirectory: this.providerDirectory
+      });
+      this.bookingService = new BookingService({
+        intakeqService: this.intakeqService,
+        availabilityEngine: this.availabilityEngine,
+        cacheService: this.cacheService
+      });
+      this.intakeqWebhookService = new IntakeQWebhookService({
+        cacheService: this.cacheService,
+        availabilityEngine: this.availabilityEngine
+      });
+      this.conversationFlow = new ConversationFlow({
+        verificationService: this.verificationService,
+        intakeqService: this.intakeqService,
+        availityService: this.availityService,
+        auditLogger: this.auditLogger,
+        stateStore: new RedisConversationStore(this.cacheService),
+        availabilityEngine: this.availabilityEngine,
+        phoneLineDirectory: this.phoneLineDirectory,
+        bookingService: this.bookingService
+      });
+      this.toolRegistry = new ToolRegistry({ providerDirectory: this.providerDirectory });
+      this.retellAgent = new RetellAgent({ providerDirectory: this.providerDirectory, toolRegistry: this.toolRegistry });
+      this.retellLlmSocket = new RetellLlmSocket({ conversationFlow: this.conversationFlow, retellAgent: this.retellAgent });
+      this.callVariableService = new CallVariableService({
+        availabilityEngine: this.availabilityEngine,
+        retellAgent: this.retellAgent,
+        auditLogger: this.auditLogger
+      });
+      this.callOutcomeService = new CallOutcomeService({
+        conversationFlow: this.conversationFlow,
+        auditLogger: this.auditLogger,
+        intakeqService: this.intakeqService,
+        outcomeStore: new RedisCallOutcomeStore(this.cacheService)
+      });
+      this.reminderCampaign = new ReminderCampaign({
+        intakeqService: this.intakeqService,
+        retellAgent: this.retellAgent,
+        cacheService: this.cacheService,
+        auditLogger: this.auditLogger,
+        providerDirectory: this.providerDirectory
+      });
+      this.webCallService = new WebCallService({
+        retellAgent: this.retellAgent,
+        intakeqService: this.intakeqService,
+        conversationFlow: this.conversationFlow,
+        callVariableService: this.callVariableService,
+        auditLogger: this.auditLogger
+      });
       
       this.logger.info('All services initialized successfully');
     } catch (error) {
@@ -75,33 +140,42 @@ class VoiceAgentApp {
       }
     }));
 
+    // In production only the patient portal may call from a browser
     this.app.use(cors({
-      origin: process.env.NODE_ENV === 'production' ? false : true,
+      origin: process.env.NODE_ENV === 'production' ? (process.env.PORTAL_ORIGIN || false) : true,
       credentials: true
     }));
 
-    this.app.use(express.json({ limit: '10mb' }));
+    this.app.use(express.json({ limit: '10mb', verify: SecurityMiddleware.captureRawBody }));
     this.app.use(express.urlencoded({ extended: true }));
 
-    // HIPAA compliance middleware
-    this.app.use(SecurityMiddleware.encryptSensitiveData);
+    // HIPAA compliance middleware. Retell and IntakeQ requests are left as
+    // sent: tool args are validated against their schemas, and the replies
+    // are read by Retell
+    this.app.use(SecurityMiddleware.except(['/functions', '/webhook'], SecurityMiddleware.encryptSensitiveData));
     this.app.use(SecurityMiddleware.auditLogging);
   }
 
   setupRoutes() {
     // Health check endpoint
     this.app.get('/health', (req, res) => {
+      const intakeq = this.intakeqService.getHealth();
       res.json({ 
-        status: 'healthy', 
+        status: intakeq.state === 'open' ? 'degraded' : 'healthy',
         timestamp: new Date().toISOString(),
         services: {
           cache: this.cacheService.isConnected(),
-          intakeq: this.intakeqService.isConnected(),
+          intakeq,
           availity: this.availityService.isConnected()
         }
       });
     });
 
+    // Everything Retell calls must carry a valid X-Retell-Signature
+    this.app.use(['/webhook/retell', '/functions'], SecurityMiddleware.verifyRetellSignature({
+      auditLogger: this.auditLogger
+    }));
+
     // Retell AI webhook endpoints
     this.app.post('/webhook/retell', async (req, res) => {
       try {
@@ -116,93 +190,142 @@ class VoiceAgentApp {
       }
     });
 
-    // IntakeQ webhook endpoints
-    this.app.post('/webhook/intakeq', async (req, res) => {
+    // Retell inbound-call webhook: route the call by the line dialed and fill
+    // dynamic variables before it connects
+    this.app.post('/webhook/retell/inbound', async (req, res) => {
       try {
-        const { event, data } = req.body;
-        this.logger.info(`IntakeQ webhook received: ${event}`);
-        
-        await this.handleIntakeQWebhook(event, data);
-        res.json({ success: true });
-      } catch (error) {
-        this.logger.error('Error handling IntakeQ webhook:', error);
-        res.status(500).json({ error: 'Internal server error' });
-      }
-    });
+        const callInbound = req.body.call_inbound || {};
+        const line = this.phoneLineDirectory.getLineForNumber(callInbound.to_number);
+        this.logger.info(`Retell inbound call to ${callInbound.to_number} (${line ? line.id : 'no configured line'})`);
 
-    // Custom function endpoints for Retell AI
-    this.app.post('/functions/verify-client', async (req, res) => {
-      try {
-        const { call, args } = req.body;
-        const result = await this.verificationService.verifyClient(args.phoneNumber, args.dateOfBirth);
-        res.json(result);
+        const dynamicVariables = await this.callVariableService.getInboundVariables(callInbound.from_number, line);
+        res.json({
+          call_inbound: {
+            dynamic_variables: dynamicVariables,
+            ...(line && line.agentId && { override_agent_id: line.agentId }),
+            ...(line && { metadata: { phone_line: line.id } })
+          }
+        });
       } catch (error) {
-        this.logger.error('Error in verify-client function:', error);
+        this.logger.error('Error handling Retell inbound call webhook:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    this.app.post('/functions/check-insurance', async (req, res) => {
+    // Call outcomes by date range and, optionally, outcome
+    this.app.get('/reports/calls', SecurityMiddleware.requireApiKey({ auditLogger: this.auditLogger }), async (req, res) => {
       try {
-        const { call, args } = req.body;
-        const result = await this.availityService.verifyInsurance(args.insuranceInfo);
-        res.json(result);
-      } catch (error) {
-        this.logger.error('Error in check-insurance function:', error);
-        res.status(500).json({ error: 'Internal server error' });
-      }
-    });
+        const { from, to, outcome } = req.query;
+        const queryError = this.callOutcomeService.getQueryError({ from, to, outcome });
+        if (queryError) {
+          return res.status(400).json({ error: queryError });
+        }
 
-    this.app.post('/functions/schedule-appointment', async (req, res) => {
-      try {
-        const { call, args } = req.body;
-        const result = await this.scheduleAppointment(args);
-        res.json(result);
+        const calls = await this.callOutcomeService.query({ from, to, outcome });
+        await this.auditLogger.logDataAccess(null, 'call_outcomes', `Call outcome report ${from} to ${to}`);
+        res.json({ from, to, outcome: outcome || null, count: calls.length, calls });
       } catch (error) {
-        this.logger.error('Error in schedule-appointment function:', error);
+        this.logger.error('Error querying call outcomes:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    this.app.post('/functions/get-availability', async (req, res) => {
+    // "Talk to Matt" web calls for patients logged in to the portal
+    this.app.post('/web-call',
+      SecurityMiddleware.rateLimit(60000, 10),
+      SecurityMiddleware.verifyPortalToken({ auditLogger: this.auditLogger }),
+      async (req, res) => {
+        try {
+          const webCall = await this.webCallService.createWebCall(req.portalSession.clientId);
+          if (!webCall) {
+            return res.status(404).json({ error: 'Client not found' });
+          }
+
+          res.json(webCall);
+        } catch (error) {
+          this.logger.error('Error creating web call:', error);
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      });
+
+    // IntakeQ webhook endpoints; subscribe to intakeqWebhookService for
+    // the domain events they produce
+    this.app.post('/webhook/intakeq', SecurityMiddleware.verifyIntakeQSignature({
+      auditLogger: this.auditLogger
+    }), async (req, res) => {
       try {
-        const { call, args } = req.body;
-        const result = await this.getAvailability(args);
-        res.json(result);
+        this.logger.info(`IntakeQ webhook received: ${req.body.event}`);
+
+        const { duplicate } = await this.intakeqWebhookService.handleWebhook(req.body);
+        res.json({ success: true, duplicate });
       } catch (error) {
-        this.logger.error('Error in get-availability function:', error);
+        this.logger.error('Error handling IntakeQ webhook:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
-  }
 
-  setupWebSocket() {
-    this.wss.on('connection', (ws, req) => {
-      this.logger.info('WebSocket connection established');
-      
-      ws.on('message', async (message) => {
+    // Custom function endpoints for Retell AI, one per registered tool;
+    // args are validated against the same schema the LLM is given
+    const toolHandlers = {
+      verify_client: async (args, call) => {
+        const result = await this.verificationService.verifyClient(args.phoneNumber, args.dateOfBirth);
+        if (result.verified && call && call.call_id) {
+          await this.cacheService.cacheVerifiedClient(call.call_id, result.clientId);
+        }
+        // Client details reach the agent only after a successful match
+        await this.callVariableService.applyVerifiedVariables(call && call.call_id, result, args);
+        return result;
+      },
+      get_availability: (args) => this.getAvailability(args),
+      hold_slot: (args, call) => this.bookingService.holdSlot({ ...args, callId: call && call.call_id }),
+      schedule_appointment: (args, call) => this.scheduleAppointment(args, call),
+      check_insurance: (args) => this.availityService.verifyInsurance(args.insuranceInfo),
+      reschedule_appointment: (args, call) => this.rescheduleAppointment(args, call),
+      cancel_appointment: (args, call) => this.cancelAppointment(args, call)
+    };
+
+    this.toolRegistry.getTools().forEach(tool => {
+      this.app.post(this.toolRegistry.getPath(tool), this.toolRegistry.validateRequest(tool.name), async (req, res) => {
         try {
-          const data = JSON.parse(message);
-          await this.handleWebSocketMessage(ws, data);
+          const result = await toolHandlers[tool.name](req.body.args, req.body.call);
+          res.json(result);
         } catch (error) {
-          this.logger.error('Error handling WebSocket message:', error);
-          ws.send(JSON.stringify({ error: 'Invalid message format' }));
+          this.logger.error(`Error in ${tool.route} function:`, error);
+          res.status(500).json({ error: 'Internal server error' });
         }
       });
+    });
+  }
 
-      ws.on('close', () => {
-        this.logger.info('WebSocket connection closed');
-      });
+  setupWebSocket() {
+    // Retell's custom-LLM protocol: one connection per call at /{call_id}
+    this.wss.on('connection', (ws, req) => {
+      this.retellLlmSocket.handleConnection(ws, req);
     });
   }
 
   async handleRetellWebhook(callId, eventType, data) {
+    // Reminder calls report to the campaign, not the inbound call outcomes
+    const reminderCall = this.reminderCampaign.isReminderCall(data);
+
     switch (eventType) {
       case 'call_started':
         await this.auditLogger.logCallStart(callId, data);
         break;
       case 'call_ended':
         await this.auditLogger.logCallEnd(callId, data);
+        // Capture the outcome before the conversation state is dropped
+        if (!reminderCall) {
+          await this.callOutcomeService.recordCallEnd(callId, data);
+        }
+        await this.conversationFlow.cleanupConversation(callId);
+        break;
+      case 'call_analyzed':
+        if (reminderCall) {
+          await this.reminderCampaign.recordCallResult(callId, data);
+        } else {
+          await this.callOutcomeService.recordAnalysis(callId, data);
+        }
         break;
       case 'transcript_updated':
         await this.cacheService.updateCallTranscript(callId, data.transcript);
@@ -212,79 +335,145 @@ class VoiceAgentApp {
     }
   }
 
-  async handleIntakeQWebhook(event, data) {
-    switch (event) {
-      case 'appointment_created':
-      case 'appointment_updated':
-      case 'appointment_cancelled':
-        await this.cacheService.invalidateAppointmentCache(data);
-        break;
-      case 'client_updated':
-        await this.cacheService.invalidateClientCache(data.clientId);
-        break;
-      default:
-        this.logger.info(`Unhandled IntakeQ event: ${event}`);
+  /**
+   * Book for the verified caller through BookingService so Retell's
+   * retries of a timed-out call don't create a second appointment; a slot
+   * taken in the meantime comes back as
+   * { success: false, reason: 'slot_taken', alternatives }
+   */
+  async scheduleAppointment(args, call = null) {
+    try {
+      const callId = call && call.call_id;
+      const clientId = await this.getVerifiedClientId(callId);
+      if (!clientId) {
+        return { success: false, reason: 'not_verified' };
+      }
+      if (args.clientId !== clientId) {
+        await this.auditLogger.logSecurityEvent('unauthorized_access', {
+          callId,
+          clientId: args.clientId,
+          reason: 'booking is not for the verified caller'
+        });
+        return { success: false, reason: 'client_not_verified' };
+      }
+
+      const result = await this.bookingService.bookAppointment({ ...args, callId });
+
+      if (!result.success) {
+        return result;
+      }
+      return { success: true, appointment: result.appointment };
+    } catch (error) {
+      this.logger.error('Error scheduling appointment:', error);
+      throw error;
     }
   }
 
-  async handleWebSocketMessage(ws, data) {
-    const { type, payload } = data;
-    
-    switch (type) {
-      case 'get_availability': {
-        const availability = await this.getAvailability(payload);
-        ws.send(JSON.stringify({ type: 'availability', data: availability }));
-        break;
+  /**
+   * Move an appointment belonging to the verified caller through
+   * BookingService, which holds and re-checks the new time like a booking
+   */
+  async rescheduleAppointment(args, call = null) {
+    try {
+      const callId = call && call.call_id;
+      const { appointment, failure } = await this.getCallerAppointment(callId, args.appointmentId);
+      if (failure) {
+        return failure;
       }
-      case 'schedule_appointment': {
-        const result = await this.scheduleAppointment(payload);
-        ws.send(JSON.stringify({ type: 'appointment_result', data: result }));
-        break;
+
+      const result = await this.bookingService.rescheduleAppointment({
+        callId,
+        appointment,
+        providerId: args.providerId || null,
+        date: args.date,
+        time: args.time
+      });
+      if (!result.success) {
+        return result;
       }
-      default:
-        ws.send(JSON.stringify({ error: 'Unknown message type' }));
+
+      if (!result.duplicate) {
+        await this.auditLogger.logAppointmentModification(callId, appointment.id, {
+          previousStartTime: appointment.start_time,
+          newStartTime: result.startTime,
+          providerId: args.providerId || appointment.provider_id,
+          appointmentType: appointment.appointment_type,
+          reason: 'client_request'
+        });
+      }
+
+      return { success: true, appointment: result.appointment };
+    } catch (error) {
+      this.logger.error('Error rescheduling appointment:', error);
+      throw error;
     }
   }
 
-  async scheduleAppointment(args) {
+  /**
+   * Cancel an appointment belonging to the verified caller
+   */
+  async cancelAppointment(args, call = null) {
     try {
-      // Use write-behind cache for performance
-      const cacheKey = `appointment:${args.clientId}:${args.dateTime}`;
-      
-      // Check cache first
-      let appointment = await this.cacheService.get(cacheKey);
-      
-      if (!appointment) {
-        // Create appointment in IntakeQ
-        appointment = await this.intakeqService.createAppointment(args);
-        
-        // Cache the result
-        await this.cacheService.set(cacheKey, appointment, 3600); // 1 hour TTL
+      const callId = call && call.call_id;
+      const { appointment, failure } = await this.getCallerAppointment(callId, args.appointmentId);
+      if (failure) {
+        return failure;
       }
-      
-      return { success: true, appointment };
+
+      const cancelled = await this.intakeqService.cancelAppointment(appointment.id, args.reason || null);
+      await this.auditLogger.logAppointmentCancellation(callId, appointment.id, args.reason || null);
+
+      return { success: true, appointment: cancelled };
     } catch (error) {
-      this.logger.error('Error scheduling appointment:', error);
+      this.logger.error('Error cancelling appointment:', error);
       throw error;
     }
   }
 
+  /**
+   * The client the caller verified as, or null. Portal web calls and
+   * custom-LLM calls are verified in their conversation state.
+   */
+  async getVerifiedClientId(callId) {
+    if (!callId) {
+      return null;
+    }
+
+    const clientId = await this.cacheService.getVerifiedClient(callId);
+    if (clientId) {
+      return clientId;
+    }
+
+    const state = await this.conversationFlow.loadConversation(callId);
+    return state && state.clientVerified && state.clientInfo ? state.clientInfo.id : null;
+  }
+
+  /**
+   * The appointment, if it belongs to the client the caller verified as:
+   * { appointment } or { failure } with the tool result to return
+   */
+  async getCallerAppointment(callId, appointmentId) {
+    const clientId = await this.getVerifiedClientId(callId);
+    if (!clientId) {
+      return { failure: { success: false, reason: 'not_verified' } };
+    }
+
+    const appointment = await this.intakeqService.getAppointment(appointmentId);
+    if (!appointment || appointment.client_id !== clientId) {
+      await this.auditLogger.logSecurityEvent('unauthorized_access', {
+        callId,
+        appointmentId,
+        reason: 'appointment is not the verified caller\'s'
+      });
+      return { failure: { success: false, reason: 'appointment_not_found' } };
+    }
+
+    return { appointment };
+  }
+
   async getAvailability(args) {
     try {
-      const cacheKey = `availability:${args.providerId}:${args.date}`;
-      
-      // Check cache first
-      let availability = await this.cacheService.get(cacheKey);
-      
-      if (!availability) {
-        // Get availability from IntakeQ
-        availability = await this.intakeqService.getProviderAvailability(args);
-        
-        // Cache the result
-        await this.cacheService.set(cacheKey, availability, 300); // 5 minutes TTL
-      }
-      
-      return availability;
+      return await this.availabilityEngine.getAvailability(args);
     } catch (error) {
       this.logger.error('Error getting availability:', error);
       throw error;
@@ -297,6 +486,10 @@ class VoiceAgentApp {
       
       // Initialize cache connection
       await this.cacheService.connect();
+
+      if (process.env.REMINDER_CAMPAIGN_ENABLED === 'true') {
+        this.reminderCampaign.start();
+      }
       
       // Start server
       this.server.listen(port, () => {
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const winston = require('winston');
 
 class SecurityMiddleware {
@@ -42,6 +43,16 @@ class SecurityMiddleware {
     }
   }
 
+  /**
+   * Run a middleware on every request except those under the given paths
+   */
+  static except(paths, middleware) {
+    return (req, res, next) => {
+      const excluded = paths.some(path => req.path === path || req.path.startsWith(`${path}/`));
+      return excluded ? next() : middleware(req, res, next);
+    };
+  }
+
   /**
    * Audit logging for HIPAA compliance
    */
@@ -287,6 +298,204 @@ class SecurityMiddleware {
     };
   }
 
+  /**
+   * Keep the raw request bytes for signature checks; pass as the `verify`
+   * option of express.json()
+   */
+  static captureRawBody(req, res, buf) {
+    req.rawBody = buf.toString('utf8');
+  }
+
+  /**
+   * Verify Retell's X-Retell-Signature header over the raw body. Rejected
+   * requests get a 401 and an audit event.
+   */
+  static verifyRetellSignature({ apiKey, toleranceMs, auditLogger = null } = {}) {
+    const signingKey = apiKey || process.env.RETELL_API_KEY;
+    const tolerance = toleranceMs || (parseInt(process.env.RETELL_SIGNATURE_TOLERANCE_SECONDS) || 300) * 1000;
+
+    return async (req, res, next) => {
+      const reason = SecurityMiddleware.checkRetellSignature(req.rawBody, req.headers['x-retell-signature'], signingKey, tolerance);
+      if (!reason) {
+        return next();
+      }
+
+      await SecurityMiddleware.logAuthenticationFailure(req, 'retell', reason, auditLogger);
+      return res.status(401).json({ error: 'Invalid signature' });
+    };
+  }
+
+  /**
+   * Check a Retell signature of the form "v=<timestamp ms>,d=<hex digest>",
+   * where the digest is HMAC-SHA256 of the raw body followed by the
+   * timestamp, keyed with the Retell API key. Timestamps outside the
+   * tolerance are rejected so captured requests can't be replayed.
+   * Returns the failure reason, or null if the signature is valid.
+   */
+  static checkRetellSignature(rawBody, signature, apiKey, toleranceMs, now = Date.now()) {
+    if (!apiKey) {
+      return 'signing key not configured';
+    }
+    if (!signature) {
+      return 'missing signature';
+    }
+    if (typeof rawBody !== 'string') {
+      return 'missing raw body';
+    }
+
+    const match = /^v=(\d+),d=([0-9a-f]+)$/i.exec(signature);
+    if (!match) {
+      return 'malformed signature';
+    }
+
+    const [, timestamp, digest] = match;
+    if (Math.abs(now - Number(timestamp)) > toleranceMs) {
+      return 'timestamp outside tolerance';
+    }
+
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', apiKey).update(rawBody + timestamp).digest('hex'),
+      'hex'
+    );
+    const received = Buffer.from(digest, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return 'signature mismatch';
+    }
+
+    return null;
+  }
+
+  /**
+   * Verify IntakeQ's X-IntakeQ-Signature header over the raw body, keyed
+   * with INTAKEQ_WEBHOOK_SECRET. Rejected requests get a 401 and an audit
+   * event.
+   */
+  static verifyIntakeQSignature({ secret, auditLogger = null } = {}) {
+    const signingKey = secret || process.env.INTAKEQ_WEBHOOK_SECRET;
+
+    return async (req, res, next) => {
+      const reason = SecurityMiddleware.checkIntakeQSignature(req.rawBody, req.headers['x-intakeq-signature'], signingKey);
+      if (!reason) {
+        return next();
+      }
+
+      await SecurityMiddleware.logAuthenticationFailure(req, 'intakeq', reason, auditLogger);
+      return res.status(401).json({ error: 'Invalid signature' });
+    };
+  }
+
+  /**
+   * Check an IntakeQ signature of the form "sha256=<hex digest>", the
+   * HMAC-SHA256 of the raw body. Returns the failure reason, or null if the
+   * signature is valid.
+   */
+  static checkIntakeQSignature(rawBody, signature, secret) {
+    if (!secret) {
+      return 'signing key not configured';
+    }
+    if (!signature) {
+      return 'missing signature';
+    }
+    if (typeof rawBody !== 'string') {
+      return 'missing raw body';
+    }
+
+    const match = /^sha256=([0-9a-f]+)$/i.exec(signature);
+    if (!match) {
+      return 'malformed signature';
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'), 'hex');
+    const received = Buffer.from(match[1], 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return 'signature mismatch';
+    }
+
+    return null;
+  }
+
+  /**
+   * Require "Authorization: Bearer <apiKey>" on internal reporting routes.
+   * Rejected requests get a 401 and an audit event.
+   */
+  static requireApiKey({ apiKey, auditLogger = null } = {}) {
+    const expectedKey = apiKey || process.env.REPORTS_API_KEY;
+
+    return async (req, res, next) => {
+      const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+      const expected = Buffer.from(expectedKey || '');
+      const received = Buffer.from(match ? match[1] : '');
+
+      if (expectedKey && expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+        return next();
+      }
+
+      const reason = !expectedKey ? 'api key not configured' : (match ? 'api key mismatch' : 'missing api key');
+      await SecurityMiddleware.logAuthenticationFailure(req, 'api_key', reason, auditLogger);
+      return res.status(401).json({ error: 'Unauthorized' });
+    };
+  }
+
+  /**
+   * Require a patient portal JWT ("Authorization: Bearer <token>") signed
+   * with JWT_SECRET. The token's subject is the IntakeQ client ID, exposed
+   * as req.portalSession.clientId. Rejected requests get a 401 and an
+   * audit event.
+   */
+  static verifyPortalToken({ secret, audience, auditLogger = null } = {}) {
+    const signingSecret = secret || process.env.JWT_SECRET;
+    const expectedAudience = audience || process.env.PORTAL_JWT_AUDIENCE;
+
+    return async (req, res, next) => {
+      const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+      let reason;
+
+      if (!signingSecret) {
+        reason = 'signing secret not configured';
+      } else if (!match) {
+        reason = 'missing token';
+      } else {
+        try {
+          const payload = jwt.verify(match[1], signingSecret, {
+            algorithms: ['HS256'],
+            ...(expectedAudience && { audience: expectedAudience })
+          });
+
+          if (payload.sub) {
+            req.portalSession = { clientId: String(payload.sub) };
+            return next();
+          }
+          reason = 'token has no subject';
+        } catch (error) {
+          reason = error.name === 'TokenExpiredError' ? 'token expired' : 'invalid token';
+        }
+      }
+
+      await SecurityMiddleware.logAuthenticationFailure(req, 'patient_portal', reason, auditLogger);
+      return res.status(401).json({ error: 'Unauthorized' });
+    };
+  }
+
+  /**
+   * Record a rejected request in the security log and, when given, the
+   * audit log
+   */
+  static async logAuthenticationFailure(req, source, reason, auditLogger = null) {
+    const details = {
+      source,
+      reason,
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip,
+      requestId: req.requestId
+    };
+
+    SecurityMiddleware.logSecurityEvent('authentication_failure', details);
+    if (auditLogger) {
+      await auditLogger.logSecurityEvent('authentication_failure', details);
+    }
+  }
+
   /**
    * Log security events
    */
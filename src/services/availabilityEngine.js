@@ -0,0 +1,242 @@
+const winston = require('winston');
+const moment = require('moment-timezone');
+const ProviderDirectory = require('./providerDirectory');
+
+// Appointments start on quarter hours
+const SLOT_INTERVAL_MINUTES = 15;
+
+/**
+ * Single source of bookable slots. Starts from the PROVIDER_SCHEDULES
+ * template and subtracts the lunch break plus the appointments and blocked
+ * time IntakeQ has on the provider's schedule for the day.
+ */
+class AvailabilityEngine {
+  constructor({ intakeqService = null, cacheService = null, providerDirectory = null } = {}) {
+    this.intakeqService = intakeqService;
+    this.cacheService = cacheService;
+    this.providerDirectory = providerDirectory || new ProviderDirectory();
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.lunchBreakStart = process.env.LUNCH_BREAK_START || '13:00';
+    this.lunchBreakEnd = process.env.LUNCH_BREAK_END || '14:00';
+    this.timezone = process.env.CLINIC_TIMEZONE || 'America/New_York';
+    this.scheduleCacheTtl = 300; // 5 minutes
+  }
+
+  /**
+   * Get a configured provider, or null if unknown
+   */
+  getProvider(providerId) {
+    return this.providerDirectory.getProvider(providerId);
+  }
+
+  /**
+   * Get the configured duration in minutes for an appointment type
+   */
+  getAppointmentDuration(appointmentType) {
+    return this.providerDirectory.getAppointmentDuration(appointmentType);
+  }
+
+  /**
+   * Get the dates in the next `days` days the provider's template has hours
+   */
+  getScheduledDates(provider, days = 30) {
+    const dates = [];
+    const today = moment.tz(this.timezone);
+
+    for (let i = 1; i <= days; i++) {
+      const date = today.clone().add(i, 'days');
+      if (provider.schedule[date.format('dddd').toLowerCase()]) {
+        dates.push(date.format('YYYY-MM-DD'));
+      }
+    }
+
+    return dates;
+  }
+
+  /**
+   * Get the start times the template allows for an appointment type on a
+   * date: the full duration fits within the provider's hours and clear of
+   * the lunch break
+   */
+  getTemplateSlots(provider, date, appointmentType) {
+    const times = [];
+    const schedule = provider.schedule[moment(date, 'YYYY-MM-DD').format('dddd').toLowerCase()];
+
+    if (!schedule) {
+      return times;
+    }
+
+    const duration = this.getAppointmentDuration(appointmentType);
+    const dayStart = this.toMinutes(schedule.start);
+    const dayEnd = this.toMinutes(schedule.end);
+    const lunchStart = this.toMinutes(this.lunchBreakStart);
+    const lunchEnd = this.toMinutes(this.lunchBreakEnd);
+
+    for (let start = dayStart; start + duration <= dayEnd; start += SLOT_INTERVAL_MINUTES) {
+      if (this.overlaps(start, start + duration, lunchStart, lunchEnd)) {
+        continue;
+      }
+
+      times.push(this.fromMinutes(start));
+    }
+
+    return times;
+  }
+
+  /**
+   * Get bookable start times for a provider, date and appointment type
+   */
+  async getAvailableSlots(provider, date, appointmentType) {
+    const templateSlots = this.getTemplateSlots(provider, date, appointmentType);
+    if (templateSlots.length === 0) {
+      return templateSlots;
+    }
+
+    const duration = this.getAppointmentDuration(appointmentType);
+    const busy = await this.getBusyIntervals(provider.id, date);
+    const now = moment.tz(this.timezone);
+    const nowMinutes = now.format('YYYY-MM-DD') === date ? now.hours() * 60 + now.minutes() : -1;
+
+    return templateSlots.filter(time => {
+      const start = this.toMinutes(time);
+      return start > nowMinutes &&
+        !busy.some(interval => this.overlaps(start, start + duration, interval.start, interval.end));
+    });
+  }
+
+  /**
+   * Get the earliest bookable slot in the next `days` days as
+   * { date, time }, or null if the provider has nothing open
+   */
+  async getNextAvailable(provider, appointmentType = 'follow_up', days = 14) {
+    for (const date of this.getScheduledDates(provider, days)) {
+      const slots = await this.getAvailableSlots(provider, date, appointmentType);
+      if (slots.length > 0) {
+        return { date, time: slots[0] };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get bookable slots for one provider, or every eligible provider when
+   * providerId is omitted. Backs the get-availability function.
+   */
+  async getAvailability({ providerId = null, date, appointmentType = 'follow_up' } = {}) {
+    try {
+      if (!date || !moment(date, 'YYYY-MM-DD', true).isValid()) {
+        throw new Error('date must be in YYYY-MM-DD format');
+      }
+
+      const candidates = providerId
+        ? [this.getProvider(providerId)]
+        : this.providerDirectory.getEligibleProviders(appointmentType);
+      const providers = [];
+
+      for (const provider of candidates) {
+        if (!provider) {
+          this.logger.warn(`Availability requested for unknown provider: ${providerId}`);
+          continue;
+        }
+
+        const reason = this.providerDirectory.getIneligibilityReason(provider, appointmentType);
+        if (reason) {
+          providers.push({ providerId: provider.id, name: provider.name, slots: [], reason });
+          continue;
+        }
+
+        providers.push({
+          providerId: provider.id,
+          name: provider.name,
+          slots: await this.getAvailableSlots(provider, date, appointmentType)
+        });
+      }
+
+      return {
+        date,
+        appointmentType,
+        duration: this.getAppointmentDuration(appointmentType),
+        providers
+      };
+    } catch (error) {
+      this.logger.error('Error getting availability:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the booked appointments and blocked time on a provider's day as
+   * minute offsets from midnight in the clinic timezone
+   */
+  async getBusyIntervals(providerId, date) {
+    if (!this.intakeqService) {
+      return [];
+    }
+
+    const cacheKey = `availability:${providerId}:${date}`;
+    let schedule = this.cacheService ? await this.cacheService.get(cacheKey) : null;
+
+    if (!schedule) {
+      schedule = await this.intakeqService.getProviderSchedule(providerId, date);
+
+      if (this.cacheService) {
+        await this.cacheService.set(cacheKey, schedule, this.scheduleCacheTtl);
+      }
+    }
+
+    const appointments = (schedule && schedule.appointments) || [];
+    const blockedTimes = (schedule && schedule.blocked_times) || [];
+
+    return [...appointments.filter(apt => apt.status !== 'cancelled'), ...blockedTimes]
+      .map(entry => ({
+        start: this.toDayMinutes(entry.start_time, date),
+        end: this.toDayMinutes(entry.end_time, date)
+      }));
+  }
+
+  /**
+   * Drop the cached IntakeQ schedule for a provider's day, after a booking
+   * or when a slot turned out to be taken
+   */
+  async invalidateSchedule(providerId, date) {
+    if (this.cacheService) {
+      await this.cacheService.del(`availability:${providerId}:${date}`);
+    }
+  }
+
+  /**
+   * Wall-clock minutes from midnight on `date` in the clinic timezone, so
+   * entries spilling over from other days fall outside 0..1440
+   */
+  toDayMinutes(dateTime, date) {
+    const time = moment.tz(dateTime, this.timezone);
+    const dayOffset = time.clone().startOf('day').diff(moment.tz(date, 'YYYY-MM-DD', this.timezone), 'days');
+    return dayOffset * 24 * 60 + time.hours() * 60 + time.minutes();
+  }
+
+  overlaps(start, end, otherStart, otherEnd) {
+    return start < otherEnd && end > otherStart;
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  fromMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${hours.toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+  }
+}
+
+module.exports = AvailabilityEngine;
@@ -0,0 +1,422 @@
+const winston = require('winston');
+const moment = require('moment-timezone');
+const TimeResolver = require('../utils/timeResolver');
+const AppointmentTimes = require('../utils/appointmentTimes');
+
+// A booking's result is kept this long so late retries still find it
+const BOOKING_TTL_SECONDS = 24 * 60 * 60;
+
+// How long a booking can be in flight before another attempt may take over
+const PENDING_TTL_SECONDS = 60;
+
+// Holds claim the provider's time in blocks of this many minutes, the
+// availability engine's slot interval, so overlapping slots share a block
+const HOLD_BLOCK_MINUTES = 15;
+
+/**
+ * Books appointments so that a slot is created at most once. Retell retries
+ * a custom function that times out, so each booking is keyed by the call
+ * and the slot and a repeat returns the first result instead of creating a
+ * second appointment. When Matt offers a time it is held in Redis for the
+ * call (SLOT_HOLD_SECONDS): every block of the provider's time the
+ * appointment would cover is claimed with SET NX, so other callers are told
+ * it's taken even when their slot only overlaps it. At booking time IntakeQ
+ * is asked once more whether the slot is free before the appointment is
+ * created; reschedules go through the same hold and check. Without Redis,
+ * holds and repeat detection are skipped but the final IntakeQ check still
+ * runs.
+ */
+class BookingService {
+  constructor({ intakeqService, availabilityEngine, cacheService = null, holdTtlSeconds, pendingWaitMs = 5000 } = {}) {
+    this.intakeqService = intakeqService;
+    this.availabilityEngine = availabilityEngine;
+    this.cacheService = cacheService;
+    this.holdTtlSeconds = holdTtlSeconds || parseInt(process.env.SLOT_HOLD_SECONDS) || 300;
+    this.pendingWaitMs = pendingWaitMs;
+    this.timeResolver = new TimeResolver();
+    this.appointmentTimes = new AppointmentTimes({
+      timezone: availabilityEngine.timezone,
+      providerDirectory: availabilityEngine.providerDirectory
+    });
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Hold a slot for a call while the caller confirms it. Holding a slot the
+   * call already holds extends the hold. Returns { held: true, expiresAt },
+   * or the slot-taken response when another call holds any of its time.
+   */
+  async holdSlot({ callId, providerId, appointmentType, date, time }) {
+    try {
+      if (!this.hasCache()) {
+        return { held: true, expiresAt: null };
+      }
+
+      const claimed = [];
+      for (const key of this.getHoldKeys(providerId, appointmentType, date, time)) {
+        const claim = await this.claimHoldBlock(key, callId);
+        if (!claim) {
+          // Give back only the blocks this attempt took, not earlier holds
+          for (const claimedKey of claimed) {
+            await this.cacheService.del(claimedKey);
+          }
+          this.logger.info(`Slot ${this.getHoldKey(providerId, date, time)} overlaps a hold by another call`);
+          return this.slotTaken({ callId, providerId, appointmentType, date, time });
+        }
+        if (claim === 'claimed') {
+          claimed.push(key);
+        }
+      }
+
+      return { held: true, expiresAt: new Date(Date.now() + this.holdTtlSeconds * 1000).toISOString() };
+    } catch (error) {
+      this.logger.error('Error holding slot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim one block of a provider's time for a call with SET NX. Returns
+   * 'claimed', 'extended' when the call already held it, or null when
+   * another call holds it.
+   */
+  async claimHoldBlock(key, callId) {
+    if (await this.cacheService.setIfAbsent(key, { callId }, this.holdTtlSeconds)) {
+      return 'claimed';
+    }
+
+    const current = await this.cacheService.get(key);
+    if (current && current.callId === callId && await this.cacheService.extend(key, this.holdTtlSeconds)) {
+      return 'extended';
+    }
+
+    // It expired since the SET NX; one more try decides it
+    if (!current && await this.cacheService.setIfAbsent(key, { callId }, this.holdTtlSeconds)) {
+      return 'claimed';
+    }
+
+    return null;
+  }
+
+  /**
+   * Release a call's hold, e.g. when the caller picks another time
+   */
+  async releaseHold({ callId, providerId, appointmentType, date, time }) {
+    if (!this.hasCache()) {
+      return;
+    }
+
+    for (const key of this.getHoldKeys(providerId, appointmentType, date, time)) {
+      const current = await this.cacheService.get(key);
+      if (current && current.callId === callId) {
+        await this.cacheService.del(key);
+      }
+    }
+  }
+
+  /**
+   * Create the appointment for a call and slot once. The slot is `date`
+   * and `time` (HH:mm, clinic local); IntakeQ gets the start and end times
+   * AppointmentTimes works out for it. Returns { success: true, appointment, duplicate } or, when the slot is
+   * gone, { success: false, reason: 'slot_taken', message, alternatives }.
+   * `callId` falls back to the client ID when the request has no call.
+   */
+  async bookAppointment({ callId, clientId, providerId, appointmentType, date, time, location, insuranceVerified, copayAmount }) {
+    const slot = { callId: callId || clientId, providerId, appointmentType, date, time };
+    const bookingKey = this.getBookingKey(slot.callId, providerId, date, time);
+    let claimed = false;
+
+    try {
+      const { startTime, endTime } = this.appointmentTimes.forSlot(date, time, appointmentType);
+
+      const previous = await this.claimBooking(bookingKey);
+      if (previous) {
+        this.logger.info(`Returning existing booking for ${bookingKey}`);
+        return { success: true, appointment: previous.appointment, duplicate: true };
+      }
+      claimed = true;
+
+      const hold = await this.holdSlot(slot);
+      if (!hold.held) {
+        await this.releaseBooking(bookingKey);
+        return hold;
+      }
+
+      if (!await this.intakeqService.isTimeSlotAvailable(providerId, startTime, endTime)) {
+        return this.abandon(bookingKey, slot);
+      }
+
+      let appointment;
+      try {
+        appointment = await this.intakeqService.createAppointment({
+          clientId,
+          providerId,
+          appointmentType,
+          startTime,
+          endTime,
+          location,
+          insuranceVerified,
+          copayAmount
+        });
+      } catch (error) {
+        // IntakeQ refuses double bookings with a 409
+        if (error.response && error.response.status === 409) {
+          return this.abandon(bookingKey, slot);
+        }
+        throw error;
+      }
+
+      if (this.hasCache()) {
+        await this.cacheService.set(bookingKey, { appointment }, BOOKING_TTL_SECONDS);
+      }
+      await this.releaseHold(slot);
+      await this.availabilityEngine.invalidateSchedule(providerId, date);
+
+      return { success: true, appointment, duplicate: false };
+    } catch (error) {
+      if (claimed) {
+        await this.releaseBooking(bookingKey);
+      }
+      this.logger.error('Error booking appointment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an existing IntakeQ appointment to a new slot, keeping its type:
+   * the new time is held for the call and re-checked with IntakeQ first,
+   * like a booking. `providerId` is the new provider, if it changes.
+   * Returns { success: true, appointment, startTime, duplicate }, where
+   * duplicate means it was already at that time, or the slot-taken response.
+   */
+  async rescheduleAppointment({ callId, appointment, providerId, date, time }) {
+    const appointmentType = appointment.appointment_type;
+    const slot = {
+      callId: callId || appointment.client_id,
+      providerId: providerId || appointment.provider_id,
+      appointmentType,
+      date,
+      time
+    };
+
+    try {
+      const { startTime, endTime } = this.appointmentTimes.forSlot(date, time, appointmentType);
+
+      // A retry after the move went through
+      if (slot.providerId === appointment.provider_id && moment(appointment.start_time).isSame(startTime)) {
+        return { success: true, appointment, startTime, duplicate: true };
+      }
+
+      const hold = await this.holdSlot(slot);
+      if (!hold.held) {
+        return hold;
+      }
+
+      if (!await this.isMoveAvailable(appointment, slot.providerId, startTime, endTime)) {
+        return this.slotGone(slot);
+      }
+
+      let moved;
+      try {
+        moved = await this.intakeqService.rescheduleAppointment(appointment.id, startTime, providerId || null, appointmentType);
+      } catch (error) {
+        if (error.response && error.response.status === 409) {
+          return this.slotGone(slot);
+        }
+        throw error;
+      }
+
+      await this.releaseHold(slot);
+      await this.availabilityEngine.invalidateSchedule(slot.providerId, date);
+      const previousDate = moment.tz(appointment.start_time, this.availabilityEngine.timezone).format('YYYY-MM-DD');
+      if (appointment.provider_id !== slot.providerId || previousDate !== date) {
+        await this.availabilityEngine.invalidateSchedule(appointment.provider_id, previousDate);
+      }
+
+      return { success: true, appointment: moved, startTime, duplicate: false };
+    } catch (error) {
+      this.logger.error(`Error rescheduling appointment ${appointment.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask IntakeQ whether the new time is free. With the same provider, the
+   * part of it the appointment already occupies is its own, so only the
+   * rest is checked.
+   */
+  async isMoveAvailable(appointment, providerId, startTime, endTime) {
+    const start = moment(startTime);
+    const end = moment(endTime);
+    const ownStart = moment(appointment.start_time);
+    const ownEnd = moment(appointment.end_time || this.appointmentTimes.forStart(appointment.start_time, appointment.appointment_type).endTime);
+    const overlapsOwn = providerId === appointment.provider_id && start.isBefore(ownEnd) && end.isAfter(ownStart);
+
+    if (!overlapsOwn) {
+      return this.intakeqService.isTimeSlotAvailable(providerId, startTime, endTime);
+    }
+
+    const serialize = time => this.appointmentTimes.serialize(time);
+    if (start.isBefore(ownStart) && !await this.intakeqService.isTimeSlotAvailable(providerId, startTime, serialize(ownStart))) {
+      return false;
+    }
+    if (end.isAfter(ownEnd) && !await this.intakeqService.isTimeSlotAvailable(providerId, serialize(ownEnd), endTime)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Mark a booking as in flight. Returns the earlier result when the same
+   * booking already went through, waiting for one still in flight.
+   */
+  async claimBooking(bookingKey) {
+    if (!this.hasCache()) {
+      return null;
+    }
+
+    const deadline = Date.now() + this.pendingWaitMs;
+    while (!await this.cacheService.setIfAbsent(bookingKey, { pending: true }, PENDING_TTL_SECONDS)) {
+      const existing = await this.cacheService.get(bookingKey);
+      if (existing && existing.appointment) {
+        return existing;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Booking ${bookingKey} is still in progress`);
+      }
+      await this.sleep(250);
+    }
+
+    return null;
+  }
+
+  async releaseBooking(bookingKey) {
+    if (!this.hasCache()) {
+      return;
+    }
+
+    const existing = await this.cacheService.get(bookingKey);
+    if (existing && existing.pending) {
+      await this.cacheService.del(bookingKey);
+    }
+  }
+
+  /**
+   * Give up on a slot someone else booked first
+   */
+  async abandon(bookingKey, slot) {
+    await this.releaseBooking(bookingKey);
+    return this.slotGone(slot);
+  }
+
+  async slotGone(slot) {
+    this.logger.info(`Slot ${this.getHoldKey(slot.providerId, slot.date, slot.time)} was booked by someone else`);
+    await this.releaseHold(slot);
+    await this.availabilityEngine.invalidateSchedule(slot.providerId, slot.date);
+    return this.slotTaken(slot);
+  }
+
+  /**
+   * The response for a slot that's no longer available, with the closest
+   * open times the provider has that day
+   */
+  async slotTaken({ callId, providerId, appointmentType, date, time }) {
+    const alternatives = await this.getAlternatives({ callId, providerId, appointmentType, date, time });
+    const offer = alternatives.length > 0
+      ? ` The closest times I have that day are ${alternatives.map(alternative => this.timeResolver.formatSpoken(alternative)).join(' and ')}.`
+      : ' There are no other open times that day.';
+
+    return {
+      success: false,
+      held: false,
+      reason: 'slot_taken',
+      message: `I'm sorry, ${this.timeResolver.formatSpoken(time)} was just taken.${offer}`,
+      providerId,
+      date,
+      alternatives
+    };
+  }
+
+  /**
+   * Up to two open times closest to the one taken, skipping slots other
+   * calls hold
+   */
+  async getAlternatives({ callId, providerId, appointmentType, date, time }) {
+    const provider = this.availabilityEngine.getProvider(providerId);
+    if (!provider) {
+      return [];
+    }
+
+    const target = this.timeResolver.toMinutes(time);
+    const distance = openTime => Math.abs(this.timeResolver.toMinutes(openTime) - target);
+    const openTimes = (await this.availabilityEngine.getAvailableSlots(provider, date, appointmentType))
+      .filter(openTime => openTime !== time)
+      .sort((a, b) => distance(a) - distance(b) || a.localeCompare(b));
+    const alternatives = [];
+
+    for (const candidate of openTimes) {
+      if (alternatives.length === 2) {
+        break;
+      }
+      if (!await this.isHeldByOtherCall(callId, providerId, appointmentType, date, candidate)) {
+        alternatives.push(candidate);
+      }
+    }
+
+    return alternatives.sort();
+  }
+
+  async isHeldByOtherCall(callId, providerId, appointmentType, date, time) {
+    if (!this.hasCache()) {
+      return false;
+    }
+
+    for (const key of this.getHoldKeys(providerId, appointmentType, date, time)) {
+      const hold = await this.cacheService.get(key);
+      if (hold && hold.callId !== callId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  hasCache() {
+    return Boolean(this.cacheService) && this.cacheService.isConnected();
+  }
+
+  getHoldKey(providerId, date, time) {
+    return `slot-hold:${providerId}:${date}:${time}`;
+  }
+
+  /**
+   * Hold keys for each block of the provider's time a slot covers
+   */
+  getHoldKeys(providerId, appointmentType, date, time) {
+    const start = this.timeResolver.toMinutes(time);
+    const end = start + this.appointmentTimes.getDuration(appointmentType);
+    const keys = [];
+
+    for (let block = Math.floor(start / HOLD_BLOCK_MINUTES) * HOLD_BLOCK_MINUTES; block < end; block += HOLD_BLOCK_MINUTES) {
+      keys.push(this.getHoldKey(providerId, date, this.availabilityEngine.fromMinutes(block)));
+    }
+    return keys;
+  }
+
+  getBookingKey(callId, providerId, date, time) {
+    return `booking:${callId}:${providerId}:${date}:${time}`;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = BookingService;
@@ -1,6 +1,5 @@
 const redis = require('redis');
 const winston = require('winston');
-const { promisify } = require('util');
 
 class CacheService {
   constructor() {
@@ -61,17 +60,6 @@ class CacheService {
       });
 
       await this.redis.connect();
-      
-      // Promisify Redis methods
-      this.get = promisify(this.redis.get).bind(this.redis);
-      this.set = promisify(this.redis.set).bind(this.redis);
-      this.del = promisify(this.redis.del).bind(this.redis);
-      this.exists = promisify(this.redis.exists).bind(this.redis);
-      this.expire = promisify(this.redis.expire).bind(this.redis);
-      this.hget = promisify(this.redis.hget).bind(this.redis);
-      this.hset = promisify(this.redis.hset).bind(this.redis);
-      this.hdel = promisify(this.redis.hdel).bind(this.redis);
-      this.hgetall = promisify(this.redis.hgetall).bind(this.redis);
 
     } catch (error) {
       this.logger.error('Failed to connect to Redis:', error);
@@ -93,7 +81,7 @@ class CacheService {
         return fallback;
       }
 
-      const data = await this.get(key);
+      const data = await this.redis.get(key);
       
       if (data) {
         try {
@@ -122,10 +110,10 @@ class CacheService {
       }
 
       const serializedValue = JSON.stringify(value);
-      await this.set(key, serializedValue);
+      await this.redis.set(key, serializedValue);
       
       if (ttl > 0) {
-        await this.expire(key, ttl);
+        await this.redis.expire(key, ttl);
       }
 
       this.logger.debug(`Cached data for key: ${key}`);
@@ -136,6 +124,25 @@ class CacheService {
     }
   }
 
+  /**
+   * Set data only if the key doesn't exist, atomically; true if it was set
+   */
+  async setIfAbsent(key, value, ttl = 3600) {
+    try {
+      if (!this.connected) {
+        this.logger.warn('Redis not connected, skipping cache set');
+        return false;
+      }
+
+      const options = ttl > 0 ? { NX: true, EX: ttl } : { NX: true };
+      const result = await this.redis.set(key, JSON.stringify(value), options);
+      return result === 'OK';
+    } catch (error) {
+      this.logger.error(`Error setting cache key ${key}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Delete data from cache
    */
@@ -146,7 +153,7 @@ class CacheService {
         return false;
       }
 
-      await this.del(key);
+      await this.redis.del(key);
       this.logger.debug(`Deleted cache key: ${key}`);
       return true;
     } catch (error) {
@@ -155,6 +162,22 @@ class CacheService {
     }
   }
 
+  /**
+   * Reset an existing key's TTL; false if the key has expired
+   */
+  async extend(key, ttl) {
+    try {
+      if (!this.connected) {
+        return false;
+      }
+
+      return Boolean(await this.redis.expire(key, ttl));
+    } catch (error) {
+      this.logger.error(`Error extending cache key ${key}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Check if key exists in cache
    */
@@ -164,7 +187,7 @@ class CacheService {
         return false;
       }
 
-      const result = await this.exists(key);
+      const result = await this.redis.exists(key);
       return result === 1;
     } catch (error) {
       this.logger.error(`Error checking cache key existence ${key}:`, error);
@@ -172,6 +195,46 @@ class CacheService {
     }
   }
 
+  /**
+   * Add a member to a set, refreshing the set's TTL
+   */
+  async addToSet(key, member, ttl = 3600) {
+    try {
+      if (!this.connected) {
+        this.logger.warn('Redis not connected, skipping set add');
+        return false;
+      }
+
+      await this.redis.sAdd(key, member);
+
+      if (ttl > 0) {
+        await this.redis.expire(key, ttl);
+      }
+
+      return true;
+    } catch (error) {
+      this.logger.error(`Error adding to set ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get every member of a set
+   */
+  async getSetMembers(key) {
+    try {
+      if (!this.connected) {
+        this.logger.warn('Redis not connected, returning empty set');
+        return [];
+      }
+
+      return await this.redis.sMembers(key);
+    } catch (error) {
+      this.logger.error(`Error getting set members for ${key}:`, error);
+      return [];
+    }
+  }
+
   /**
    * Write-behind cache for appointment booking
    * This provides lightning-fast response times (1ms target)
@@ -349,66 +412,6 @@ class CacheService {
     }
   }
 
-  /**
-   * Get appointment availability with caching
-   */
-  async getAppointmentAvailability(providerId, date) {
-    const cacheKey = `availability:${providerId}:${date}`;
-    
-    try {
-      // Check cache first
-      let availability = await this.get(cacheKey);
-      
-      if (!availability) {
-        // If not in cache, this would normally fetch from IntakeQ
-        // For now, we'll return mock data
-        availability = this.generateMockAvailability(providerId, date);
-        
-        // Cache for 5 minutes
-        await this.set(cacheKey, availability, 300);
-      }
-      
-      return availability;
-    } catch (error) {
-      this.logger.error('Error getting appointment availability:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Generate mock availability data
-   */
-  generateMockAvailability(providerId, date) {
-    const slots = [];
-    const startHour = 10; // 10 AM
-    const endHour = 18; // 6 PM
-    const lunchStart = 13; // 1 PM
-    const lunchEnd = 14; // 2 PM
-    
-    for (let hour = startHour; hour < endHour; hour++) {
-      // Skip lunch break
-      if (hour >= lunchStart && hour < lunchEnd) {
-        continue;
-      }
-      
-      // Generate 15-minute slots
-      for (let minute = 0; minute < 60; minute += 15) {
-        const timeString = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-        slots.push({
-          time: timeString,
-          available: Math.random() > 0.3, // 70% availability
-          appointmentType: 'any'
-        });
-      }
-    }
-    
-    return {
-      providerId,
-      date,
-      slots: slots.filter(slot => slot.available)
-    };
-  }
-
   /**
    * Cache client information
    */
@@ -489,6 +492,23 @@ class CacheService {
     return await this.get(cacheKey);
   }
 
+  /**
+   * Record the client a call's caller verified as
+   */
+  async cacheVerifiedClient(callId, clientId) {
+    const cacheKey = `call:${callId}:verified-client`;
+    await this.set(cacheKey, { clientId }, 86400); // 24 hours TTL
+  }
+
+  /**
+   * Get the client ID a call's caller verified as, or null
+   */
+  async getVerifiedClient(callId) {
+    const cacheKey = `call:${callId}:verified-client`;
+    const record = await this.get(cacheKey);
+    return record ? record.clientId : null;
+  }
+
   /**
    * Cache provider schedule
    */
@@ -505,6 +525,14 @@ class CacheService {
     return await this.get(cacheKey);
   }
 
+  /**
+   * Invalidate cached provider schedule
+   */
+  async invalidateProviderSchedule(providerId, date) {
+    const cacheKey = `schedule:${providerId}:${date}`;
+    await this.del(cacheKey);
+  }
+
   /**
    * Clear all cache data
    */
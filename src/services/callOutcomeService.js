@@ -0,0 +1,272 @@
+const moment = require('moment-timezone');
+const winston = require('winston');
+const InMemoryCallOutcomeStore = require('../stores/inMemoryCallOutcomeStore');
+
+const OUTCOMES = ['scheduled', 'rescheduled', 'cancelled', 'message_taken', 'verification_failed', 'transferred', 'error', 'no_action'];
+const MAX_QUERY_DAYS = 92;
+
+/**
+ * Builds one outcome record per call. The conversation state is captured
+ * when the call ends (it's cleaned up right after), and Retell's post-call
+ * analysis is merged in when call_analyzed arrives, along with the call's
+ * audit trail.
+ */
+class CallOutcomeService {
+  constructor({ conversationFlow, auditLogger = null, intakeqService = null, outcomeStore = null, attachNotes } = {}) {
+    this.conversationFlow = conversationFlow;
+    this.auditLogger = auditLogger;
+    this.intakeqService = intakeqService;
+    this.outcomeStore = outcomeStore || new InMemoryCallOutcomeStore();
+    this.attachNotes = attachNotes !== undefined ? attachNotes : process.env.INTAKEQ_CALL_SUMMARY_NOTES === 'true';
+    this.timezone = process.env.CLINIC_TIMEZONE || 'America/New_York';
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Record a call as it ends, while its conversation state still exists
+   */
+  async recordCallEnd(callId, callData = {}) {
+    try {
+      const existing = await this.outcomeStore.get(callId);
+      const record = await this.buildRecord(callId, callData, existing);
+
+      await this.outcomeStore.save(record);
+      this.logger.info(`Call outcome recorded for call ${callId}: ${record.outcome}`);
+      return record;
+    } catch (error) {
+      this.logger.error(`Error recording outcome for call ${callId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge Retell's post-call analysis into the call's record, optionally
+   * attaching the summary to the client's IntakeQ record
+   */
+  async recordAnalysis(callId, callData = {}) {
+    try {
+      const existing = await this.outcomeStore.get(callId);
+      const record = await this.buildRecord(callId, callData, existing);
+      record.analysis = this.parseAnalysis(callData);
+      record.analyzedAt = new Date().toISOString();
+      record.outcome = this.determineOutcome(record);
+
+      await this.outcomeStore.save(record);
+      this.logger.info(`Call analysis recorded for call ${callId}: ${record.outcome}`);
+
+      if (this.shouldAttachNote(record)) {
+        record.intakeqNoteAdded = await this.attachNote(record);
+        await this.outcomeStore.save(record);
+      }
+
+      return record;
+    } catch (error) {
+      this.logger.error(`Error recording analysis for call ${callId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Records for calls on dates from..to (YYYY-MM-DD, clinic time),
+   * optionally filtered by outcome
+   */
+  async query({ from, to, outcome = null }) {
+    return this.outcomeStore.query({ from, to, outcome });
+  }
+
+  /**
+   * Why a query can't be run, or null if it's valid
+   */
+  getQueryError({ from, to, outcome }) {
+    const start = moment(from, 'YYYY-MM-DD', true);
+    const end = moment(to, 'YYYY-MM-DD', true);
+
+    if (!start.isValid() || !end.isValid()) {
+      return 'from and to must be dates in YYYY-MM-DD format';
+    }
+    if (end.isBefore(start)) {
+      return 'to must not be before from';
+    }
+    if (end.diff(start, 'days') >= MAX_QUERY_DAYS) {
+      return `date range must be at most ${MAX_QUERY_DAYS} days`;
+    }
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      return `outcome must be one of: ${OUTCOMES.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * The call's record with the latest conversation state and audit trail
+   */
+  async buildRecord(callId, callData, existing) {
+    const state = await this.conversationFlow.loadConversation(callId);
+    const record = existing || {
+      callId,
+      analysis: null,
+      analyzedAt: null,
+      intakeqNoteAdded: false
+    };
+
+    const startedAt = this.toIsoString(callData.start_timestamp)
+      || record.startedAt
+      || (state && state.startTime ? new Date(state.startTime).toISOString() : new Date().toISOString());
+
+    Object.assign(record, {
+      startedAt,
+      endedAt: this.toIsoString(callData.end_timestamp) || record.endedAt || null,
+      date: moment(startedAt).tz(this.timezone).format('YYYY-MM-DD'),
+      disconnectionReason: callData.disconnection_reason || record.disconnectionReason || null,
+      conversation: state ? this.summarizeConversation(state) : record.conversation || null,
+      auditTrail: this.getAuditTrail(callId, record.auditTrail)
+    });
+    record.outcome = this.determineOutcome(record);
+
+    return record;
+  }
+
+  /**
+   * The parts of conversation state worth keeping once the call is over
+   */
+  summarizeConversation(state) {
+    return {
+      intent: state.intent || null,
+      lastStep: state.step || null,
+      clientVerified: Boolean(state.clientVerified),
+      verificationFailed: Boolean(state.verificationFailed),
+      lastError: state.lastError || null,
+      clientId: state.clientInfo ? state.clientInfo.id : null,
+      phoneLine: state.phoneLine || null,
+      message: state.message || null,
+      insuranceVerified: Boolean(state.insuranceVerified),
+      appointmentType: state.appointmentType || null,
+      providerId: state.preferredProvider ? state.preferredProvider.id : null,
+      turns: (state.conversationHistory || []).length
+    };
+  }
+
+  /**
+   * Audit events for the call, without their (encrypted) payloads. The audit
+   * logger only holds this instance's events, so anything recorded earlier
+   * is kept.
+   */
+  getAuditTrail(callId, previous = []) {
+    const current = this.auditLogger
+      ? this.auditLogger.getAuditLogsForCall(callId).map(({ event, timestamp }) => ({ event, timestamp }))
+      : [];
+
+    const seen = new Set();
+    return [...(previous || []), ...current].filter(entry => {
+      const key = `${entry.event}:${entry.timestamp}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Retell's call_analysis, including the custom post_call_analysis_data
+   * fields the agent asks for
+   */
+  parseAnalysis(callData) {
+    const analysis = callData.call_analysis || {};
+    const custom = analysis.custom_analysis_data || {};
+    const field = (name) => (custom[name] !== undefined ? custom[name] : analysis[name]);
+
+    return {
+      summary: field('call_summary') || null,
+      appointmentScheduled: field('appointment_scheduled') !== undefined ? Boolean(field('appointment_scheduled')) : null,
+      insuranceVerified: field('insurance_verified') !== undefined ? Boolean(field('insurance_verified')) : null,
+      clientSatisfaction: field('client_satisfaction') !== undefined ? field('client_satisfaction') : null,
+      userSentiment: analysis.user_sentiment || null,
+      callSuccessful: analysis.call_successful !== undefined ? analysis.call_successful : null
+    };
+  }
+
+  /**
+   * What the call achieved, from our own audit trail first and Retell's
+   * analysis second
+   */
+  determineOutcome(record) {
+    const events = new Set(record.auditTrail.map(entry => entry.event));
+    const conversation = record.conversation || {};
+
+    if (events.has('appointment_created') || (record.analysis && record.analysis.appointmentScheduled)) {
+      return 'scheduled';
+    }
+    if (events.has('appointment_modified')) {
+      return 'rescheduled';
+    }
+    if (events.has('appointment_cancelled')) {
+      return 'cancelled';
+    }
+    if (conversation.message) {
+      return 'message_taken';
+    }
+    if (conversation.verificationFailed) {
+      return 'verification_failed';
+    }
+    if (record.disconnectionReason === 'call_transfer') {
+      return 'transferred';
+    }
+    // The flow hit an error; the caller may or may not have been put through
+    if (conversation.lastError) {
+      return 'error';
+    }
+
+    return 'no_action';
+  }
+
+  shouldAttachNote(record) {
+    return this.attachNotes
+      && Boolean(this.intakeqService)
+      && !record.intakeqNoteAdded
+      && Boolean(record.conversation && record.conversation.clientVerified && record.conversation.clientId)
+      && Boolean(record.analysis && record.analysis.summary);
+  }
+
+  /**
+   * Add the call summary to the client's IntakeQ record. Failures are
+   * logged, not thrown: the outcome is already stored.
+   */
+  async attachNote(record) {
+    const { clientId } = record.conversation;
+
+    try {
+      await this.intakeqService.addClientNote(clientId, this.formatNote(record));
+
+      if (this.auditLogger) {
+        await this.auditLogger.logDataAccess(record.callId, 'client_note', 'Call summary added to IntakeQ client record');
+      }
+
+      return true;
+    } catch (error) {
+      this.logger.error(`Error adding call summary note for call ${record.callId}:`, error);
+      return false;
+    }
+  }
+
+  formatNote(record) {
+    const when = moment(record.startedAt).tz(this.timezone).format('MMMM D, YYYY h:mm A');
+    return `Phone call with Matt (voice assistant) on ${when}. Outcome: ${record.outcome.replace(/_/g, ' ')}.\n\n${record.analysis.summary}`;
+  }
+
+  toIsoString(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+  }
+}
+
+CallOutcomeService.OUTCOMES = OUTCOMES;
+
+module.exports = CallOutcomeService;
@@ -0,0 +1,141 @@
+const winston = require('winston');
+const DateResolver = require('../utils/dateResolver');
+const TimeResolver = require('../utils/timeResolver');
+
+// Variables that identify a client or their coverage; never sent before the
+// caller is verified
+const PHI_VARIABLES = ['client_id', 'client_name', 'client_phone', 'client_dob', 'insurance_provider', 'copay_amount'];
+
+/**
+ * Fills the Retell LLM's dynamic variables for a call. Inbound calls get
+ * practice-level values up front; the caller's own details follow only once
+ * VerificationService has matched them, as a mid-call update.
+ */
+class CallVariableService {
+  constructor({ availabilityEngine, retellAgent = null, auditLogger = null } = {}) {
+    this.availabilityEngine = availabilityEngine;
+    this.providerDirectory = availabilityEngine.providerDirectory;
+    this.retellAgent = retellAgent;
+    this.auditLogger = auditLogger;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.timezone = process.env.CLINIC_TIMEZONE || 'America/New_York';
+    this.dateResolver = new DateResolver({ timezone: this.timezone });
+    this.timeResolver = new TimeResolver();
+  }
+
+  /**
+   * Variables for Retell's inbound-call webhook. Knowing the caller ID
+   * matches a client isn't verification, so nothing about the client is
+   * included; PHI variables start empty. The line called, from
+   * PhoneLineDirectory, sets the call flow and any default appointment type.
+   */
+  async getInboundVariables(fromNumber, line = null) {
+    const variables = {
+      caller_number: fromNumber || '',
+      phone_line: line ? line.name : '',
+      call_flow: line ? line.flow : 'standard',
+      appointment_type: line && line.defaultAppointmentType
+        ? this.providerDirectory.getAppointmentTypeLabel(line.defaultAppointmentType)
+        : '',
+      practice_hours: this.getPracticeHours(),
+      provider_availability: await this.getProviderAvailability()
+    };
+
+    PHI_VARIABLES.forEach(name => {
+      variables[name] = '';
+    });
+
+    return variables;
+  }
+
+  /**
+   * Each provider's weekly hours, one line per provider
+   */
+  getPracticeHours() {
+    return this.providerDirectory.getProviders()
+      .map(provider => `${provider.name}: ${this.providerDirectory.describeSchedule(provider.schedule)}`)
+      .join('\n');
+  }
+
+  /**
+   * Each provider's next open follow-up slot, one line per provider
+   */
+  async getProviderAvailability() {
+    const lines = [];
+
+    for (const provider of this.providerDirectory.getProviders()) {
+      try {
+        const next = await this.availabilityEngine.getNextAvailable(provider);
+        lines.push(next
+          ? `${provider.name}: next available ${this.dateResolver.formatSpoken(next.date)} at ${this.timeResolver.formatSpoken(next.time)}`
+          : `${provider.name}: no openings in the next two weeks`);
+      } catch (error) {
+        this.logger.error(`Error getting next availability for ${provider.id}:`, error);
+        lines.push(`${provider.name}: availability unknown`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * PHI variables for a verified caller
+   */
+  getVerifiedVariables(verificationResult, { phoneNumber, dateOfBirth } = {}) {
+    const insurance = verificationResult.insuranceInfo || {};
+
+    return {
+      client_id: verificationResult.clientId || '',
+      client_name: verificationResult.clientName || '',
+      client_phone: phoneNumber || '',
+      client_dob: dateOfBirth || '',
+      insurance_provider: insurance.provider || '',
+      copay_amount: insurance.copay !== undefined && insurance.copay !== null ? `$${insurance.copay}` : ''
+    };
+  }
+
+  /**
+   * Variables for a web call from a client the patient portal has already
+   * authenticated: practice-level values plus the client's details
+   */
+  async getWebCallVariables(verificationResult, credentials = {}) {
+    return {
+      ...await this.getInboundVariables(null),
+      ...this.getVerifiedVariables(verificationResult, credentials)
+    };
+  }
+
+  /**
+   * Push the caller's details to their call once verification succeeds.
+   * Failures are logged, not thrown: the caller is still verified.
+   */
+  async applyVerifiedVariables(callId, verificationResult, credentials = {}) {
+    if (!callId || !verificationResult || !verificationResult.verified || !this.retellAgent) {
+      return false;
+    }
+
+    try {
+      await this.retellAgent.updateCallVariables(callId, this.getVerifiedVariables(verificationResult, credentials));
+
+      if (this.auditLogger) {
+        await this.auditLogger.logDataAccess(callId, 'dynamic_variables', 'Caller verified; client details shared with agent');
+      }
+
+      return true;
+    } catch (error) {
+      this.logger.error(`Error applying verified variables for call ${callId}:`, error);
+      return false;
+    }
+  }
+}
+
+module.exports = CallVariableService;
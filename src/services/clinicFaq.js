@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const defaultFaq = require('../agents/clinicFaq.json');
+
+/**
+ * The clinic FAQ in src/agents/clinicFaq.json. The same entries are synced
+ * to Matt's Retell knowledge base and matched locally by ConversationFlow,
+ * so both answer callers the same way.
+ */
+class ClinicFaq {
+  constructor({ faq } = {}) {
+    this.faq = faq || defaultFaq;
+    this.entries = this.faq.entries || [];
+  }
+
+  /**
+   * The entry whose keywords best match what the caller said, or null. A
+   * tie goes to the entry whose matches are longer, so "ketamine" outweighs
+   * "fee".
+   */
+  match(message) {
+    const text = (message || '').toLowerCase();
+    let best = null;
+    let bestScore = 0;
+    let bestLength = 0;
+
+    this.entries.forEach(entry => {
+      const matched = (entry.keywords || []).filter(keyword => this.mentions(text, keyword));
+      const length = matched.reduce((total, keyword) => total + keyword.length, 0);
+      if (matched.length > bestScore || (matched.length > 0 && matched.length === bestScore && length > bestLength)) {
+        best = entry;
+        bestScore = matched.length;
+        bestLength = length;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Whether a keyword appears in the text as whole words
+   */
+  mentions(text, keyword) {
+    const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\b`).test(text);
+  }
+
+  /**
+   * The FAQ as markdown, the text source for the knowledge base
+   */
+  toMarkdown() {
+    return [
+      `# ${this.faq.name}`,
+      ...this.entries.map(entry => `## ${entry.question}\n\n${entry.answer}`)
+    ].join('\n\n') + '\n';
+  }
+
+  /**
+   * Short hash of the FAQ content; changes whenever an entry does
+   */
+  getVersion() {
+    return crypto.createHash('sha256').update(this.toMarkdown()).digest('hex').slice(0, 12);
+  }
+}
+
+module.exports = ClinicFaq;
@@ -1,6 +1,18 @@
-const axios = require('axios');
 const winston = require('winston');
 const moment = require('moment');
+const ResilientHttpClient = require('../utils/resilientHttpClient');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const AppointmentTimes = require('../utils/appointmentTimes');
+
+// Reads happen while a caller waits, so they get a few hundred
+// milliseconds; override per endpoint with INTAKEQ_TIMEOUTS
+const DEFAULT_TIMEOUTS = {
+  read: 500,
+  write: 3000,
+  'GET /health': 2000,
+  // Reminder campaign range queries run in the background
+  'GET /appointments': 5000
+};
 
 class IntakeQService {
   constructor() {
@@ -17,33 +29,53 @@ class IntakeQService {
       transports: [new winston.transports.Console()]
     });
 
-    this.client = axios.create({
+    const maxRetries = parseInt(process.env.INTAKEQ_MAX_RETRIES);
+    this.client = new ResilientHttpClient({
+      name: 'IntakeQ',
       baseURL: this.baseURL,
       headers: {
         'Authorization': `Bearer ${this.apiKey}`,
         'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
-      timeout: 30000
+      timeouts: { ...DEFAULT_TIMEOUTS, ...JSON.parse(process.env.INTAKEQ_TIMEOUTS || '{}') },
+      maxRetries: Number.isNaN(maxRetries) ? 2 : maxRetries,
+      circuitBreaker: new CircuitBreaker({
+        name: 'IntakeQ',
+        failureThreshold: parseInt(process.env.INTAKEQ_CIRCUIT_FAILURE_THRESHOLD) || 5,
+        resetTimeoutMs: (parseInt(process.env.INTAKEQ_CIRCUIT_RESET_SECONDS) || 30) * 1000
+      })
     });
 
-    this.connected = false;
+    this.appointmentTimes = new AppointmentTimes();
+
     this.testConnection();
   }
 
+  /**
+   * Check the API on startup; the result feeds the circuit breaker
+   */
   async testConnection() {
     try {
       await this.client.get('/health');
-      this.connected = true;
       this.logger.info('IntakeQ API connection established');
     } catch (error) {
-      this.connected = false;
       this.logger.error('IntakeQ API connection failed:', error.message);
     }
   }
 
+  /**
+   * False while the circuit is open and requests are being refused
+   */
   isConnected() {
-    return this.connected;
+    return this.client.getCircuitState().state !== 'open';
+  }
+
+  /**
+   * Circuit breaker state for /health
+   */
+  getHealth() {
+    return this.client.getCircuitState();
   }
 
   /**
@@ -70,6 +102,43 @@ class IntakeQService {
     }
   }
 
+  /**
+   * Get the clients whose records have a phone number
+   */
+  async findClientsByPhone(phoneNumber) {
+    try {
+      const response = await this.client.get('/clients', {
+        params: {
+          phone: phoneNumber,
+          clinic_id: this.clinicId
+        }
+      });
+
+      return response.data || [];
+    } catch (error) {
+      this.logger.error('Error finding clients by phone in IntakeQ:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a client by ID
+   */
+  async getClientById(clientId) {
+    try {
+      const response = await this.client.get(`/clients/${clientId}`, {
+        params: {
+          clinic_id: this.clinicId
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      this.logger.error('Error getting client by ID from IntakeQ:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create a new client in IntakeQ
    */
@@ -110,6 +179,23 @@ class IntakeQService {
     }
   }
 
+  /**
+   * Add a note to a client's record
+   */
+  async addClientNote(clientId, note) {
+    try {
+      const response = await this.client.post(`/clients/${clientId}/notes`, {
+        clinic_id: this.clinicId,
+        text: note
+      });
+      this.logger.info(`Note added to client in IntakeQ: ${clientId}`);
+      return response.data;
+    } catch (error) {
+      this.logger.error('Error adding client note in IntakeQ:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get provider availability for a specific date range
    */
@@ -158,17 +244,23 @@ class IntakeQService {
   }
 
   /**
-   * Create a new appointment
+   * Create a new appointment. Pass the slot as `date` and `time` (clinic
+   * local) or as a `startTime` timestamp; the end time always comes from
+   * the appointment type's duration.
    */
   async createAppointment(appointmentData) {
     try {
+      const times = appointmentData.date && appointmentData.time
+        ? this.appointmentTimes.forSlot(appointmentData.date, appointmentData.time, appointmentData.appointmentType)
+        : this.appointmentTimes.forStart(appointmentData.startTime, appointmentData.appointmentType);
+
       const appointmentPayload = {
         clinic_id: this.clinicId,
         client_id: appointmentData.clientId,
         provider_id: appointmentData.providerId,
         appointment_type: appointmentData.appointmentType,
-        start_time: appointmentData.startTime,
-        end_time: appointmentData.endTime,
+        start_time: times.startTime,
+        end_time: times.endTime,
         location: appointmentData.location || 'in-person',
         notes: appointmentData.notes,
         insurance_verified: appointmentData.insuranceVerified,
@@ -187,11 +279,29 @@ class IntakeQService {
   }
 
   /**
-   * Update an existing appointment
+   * Get an appointment by ID
+   */
+  async getAppointment(appointmentId) {
+    try {
+      const response = await this.client.get(`/appointments/${appointmentId}`);
+      return response.data;
+    } catch (error) {
+      this.logger.error('Error getting appointment from IntakeQ:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing appointment. A new start_time also moves end_time
+   * to match the appointment type's duration.
    */
   async updateAppointment(appointmentId, updateData) {
     try {
-      const response = await this.client.put(`/appointments/${appointmentId}`, updateData);
+      const data = updateData.start_time
+        ? { ...updateData, ...await this.getMovedTimes(appointmentId, updateData.start_time, updateData.appointment_type) }
+        : updateData;
+
+      const response = await this.client.put(`/appointments/${appointmentId}`, data);
       this.logger.info(`Appointment updated in IntakeQ: ${appointmentId}`);
       return response.data;
     } catch (error) {
@@ -220,12 +330,14 @@ class IntakeQService {
   }
 
   /**
-   * Reschedule an appointment
+   * Reschedule an appointment to start at `newDateTime`, moving its end
+   * time with it. The appointment is looked up for its type unless
+   * `appointmentType` is given.
    */
-  async rescheduleAppointment(appointmentId, newDateTime, newProviderId = null) {
+  async rescheduleAppointment(appointmentId, newDateTime, newProviderId = null, appointmentType = null) {
     try {
       const updateData = {
-        start_time: newDateTime,
+        ...await this.getMovedTimes(appointmentId, newDateTime, appointmentType),
         status: 'rescheduled'
       };
 
@@ -243,6 +355,43 @@ class IntakeQService {
     }
   }
 
+  /**
+   * IntakeQ start_time and end_time for an appointment moved to `startTime`
+   */
+  async getMovedTimes(appointmentId, startTime, appointmentType = null) {
+    const type = appointmentType || (await this.getAppointment(appointmentId)).appointment_type;
+    const times = this.appointmentTimes.forStart(startTime, type);
+
+    return { start_time: times.startTime, end_time: times.endTime };
+  }
+
+  /**
+   * Get appointments starting between two ISO timestamps, across all
+   * clients and providers
+   */
+  async getAppointmentsInRange(startTime, endTime, status = null) {
+    try {
+      const params = {
+        start_time: startTime,
+        end_time: endTime,
+        clinic_id: this.clinicId
+      };
+
+      if (status) {
+        params.status = status;
+      }
+
+      const response = await this.client.get('/appointments', {
+        params
+      });
+
+      return response.data;
+    } catch (error) {
+      this.logger.error('Error getting appointments in range:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get client's appointment history
    */
@@ -317,7 +466,8 @@ class IntakeQService {
   }
 
   /**
-   * Get provider schedule for a specific date
+   * Get provider schedule for a specific date: the day's `appointments` and
+   * `blocked_times`, each with start_time and end_time
    */
   async getProviderSchedule(providerId, date) {
     try {
@@ -436,60 +586,6 @@ class IntakeQService {
       throw error;
     }
   }
-
-  /**
-   * Handle IntakeQ webhook events
-   */
-  async handleWebhook(event, data) {
-    try {
-      this.logger.info(`IntakeQ webhook received: ${event}`);
-
-      switch (event) {
-        case 'appointment.created':
-          await this.handleAppointmentCreated(data);
-          break;
-        case 'appointment.updated':
-          await this.handleAppointmentUpdated(data);
-          break;
-        case 'appointment.cancelled':
-          await this.handleAppointmentCancelled(data);
-          break;
-        case 'client.updated':
-          await this.handleClientUpdated(data);
-          break;
-        default:
-          this.logger.info(`Unhandled IntakeQ webhook event: ${event}`);
-      }
-    } catch (error) {
-      this.logger.error('Error handling IntakeQ webhook:', error);
-      throw error;
-    }
-  }
-
-  async handleAppointmentCreated(data) {
-    this.logger.info(`Appointment created: ${data.appointment_id}`);
-    // Invalidate relevant caches
-    // Send notifications
-    // Update external systems
-  }
-
-  async handleAppointmentUpdated(data) {
-    this.logger.info(`Appointment updated: ${data.appointment_id}`);
-    // Invalidate relevant caches
-    // Send notifications
-  }
-
-  async handleAppointmentCancelled(data) {
-    this.logger.info(`Appointment cancelled: ${data.appointment_id}`);
-    // Invalidate relevant caches
-    // Send notifications
-  }
-
-  async handleClientUpdated(data) {
-    this.logger.info(`Client updated: ${data.client_id}`);
-    // Invalidate client cache
-    // Update related data
-  }
 }
 
 module.exports = IntakeQService;
@@ -0,0 +1,595 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const moment = require('moment-timezone');
+const winston = require('winston');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Slot length when neither the request nor the fixtures give a duration
+const DEFAULT_DURATION = 30;
+
+const FAULT_MESSAGES = {
+  429: 'Too many requests',
+  500: 'Internal server error',
+  502: 'Bad gateway',
+  503: 'Service unavailable'
+};
+
+/**
+ * Local stand-in for the IntakeQ API, serving the endpoints IntakeQService
+ * calls from in-memory clients, providers, appointments and blocked times.
+ * Point INTAKEQ_BASE_URL at it to develop or test without an IntakeQ
+ * account. State is seeded from a fixtures file and can be reset; changes
+ * to appointments and clients are sent to the app's /webhook/intakeq like
+ * IntakeQ does, and faults (429, 5xx, slow responses) can be injected per
+ * endpoint through injectFault() or the /_stand-in/faults control endpoint.
+ */
+class IntakeQStandIn {
+  constructor({
+    fixtures = null,
+    fixturesFile = null,
+    apiKey = null,
+    basePath = '/v1',
+    webhookUrl = null,
+    webhookSecret = null,
+    timezone
+  } = {}) {
+    this.fixtures = fixtures || (fixturesFile ? JSON.parse(fs.readFileSync(fixturesFile, 'utf8')) : {});
+    this.apiKey = apiKey;
+    this.basePath = basePath;
+    this.webhookUrl = webhookUrl;
+    this.webhookSecret = webhookSecret;
+    this.timezone = timezone || process.env.CLINIC_TIMEZONE || 'America/New_York';
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.server = null;
+    this.timers = new Set();
+    this.pendingWebhooks = new Set();
+    this.reset();
+
+    this.app = express();
+    this.app.use(express.json());
+    this.app.use('/_stand-in', this.createControlRouter());
+    this.app.use(this.basePath, this.recordRequest.bind(this), this.authenticate.bind(this), this.applyFaults.bind(this), this.createApiRouter());
+    this.app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+    // eslint-disable-next-line no-unused-vars
+    this.app.use((error, req, res, next) => {
+      this.logger.error('IntakeQ stand-in error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    });
+  }
+
+  /**
+   * Drop all state and reseed from the fixtures
+   */
+  reset() {
+    const clinic = this.fixtures.clinic || {};
+
+    this.data = {
+      clinicId: clinic.id || process.env.INTAKEQ_CLINIC_ID || 'clinic_stand_in',
+      settings: this.clone(clinic.settings || {}),
+      appointmentTypes: this.clone(this.fixtures.appointment_types || {}),
+      providers: {},
+      clients: {},
+      appointments: {},
+      blockedTimes: [],
+      notes: [],
+      messages: []
+    };
+    this.requests = [];
+    this.faults = [];
+    this.webhooks = [];
+
+    this.seed(this.fixtures);
+  }
+
+  /**
+   * Add providers, clients, appointments and blocked times on top of the
+   * current state
+   */
+  seed({ providers = [], clients = [], appointments = [], blocked_times: blockedTimes = [] } = {}) {
+    providers.forEach(provider => { this.data.providers[provider.id] = this.clone(provider); });
+    clients.forEach(client => { this.data.clients[client.id] = this.clone(client); });
+    appointments.forEach(appointment => {
+      this.data.appointments[appointment.id] = { status: 'scheduled', ...this.clone(appointment) };
+    });
+    this.data.blockedTimes.push(...this.clone(blockedTimes));
+  }
+
+  /**
+   * Listen on `port` (0 picks a free one); resolves with the API base URL
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => {
+        this.url = `http://localhost:${this.server.address().port}${this.basePath}`;
+        this.logger.info(`IntakeQ stand-in listening at ${this.url}`);
+        resolve(this.url);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  async stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  /**
+   * Fail or delay matching requests. `path` is relative to the base path
+   * and may use :params (e.g. /providers/:id/schedule); omit it or
+   * `method` to match any. `times` requests are affected, or every one
+   * until clearFaults() when null. A 429 carries Retry-After: retryAfter.
+   */
+  injectFault({ method = null, path = null, status = null, delayMs = 0, retryAfter = 1, times = 1 } = {}) {
+    const fault = {
+      method: method ? method.toUpperCase() : null,
+      path,
+      status,
+      delayMs,
+      retryAfter,
+      times
+    };
+
+    this.faults.push(fault);
+    return fault;
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Resolves once every webhook sent so far has been delivered or failed
+   */
+  async settleWebhooks() {
+    await Promise.all([...this.pendingWebhooks]);
+  }
+
+  recordRequest(req, res, next) {
+    this.requests.push({ method: req.method, path: req.path, query: { ...req.query }, body: req.body });
+    next();
+  }
+
+  authenticate(req, res, next) {
+    if (this.apiKey && req.headers.authorization !== `Bearer ${this.apiKey}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  }
+
+  async applyFaults(req, res, next) {
+    const fault = this.faults.find(candidate =>
+      (!candidate.method || candidate.method === req.method) &&
+      (!candidate.path || this.matchesPath(candidate.path, req.path)));
+
+    if (!fault) {
+      return next();
+    }
+
+    if (fault.times !== null && --fault.times <= 0) {
+      this.faults = this.faults.filter(candidate => candidate !== fault);
+    }
+
+    if (fault.delayMs) {
+      await new Promise(resolve => {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          resolve();
+        }, fault.delayMs);
+        this.timers.add(timer);
+      });
+    }
+
+    if (!fault.status) {
+      return next();
+    }
+
+    if (fault.status === 429) {
+      res.set('Retry-After', String(fault.retryAfter));
+    }
+    res.status(fault.status).json({ error: FAULT_MESSAGES[fault.status] || 'Injected fault' });
+  }
+
+  /**
+   * Whether a request path fits a fault path, where :params match one segment
+   */
+  matchesPath(faultPath, requestPath) {
+    return new RegExp(`^${faultPath.replace(/:[^/]+/g, '[^/]+')}$`).test(requestPath);
+  }
+
+  createControlRouter() {
+    const router = express.Router();
+
+    router.post('/faults', (req, res) => {
+      res.status(201).json(this.injectFault(req.body));
+    });
+
+    router.delete('/faults', (req, res) => {
+      this.clearFaults();
+      res.json({ success: true });
+    });
+
+    router.post('/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+
+    router.get('/requests', (req, res) => res.json(this.requests));
+    router.get('/webhooks', (req, res) => res.json(this.webhooks));
+
+    return router;
+  }
+
+  createApiRouter() {
+    const router = express.Router();
+
+    router.get('/health', (req, res) => res.json({ status: 'ok' }));
+
+    // Clients
+    router.get('/clients', (req, res) => {
+      const { phone, date_of_birth: dateOfBirth } = req.query;
+      res.json(Object.values(this.data.clients).filter(client =>
+        (!phone || this.phoneDigits(client.phone) === this.phoneDigits(phone)) &&
+        (!dateOfBirth || client.date_of_birth === dateOfBirth)));
+    });
+
+    router.post('/clients', (req, res) => {
+      const fields = this.withoutClinicId(req.body);
+      if (!fields.first_name || !fields.last_name || !fields.phone) {
+        return res.status(400).json({ error: 'first_name, last_name and phone are required' });
+      }
+
+      const client = { ...fields, id: this.createId('client'), created_at: new Date().toISOString() };
+      this.data.clients[client.id] = client;
+      res.status(201).json(client);
+    });
+
+    router.get('/clients/:id', (req, res) => {
+      const client = this.data.clients[req.params.id];
+      return client ? res.json(client) : res.status(404).json({ error: 'Client not found' });
+    });
+
+    router.put('/clients/:id', (req, res) => {
+      const client = this.data.clients[req.params.id];
+      if (!client) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+
+      Object.assign(client, req.body, { id: client.id, updated_at: new Date().toISOString() });
+      this.sendWebhook('client_updated', { client_id: client.id });
+      res.json(client);
+    });
+
+    router.post('/clients/:id/notes', (req, res) => {
+      if (!this.data.clients[req.params.id]) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+      if (!req.body.text) {
+        return res.status(400).json({ error: 'text is required' });
+      }
+
+      const note = { id: this.createId('note'), client_id: req.params.id, text: req.body.text, created_at: new Date().toISOString() };
+      this.data.notes.push(note);
+      res.status(201).json(note);
+    });
+
+    router.get('/clients/:id/appointments', (req, res) => {
+      const limit = parseInt(req.query.limit) || 10;
+      res.json(this.getClientAppointments(req.params.id)
+        .sort((a, b) => this.toTime(b.start_time) - this.toTime(a.start_time))
+        .slice(0, limit));
+    });
+
+    router.get('/clients/:id/appointments/upcoming', (req, res) => {
+      const now = Date.now();
+      res.json(this.getClientAppointments(req.params.id)
+        .filter(appointment => appointment.status !== 'cancelled' && this.toTime(appointment.start_time) > now)
+        .sort((a, b) => this.toTime(a.start_time) - this.toTime(b.start_time)));
+    });
+
+    // Availability
+    router.get('/availability', (req, res) => {
+      const { provider_id: providerId, start_date: startDate, end_date: endDate } = req.query;
+      const provider = this.data.providers[providerId];
+      if (!provider) {
+        return res.status(404).json({ error: 'Provider not found' });
+      }
+
+      const days = [];
+      const last = moment.tz(endDate || startDate, 'YYYY-MM-DD', this.timezone);
+      for (const day = moment.tz(startDate, 'YYYY-MM-DD', this.timezone); !day.isAfter(last); day.add(1, 'day')) {
+        const date = day.format('YYYY-MM-DD');
+        days.push({ date, slots: this.getOpenSlots(provider, date) });
+      }
+      res.json(days);
+    });
+
+    router.get('/appointments/available-slots', (req, res) => {
+      const provider = this.data.providers[req.query.provider_id];
+      if (!provider) {
+        return res.status(404).json({ error: 'Provider not found' });
+      }
+
+      res.json(this.getOpenSlots(provider, req.query.date, req.query.appointment_type));
+    });
+
+    router.get('/appointments/check-availability', (req, res) => {
+      const { provider_id: providerId, start_time: startTime, end_time: endTime } = req.query;
+      const provider = this.data.providers[providerId];
+      if (!provider) {
+        return res.status(404).json({ error: 'Provider not found' });
+      }
+      if (!this.isValidRange(startTime, endTime)) {
+        return res.status(400).json({ error: 'start_time and end_time must be a valid range' });
+      }
+
+      res.json({
+        available: this.isWithinHours(provider, startTime, endTime) && this.findConflicts(providerId, startTime, endTime).length === 0
+      });
+    });
+
+    // Appointments
+    router.get('/appointments', (req, res) => {
+      const { start_time: startTime, end_time: endTime, status } = req.query;
+      res.json(Object.values(this.data.appointments).filter(appointment =>
+        (!startTime || this.toTime(appointment.start_time) >= this.toTime(startTime)) &&
+        (!endTime || this.toTime(appointment.start_time) < this.toTime(endTime)) &&
+        (!status || appointment.status === status)));
+    });
+
+    router.post('/appointments', (req, res) => {
+      const fields = this.withoutClinicId(req.body);
+      if (!this.data.clients[fields.client_id]) {
+        return res.status(400).json({ error: 'Unknown client_id' });
+      }
+      if (!this.data.providers[fields.provider_id]) {
+        return res.status(400).json({ error: 'Unknown provider_id' });
+      }
+      if (!this.isValidRange(fields.start_time, fields.end_time)) {
+        return res.status(400).json({ error: 'start_time and end_time must be a valid range' });
+      }
+      if (this.findConflicts(fields.provider_id, fields.start_time, fields.end_time).length > 0) {
+        return res.status(409).json({ error: 'Time slot is no longer available' });
+      }
+
+      const appointment = {
+        ...fields,
+        id: this.createId('apt'),
+        status: fields.status || 'scheduled',
+        created_at: new Date().toISOString()
+      };
+      this.data.appointments[appointment.id] = appointment;
+      this.sendWebhook('appointment_created', this.toWebhookAppointment(appointment));
+      res.status(201).json(appointment);
+    });
+
+    router.get('/appointments/:id', (req, res) => {
+      const appointment = this.data.appointments[req.params.id];
+      return appointment ? res.json(appointment) : res.status(404).json({ error: 'Appointment not found' });
+    });
+
+    router.put('/appointments/:id', (req, res) => {
+      const appointment = this.data.appointments[req.params.id];
+      if (!appointment) {
+        return res.status(404).json({ error: 'Appointment not found' });
+      }
+
+      Object.assign(appointment, req.body, { id: appointment.id, updated_at: new Date().toISOString() });
+      this.sendWebhook(
+        appointment.status === 'cancelled' ? 'appointment_cancelled' : 'appointment_updated',
+        this.toWebhookAppointment(appointment)
+      );
+      res.json(appointment);
+    });
+
+    router.post('/appointments/:id/:kind(send-confirmation|send-reminder)', (req, res) => {
+      if (!this.data.appointments[req.params.id]) {
+        return res.status(404).json({ error: 'Appointment not found' });
+      }
+
+      const message = {
+        appointment_id: req.params.id,
+        kind: req.params.kind === 'send-confirmation' ? 'confirmation' : 'reminder',
+        method: req.body.method || 'email',
+        sent_at: new Date().toISOString()
+      };
+      this.data.messages.push(message);
+      res.json({ success: true, ...message });
+    });
+
+    // Providers
+    router.get('/providers', (req, res) => res.json(Object.values(this.data.providers)));
+
+    router.get('/providers/:id', (req, res) => {
+      const provider = this.data.providers[req.params.id];
+      return provider ? res.json(provider) : res.status(404).json({ error: 'Provider not found' });
+    });
+
+    router.get('/providers/:id/schedule', (req, res) => {
+      if (!this.data.providers[req.params.id]) {
+        return res.status(404).json({ error: 'Provider not found' });
+      }
+
+      const dayStart = moment.tz(req.query.date, 'YYYY-MM-DD', this.timezone);
+      const dayEnd = dayStart.clone().add(1, 'day');
+      const onDay = entry => entry.provider_id === req.params.id &&
+        this.overlaps(entry.start_time, entry.end_time, dayStart.format(), dayEnd.format());
+
+      res.json({
+        date: req.query.date,
+        appointments: Object.values(this.data.appointments).filter(onDay),
+        blocked_times: this.data.blockedTimes.filter(onDay)
+      });
+    });
+
+    router.get('/providers/:id/appointment-types', (req, res) => {
+      const provider = this.data.providers[req.params.id];
+      if (!provider) {
+        return res.status(404).json({ error: 'Provider not found' });
+      }
+
+      const types = provider.appointment_types || Object.keys(this.data.appointmentTypes);
+      res.json(types.map(id => ({ id, ...this.data.appointmentTypes[id] })));
+    });
+
+    // Clinic settings
+    router.get('/clinics/:clinicId/settings', (req, res) => {
+      if (req.params.clinicId !== this.data.clinicId) {
+        return res.status(404).json({ error: 'Clinic not found' });
+      }
+      res.json(this.data.settings);
+    });
+
+    router.put('/clinics/:clinicId/settings', (req, res) => {
+      if (req.params.clinicId !== this.data.clinicId) {
+        return res.status(404).json({ error: 'Clinic not found' });
+      }
+      Object.assign(this.data.settings, req.body);
+      res.json(this.data.settings);
+    });
+
+    return router;
+  }
+
+  /**
+   * Free slots on a date within the provider's hours, each as long as the
+   * appointment type
+   */
+  getOpenSlots(provider, date, appointmentType = null) {
+    const day = moment.tz(date, 'YYYY-MM-DD', this.timezone);
+    const hours = (provider.schedule || {})[WEEKDAYS[day.day()]];
+    if (!hours) {
+      return [];
+    }
+
+    const type = this.data.appointmentTypes[appointmentType];
+    const duration = (type && type.duration) || DEFAULT_DURATION;
+    const close = moment.tz(`${date} ${hours.end}`, 'YYYY-MM-DD HH:mm', this.timezone);
+    const slots = [];
+
+    for (let start = moment.tz(`${date} ${hours.start}`, 'YYYY-MM-DD HH:mm', this.timezone);
+      !start.clone().add(duration, 'minutes').isAfter(close);
+      start = start.clone().add(duration, 'minutes')) {
+      const slot = { start_time: start.format(), end_time: start.clone().add(duration, 'minutes').format() };
+      if (this.findConflicts(provider.id, slot.start_time, slot.end_time).length === 0) {
+        slots.push(slot);
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Active appointments and blocked times overlapping the range
+   */
+  findConflicts(providerId, startTime, endTime) {
+    const active = Object.values(this.data.appointments).filter(appointment => appointment.status !== 'cancelled');
+    return [...active, ...this.data.blockedTimes].filter(entry =>
+      entry.provider_id === providerId && this.overlaps(entry.start_time, entry.end_time, startTime, endTime));
+  }
+
+  isWithinHours(provider, startTime, endTime) {
+    const start = moment.tz(startTime, this.timezone);
+    const hours = (provider.schedule || {})[WEEKDAYS[start.day()]];
+    if (!hours) {
+      return false;
+    }
+
+    const date = start.format('YYYY-MM-DD');
+    return this.toTime(startTime) >= moment.tz(`${date} ${hours.start}`, 'YYYY-MM-DD HH:mm', this.timezone).valueOf() &&
+      this.toTime(endTime) <= moment.tz(`${date} ${hours.end}`, 'YYYY-MM-DD HH:mm', this.timezone).valueOf();
+  }
+
+  isValidRange(startTime, endTime) {
+    return Boolean(startTime && endTime) && this.toTime(startTime) < this.toTime(endTime);
+  }
+
+  overlaps(start, end, otherStart, otherEnd) {
+    return this.toTime(start) < this.toTime(otherEnd) && this.toTime(end) > this.toTime(otherStart);
+  }
+
+  toTime(dateTime) {
+    return moment(dateTime, moment.ISO_8601).valueOf();
+  }
+
+  getClientAppointments(clientId) {
+    return Object.values(this.data.appointments).filter(appointment => appointment.client_id === clientId);
+  }
+
+  /**
+   * Deliver an event to the webhook URL in the background, signed like
+   * IntakeQ's X-IntakeQ-Signature when a secret is set
+   */
+  sendWebhook(event, data) {
+    if (!this.webhookUrl) {
+      return;
+    }
+
+    const payload = JSON.stringify({ id: this.createId('evt'), event, data });
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.webhookSecret) {
+      headers['X-IntakeQ-Signature'] = `sha256=${crypto.createHmac('sha256', this.webhookSecret).update(payload).digest('hex')}`;
+    }
+
+    const delivery = axios.post(this.webhookUrl, payload, { headers, timeout: 5000 })
+      .then(response => this.webhooks.push({ event, data, status: response.status }))
+      .catch(error => {
+        this.webhooks.push({ event, data, error: error.message });
+        this.logger.error(`IntakeQ stand-in webhook ${event} failed:`, error.message);
+      })
+      .finally(() => this.pendingWebhooks.delete(delivery));
+
+    this.pendingWebhooks.add(delivery);
+  }
+
+  toWebhookAppointment(appointment) {
+    return {
+      appointment_id: appointment.id,
+      client_id: appointment.client_id,
+      provider_id: appointment.provider_id,
+      start_time: appointment.start_time,
+      end_time: appointment.end_time,
+      status: appointment.status
+    };
+  }
+
+  withoutClinicId(body) {
+    const fields = { ...body };
+    delete fields.clinic_id;
+    return fields;
+  }
+
+  phoneDigits(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-10);
+  }
+
+  createId(prefix) {
+    return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+module.exports = IntakeQStandIn;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const winston = require('winston');
+const moment = require('moment-timezone');
+
+// IntakeQ redelivers events it didn't see acknowledged; a day covers its retries
+const DEDUPE_TTL_SECONDS = 24 * 60 * 60;
+
+// Last known provider and start time per appointment, so a move also
+// clears the day it moved from
+const SLOT_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const APPOINTMENT_EVENTS = ['appointment.created', 'appointment.updated', 'appointment.cancelled'];
+const CLIENT_EVENTS = ['client.updated'];
+
+/**
+ * The one handler for IntakeQ webhooks (signatures are checked by
+ * SecurityMiddleware.verifyIntakeQSignature before events get here).
+ * Redelivered events are processed once, the cached availability,
+ * schedule, appointment and client entries the event touches are dropped,
+ * and the event is published to subscribers as a domain event:
+ *
+ *   intakeqWebhookService.on('appointment.cancelled', async event => { ... });
+ *
+ * Appointment events carry { id, type, appointmentId, clientId,
+ * providerId, startTime, endTime, status, previous }, where previous is
+ * the { providerId, startTime } the appointment had before a move; client
+ * events carry { id, type, clientId }. A failing subscriber is logged and
+ * does not fail the webhook.
+ */
+class IntakeQWebhookService extends EventEmitter {
+  constructor({ cacheService, availabilityEngine } = {}) {
+    super();
+    this.cacheService = cacheService;
+    this.availabilityEngine = availabilityEngine;
+    this.timezone = availabilityEngine.timezone;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Process a webhook body { id?, event, data }. Event names are accepted
+   * as `appointment_created` or `appointment.created`. Events without an
+   * id are deduped on their content. Returns { handled, duplicate }.
+   */
+  async handleWebhook({ id, event, data = {} } = {}) {
+    try {
+      const type = String(event || '').replace(/_/g, '.');
+      if (![...APPOINTMENT_EVENTS, ...CLIENT_EVENTS].includes(type)) {
+        this.logger.info(`Unhandled IntakeQ webhook event: ${event}`);
+        return { handled: false, duplicate: false };
+      }
+
+      const eventId = id || this.fingerprint(type, data);
+      const dedupeKey = `intakeq-webhook:${eventId}`;
+      if (this.cacheService.isConnected() &&
+        !await this.cacheService.setIfAbsent(dedupeKey, { type, receivedAt: new Date().toISOString() }, DEDUPE_TTL_SECONDS)) {
+        this.logger.info(`Skipping redelivered IntakeQ webhook ${eventId} (${type})`);
+        return { handled: true, duplicate: true };
+      }
+
+      let domainEvent;
+      try {
+        domainEvent = APPOINTMENT_EVENTS.includes(type)
+          ? await this.handleAppointmentEvent(eventId, type, data)
+          : await this.handleClientEvent(eventId, type, data);
+      } catch (error) {
+        // Let IntakeQ's redelivery try again
+        await this.cacheService.del(dedupeKey);
+        throw error;
+      }
+
+      if (!domainEvent) {
+        // Nothing was processed, so a corrected redelivery must get through
+        await this.cacheService.del(dedupeKey);
+        return { handled: false, duplicate: false };
+      }
+
+      await this.publish(type, domainEvent);
+      return { handled: true, duplicate: false };
+    } catch (error) {
+      this.logger.error('Error handling IntakeQ webhook:', error);
+      throw error;
+    }
+  }
+
+  async handleAppointmentEvent(eventId, type, data) {
+    const appointmentId = data.appointment_id || data.id;
+    if (!appointmentId) {
+      this.logger.warn(`IntakeQ ${type} webhook ${eventId} has no appointment ID`);
+      return null;
+    }
+
+    const slotKey = `appointment-slot:${appointmentId}`;
+    const slot = { providerId: data.provider_id || null, startTime: data.start_time || null };
+    const known = await this.cacheService.get(slotKey);
+    const previous = known && (known.providerId !== slot.providerId || known.startTime !== slot.startTime)
+      ? known
+      : null;
+
+    await this.cacheService.invalidateAppointmentCache(appointmentId);
+    await this.invalidateDays([slot, previous]);
+
+    if (type === 'appointment.cancelled') {
+      await this.cacheService.del(slotKey);
+    } else if (slot.providerId && slot.startTime) {
+      await this.cacheService.set(slotKey, slot, SLOT_TTL_SECONDS);
+    }
+
+    return {
+      id: eventId,
+      type,
+      appointmentId,
+      clientId: data.client_id || data.clientId || null,
+      providerId: slot.providerId,
+      startTime: slot.startTime,
+      endTime: data.end_time || null,
+      status: data.status || null,
+      previous
+    };
+  }
+
+  async handleClientEvent(eventId, type, data) {
+    const clientId = data.client_id || data.clientId;
+    if (!clientId) {
+      this.logger.warn(`IntakeQ ${type} webhook ${eventId} has no client ID`);
+      return null;
+    }
+
+    await this.cacheService.invalidateClientCache(clientId);
+    return { id: eventId, type, clientId };
+  }
+
+  /**
+   * Drop the cached schedules for each provider's day, by clinic date
+   */
+  async invalidateDays(slots) {
+    const days = new Set(slots
+      .filter(slot => slot && slot.providerId && slot.startTime)
+      .map(slot => `${slot.providerId}|${moment.tz(slot.startTime, this.timezone).format('YYYY-MM-DD')}`));
+
+    for (const day of days) {
+      const [providerId, date] = day.split('|');
+      await this.availabilityEngine.invalidateSchedule(providerId, date);
+      await this.cacheService.invalidateProviderSchedule(providerId, date);
+    }
+  }
+
+  /**
+   * Call each subscriber in turn, logging rather than rethrowing failures
+   */
+  async publish(type, event) {
+    for (const listener of this.listeners(type)) {
+      try {
+        await listener(event);
+      } catch (error) {
+        this.logger.error(`Error in ${type} subscriber:`, error);
+      }
+    }
+  }
+
+  fingerprint(type, data) {
+    return crypto.createHash('sha256').update(JSON.stringify({ type, data })).digest('hex');
+  }
+}
+
+module.exports = IntakeQWebhookService;
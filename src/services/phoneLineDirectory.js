@@ -0,0 +1,82 @@
+// How Matt handles a call on a line: the full scheduling flow, or taking a
+// message for the front desk
+const FLOWS = ['standard', 'message_only'];
+
+/**
+ * The clinic's phone lines as configured in PHONE_LINES, keyed by line ID.
+ * Each line may set:
+ *   number                    the line's number in E.164 format
+ *   name                      how Matt refers to the line (default: the ID)
+ *   agent_id                  Retell agent answering it (default: RETELL_AGENT_ID)
+ *   flow                      'standard' or 'message_only' (default: standard)
+ *   default_appointment_type  appointment type assumed when scheduling
+ * Calls to numbers that aren't configured get the standard flow.
+ */
+class PhoneLineDirectory {
+  constructor({ phoneLines, agentId } = {}) {
+    this.phoneLines = phoneLines || JSON.parse(process.env.PHONE_LINES || '{}');
+    this.agentId = agentId || process.env.RETELL_AGENT_ID || null;
+
+    Object.entries(this.phoneLines).forEach(([lineId, config]) => {
+      if (config.flow && !FLOWS.includes(config.flow)) {
+        throw new Error(`Phone line ${lineId} has unknown flow ${config.flow}; expected one of: ${FLOWS.join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * Get every configured line
+   */
+  getLines() {
+    return Object.keys(this.phoneLines).map(lineId => this.getLine(lineId));
+  }
+
+  /**
+   * Get a line by ID, or null if not configured
+   */
+  getLine(lineId) {
+    const config = this.phoneLines[lineId];
+    if (!config) {
+      return null;
+    }
+
+    return {
+      id: lineId,
+      name: config.name || lineId,
+      number: this.normalizeNumber(config.number),
+      agentId: config.agent_id || this.agentId,
+      flow: config.flow || 'standard',
+      defaultAppointmentType: config.default_appointment_type || null
+    };
+  }
+
+  /**
+   * Get the line a number belongs to, or null if it isn't one of ours
+   */
+  getLineForNumber(number) {
+    const normalized = this.normalizeNumber(number);
+    if (!normalized) {
+      return null;
+    }
+
+    return this.getLines().find(line => line.number === normalized) || null;
+  }
+
+  /**
+   * +1XXXXXXXXXX for a US number; other numbers are kept as given
+   */
+  normalizeNumber(number) {
+    const digits = (number || '').replace(/\D/g, '');
+    if (digits.length === 10) {
+      return `+1${digits}`;
+    }
+    if (digits.length === 11 && digits.startsWith('1')) {
+      return `+${digits}`;
+    }
+    return digits ? `+${digits}` : null;
+  }
+}
+
+PhoneLineDirectory.FLOWS = FLOWS;
+
+module.exports = PhoneLineDirectory;
@@ -0,0 +1,198 @@
+const moment = require('moment');
+
+// Used when APPOINTMENT_TYPES does not configure a type
+const DEFAULT_APPOINTMENT_TYPES = {
+  comprehensive_evaluation: { duration: 60, description: 'Comprehensive psychiatric evaluation', new_patient: true },
+  follow_up: { duration: 15, description: 'Follow-up appointment' },
+  ketamine_consultation: { duration: 30, description: 'Ketamine consultation' }
+};
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Providers and appointment types as configured in PROVIDER_SCHEDULES and
+ * APPOINTMENT_TYPES. Each provider entry may set:
+ *   appointment_types       types the provider sees (default: all)
+ *   telehealth, in_person   visit types offered (default: both)
+ *   accepting_new_patients  whether new-patient visits can be booked (default: true)
+ * Onboarding a provider is a config change; nothing here names one.
+ */
+class ProviderDirectory {
+  constructor({ providerSchedules, appointmentTypes } = {}) {
+    this.providerSchedules = providerSchedules || JSON.parse(process.env.PROVIDER_SCHEDULES || '{}');
+
+    // Configured types override the defaults field by field
+    const configuredTypes = appointmentTypes || JSON.parse(process.env.APPOINTMENT_TYPES || '{}');
+    this.appointmentTypes = { ...DEFAULT_APPOINTMENT_TYPES };
+    Object.entries(configuredTypes).forEach(([type, config]) => {
+      this.appointmentTypes[type] = { ...DEFAULT_APPOINTMENT_TYPES[type], ...config };
+    });
+  }
+
+  /**
+   * Get every configured provider
+   */
+  getProviders() {
+    return Object.keys(this.providerSchedules)
+      .map(providerId => this.getProvider(providerId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get a provider by ID, or null if not configured
+   */
+  getProvider(providerId) {
+    const config = this.providerSchedules[providerId];
+    if (!config) {
+      return null;
+    }
+
+    return {
+      id: providerId,
+      name: config.name || providerId,
+      schedule: config.schedule || {},
+      appointmentTypes: config.appointment_types || null,
+      telehealth: config.telehealth !== false,
+      inPerson: config.in_person !== false,
+      acceptingNewPatients: config.accepting_new_patients !== false
+    };
+  }
+
+  /**
+   * Get the providers who can see an appointment type. Visit type
+   * ('telehealth' or 'in_person') narrows further when the caller has a
+   * preference.
+   */
+  getEligibleProviders(appointmentType, { visitType = null } = {}) {
+    return this.getProviders().filter(provider => !this.getIneligibilityReason(provider, appointmentType, { visitType }));
+  }
+
+  /**
+   * Explain why a provider can't take an appointment, or null if they can
+   */
+  getIneligibilityReason(provider, appointmentType, { visitType = null } = {}) {
+    if (appointmentType && provider.appointmentTypes && !provider.appointmentTypes.includes(appointmentType)) {
+      return `${provider.name} only sees ${this.joinLabels(provider.appointmentTypes)} appointments`;
+    }
+    if (appointmentType && this.isNewPatientType(appointmentType) && !provider.acceptingNewPatients) {
+      return `${provider.name} isn't accepting new patients right now`;
+    }
+    if (visitType === 'telehealth' && !provider.telehealth) {
+      return `${provider.name} only sees patients in person`;
+    }
+    if (visitType === 'in_person' && !provider.inPerson) {
+      return `${provider.name} only sees patients by telehealth`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the configured duration in minutes for an appointment type. Unknown
+   * types throw rather than borrow another type's length, which could book
+   * an hour-long visit into a shorter slot.
+   */
+  getAppointmentDuration(appointmentType) {
+    const config = this.appointmentTypes[appointmentType];
+    if (!config || !config.duration) {
+      throw new Error(`Unknown appointment type: ${appointmentType}`);
+    }
+
+    return config.duration;
+  }
+
+  /**
+   * Whether an appointment type is a new-patient visit
+   */
+  isNewPatientType(appointmentType) {
+    const config = this.appointmentTypes[appointmentType];
+    return Boolean(config && config.new_patient);
+  }
+
+  /**
+   * Spoken name for an appointment type, e.g. "comprehensive evaluation"
+   */
+  getAppointmentTypeLabel(appointmentType) {
+    const config = this.appointmentTypes[appointmentType];
+    return (config && config.label) || appointmentType.replace(/_/g, ' ');
+  }
+
+  /**
+   * Describe providers and appointment types for the agent's system prompt
+   */
+  describeForPrompt() {
+    const lunchStart = process.env.LUNCH_BREAK_START || '13:00';
+    const lunchEnd = process.env.LUNCH_BREAK_END || '14:00';
+
+    const providerLines = this.getProviders().map(provider => {
+      const notes = [];
+      if (provider.appointmentTypes) {
+        notes.push(`${this.joinLabels(provider.appointmentTypes)} only`);
+      }
+      if (!provider.telehealth) {
+        notes.push('in-person only');
+      }
+      if (!provider.inPerson) {
+        notes.push('telehealth only');
+      }
+      if (!provider.acceptingNewPatients) {
+        notes.push('not accepting new patients');
+      }
+
+      return `- ${provider.name}: ${this.describeSchedule(provider.schedule)}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`;
+    });
+
+    const typeLines = Object.entries(this.appointmentTypes).map(([type, config]) =>
+      `- ${config.description || this.getAppointmentTypeLabel(type)}: ${config.duration} minutes${config.new_patient ? ' (new patients)' : ''}`
+    );
+
+    return {
+      providers: [...providerLines, `- Lunch break: Daily ${this.formatTime(lunchStart)}-${this.formatTime(lunchEnd)}`].join('\n'),
+      appointmentTypes: typeLines.join('\n')
+    };
+  }
+
+  /**
+   * Summarize weekly hours, grouping consecutive days with the same hours,
+   * e.g. "Monday-Thursday, 10:30 AM-6:00 PM"
+   */
+  describeSchedule(schedule) {
+    const groups = [];
+
+    WEEKDAYS.forEach(day => {
+      const hours = schedule[day];
+      if (!hours) {
+        return;
+      }
+
+      const last = groups[groups.length - 1];
+      const previousDay = WEEKDAYS[WEEKDAYS.indexOf(day) - 1];
+      if (last && last.end === previousDay && last.hours.start === hours.start && last.hours.end === hours.end) {
+        last.end = day;
+      } else {
+        groups.push({ start: day, end: day, hours });
+      }
+    });
+
+    if (groups.length === 0) {
+      return 'No scheduled hours';
+    }
+
+    const capitalize = day => day.charAt(0).toUpperCase() + day.slice(1);
+    return groups.map(group => {
+      const days = group.start === group.end ? capitalize(group.start) : `${capitalize(group.start)}-${capitalize(group.end)}`;
+      return `${days}, ${this.formatTime(group.hours.start)}-${this.formatTime(group.hours.end)}`;
+    }).join('; ');
+  }
+
+  joinLabels(appointmentTypes) {
+    const labels = appointmentTypes.map(type => this.getAppointmentTypeLabel(type));
+    return labels.length <= 1 ? labels.join('') : `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+  }
+
+  formatTime(time) {
+    return moment(time, 'HH:mm').format('h:mm A');
+  }
+}
+
+module.exports = ProviderDirectory;
@@ -0,0 +1,414 @@
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const winston = require('winston');
+const ProviderDirectory = require('./providerDirectory');
+
+const CAMPAIGN = 'appointment_reminder';
+const REMINDER_RESPONSES = ['confirmed', 'cancelled', 'reschedule_requested', 'opt_out', 'no_decision'];
+// Retell disconnection reasons for calls that never reached the client
+const UNANSWERED_REASONS = ['dial_no_answer', 'dial_busy', 'dial_failed', 'voicemail_reached', 'machine_detected'];
+// Retell redelivers call_analyzed it didn't see acknowledged; a day covers its retries
+const RESULT_DEDUPE_TTL_SECONDS = 24 * 60 * 60;
+const DATE_OF_BIRTH_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'M/D/YYYY', 'MMMM D YYYY', 'MMMM Do YYYY'];
+
+/**
+ * Outbound reminder calls for appointments 24 to 48 hours out. A node-cron
+ * job finds them in IntakeQ and places the calls in Retell batches with the
+ * reminder agent; call_analyzed results are written back to IntakeQ.
+ * Attempts per appointment are tracked in Redis so unanswered calls are
+ * retried, up to a limit, and nothing is called twice once answered. A call
+ * with no result after REMINDER_CALL_TIMEOUT_MINUTES counts as unanswered.
+ * Each call's result is applied once, and a cancellation only goes through
+ * when the client gave the date of birth on their IntakeQ record.
+ */
+class ReminderCampaign {
+  constructor({ intakeqService, retellAgent, cacheService, auditLogger = null, providerDirectory = null, options = {} } = {}) {
+    this.intakeqService = intakeqService;
+    this.retellAgent = retellAgent;
+    this.cacheService = cacheService;
+    this.auditLogger = auditLogger;
+    this.providerDirectory = providerDirectory || new ProviderDirectory();
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.schedule = options.schedule || process.env.REMINDER_CRON || '0,30 * * * *';
+    this.fromNumber = options.fromNumber || process.env.REMINDER_FROM_NUMBER;
+    this.agentId = options.agentId || process.env.RETELL_REMINDER_AGENT_ID;
+    this.callWindowStart = options.callWindowStart || process.env.REMINDER_CALL_WINDOW_START || '09:00';
+    this.callWindowEnd = options.callWindowEnd || process.env.REMINDER_CALL_WINDOW_END || '19:00';
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 3;
+    this.retryIntervalMinutes = options.retryIntervalMinutes || parseInt(process.env.REMINDER_RETRY_INTERVAL_MINUTES) || 120;
+    this.callTimeoutMinutes = options.callTimeoutMinutes || parseInt(process.env.REMINDER_CALL_TIMEOUT_MINUTES) || 60;
+    this.batchSize = options.batchSize || parseInt(process.env.REMINDER_BATCH_SIZE) || 50;
+    this.timezone = process.env.CLINIC_TIMEZONE || 'America/New_York';
+
+    this.task = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the cron job
+   */
+  start() {
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid REMINDER_CRON schedule: ${this.schedule}`);
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      // run() logs its own failures
+      this.run().catch(() => {});
+    }, { timezone: this.timezone });
+
+    this.logger.info(`Reminder campaign scheduled: ${this.schedule} (${this.timezone})`);
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Find appointments 24 to 48 hours out and place reminder calls for the
+   * ones still due one
+   */
+  async run(now = new Date()) {
+    if (this.running) {
+      return { skipped: 'already_running' };
+    }
+    if (!this.isWithinCallingWindow(now)) {
+      return { skipped: 'quiet_hours' };
+    }
+    if (!this.fromNumber || !this.agentId) {
+      this.logger.warn('Reminder campaign needs REMINDER_FROM_NUMBER and RETELL_REMINDER_AGENT_ID; skipping run');
+      return { skipped: 'not_configured' };
+    }
+    // Without attempt tracking every run would call everyone again
+    if (!this.cacheService.isConnected()) {
+      this.logger.warn('Redis not connected, skipping reminder campaign run');
+      return { skipped: 'cache_unavailable' };
+    }
+
+    this.running = true;
+    try {
+      const appointments = await this.intakeqService.getAppointmentsInRange(
+        moment(now).add(24, 'hours').toISOString(),
+        moment(now).add(48, 'hours').toISOString()
+      ) || [];
+
+      const due = [];
+      const skipped = {};
+      for (const appointment of appointments) {
+        let prepared;
+        try {
+          prepared = await this.prepareCall(appointment, now);
+        } catch (error) {
+          // One bad record mustn't keep the rest of the window from being called
+          this.logger.error(`Error preparing reminder call for appointment ${appointment.id}:`, error);
+          prepared = { skip: 'lookup_failed' };
+        }
+        if (prepared.skip) {
+          skipped[prepared.skip] = (skipped[prepared.skip] || 0) + 1;
+        } else {
+          due.push(prepared);
+        }
+      }
+
+      const batchIds = [];
+      let called = 0;
+      for (let i = 0; i < due.length; i += this.batchSize) {
+        const batch = due.slice(i, i + this.batchSize);
+
+        // Marked as calling first, so a call placed while the batch is in
+        // flight is never dialled again by an overlapping run
+        for (const { attempt } of batch) {
+          await this.saveAttempt({
+            ...attempt,
+            attempts: attempt.attempts + 1,
+            status: 'calling',
+            lastAttemptAt: now.toISOString()
+          });
+        }
+
+        try {
+          const result = await this.retellAgent.createBatchCall({
+            name: `Appointment reminders ${moment(now).tz(this.timezone).format('YYYY-MM-DD HH:mm')}`,
+            fromNumber: this.fromNumber,
+            agentId: this.agentId,
+            tasks: batch.map(({ task }) => task)
+          });
+          batchIds.push(result.batch_call_id);
+
+          for (const { attempt } of batch) {
+            await this.saveAttempt({
+              ...attempt,
+              attempts: attempt.attempts + 1,
+              status: 'calling',
+              lastAttemptAt: now.toISOString(),
+              batchCallId: result.batch_call_id
+            });
+          }
+          called += batch.length;
+        } catch (error) {
+          // Put the attempts back as they were, so these are picked up on the next run
+          this.logger.error(`Error placing reminder batch of ${batch.length} calls:`, error);
+          skipped.batch_failed = (skipped.batch_failed || 0) + batch.length;
+          for (const { attempt } of batch) {
+            await this.saveAttempt(attempt);
+          }
+        }
+      }
+
+      this.logger.info(`Reminder campaign run: ${appointments.length} appointments, ${called} calls placed`);
+      return { appointments: appointments.length, called, skipped, batchIds };
+    } catch (error) {
+      this.logger.error('Error running reminder campaign:', error);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * The Retell batch task for an appointment, or the reason it's skipped
+   */
+  async prepareCall(appointment, now) {
+    if (!['scheduled', 'rescheduled'].includes(appointment.status)) {
+      return { skip: 'not_scheduled' };
+    }
+
+    let attempt = await this.getAttempt(appointment.id) || {
+      appointmentId: appointment.id,
+      clientId: appointment.client_id,
+      attempts: 0,
+      status: 'pending',
+      lastAttemptAt: null
+    };
+
+    if (attempt.status === 'completed') {
+      return { skip: 'completed' };
+    }
+    if (attempt.status === 'calling') {
+      if (moment(now).diff(attempt.lastAttemptAt, 'minutes') < this.callTimeoutMinutes) {
+        return { skip: 'call_in_progress' };
+      }
+      attempt = await this.expireCall(attempt);
+    }
+    if (attempt.attempts >= this.maxAttempts) {
+      return { skip: 'max_attempts' };
+    }
+    if (attempt.lastAttemptAt && moment(now).diff(attempt.lastAttemptAt, 'minutes') < this.retryIntervalMinutes) {
+      return { skip: 'retry_pending' };
+    }
+
+    const client = await this.intakeqService.getClientById(appointment.client_id);
+    if (!client || client.reminder_calls_opt_out) {
+      return { skip: 'opted_out' };
+    }
+
+    const toNumber = this.toE164(client.phone);
+    if (!toNumber) {
+      return { skip: 'no_phone' };
+    }
+
+    const provider = this.providerDirectory.getProvider(appointment.provider_id);
+
+    return {
+      attempt,
+      task: {
+        to_number: toNumber,
+        retell_llm_dynamic_variables: {
+          client_first_name: client.first_name || '',
+          appointment_time: moment(appointment.start_time).tz(this.timezone).format('dddd, MMMM Do [at] h:mm A'),
+          provider_name: provider ? provider.name : 'your provider',
+          appointment_type: this.providerDirectory.getAppointmentTypeLabel(appointment.appointment_type || 'follow_up'),
+          appointment_id: appointment.id
+        },
+        metadata: { campaign: CAMPAIGN, appointment_id: appointment.id, client_id: appointment.client_id }
+      }
+    };
+  }
+
+  /**
+   * Give up waiting on a call whose call_analyzed webhook never came, and
+   * count it as unanswered
+   */
+  async expireCall(attempt) {
+    const status = attempt.attempts >= this.maxAttempts ? 'exhausted' : 'unanswered';
+    this.logger.warn(`No result for reminder call to appointment ${attempt.appointmentId} after ${this.callTimeoutMinutes} minutes; marking it ${status}`);
+
+    const expired = { ...attempt, status };
+    await this.saveAttempt(expired);
+    return expired;
+  }
+
+  /**
+   * Whether a Retell call event belongs to this campaign
+   */
+  isReminderCall(callData) {
+    return Boolean(callData && callData.metadata && callData.metadata.campaign === CAMPAIGN);
+  }
+
+  /**
+   * Record a reminder call's call_analyzed result: unanswered calls are left
+   * for a retry, answered ones are written back to IntakeQ. A redelivered
+   * result for the same call is skipped.
+   */
+  async recordCallResult(callId, callData = {}) {
+    const { appointment_id: appointmentId, client_id: clientId } = callData.metadata || {};
+    const resultKey = `reminder-call:${callId}`;
+
+    try {
+      if (this.cacheService.isConnected() &&
+        !await this.cacheService.setIfAbsent(resultKey, { appointmentId, receivedAt: new Date().toISOString() }, RESULT_DEDUPE_TTL_SECONDS)) {
+        this.logger.info(`Skipping redelivered result for reminder call ${callId}`);
+        return { appointmentId, status: 'duplicate' };
+      }
+
+      try {
+        return await this.applyCallResult(callId, callData, appointmentId, clientId);
+      } catch (error) {
+        // Let Retell's redelivery try again
+        await this.cacheService.del(resultKey);
+        throw error;
+      }
+    } catch (error) {
+      this.logger.error(`Error recording reminder call ${callId}:`, error);
+      throw error;
+    }
+  }
+
+  async applyCallResult(callId, callData, appointmentId, clientId) {
+    const attempt = await this.getAttempt(appointmentId) || { appointmentId, clientId, attempts: 1 };
+    const analysis = callData.call_analysis || {};
+
+    if (analysis.in_voicemail || UNANSWERED_REASONS.includes(callData.disconnection_reason)) {
+      const status = attempt.attempts >= this.maxAttempts ? 'exhausted' : 'unanswered';
+      await this.saveAttempt({ ...attempt, status, lastCallId: callId });
+      this.logger.info(`Reminder call ${callId} for appointment ${appointmentId} not answered (${status})`);
+      return { appointmentId, status };
+    }
+
+    const custom = analysis.custom_analysis_data || {};
+    let response = REMINDER_RESPONSES.includes(custom.reminder_response) ? custom.reminder_response : 'no_decision';
+
+    // Whoever picked up could have asked to cancel; leave those to the front desk
+    if (response === 'cancelled' && !await this.confirmsDateOfBirth(clientId, custom.date_of_birth)) {
+      this.logger.warn(`Reminder call ${callId} asked to cancel appointment ${appointmentId} without confirming the client's date of birth`);
+      response = 'cancel_unconfirmed';
+    }
+
+    await this.applyResponse(callId, appointmentId, clientId, response);
+    await this.saveAttempt({ ...attempt, status: 'completed', outcome: response, lastCallId: callId });
+
+    this.logger.info(`Reminder call ${callId} for appointment ${appointmentId}: ${response}`);
+    return { appointmentId, status: 'completed', outcome: response };
+  }
+
+  /**
+   * Whether the date of birth given on the call is the one on the client's
+   * IntakeQ record
+   */
+  async confirmsDateOfBirth(clientId, dateOfBirth) {
+    const given = moment(dateOfBirth || '', DATE_OF_BIRTH_FORMATS, true);
+    if (!given.isValid()) {
+      return false;
+    }
+
+    const client = await this.intakeqService.getClientById(clientId);
+    return Boolean(client && client.date_of_birth) && given.format('YYYY-MM-DD') === client.date_of_birth;
+  }
+
+  /**
+   * Write the client's answer to IntakeQ
+   */
+  async applyResponse(callId, appointmentId, clientId, response) {
+    const calledAt = new Date().toISOString();
+
+    switch (response) {
+      case 'cancelled':
+        await this.intakeqService.cancelAppointment(appointmentId, 'Cancelled by client on reminder call');
+        if (this.auditLogger) {
+          await this.auditLogger.logAppointmentCancellation(callId, appointmentId, 'reminder_call');
+        }
+        return;
+      case 'reschedule_requested':
+        await this.intakeqService.updateAppointment(appointmentId, {
+          reminder_call_outcome: response,
+          reminder_called_at: calledAt
+        });
+        await this.intakeqService.addClientNote(clientId, 'Asked to reschedule on the appointment reminder call. Please call the client back.');
+        break;
+      case 'cancel_unconfirmed':
+        await this.intakeqService.updateAppointment(appointmentId, {
+          reminder_call_outcome: response,
+          reminder_called_at: calledAt
+        });
+        await this.intakeqService.addClientNote(clientId, 'Asked to cancel on the appointment reminder call but did not confirm their date of birth, so the appointment was kept. Please call the client back.');
+        break;
+      case 'opt_out':
+        await this.intakeqService.updateClient(clientId, { reminder_calls_opt_out: true });
+        if (this.auditLogger) {
+          await this.auditLogger.logDataAccess(callId, 'client_preferences', 'Client opted out of reminder calls');
+        }
+        return;
+      default:
+        await this.intakeqService.updateAppointment(appointmentId, {
+          reminder_call_outcome: response,
+          reminder_called_at: calledAt
+        });
+    }
+
+    if (this.auditLogger) {
+      await this.auditLogger.logAppointmentModification(callId, appointmentId, { reminder_call_outcome: response, reason: 'reminder_call' });
+    }
+  }
+
+  /**
+   * Whether now falls inside the clinic-time calling window
+   */
+  isWithinCallingWindow(now = new Date()) {
+    const time = moment(now).tz(this.timezone).format('HH:mm');
+    return time >= this.callWindowStart && time < this.callWindowEnd;
+  }
+
+  async getAttempt(appointmentId) {
+    return this.cacheService.get(this.getCacheKey(appointmentId));
+  }
+
+  async saveAttempt(attempt) {
+    // Kept past the 48-hour lookahead so an appointment is never called again
+    return this.cacheService.set(this.getCacheKey(attempt.appointmentId), attempt, 3 * 24 * 60 * 60);
+  }
+
+  getCacheKey(appointmentId) {
+    return `reminder:${appointmentId}`;
+  }
+
+  /**
+   * +1XXXXXXXXXX for a US phone number, or null if it isn't one
+   */
+  toE164(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    if (digits.length === 10) {
+      return `+1${digits}`;
+    }
+    if (digits.length === 11 && digits.startsWith('1')) {
+      return `+${digits}`;
+    }
+    return null;
+  }
+}
+
+module.exports = ReminderCampaign;
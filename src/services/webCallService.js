@@ -0,0 +1,79 @@
+const winston = require('winston');
+
+/**
+ * Starts "Talk to Matt" web calls for patients logged in to the portal. The
+ * portal has already authenticated them, so the call begins with the client
+ * verified: their details are in the call's dynamic variables and the
+ * conversation skips phone and date of birth verification.
+ */
+class WebCallService {
+  constructor({ retellAgent, intakeqService, conversationFlow, callVariableService, auditLogger = null, agentId } = {}) {
+    this.retellAgent = retellAgent;
+    this.intakeqService = intakeqService;
+    this.conversationFlow = conversationFlow;
+    this.callVariableService = callVariableService;
+    this.auditLogger = auditLogger;
+    this.agentId = agentId || process.env.RETELL_AGENT_ID;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Create a web call for an IntakeQ client; returns null if the client
+   * doesn't exist
+   */
+  async createWebCall(clientId) {
+    try {
+      if (!this.agentId) {
+        throw new Error('RETELL_AGENT_ID is not configured');
+      }
+
+      const client = await this.intakeqService.getClientById(clientId);
+      if (!client) {
+        this.logger.warn(`Web call requested for unknown client ${clientId}`);
+        return null;
+      }
+
+      const clientInfo = {
+        id: client.id || clientId,
+        name: [client.first_name, client.last_name].filter(Boolean).join(' '),
+        phone: client.phone || null,
+        dateOfBirth: client.date_of_birth || null,
+        insurance: client.insurance || null
+      };
+      const dynamicVariables = await this.callVariableService.getWebCallVariables(
+        { verified: true, clientId: clientInfo.id, clientName: clientInfo.name, insuranceInfo: clientInfo.insurance },
+        { phoneNumber: clientInfo.phone, dateOfBirth: clientInfo.dateOfBirth }
+      );
+
+      const call = await this.retellAgent.createWebCall({
+        agentId: this.agentId,
+        dynamicVariables,
+        metadata: { source: 'patient_portal', client_id: clientInfo.id }
+      });
+
+      // Set up the conversation before the browser connects, so the LLM
+      // socket finds it already verified
+      this.conversationFlow.initializeConversation(call.call_id, { clientInfo });
+      await this.conversationFlow.persistConversation(call.call_id);
+
+      if (this.auditLogger) {
+        await this.auditLogger.logDataAccess(call.call_id, 'web_call', 'Client verified by patient portal session');
+      }
+
+      return { callId: call.call_id, accessToken: call.access_token };
+    } catch (error) {
+      this.logger.error(`Error creating web call for client ${clientId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebCallService;
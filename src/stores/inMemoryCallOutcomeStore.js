@@ -0,0 +1,39 @@
+/**
+ * In-process call outcome store with the same interface as
+ * RedisCallOutcomeStore. Intended for tests and single-instance development.
+ */
+class InMemoryCallOutcomeStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Get the record for a call, or null if missing
+   */
+  async get(callId) {
+    const value = this.records.get(callId);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Store the record for a call
+   */
+  async save(record) {
+    this.records.set(record.callId, JSON.stringify(record));
+    return true;
+  }
+
+  /**
+   * Records for calls on dates from..to (YYYY-MM-DD, inclusive), optionally
+   * only those with the given outcome
+   */
+  async query({ from, to, outcome = null }) {
+    return [...this.records.values()]
+      .map(value => JSON.parse(value))
+      .filter(record => record.date >= from && record.date <= to)
+      .filter(record => !outcome || record.outcome === outcome)
+      .sort((a, b) => (a.startedAt || '').localeCompare(b.startedAt || ''));
+  }
+}
+
+module.exports = InMemoryCallOutcomeStore;
@@ -0,0 +1,50 @@
+/**
+ * In-process conversation state store with the same interface as
+ * RedisConversationStore. Intended for tests and single-instance development.
+ */
+class InMemoryConversationStore {
+  constructor({ ttlSeconds } = {}) {
+    this.ttlSeconds = ttlSeconds || parseInt(process.env.CONVERSATION_STATE_TTL_SECONDS) || 1800;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get the stored state for a call, or null if missing or expired
+   */
+  async get(callId) {
+    const entry = this.entries.get(callId);
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() >= entry.expiresAt) {
+      this.entries.delete(callId);
+      return null;
+    }
+
+    // Round-trip through JSON so callers see the same shape Redis would return
+    return JSON.parse(entry.value);
+  }
+
+  /**
+   * Store state for a call, expiring ttlSeconds after its last activity
+   */
+  async set(callId, state) {
+    const lastActivity = state.lastActivity ? new Date(state.lastActivity).getTime() : Date.now();
+
+    this.entries.set(callId, {
+      value: JSON.stringify(state),
+      expiresAt: lastActivity + this.ttlSeconds * 1000
+    });
+    return true;
+  }
+
+  /**
+   * Remove state for a call
+   */
+  async delete(callId) {
+    return this.entries.delete(callId);
+  }
+}
+
+module.exports = InMemoryConversationStore;
@@ -0,0 +1,85 @@
+const moment = require('moment');
+const winston = require('winston');
+const StateEncryption = require('../utils/stateEncryption');
+
+/**
+ * Call outcome store backed by Redis through CacheService. Records carry the
+ * call summary, so they are encrypted with AES-256-GCM like conversation
+ * state; a per-day set of call IDs backs date range queries.
+ */
+class RedisCallOutcomeStore {
+  constructor(cacheService, { retentionDays, encryptionKey } = {}) {
+    this.cacheService = cacheService;
+    this.retentionDays = retentionDays || parseInt(process.env.CALL_OUTCOME_RETENTION_DAYS) || 90;
+    this.encryption = new StateEncryption({ encryptionKey, purpose: 'call outcomes' });
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Get the record for a call, or null if missing or expired
+   */
+  async get(callId) {
+    const record = await this.cacheService.get(this.getCacheKey(callId));
+    if (!record) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(this.encryption.decrypt(record));
+    } catch (error) {
+      this.logger.error(`Failed to decrypt call outcome for call ${callId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store the record for a call and index it under its date
+   */
+  async save(record) {
+    const ttl = this.retentionDays * 24 * 60 * 60;
+
+    const saved = await this.cacheService.set(this.getCacheKey(record.callId), this.encryption.encrypt(JSON.stringify(record)), ttl);
+    await this.cacheService.addToSet(this.getDateKey(record.date), record.callId, ttl);
+
+    return saved;
+  }
+
+  /**
+   * Records for calls on dates from..to (YYYY-MM-DD, inclusive), optionally
+   * only those with the given outcome
+   */
+  async query({ from, to, outcome = null }) {
+    const records = [];
+
+    for (let date = moment(from, 'YYYY-MM-DD'); date.isSameOrBefore(moment(to, 'YYYY-MM-DD'), 'day'); date.add(1, 'day')) {
+      const callIds = await this.cacheService.getSetMembers(this.getDateKey(date.format('YYYY-MM-DD')));
+
+      for (const callId of callIds) {
+        const record = await this.get(callId);
+        if (record && (!outcome || record.outcome === outcome)) {
+          records.push(record);
+        }
+      }
+    }
+
+    return records.sort((a, b) => (a.startedAt || '').localeCompare(b.startedAt || ''));
+  }
+
+  getCacheKey(callId) {
+    return `call_outcome:${callId}`;
+  }
+
+  getDateKey(date) {
+    return `call_outcomes:${date}`;
+  }
+}
+
+module.exports = RedisCallOutcomeStore;
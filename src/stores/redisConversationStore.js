@@ -0,0 +1,69 @@
+const winston = require('winston');
+const StateEncryption = require('../utils/stateEncryption');
+
+/**
+ * Conversation state store backed by Redis through CacheService.
+ * State holds verified client information, so it is encrypted with
+ * AES-256-GCM before it leaves the process.
+ */
+class RedisConversationStore {
+  constructor(cacheService, { ttlSeconds, encryptionKey } = {}) {
+    this.cacheService = cacheService;
+    this.ttlSeconds = ttlSeconds || parseInt(process.env.CONVERSATION_STATE_TTL_SECONDS) || 1800;
+    this.encryption = new StateEncryption({ encryptionKey, purpose: 'conversation state' });
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Get the stored state for a call, or null if missing or expired
+   */
+  async get(callId) {
+    const record = await this.cacheService.get(this.getCacheKey(callId));
+    if (!record) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(this.encryption.decrypt(record));
+    } catch (error) {
+      this.logger.error(`Failed to decrypt conversation state for call ${callId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store state for a call, expiring ttlSeconds after its last activity
+   */
+  async set(callId, state) {
+    const lastActivity = state.lastActivity ? new Date(state.lastActivity).getTime() : Date.now();
+    const remainingSeconds = Math.ceil((lastActivity + this.ttlSeconds * 1000 - Date.now()) / 1000);
+
+    if (remainingSeconds <= 0) {
+      await this.delete(callId);
+      return false;
+    }
+
+    return this.cacheService.set(this.getCacheKey(callId), this.encryption.encrypt(JSON.stringify(state)), remainingSeconds);
+  }
+
+  /**
+   * Remove state for a call
+   */
+  async delete(callId) {
+    return this.cacheService.del(this.getCacheKey(callId));
+  }
+
+  getCacheKey(callId) {
+    return `conversation:${callId}`;
+  }
+}
+
+module.exports = RedisConversationStore;
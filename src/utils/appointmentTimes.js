@@ -0,0 +1,74 @@
+const moment = require('moment-timezone');
+const ProviderDirectory = require('../services/providerDirectory');
+
+const SLOT_FORMATS = ['YYYY-MM-DD HH:mm', 'YYYY-MM-DD h:mm a', 'YYYY-MM-DD h a'];
+
+/**
+ * The one place appointment times are worked out. A slot is a YYYY-MM-DD
+ * date and HH:mm wall-clock time in the clinic timezone; its end is the
+ * start plus the APPOINTMENT_TYPES duration, and both are sent to IntakeQ
+ * as ISO timestamps with the clinic's UTC offset for that date, so a
+ * booking on either side of a DST change carries the right offset.
+ */
+class AppointmentTimes {
+  constructor({ timezone, providerDirectory = null } = {}) {
+    this.timezone = timezone || process.env.CLINIC_TIMEZONE || 'America/New_York';
+    this.providerDirectory = providerDirectory || new ProviderDirectory();
+  }
+
+  /**
+   * Times for a slot: { date, time, duration, startTime, endTime }. Throws
+   * for a malformed slot or a wall-clock time the DST change skips.
+   */
+  forSlot(date, time, appointmentType) {
+    const start = moment.tz(`${date} ${time}`, SLOT_FORMATS, true, this.timezone);
+    if (!start.isValid()) {
+      throw new Error(`Invalid appointment slot: ${date} ${time}`);
+    }
+    if (start.format('YYYY-MM-DD h:mm a') !== moment(`${date} ${time}`, SLOT_FORMATS, true).format('YYYY-MM-DD h:mm a')) {
+      throw new Error(`${date} ${time} does not exist in ${this.timezone}`);
+    }
+
+    return this.toTimes(start, appointmentType);
+  }
+
+  /**
+   * Times for an appointment starting at an ISO timestamp in any offset
+   */
+  forStart(startTime, appointmentType) {
+    const start = moment.tz(startTime, moment.ISO_8601, true, this.timezone);
+    if (!start.isValid()) {
+      throw new Error(`Invalid appointment start time: ${startTime}`);
+    }
+
+    return this.toTimes(start, appointmentType);
+  }
+
+  /**
+   * Get the configured duration in minutes for an appointment type
+   */
+  getDuration(appointmentType) {
+    return this.providerDirectory.getAppointmentDuration(appointmentType);
+  }
+
+  toTimes(start, appointmentType) {
+    const duration = this.getDuration(appointmentType);
+
+    return {
+      date: start.format('YYYY-MM-DD'),
+      time: start.format('HH:mm'),
+      duration,
+      startTime: this.serialize(start),
+      endTime: this.serialize(start.clone().add(duration, 'minutes'))
+    };
+  }
+
+  /**
+   * ISO timestamp with the clinic's offset, e.g. 2026-11-02T11:00:00-05:00
+   */
+  serialize(dateTime) {
+    return moment.tz(dateTime, this.timezone).format();
+  }
+}
+
+module.exports = AppointmentTimes;
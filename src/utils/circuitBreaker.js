@@ -0,0 +1,93 @@
+const winston = require('winston');
+
+/**
+ * Stops calls to a failing dependency. After `failureThreshold` failures
+ * in a row the circuit opens and requests are refused for `resetTimeoutMs`;
+ * then one trial request is let through (half open). Its success closes
+ * the circuit, its failure opens it again.
+ */
+class CircuitBreaker {
+  constructor({ name = 'circuit', failureThreshold = 5, resetTimeoutMs = 30000, now = () => Date.now() } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  /**
+   * Whether a request may go out now; in the half-open state only the
+   * first caller gets through
+   */
+  canRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open') {
+      if (this.now() < this.openedAt + this.resetTimeoutMs) {
+        return false;
+      }
+      this.state = 'half_open';
+      this.trialInFlight = false;
+      this.logger.info(`${this.name} circuit half open; sending a trial request`);
+    }
+
+    if (this.trialInFlight) {
+      return false;
+    }
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      this.logger.info(`${this.name} circuit closed`);
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        this.logger.warn(`${this.name} circuit open after ${this.failures} failures`);
+      }
+      this.state = 'open';
+      this.openedAt = this.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * State for health checks
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt !== null ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt !== null ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
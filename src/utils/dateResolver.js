@@ -0,0 +1,415 @@
+const moment = require('moment-timezone');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = {
+  january: 0, jan: 0,
+  february: 1, feb: 1,
+  march: 2, mar: 2,
+  april: 3, apr: 3,
+  may: 4,
+  june: 5, jun: 5,
+  july: 6, jul: 6,
+  august: 7, aug: 7,
+  september: 8, sept: 8, sep: 8,
+  october: 9, oct: 9,
+  november: 10, nov: 10,
+  december: 11, dec: 11
+};
+
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7,
+  eighth: 8, ninth: 9, tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13,
+  fourteenth: 14, fifteenth: 15, sixteenth: 16, seventeenth: 17, eighteenth: 18,
+  nineteenth: 19, twentieth: 20, thirtieth: 30
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10
+};
+
+const PARTS_OF_DAY = ['morning', 'afternoon', 'evening'];
+
+// "twenty second" must be tried before "second", so compound forms come first
+const ORDINAL_DAY_PATTERN = [
+  '(?:twenty|thirty) (?:first|second|third|fourth|fifth|sixth|seventh|eighth|ninth)',
+  ...Object.keys(ORDINAL_WORDS),
+  '\\d{1,2}(?:st|nd|rd|th)'
+].join('|');
+const DAY_PATTERN = `${ORDINAL_DAY_PATTERN}|\\d{1,2}`;
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+const WEEKDAY_PATTERN = WEEKDAYS.join('|');
+const COUNT_PATTERN = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+
+/**
+ * Resolves dates the way callers say them on the phone ("next Tuesday",
+ * "the 14th", "October twenty-second") into YYYY-MM-DD dates in the clinic's
+ * timezone.
+ */
+class DateResolver {
+  constructor({ timezone } = {}) {
+    this.timezone = timezone || process.env.CLINIC_TIMEZONE || 'America/New_York';
+  }
+
+  /**
+   * Resolve a spoken date.
+   *
+   * Returns null when no date is mentioned, { date } when a single date is
+   * meant, or { clarification, candidates } when more than one bookable date
+   * fits. When availableDates is given, ambiguous phrases are narrowed to the
+   * dates that can actually be booked. Any part of day the caller mentions
+   * ("tomorrow afternoon") is returned as partOfDay.
+   */
+  resolve(message, { availableDates = null, now = null } = {}) {
+    const text = this.normalize(message);
+    const today = (now ? moment.tz(now, this.timezone) : moment.tz(this.timezone)).startOf('day');
+    const context = { text, today, availableDates };
+
+    const resolution = this.resolveFirstAvailable(context) ||
+      this.resolveNumericDate(context) ||
+      this.resolveMonthAndDay(context) ||
+      this.resolveOffset(context) ||
+      this.resolveRelativeDay(context) ||
+      this.resolveWeekdayAndDay(context) ||
+      this.resolveWeekday(context) ||
+      this.resolveWeek(context) ||
+      this.resolveDayOfMonth(context);
+
+    if (!resolution) {
+      return null;
+    }
+
+    const partOfDay = PARTS_OF_DAY.find(part => text.includes(part));
+    return partOfDay ? { ...resolution, partOfDay } : resolution;
+  }
+
+  /**
+   * Format a YYYY-MM-DD date for speech, e.g. "Tuesday, October 21st"
+   */
+  formatSpoken(date) {
+    return moment.tz(date, 'YYYY-MM-DD', this.timezone).format('dddd, MMMM Do');
+  }
+
+  normalize(message) {
+    return message
+      .toLowerCase()
+      .replace(/(\d)\s*(st|nd|rd|th)\b/g, '$1$2')
+      .replace(/[,.!?]/g, ' ')
+      .replace(/-(?=[a-z])/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  resolveFirstAvailable({ text, availableDates }) {
+    if (!availableDates || availableDates.length === 0) {
+      return null;
+    }
+
+    if (/\b(earliest|soonest|first available|next available|as soon as possible)\b/.test(text)) {
+      return { date: availableDates[0] };
+    }
+
+    return null;
+  }
+
+  resolveNumericDate({ text, today }) {
+    const isoMatch = text.match(/\b(\d{4})[/-](\d{1,2})[/-](\d{1,2})\b/);
+    if (isoMatch) {
+      return this.toResolution(this.buildDate(+isoMatch[1], +isoMatch[2] - 1, +isoMatch[3]));
+    }
+
+    const usMatch = text.match(/\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{4}))?\b/);
+    if (usMatch) {
+      const month = +usMatch[1] - 1;
+      const day = +usMatch[2];
+      if (usMatch[3]) {
+        return this.toResolution(this.buildDate(+usMatch[3], month, day));
+      }
+      return this.toResolution(this.nextOccurrence(today, month, day));
+    }
+
+    return null;
+  }
+
+  resolveMonthAndDay({ text, today }) {
+    const monthFirst = text.match(new RegExp(`\\b(${MONTH_PATTERN}) (?:the )?(${DAY_PATTERN})\\b`));
+    const dayFirst = text.match(new RegExp(`\\b(${DAY_PATTERN}) (?:of )?(${MONTH_PATTERN})\\b`));
+
+    let month;
+    let day;
+    if (monthFirst) {
+      month = MONTHS[monthFirst[1]];
+      day = this.parseDay(monthFirst[2]);
+    } else if (dayFirst) {
+      month = MONTHS[dayFirst[2]];
+      day = this.parseDay(dayFirst[1]);
+    } else {
+      return null;
+    }
+
+    if (!day) {
+      return null;
+    }
+
+    const date = this.nextOccurrence(today, month, day);
+    const weekday = this.matchWeekday(text);
+    return date && weekday ? this.checkWeekday(date, weekday, today) : this.toResolution(date);
+  }
+
+  resolveOffset({ text, today }) {
+    const inMatch = text.match(new RegExp(`\\bin (${COUNT_PATTERN}) (day|week)s?\\b`));
+    if (inMatch) {
+      return this.toResolution(today.clone().add(this.parseCount(inMatch[1]), inMatch[2]));
+    }
+
+    const fromMatch = text.match(new RegExp(`\\b(${COUNT_PATTERN}) (day|week)s? from (today|now|tomorrow|${WEEKDAY_PATTERN})\\b`));
+    if (fromMatch) {
+      const base = this.resolveAnchor(fromMatch[3], today);
+      return this.toResolution(base.add(this.parseCount(fromMatch[1]), fromMatch[2]));
+    }
+
+    return null;
+  }
+
+  resolveRelativeDay({ text, today }) {
+    if (/\bday after tomorrow\b/.test(text)) {
+      return this.toResolution(today.clone().add(2, 'days'));
+    }
+    if (/\btomorrow\b/.test(text)) {
+      return this.toResolution(today.clone().add(1, 'day'));
+    }
+    if (/\b(today|this (morning|afternoon|evening))\b/.test(text)) {
+      return this.toResolution(today.clone());
+    }
+
+    return null;
+  }
+
+  resolveWeekday({ text, today, availableDates }) {
+    const match = text.match(new RegExp(`\\b(?:(this|next|coming) )?(${WEEKDAY_PATTERN})( after next)?\\b`));
+    if (!match) {
+      return null;
+    }
+
+    const [, modifier, weekday, afterNext] = match;
+    const upcoming = this.upcomingWeekday(today, weekday);
+
+    if (afterNext) {
+      return this.toResolution(upcoming.add(1, 'week'));
+    }
+
+    if (modifier === 'next') {
+      // "next Tuesday" said early in the week can mean this week's or next
+      // week's Tuesday
+      if (upcoming.isoWeek() === today.isoWeek()) {
+        return this.pickCandidate([upcoming, upcoming.clone().add(1, 'week')], availableDates);
+      }
+      return this.toResolution(upcoming);
+    }
+
+    // A bare weekday said on that same weekday could be today or a week out
+    if (!modifier && today.day() === WEEKDAYS.indexOf(weekday)) {
+      return this.pickCandidate([today.clone(), today.clone().add(1, 'week')], availableDates);
+    }
+
+    return this.toResolution(upcoming);
+  }
+
+  /**
+   * "Friday the 30th": the day of month picks the date and the weekday only
+   * checks it, so a date that doesn't fall on that weekday is asked about
+   */
+  resolveWeekdayAndDay({ text, today }) {
+    const weekday = this.matchWeekday(text);
+    const day = weekday && this.matchDayOfMonth(text);
+    if (!day) {
+      return null;
+    }
+
+    const candidates = this.dayOfMonthCandidates(today, day)
+      .filter(date => date.isSameOrAfter(today, 'day'));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const matching = candidates.find(date => date.day() === WEEKDAYS.indexOf(weekday));
+    return this.checkWeekday(matching || candidates[0], weekday, today);
+  }
+
+  resolveWeek({ text, today, availableDates }) {
+    const match = text.match(/\b(this|next) week\b/);
+    if (!match) {
+      return null;
+    }
+
+    const weekStart = today.clone().startOf('isoWeek').add(match[1] === 'next' ? 1 : 0, 'week');
+    const candidates = [];
+    for (let i = 0; i < 7; i++) {
+      candidates.push(weekStart.clone().add(i, 'days'));
+    }
+
+    const possible = this.filterPossible(candidates, today, availableDates);
+    if (possible.length === 0) {
+      return null;
+    }
+
+    return {
+      clarification: `Which day ${match[1]} week works best for you? I have ${this.joinSpoken(possible.map(date => date.format('dddd')))}.`,
+      candidates: possible.map(date => date.format('YYYY-MM-DD'))
+    };
+  }
+
+  resolveDayOfMonth({ text, today, availableDates }) {
+    const day = this.matchDayOfMonth(text);
+    if (!day) {
+      return null;
+    }
+
+    return this.pickCandidate(this.dayOfMonthCandidates(today, day), availableDates, today);
+  }
+
+  matchWeekday(text) {
+    const match = text.match(new RegExp(`\\b(${WEEKDAY_PATTERN})\\b`));
+    return match ? match[1] : null;
+  }
+
+  matchDayOfMonth(text) {
+    const match = text.match(new RegExp(`\\b(?:the )(${ORDINAL_DAY_PATTERN})\\b`)) ||
+      text.match(/\b(\d{1,2}(?:st|nd|rd|th))\b/);
+    return match ? this.parseDay(match[1]) : null;
+  }
+
+  /**
+   * That day in this month and next, where those months have it
+   */
+  dayOfMonthCandidates(today, day) {
+    return [0, 1]
+      .map(offset => today.clone().startOf('month').add(offset, 'month'))
+      .filter(monthStart => day <= monthStart.daysInMonth())
+      .map(monthStart => monthStart.date(day));
+  }
+
+  /**
+   * The date if it falls on the weekday the caller named; otherwise ask
+   * whether they meant the date or that weekday nearest it
+   */
+  checkWeekday(date, weekday, today) {
+    const target = WEEKDAYS.indexOf(weekday);
+    if (date.day() === target) {
+      return this.toResolution(date);
+    }
+
+    let offset = (target - date.day() + 7) % 7;
+    if (offset > 3) {
+      offset -= 7;
+    }
+    const nearest = date.clone().add(offset, 'days');
+    if (nearest.isBefore(today, 'day')) {
+      nearest.add(1, 'week');
+    }
+
+    const candidates = [date, nearest].sort((a, b) => a.diff(b));
+    return {
+      clarification: `${date.format('MMMM Do')} is a ${date.format('dddd')}. Do you mean ${this.joinSpoken(candidates.map(candidate => candidate.format('dddd, MMMM Do')), 'or')}?`,
+      candidates: candidates.map(candidate => candidate.format('YYYY-MM-DD'))
+    };
+  }
+
+  /**
+   * Choose between dates a phrase could mean. A single bookable candidate is
+   * returned outright; several become a clarification question.
+   */
+  pickCandidate(candidates, availableDates, today = null) {
+    const future = today ? candidates.filter(date => date.isSameOrAfter(today, 'day')) : candidates;
+    const possible = this.filterPossible(future, today, availableDates);
+
+    if (possible.length === 1) {
+      return this.toResolution(possible[0]);
+    }
+
+    if (possible.length > 1) {
+      return {
+        clarification: `Do you mean ${this.joinSpoken(possible.map(date => date.format('dddd, MMMM Do')), 'or')}?`,
+        candidates: possible.map(date => date.format('YYYY-MM-DD'))
+      };
+    }
+
+    // Nothing bookable: return the nearest reading so the caller can be told
+    // that date is unavailable
+    return future.length > 0 ? this.toResolution(future[0]) : null;
+  }
+
+  filterPossible(candidates, today, availableDates) {
+    return candidates.filter(date =>
+      (!today || date.isSameOrAfter(today, 'day')) &&
+      (!availableDates || availableDates.includes(date.format('YYYY-MM-DD')))
+    );
+  }
+
+  resolveAnchor(anchor, today) {
+    if (anchor === 'tomorrow') {
+      return today.clone().add(1, 'day');
+    }
+    if (WEEKDAYS.includes(anchor)) {
+      return this.upcomingWeekday(today, anchor);
+    }
+    return today.clone();
+  }
+
+  /**
+   * The next occurrence of a weekday strictly after today
+   */
+  upcomingWeekday(today, weekday) {
+    const target = WEEKDAYS.indexOf(weekday);
+    const daysAhead = ((target - today.day() + 7) % 7) || 7;
+    return today.clone().add(daysAhead, 'days');
+  }
+
+  /**
+   * The next occurrence of a month and day on or after today
+   */
+  nextOccurrence(today, month, day) {
+    const thisYear = this.buildDate(today.year(), month, day);
+    if (thisYear && thisYear.isBefore(today, 'day')) {
+      return this.buildDate(today.year() + 1, month, day);
+    }
+    return thisYear;
+  }
+
+  buildDate(year, month, day) {
+    const date = moment.tz({ year, month, day }, this.timezone);
+    return date.isValid() ? date : null;
+  }
+
+  parseDay(token) {
+    const numeric = token.match(/^(\d{1,2})/);
+    if (numeric) {
+      const day = +numeric[1];
+      return day >= 1 && day <= 31 ? day : null;
+    }
+
+    const [tens, unit] = token.split(' ');
+    if (unit) {
+      return (tens === 'twenty' ? 20 : 30) + ORDINAL_WORDS[unit];
+    }
+    return ORDINAL_WORDS[token] || null;
+  }
+
+  parseCount(token) {
+    return NUMBER_WORDS[token] || parseInt(token);
+  }
+
+  joinSpoken(items, conjunction = 'and') {
+    if (items.length <= 2) {
+      return items.join(` ${conjunction} `);
+    }
+    return `${items.slice(0, -1).join(', ')}, ${conjunction} ${items[items.length - 1]}`;
+  }
+
+  toResolution(date) {
+    return date ? { date: date.format('YYYY-MM-DD') } : null;
+  }
+}
+
+module.exports = DateResolver;
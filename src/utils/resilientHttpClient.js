@@ -0,0 +1,194 @@
+const axios = require('axios');
+const winston = require('winston');
+const CircuitBreaker = require('./circuitBreaker');
+
+// Repeating these has the same effect as sending them once
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+// The request never reached the server, so any method can be resent
+const NOT_SENT_ERRORS = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+// Timeouts and dropped connections; the server may have acted on these
+const NETWORK_ERRORS = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EPIPE'];
+
+/**
+ * HTTP client for APIs called while a caller is on the line. Each request
+ * gets a short timeout for its endpoint, failed requests are retried with
+ * jittered exponential backoff (or after the server's Retry-After), and a
+ * circuit breaker fails fast once the API is down instead of making every
+ * caller wait out the timeouts. Exposes axios' get/post/put/delete and
+ * resolves with the axios response.
+ *
+ * Timeouts are keyed `read` (GET/HEAD), `write` (everything else) or by
+ * endpoint, e.g. `GET /providers/:id/schedule`, which wins over both.
+ * Only idempotent methods are retried after a timeout or 5xx; 429s and
+ * refused connections are retried for any method.
+ */
+class ResilientHttpClient {
+  constructor({
+    name = 'HTTP',
+    baseURL,
+    headers = {},
+    timeouts = {},
+    maxRetries = 2,
+    baseDelayMs = 100,
+    maxDelayMs = 1000,
+    maxRetryAfterMs = 2000,
+    circuitBreaker = null,
+    client = null
+  } = {}) {
+    this.name = name;
+    this.timeouts = { read: 500, write: 3000, ...timeouts };
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxRetryAfterMs = maxRetryAfterMs;
+    this.circuitBreaker = circuitBreaker || new CircuitBreaker({ name });
+    this.client = client || axios.create({ baseURL, headers });
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'GET', url });
+  }
+
+  delete(url, config = {}) {
+    return this.request({ ...config, method: 'DELETE', url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'POST', url, data });
+  }
+
+  put(url, data, config = {}) {
+    return this.request({ ...config, method: 'PUT', url, data });
+  }
+
+  async request(config) {
+    const method = config.method.toUpperCase();
+    const timeout = config.timeout || this.getTimeout(method, config.url);
+    let lastError = null;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!this.circuitBreaker.canRequest()) {
+        throw lastError || this.createCircuitOpenError();
+      }
+
+      try {
+        const response = await this.client.request({ ...config, method, timeout });
+        this.circuitBreaker.recordSuccess();
+        return response;
+      } catch (error) {
+        // Any response below 500 shows the API is up
+        if (!error.response || error.response.status >= 500) {
+          this.circuitBreaker.recordFailure();
+        } else {
+          this.circuitBreaker.recordSuccess();
+        }
+
+        lastError = error;
+        const delay = this.getRetryDelay(error, method, attempt);
+        if (delay === null) {
+          throw error;
+        }
+
+        this.logger.warn(`${this.name} ${method} ${config.url} failed (${this.describe(error)}); retry ${attempt + 1} in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * The endpoint's timeout; `:name` segments in configured paths match any
+   * value
+   */
+  getTimeout(method, url) {
+    const path = (url || '').split('?')[0];
+    const endpoint = Object.keys(this.timeouts).find(key => {
+      const [keyMethod, keyPath] = key.split(' ');
+      return keyPath && keyMethod === method &&
+        new RegExp(`^${keyPath.replace(/:[^/]+/g, '[^/]+')}$`).test(path);
+    });
+
+    if (endpoint) {
+      return this.timeouts[endpoint];
+    }
+    return ['GET', 'HEAD'].includes(method) ? this.timeouts.read : this.timeouts.write;
+  }
+
+  /**
+   * Milliseconds to wait before retrying, or null to give up. A Retry-After
+   * longer than maxRetryAfterMs is not waited out.
+   */
+  getRetryDelay(error, method, attempt) {
+    if (attempt >= this.maxRetries || !this.isRetryable(error, method)) {
+      return null;
+    }
+
+    const retryAfter = this.parseRetryAfter(error.response && error.response.headers && error.response.headers['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter <= this.maxRetryAfterMs ? retryAfter : null;
+    }
+
+    // Full jitter keeps retries from many calls from arriving together
+    return Math.floor(Math.random() * Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt));
+  }
+
+  isRetryable(error, method) {
+    if (error.response) {
+      return error.response.status === 429 ||
+        (RETRYABLE_STATUSES.includes(error.response.status) && IDEMPOTENT_METHODS.includes(method));
+    }
+
+    return NOT_SENT_ERRORS.includes(error.code) ||
+      (NETWORK_ERRORS.includes(error.code) && IDEMPOTENT_METHODS.includes(method));
+  }
+
+  /**
+   * Retry-After in milliseconds, from seconds or an HTTP date
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  createCircuitOpenError() {
+    const { retryAt } = this.circuitBreaker.getState();
+    const error = new Error(`${this.name} circuit open until ${retryAt}`);
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+  }
+
+  describe(error) {
+    return error.response ? `status ${error.response.status}` : (error.code || error.message);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getCircuitState() {
+    return this.circuitBreaker.getState();
+  }
+}
+
+module.exports = ResilientHttpClient;
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+/**
+ * AES-256-GCM encryption for PHI the stores keep in Redis, keyed with a
+ * SHA-256 digest of ENCRYPTION_KEY. There is no fallback key: without one
+ * the data would be sealed with a key anyone can compute, so construction
+ * fails instead.
+ */
+class StateEncryption {
+  constructor({ encryptionKey, purpose = 'data' } = {}) {
+    const secret = encryptionKey || process.env.ENCRYPTION_KEY;
+    if (!secret) {
+      throw new Error(`ENCRYPTION_KEY is required to store ${purpose} in Redis`);
+    }
+
+    this.key = crypto.createHash('sha256').update(secret).digest();
+  }
+
+  /**
+   * Encrypt a string into { encrypted, iv, authTag }
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+
+    let encrypted = cipher.update(plaintext, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+
+    return {
+      encrypted,
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex')
+    };
+  }
+
+  /**
+   * Decrypt { encrypted, iv, authTag }; throws if it was sealed with
+   * another key or tampered with
+   */
+  decrypt({ encrypted, iv, authTag }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return decrypted;
+  }
+}
+
+module.exports = StateEncryption;
@@ -0,0 +1,299 @@
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  twenty: 20, thirty: 30, forty: 40, fifty: 50
+};
+
+const PART_OF_DAY_RANGES = {
+  'early morning': ['00:00', '10:00'],
+  morning: ['00:00', '12:00'],
+  'early afternoon': ['12:00', '14:00'],
+  'late afternoon': ['15:00', '17:00'],
+  afternoon: ['12:00', '17:00'],
+  evening: ['17:00', '24:00']
+};
+
+// Words that mark the number after them as a time ("at one", "after two")
+const TIME_CUES = 'at|around|about|after|before|by|until|till|past|to|of';
+
+/**
+ * Resolves times the way callers say them ("three thirty", "quarter past
+ * four", "late afternoon", "after 4") into the HH:mm slots produced by
+ * getAvailableTimes. AM/PM is inferred from the provider's hours when the
+ * caller doesn't say it.
+ */
+class TimeResolver {
+  constructor({ snapToleranceMinutes = 7, approximateToleranceMinutes = 30 } = {}) {
+    this.snapToleranceMinutes = snapToleranceMinutes;
+    this.approximateToleranceMinutes = approximateToleranceMinutes;
+  }
+
+  /**
+   * Resolve a spoken time against the open slots.
+   *
+   * Returns null when no time is mentioned. Otherwise returns { time,
+   * requested, label, alternatives }: time is the open slot the caller asked
+   * for, snapped to the nearest slot, or null when it is taken; requested is
+   * the HH:mm time they said (null for ranges like "late afternoon"); label is
+   * the spoken form of the request; alternatives are the two closest open
+   * slots.
+   */
+  resolve(message, { availableTimes = [], hours = null } = {}) {
+    const text = this.normalize(message);
+    const partOfDay = Object.keys(PART_OF_DAY_RANGES).find(part => text.includes(part));
+    const meridiem = this.detectMeridiem(text, partOfDay);
+
+    const exact = this.parseExactTime(text, meridiem, hours);
+    if (exact) {
+      return this.snap(exact, availableTimes);
+    }
+
+    const range = this.parseBoundedRange(text, meridiem, hours) || this.partOfDayRange(partOfDay);
+    if (range) {
+      return this.pickFromRange(range, availableTimes);
+    }
+
+    return null;
+  }
+
+  /**
+   * Format an HH:mm time for speech, e.g. "3:30 PM"
+   */
+  formatSpoken(time) {
+    const minutes = this.toMinutes(time);
+    if (minutes === null) {
+      return time;
+    }
+
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    const suffix = hour >= 12 ? 'PM' : 'AM';
+    return `${hour % 12 || 12}:${minute.toString().padStart(2, '0')} ${suffix}`;
+  }
+
+  /**
+   * Keep only the times within a part of day ("morning", "late afternoon"),
+   * or all of them if none fall within it
+   */
+  filterByPartOfDay(times, partOfDay) {
+    const range = PART_OF_DAY_RANGES[partOfDay];
+    if (!range) {
+      return times;
+    }
+
+    const [start, end] = range;
+    const filtered = times.filter(time => time >= start && time < end);
+    return filtered.length > 0 ? filtered : times;
+  }
+
+  /**
+   * The open slots closest to a time, in chronological order
+   */
+  closest(availableTimes, minutes, count = 2) {
+    return availableTimes
+      .map(time => ({ time, distance: Math.abs(this.toMinutes(time) - minutes) }))
+      .sort((a, b) => a.distance - b.distance || a.time.localeCompare(b.time))
+      .slice(0, count)
+      .map(({ time }) => time)
+      .sort();
+  }
+
+  normalize(message) {
+    let text = message
+      .toLowerCase()
+      .replace(/\b([ap])\.?\s?m\b\.?/g, '$1m')
+      .replace(/o'?\s?clock/g, 'oclock')
+      .replace(/[,!?']/g, ' ')
+      .replace(/-/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // "one" is only a time with a cue ("at one") or minutes ("one thirty"),
+    // so "that one works" isn't read as 1 o'clock
+    text = text
+      .replace(new RegExp(`\\b(${TIME_CUES}) one\\b`, 'g'), '$1 1')
+      .replace(/\bone (?=am\b|pm\b|oclock\b|oh\b|fifteen\b|twenty\b|thirty\b|forty\b|fifty\b|ten\b)/g, '1 ');
+
+    text = text
+      .replace(/\b(twenty|thirty|forty|fifty) (one|two|three|four|five|six|seven|eight|nine)\b/g,
+        (match, tens, unit) => `${NUMBER_WORDS[tens] + NUMBER_WORDS[unit]}`)
+      .replace(/\b(two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty)\b/g,
+        word => `${NUMBER_WORDS[word]}`)
+      .replace(/\b(\d{1,2}) oh (\d)\b/g, '$1:0$2')
+      .replace(/\b(\d{1,2}) ([0-5]\d)\b/g, '$1:$2')
+      .replace(/(\d)(am|pm)\b/g, '$1 $2');
+
+    return text;
+  }
+
+  detectMeridiem(text, partOfDay) {
+    // Only after a number, so "I am free at three" isn't read as 3 AM
+    const explicit = text.match(/\d (am|pm)\b/);
+    if (explicit) {
+      return explicit[1];
+    }
+    if (/\btonight\b/.test(text)) {
+      return 'pm';
+    }
+    if (partOfDay) {
+      return partOfDay.endsWith('morning') ? 'am' : 'pm';
+    }
+    return null;
+  }
+
+  parseExactTime(text, meridiem, hours) {
+    const approximate = /\b(around|about|ish)\b/.test(text);
+
+    if (/(?<!(after|before) )\b(noon|midday)\b/.test(text)) {
+      return { minutes: 12 * 60, approximate };
+    }
+
+    const relative = text.match(/\b(quarter|half|\d{1,2})(?: minutes?)? (past|after|to|of) (\d{1,2})\b/);
+    if (relative) {
+      const offset = relative[1] === 'quarter' ? 15 : relative[1] === 'half' ? 30 : parseInt(relative[1]);
+      const hour = this.inferHour(parseInt(relative[3]), 0, meridiem, hours);
+      if (hour !== null && offset < 60) {
+        return { minutes: hour * 60 + (['to', 'of'].includes(relative[2]) ? -offset : offset), approximate };
+      }
+    }
+
+    const timePattern = /(\b(?:after|before|in|within) )?\b(\d{1,2})(?::([0-5]\d))?(?: (am|pm|oclock))?\b/g;
+    let match;
+    while ((match = timePattern.exec(text)) !== null) {
+      // "after 4" and "before 11" are ranges; "in 2" is a duration
+      if (match[1]) {
+        continue;
+      }
+
+      const minute = match[3] ? parseInt(match[3]) : 0;
+      const hour = this.inferHour(parseInt(match[2]), minute, match[4] && match[4] !== 'oclock' ? match[4] : meridiem, hours);
+      if (hour !== null) {
+        return { minutes: hour * 60 + minute, approximate };
+      }
+    }
+
+    return null;
+  }
+
+  parseBoundedRange(text, meridiem, hours) {
+    const match = text.match(/\b(after|before) (noon|midday|(\d{1,2})(?::([0-5]\d))?(?: (am|pm|oclock))?)\b/);
+    if (!match) {
+      return null;
+    }
+
+    let minutes;
+    if (match[2] === 'noon' || match[2] === 'midday') {
+      minutes = 12 * 60;
+    } else {
+      const minute = match[4] ? parseInt(match[4]) : 0;
+      const hour = this.inferHour(parseInt(match[3]), minute, match[5] && match[5] !== 'oclock' ? match[5] : meridiem, hours, true);
+      if (hour === null) {
+        return null;
+      }
+      minutes = hour * 60 + minute;
+    }
+
+    const label = `${match[1]} ${this.formatSpoken(this.fromMinutes(minutes))}`;
+    return match[1] === 'after'
+      ? { from: minutes, to: 24 * 60, label }
+      : { from: 0, to: minutes, label };
+  }
+
+  partOfDayRange(partOfDay) {
+    if (!partOfDay) {
+      return null;
+    }
+
+    const [from, to] = PART_OF_DAY_RANGES[partOfDay];
+    return { from: this.toMinutes(from), to: this.toMinutes(to), label: `in the ${partOfDay}` };
+  }
+
+  /**
+   * Pick the 24-hour hour a caller means. Explicit AM/PM wins; otherwise
+   * prefer the reading that falls within the provider's hours, then the
+   * usual clinic reading (7 to 11 is morning, 12 to 6 is afternoon).
+   */
+  inferHour(hour, minute, meridiem, hours, inclusiveEnd = false) {
+    if (hour > 23 || minute > 59) {
+      return null;
+    }
+    if (hour > 12 || hour === 0) {
+      return meridiem === 'am' && hour > 12 ? null : hour;
+    }
+    if (meridiem === 'am') {
+      return hour % 12;
+    }
+    if (meridiem === 'pm') {
+      return (hour % 12) + 12;
+    }
+    if (hour === 12) {
+      return 12;
+    }
+
+    if (hours) {
+      const start = this.toMinutes(hours.start);
+      const end = this.toMinutes(hours.end);
+      const withinHours = [hour, hour + 12].filter(candidate => {
+        const minutes = candidate * 60 + minute;
+        return minutes >= start && (inclusiveEnd ? minutes <= end : minutes < end);
+      });
+      if (withinHours.length === 1) {
+        return withinHours[0];
+      }
+    }
+
+    return hour >= 7 ? hour : hour + 12;
+  }
+
+  snap({ minutes, approximate }, availableTimes) {
+    const requested = this.fromMinutes(minutes);
+    const label = this.formatSpoken(requested);
+    const tolerance = approximate ? this.approximateToleranceMinutes : this.snapToleranceMinutes;
+
+    const [nearest] = this.closest(availableTimes, minutes, 1);
+    if (nearest && Math.abs(this.toMinutes(nearest) - minutes) <= tolerance) {
+      return {
+        time: nearest,
+        requested,
+        label,
+        alternatives: this.closest(availableTimes.filter(time => time !== nearest), this.toMinutes(nearest))
+      };
+    }
+
+    return {
+      time: null,
+      requested,
+      label,
+      alternatives: this.closest(availableTimes, minutes)
+    };
+  }
+
+  pickFromRange({ from, to, label }, availableTimes) {
+    const inRange = availableTimes.filter(time => {
+      const minutes = this.toMinutes(time);
+      return minutes >= from && minutes < to;
+    });
+
+    if (inRange.length > 0) {
+      return { time: inRange[0], requested: null, label, alternatives: inRange.slice(1, 3) };
+    }
+
+    // Nothing inside the range: offer the slots nearest its edge
+    const edge = from === 0 ? to : from;
+    return { time: null, requested: null, label, alternatives: this.closest(availableTimes, edge) };
+  }
+
+  toMinutes(time) {
+    const match = typeof time === 'string' && time.match(/^(\d{1,2}):(\d{2})/);
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+  }
+
+  fromMinutes(minutes) {
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+  }
+}
+
+module.exports = TimeResolver;
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RetellAgent = require('../src/agents/retellAgent');
+const RetellStandIn = require('../src/agents/retellStandIn');
+const AgentProvisioner = require('../src/agents/agentProvisioner');
+const ProviderDirectory = require('../src/services/providerDirectory');
+const { run } = require('../src/cli/agent');
+
+describe('AgentProvisioner', () => {
+  const providerDirectory = new ProviderDirectory({
+    providerSchedules: { charles_maddix: { name: 'Charles Maddix', schedule: { monday: { start: '10:30', end: '18:00' } } } },
+    appointmentTypes: {}
+  });
+  let tmpDir;
+  let retell;
+  let retellAgent;
+  let provisioner;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-provisioner-'));
+    process.env.BASE_URL = 'https://matt.example.com';
+    retell = new RetellStandIn();
+    retellAgent = new RetellAgent({ providerDirectory, client: retell });
+    provisioner = new AgentProvisioner({ retellAgent, stateFile: path.join(tmpDir, 'state.json') });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.BASE_URL;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should create the agent and LLM on first apply and record their IDs', async () => {
+    const result = await provisioner.apply();
+
+    const agents = await retell.agent.list();
+    expect(agents).toHaveLength(1);
+    expect(agents[0].response_engine.llm_id).toBe(result.llmId);
+    expect(agents[0].webhook_url).toBe('https://matt.example.com/webhook/retell');
+    expect(provisioner.loadState()).toEqual(expect.objectContaining({ agentId: agents[0].agent_id, llmId: result.llmId }));
+    expect(result.version).toBe(1);
+  });
+
+  it('should report no changes when the live agent matches', async () => {
+    await provisioner.apply();
+
+    const plan = await provisioner.diff();
+
+    expect(plan.exists).toBe(true);
+    expect(plan.changes).toEqual([]);
+  });
+
+  it('should update only changed fields instead of creating another agent', async () => {
+    await provisioner.apply();
+    process.env.BASE_URL = 'https://matt-v2.example.com';
+    jest.spyOn(retell.agent, 'update');
+    jest.spyOn(retell.llm, 'update');
+
+    const result = await provisioner.apply();
+
+    expect(result.changes.map(change => `${change.target}.${change.field}`)).toEqual(['agent.webhook_url', 'llm.general_tools']);
+    expect(retell.agent.update).toHaveBeenCalledWith(result.agentId, { webhook_url: 'https://matt-v2.example.com/webhook/retell' });
+    expect(retell.llm.update).toHaveBeenCalledWith(result.llmId, { general_tools: expect.any(Array) });
+    expect(await retell.agent.list()).toHaveLength(1);
+  });
+
+  it('should detect edits made to the live agent outside the config', async () => {
+    const { agentId, llmId } = await provisioner.apply();
+    await retell.llm.update(llmId, { general_prompt: 'You are a pirate.' });
+
+    const plan = await provisioner.diff();
+
+    expect(plan.agentId).toBe(agentId);
+    expect(plan.changes).toEqual([expect.objectContaining({ target: 'llm', field: 'general_prompt', live: 'You are a pirate.' })]);
+  });
+
+  it('should not apply anything on a dry run', async () => {
+    const result = await provisioner.apply({ dryRun: true });
+
+    expect(result.changed).toBe(false);
+    expect(await retell.agent.list()).toEqual([]);
+  });
+
+  it('should roll back a bad prompt to the previous version', async () => {
+    const { llmId } = await provisioner.apply();
+    const goodPrompt = (await retell.llm.retrieve(llmId)).general_prompt;
+    jest.spyOn(retellAgent, 'getSystemPrompt').mockReturnValue('A bad prompt');
+    await provisioner.apply();
+
+    const result = await provisioner.rollback();
+
+    expect(result.restored).toBe(1);
+    expect((await retell.llm.retrieve(llmId)).general_prompt).toBe(goodPrompt);
+    expect(provisioner.listVersions().map(version => version.source)).toEqual(['apply', 'apply', 'rollback to v1']);
+  });
+
+  it('should refuse to roll back without an earlier version', async () => {
+    await provisioner.apply();
+
+    await expect(provisioner.rollback()).rejects.toThrow('No earlier version');
+  });
+
+  it('should provision the reminder agent separately from Matt', async () => {
+    const reminderProvisioner = new AgentProvisioner({
+      retellAgent,
+      agentName: 'reminder',
+      stateFile: path.join(tmpDir, 'reminder-state.json')
+    });
+
+    await provisioner.apply();
+    const { agentId, llmId } = await reminderProvisioner.apply();
+
+    expect(await retell.agent.list()).toHaveLength(2);
+    expect((await retell.agent.retrieve(agentId)).agent_name).toBe('Matt - Appointment Reminders');
+    expect((await retell.llm.retrieve(llmId)).general_prompt).toContain('appointment reminder');
+    expect(provisioner.loadState().agentId).not.toBe(agentId);
+  });
+
+  it('should attach the FAQ knowledge base to Matt\'s LLM once it is configured', async () => {
+    const { llmId } = await provisioner.apply();
+    process.env.RETELL_KNOWLEDGE_BASE_ID = 'knowledge_base_faq';
+
+    try {
+      const plan = await provisioner.diff();
+      await provisioner.apply();
+
+      expect(plan.changes).toEqual([expect.objectContaining({ target: 'llm', field: 'knowledge_base_ids', desired: ['knowledge_base_faq'] })]);
+      expect((await retell.llm.retrieve(llmId)).knowledge_base_ids).toEqual(['knowledge_base_faq']);
+    } finally {
+      delete process.env.RETELL_KNOWLEDGE_BASE_ID;
+    }
+  });
+
+  describe('CLI', () => {
+    it('should apply and list versions through the command runner', async () => {
+      await run(['apply'], { provisioner });
+      const versions = await run(['versions'], { provisioner });
+
+      expect(versions).toEqual([expect.objectContaining({ version: 1, source: 'apply' })]);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('as version 1'));
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const VoiceAgentApp = require('../src/index');
+
+describe('VoiceAgentApp', () => {
+  const apiKey = 'retell_test_key';
+  const sign = (body, timestamp = Date.now()) =>
+    `v=${timestamp},d=${crypto.createHmac('sha256', apiKey).update(body + timestamp).digest('hex')}`;
+  const env = {
+    RETELL_API_KEY: apiKey,
+    PROVIDER_SCHEDULES: JSON.stringify({ charles_maddix: { name: 'Charles Maddix', schedule: { tuesday: { start: '10:30', end: '18:00' } } } })
+  };
+  const originalEnv = {};
+  let voiceAgent;
+  let baseUrl;
+
+  beforeEach(async () => {
+    for (const [name, value] of Object.entries(env)) {
+      originalEnv[name] = process.env[name];
+      process.env[name] = value;
+    }
+    voiceAgent = new VoiceAgentApp();
+
+    voiceAgent.server.listen(0);
+    await new Promise(resolve => voiceAgent.server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${voiceAgent.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => voiceAgent.server.close(resolve));
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  const callTool = (route, args) => {
+    const body = JSON.stringify({ call: { call_id: 'call_001' }, args });
+    return fetch(`${baseUrl}/functions/${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Retell-Signature': sign(body) },
+      body
+    });
+  };
+
+  describe('Retell functions', () => {
+    it('should pass the caller\'s details to verify_client as sent', async () => {
+      jest.spyOn(voiceAgent.verificationService, 'verifyClient').mockResolvedValue({ verified: true, clientId: 'client_001', firstName: 'John' });
+      jest.spyOn(voiceAgent.callVariableService, 'applyVerifiedVariables').mockResolvedValue();
+      jest.spyOn(voiceAgent.cacheService, 'cacheVerifiedClient').mockResolvedValue();
+
+      const response = await callTool('verify-client', { phoneNumber: '904-123-4567', dateOfBirth: '03/15/1985' });
+
+      expect(response.status).toBe(200);
+      expect(voiceAgent.verificationService.verifyClient).toHaveBeenCalledWith('904-123-4567', '03/15/1985');
+      expect(await response.json()).toEqual({ verified: true, clientId: 'client_001', firstName: 'John' });
+      expect(voiceAgent.cacheService.cacheVerifiedClient).toHaveBeenCalledWith('call_001', 'client_001');
+    });
+
+    it('should validate schedule_appointment against the plain client ID', async () => {
+      jest.spyOn(voiceAgent.cacheService, 'getVerifiedClient').mockResolvedValue('client_001');
+      jest.spyOn(voiceAgent.bookingService, 'bookAppointment').mockResolvedValue({ success: true, appointment: { id: 'apt_001' } });
+
+      const response = await callTool('schedule-appointment', {
+        clientId: 'client_001',
+        providerId: 'charles_maddix',
+        appointmentType: 'follow_up',
+        date: '2026-10-20',
+        time: '15:00'
+      });
+
+      expect(response.status).toBe(200);
+      expect(voiceAgent.bookingService.bookAppointment).toHaveBeenCalledWith(expect.objectContaining({ clientId: 'client_001', callId: 'call_001' }));
+    });
+
+    describe('booking for a client', () => {
+      const booking = {
+        clientId: 'client_001',
+        providerId: 'charles_maddix',
+        appointmentType: 'follow_up',
+        date: '2026-10-20',
+        time: '15:00'
+      };
+
+      beforeEach(() => {
+        jest.spyOn(voiceAgent.cacheService, 'getVerifiedClient').mockResolvedValue('client_002');
+        jest.spyOn(voiceAgent.bookingService, 'bookAppointment').mockResolvedValue({ success: true, appointment: { id: 'apt_001' } });
+        jest.spyOn(voiceAgent.auditLogger, 'logSecurityEvent').mockResolvedValue();
+      });
+
+      it('should refuse to book for a client other than the verified caller', async () => {
+        const response = await callTool('schedule-appointment', booking);
+
+        expect(await response.json()).toEqual({ success: false, reason: 'client_not_verified' });
+        expect(voiceAgent.bookingService.bookAppointment).not.toHaveBeenCalled();
+        expect(voiceAgent.auditLogger.logSecurityEvent).toHaveBeenCalledWith('unauthorized_access', expect.objectContaining({ clientId: 'client_001' }));
+      });
+
+      it('should refuse callers who haven\'t verified', async () => {
+        voiceAgent.cacheService.getVerifiedClient.mockResolvedValue(null);
+
+        const response = await callTool('schedule-appointment', booking);
+
+        expect(await response.json()).toEqual({ success: false, reason: 'not_verified' });
+        expect(voiceAgent.bookingService.bookAppointment).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('changing an existing appointment', () => {
+      const appointment = {
+        id: 'apt_001',
+        client_id: 'client_001',
+        provider_id: 'charles_maddix',
+        appointment_type: 'comprehensive_evaluation',
+        start_time: '2026-10-20T15:00:00-04:00'
+      };
+
+      beforeEach(() => {
+        jest.spyOn(voiceAgent.cacheService, 'getVerifiedClient').mockResolvedValue('client_001');
+        jest.spyOn(voiceAgent.intakeqService, 'getAppointment').mockResolvedValue(appointment);
+        jest.spyOn(voiceAgent.intakeqService, 'isTimeSlotAvailable').mockResolvedValue(true);
+        jest.spyOn(voiceAgent.intakeqService, 'rescheduleAppointment').mockResolvedValue({ id: 'apt_001' });
+        jest.spyOn(voiceAgent.intakeqService, 'cancelAppointment').mockResolvedValue({ id: 'apt_001' });
+        jest.spyOn(voiceAgent.auditLogger, 'logAppointmentModification').mockResolvedValue();
+        jest.spyOn(voiceAgent.auditLogger, 'logAppointmentCancellation').mockResolvedValue();
+        jest.spyOn(voiceAgent.auditLogger, 'logSecurityEvent').mockResolvedValue();
+      });
+
+      it('should reschedule the caller\'s appointment through the booking checks and audit it', async () => {
+        const response = await callTool('reschedule-appointment', { appointmentId: 'apt_001', date: '2026-10-27', time: '15:00' });
+
+        expect(await response.json()).toEqual({ success: true, appointment: { id: 'apt_001' } });
+        expect(voiceAgent.intakeqService.isTimeSlotAvailable)
+          .toHaveBeenCalledWith('charles_maddix', '2026-10-27T15:00:00-04:00', '2026-10-27T16:00:00-04:00');
+        expect(voiceAgent.intakeqService.rescheduleAppointment)
+          .toHaveBeenCalledWith('apt_001', '2026-10-27T15:00:00-04:00', null, 'comprehensive_evaluation');
+        expect(voiceAgent.auditLogger.logAppointmentModification).toHaveBeenCalledWith('call_001', 'apt_001', {
+          previousStartTime: '2026-10-20T15:00:00-04:00',
+          newStartTime: '2026-10-27T15:00:00-04:00',
+          providerId: 'charles_maddix',
+          appointmentType: 'comprehensive_evaluation',
+          reason: 'client_request'
+        });
+      });
+
+      it('should cancel the caller\'s appointment and audit it', async () => {
+        const response = await callTool('cancel-appointment', { appointmentId: 'apt_001', reason: 'feeling better' });
+
+        expect(await response.json()).toEqual({ success: true, appointment: { id: 'apt_001' } });
+        expect(voiceAgent.intakeqService.cancelAppointment).toHaveBeenCalledWith('apt_001', 'feeling better');
+        expect(voiceAgent.auditLogger.logAppointmentCancellation).toHaveBeenCalledWith('call_001', 'apt_001', 'feeling better');
+      });
+
+      it('should refuse another client\'s appointment', async () => {
+        voiceAgent.cacheService.getVerifiedClient.mockResolvedValue('client_002');
+
+        const rescheduled = await callTool('reschedule-appointment', { appointmentId: 'apt_001', date: '2026-10-27', time: '15:00' });
+        const cancelled = await callTool('cancel-appointment', { appointmentId: 'apt_001' });
+
+        expect(await rescheduled.json()).toEqual({ success: false, reason: 'appointment_not_found' });
+        expect(await cancelled.json()).toEqual({ success: false, reason: 'appointment_not_found' });
+        expect(voiceAgent.intakeqService.rescheduleAppointment).not.toHaveBeenCalled();
+        expect(voiceAgent.intakeqService.cancelAppointment).not.toHaveBeenCalled();
+        expect(voiceAgent.auditLogger.logSecurityEvent).toHaveBeenCalledWith('unauthorized_access', expect.objectContaining({ appointmentId: 'apt_001' }));
+      });
+
+      it('should refuse callers who haven\'t verified', async () => {
+        voiceAgent.cacheService.getVerifiedClient.mockResolvedValue(null);
+
+        const response = await callTool('cancel-appointment', { appointmentId: 'apt_001' });
+
+        expect(await response.json()).toEqual({ success: false, reason: 'not_verified' });
+        expect(voiceAgent.intakeqService.getAppointment).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
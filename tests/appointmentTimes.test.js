@@ -0,0 +1,59 @@
+const AppointmentTimes = require('../src/utils/appointmentTimes');
+const ProviderDirectory = require('../src/services/providerDirectory');
+
+describe('AppointmentTimes', () => {
+  let appointmentTimes;
+
+  beforeEach(() => {
+    appointmentTimes = new AppointmentTimes({
+      timezone: 'America/New_York',
+      providerDirectory: new ProviderDirectory({ providerSchedules: {}, appointmentTypes: { follow_up: { duration: 20 } } })
+    });
+  });
+
+  describe('forSlot', () => {
+    it('should derive the end time from the appointment type duration', () => {
+      expect(appointmentTimes.forSlot('2026-11-02', '11:00', 'comprehensive_evaluation')).toEqual({
+        date: '2026-11-02',
+        time: '11:00',
+        duration: 60,
+        startTime: '2026-11-02T11:00:00-05:00',
+        endTime: '2026-11-02T12:00:00-05:00'
+      });
+      expect(appointmentTimes.forSlot('2026-11-02', '11:00', 'follow_up').endTime).toBe('2026-11-02T11:20:00-05:00');
+    });
+
+    it('should use the clinic offset on each side of a DST change', () => {
+      expect(appointmentTimes.forSlot('2026-10-30', '15:30', 'follow_up').startTime).toBe('2026-10-30T15:30:00-04:00');
+      expect(appointmentTimes.forSlot('2026-11-02', '15:30', 'follow_up').startTime).toBe('2026-11-02T15:30:00-05:00');
+    });
+
+    it('should end an appointment spanning the spring-forward change after its real duration', () => {
+      expect(appointmentTimes.forSlot('2027-03-14', '01:30', 'comprehensive_evaluation')).toMatchObject({
+        startTime: '2027-03-14T01:30:00-05:00',
+        endTime: '2027-03-14T03:30:00-04:00'
+      });
+    });
+
+    it('should reject malformed slots and times the clocks skip', () => {
+      expect(() => appointmentTimes.forSlot('2026-11-02', '25:00', 'follow_up')).toThrow('Invalid appointment slot');
+      expect(() => appointmentTimes.forSlot('2027-03-14', '02:30', 'follow_up')).toThrow('does not exist in America/New_York');
+    });
+  });
+
+  describe('forStart', () => {
+    it('should move a timestamp in any offset to clinic time', () => {
+      expect(appointmentTimes.forStart('2026-11-02T16:00:00Z', 'ketamine_consultation')).toEqual({
+        date: '2026-11-02',
+        time: '11:00',
+        duration: 30,
+        startTime: '2026-11-02T11:00:00-05:00',
+        endTime: '2026-11-02T11:30:00-05:00'
+      });
+    });
+
+    it('should reject timestamps that are not ISO 8601', () => {
+      expect(() => appointmentTimes.forStart('next Tuesday', 'follow_up')).toThrow('Invalid appointment start time');
+    });
+  });
+});
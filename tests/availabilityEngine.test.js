@@ -0,0 +1,128 @@
+const moment = require('moment-timezone');
+const AvailabilityEngine = require('../src/services/availabilityEngine');
+
+describe('AvailabilityEngine', () => {
+  const timezone = 'America/New_York';
+  const date = moment.tz(timezone).add(7, 'days').format('YYYY-MM-DD');
+  const at = (time) => moment.tz(`${date} ${time}`, timezone).format();
+  const everyDay = { start: '10:30', end: '18:00' };
+  const schedule = {
+    monday: everyDay, tuesday: everyDay, wednesday: everyDay, thursday: everyDay,
+    friday: everyDay, saturday: everyDay, sunday: everyDay
+  };
+
+  let intakeqService;
+  let providerSchedule;
+  let engine;
+
+  beforeEach(() => {
+    process.env.PROVIDER_SCHEDULES = JSON.stringify({
+      charles_maddix: { name: 'Charles Maddix', schedule },
+      ava_suleiman: { name: 'Ava Suleiman', schedule }
+    });
+    providerSchedule = { appointments: [], blocked_times: [] };
+    intakeqService = {
+      getProviderSchedule: jest.fn(async () => providerSchedule)
+    };
+    engine = new AvailabilityEngine({ intakeqService });
+  });
+
+  afterEach(() => {
+    delete process.env.PROVIDER_SCHEDULES;
+  });
+
+  describe('getAvailableSlots', () => {
+    it('should subtract booked appointments for the full duration', async () => {
+      providerSchedule.appointments.push({ start_time: at('15:00'), end_time: at('16:00'), status: 'scheduled' });
+      const provider = engine.getProvider('charles_maddix');
+
+      const followUps = await engine.getAvailableSlots(provider, date, 'follow_up');
+      const evaluations = await engine.getAvailableSlots(provider, date, 'comprehensive_evaluation');
+
+      expect(followUps).toContain('14:45');
+      expect(followUps).not.toContain('15:00');
+      expect(followUps).not.toContain('15:45');
+      expect(followUps).toContain('16:00');
+      expect(evaluations).toContain('14:00');
+      expect(evaluations).not.toContain('14:15');
+      expect(intakeqService.getProviderSchedule).toHaveBeenCalledWith('charles_maddix', date);
+    });
+
+    it('should compare bookings in the clinic timezone', async () => {
+      const utcStart = moment.tz(`${date} 11:00`, timezone).utc();
+      providerSchedule.appointments.push({
+        start_time: utcStart.toISOString(),
+        end_time: utcStart.clone().add(30, 'minutes').toISOString(),
+        status: 'scheduled'
+      });
+
+      const slots = await engine.getAvailableSlots(engine.getProvider('charles_maddix'), date, 'follow_up');
+
+      expect(slots).toContain('10:45');
+      expect(slots).not.toContain('11:00');
+      expect(slots).not.toContain('11:15');
+      expect(slots).toContain('11:30');
+    });
+
+    it('should ignore cancelled appointments', async () => {
+      providerSchedule.appointments.push({ start_time: at('15:00'), end_time: at('16:00'), status: 'cancelled' });
+
+      const slots = await engine.getAvailableSlots(engine.getProvider('charles_maddix'), date, 'follow_up');
+
+      expect(slots).toContain('15:00');
+    });
+
+    it('should subtract blocked time and lunch', async () => {
+      providerSchedule.blocked_times.push({ start_time: at('10:30'), end_time: at('12:00') });
+
+      const slots = await engine.getAvailableSlots(engine.getProvider('charles_maddix'), date, 'follow_up');
+
+      expect(slots[0]).toBe('12:00');
+      expect(slots).not.toContain('13:00');
+      expect(slots).toContain('14:00');
+    });
+
+    it('should cache the IntakeQ schedule for the day', async () => {
+      const values = new Map();
+      const cacheService = {
+        get: jest.fn(async (key) => values.get(key) || null),
+        set: jest.fn(async (key, value) => values.set(key, value))
+      };
+      engine = new AvailabilityEngine({ intakeqService, cacheService });
+      const provider = engine.getProvider('charles_maddix');
+
+      await engine.getAvailableSlots(provider, date, 'follow_up');
+      await engine.getAvailableSlots(provider, date, 'comprehensive_evaluation');
+
+      expect(intakeqService.getProviderSchedule).toHaveBeenCalledTimes(1);
+      expect(cacheService.set).toHaveBeenCalledWith(`availability:charles_maddix:${date}`, providerSchedule, 300);
+    });
+  });
+
+  describe('getAvailability', () => {
+    it('should return slots for a single provider', async () => {
+      const availability = await engine.getAvailability({ providerId: 'ava_suleiman', date, appointmentType: 'ketamine_consultation' });
+
+      expect(availability.duration).toBe(30);
+      expect(availability.providers).toHaveLength(1);
+      expect(availability.providers[0].providerId).toBe('ava_suleiman');
+      expect(availability.providers[0].slots[0]).toBe('10:30');
+    });
+
+    it('should return slots for every provider when none is given', async () => {
+      const availability = await engine.getAvailability({ date, appointmentType: 'follow_up' });
+
+      expect(availability.providers.map(p => p.providerId)).toEqual(['charles_maddix', 'ava_suleiman']);
+    });
+
+    it('should skip unknown providers', async () => {
+      const availability = await engine.getAvailability({ providerId: 'dr_nobody', date });
+
+      expect(availability.providers).toEqual([]);
+    });
+
+    it('should reject malformed dates', async () => {
+      await expect(engine.getAvailability({ providerId: 'charles_maddix', date: '01/15/2024' })).rejects.toThrow('YYYY-MM-DD');
+    });
+  });
+});
@@ -0,0 +1,268 @@
+const BookingService = require('../src/services/bookingService');
+const AvailabilityEngine = require('../src/services/availabilityEngine');
+const ProviderDirectory = require('../src/services/providerDirectory');
+const { createFakeCacheService } = require('./helpers/fakeCacheService');
+
+const everyDay = { start: '10:00', end: '18:00' };
+const providerSchedules = {
+  charles_maddix: {
+    name: 'Charles Maddix',
+    schedule: {
+      monday: everyDay, tuesday: everyDay, wednesday: everyDay, thursday: everyDay,
+      friday: everyDay, saturday: everyDay, sunday: everyDay
+    }
+  }
+};
+
+describe('BookingService', () => {
+  const date = '2026-11-04';
+  const slot = { providerId: 'charles_maddix', appointmentType: 'follow_up', date, time: '11:00' };
+  const booking = {
+    ...slot,
+    callId: 'call_001',
+    clientId: 'client_001',
+    location: 'in-person'
+  };
+  const startTime = '2026-11-04T11:00:00-05:00';
+  const endTime = '2026-11-04T11:15:00-05:00';
+  let cacheService;
+  let intakeqService;
+  let availabilityEngine;
+  let bookingService;
+
+  beforeEach(() => {
+    cacheService = createFakeCacheService();
+    intakeqService = {
+      isTimeSlotAvailable: jest.fn().mockResolvedValue(true),
+      getProviderSchedule: jest.fn().mockResolvedValue({ appointments: [], blocked_times: [] }),
+      createAppointment: jest.fn(async (data) => ({ id: 'apt_100', start_time: data.startTime, status: 'scheduled' }))
+    };
+    availabilityEngine = new AvailabilityEngine({
+      intakeqService,
+      cacheService,
+      providerDirectory: new ProviderDirectory({ providerSchedules, appointmentTypes: {} })
+    });
+    bookingService = new BookingService({ intakeqService, availabilityEngine, cacheService, holdTtlSeconds: 120 });
+  });
+
+  describe('holdSlot', () => {
+    it('should hold a slot for the call that offered it', async () => {
+      const hold = await bookingService.holdSlot({ ...slot, callId: 'call_001' });
+
+      expect(hold.held).toBe(true);
+      expect(cacheService.setIfAbsent).toHaveBeenCalledWith('slot-hold:charles_maddix:2026-11-04:11:00', { callId: 'call_001' }, 120);
+      expect((await bookingService.holdSlot({ ...slot, callId: 'call_001' })).held).toBe(true);
+    });
+
+    it('should tell another call the slot is taken and offer the closest times no one holds', async () => {
+      await bookingService.holdSlot({ ...slot, callId: 'call_001' });
+      await bookingService.holdSlot({ ...slot, time: '11:15', callId: 'call_001' });
+
+      const result = await bookingService.holdSlot({ ...slot, callId: 'call_002' });
+
+      expect(result).toEqual(expect.objectContaining({
+        held: false,
+        reason: 'slot_taken',
+        providerId: 'charles_maddix',
+        date,
+        alternatives: ['10:30', '10:45']
+      }));
+      expect(result.message).toBe('I\'m sorry, 11:00 AM was just taken. The closest times I have that day are 10:30 AM and 10:45 AM.');
+    });
+
+    it('should refuse a slot that overlaps a longer appointment another call holds', async () => {
+      await bookingService.holdSlot({ ...slot, appointmentType: 'comprehensive_evaluation', time: '10:00', callId: 'call_001' });
+
+      const overlapping = await bookingService.holdSlot({ ...slot, time: '10:30', callId: 'call_002' });
+      const after = await bookingService.holdSlot({ ...slot, time: '11:00', callId: 'call_002' });
+
+      expect(overlapping).toEqual(expect.objectContaining({ held: false, reason: 'slot_taken' }));
+      expect(after.held).toBe(true);
+    });
+
+    it('should not keep part of a hold it couldn\'t finish', async () => {
+      await bookingService.holdSlot({ ...slot, callId: 'call_002' });
+
+      const result = await bookingService.holdSlot({ ...slot, appointmentType: 'comprehensive_evaluation', time: '10:30', callId: 'call_001' });
+
+      expect(result.held).toBe(false);
+      expect(cacheService.store.has('slot-hold:charles_maddix:2026-11-04:10:30')).toBe(false);
+      expect(cacheService.store.has('slot-hold:charles_maddix:2026-11-04:10:45')).toBe(false);
+      expect(JSON.parse(cacheService.store.get('slot-hold:charles_maddix:2026-11-04:11:00'))).toEqual({ callId: 'call_002' });
+    });
+
+    it('should only let the holding call release a hold', async () => {
+      await bookingService.holdSlot({ ...slot, callId: 'call_001' });
+
+      await bookingService.releaseHold({ ...slot, callId: 'call_002' });
+      expect((await bookingService.holdSlot({ ...slot, callId: 'call_002' })).held).toBe(false);
+
+      await bookingService.releaseHold({ ...slot, callId: 'call_001' });
+      expect((await bookingService.holdSlot({ ...slot, callId: 'call_002' })).held).toBe(true);
+    });
+  });
+
+  describe('bookAppointment', () => {
+    it('should re-check IntakeQ and create the appointment', async () => {
+      const result = await bookingService.bookAppointment(booking);
+
+      expect(result).toEqual({ success: true, appointment: expect.objectContaining({ id: 'apt_100' }), duplicate: false });
+      expect(intakeqService.isTimeSlotAvailable).toHaveBeenCalledWith('charles_maddix', startTime, endTime);
+      expect(intakeqService.createAppointment).toHaveBeenCalledWith(expect.objectContaining({
+        clientId: 'client_001',
+        startTime,
+        endTime
+      }));
+      // The booked slot needs no hold, and availability is fetched fresh
+      expect(cacheService.store.has('slot-hold:charles_maddix:2026-11-04:11:00')).toBe(false);
+      expect(cacheService.del).toHaveBeenCalledWith('availability:charles_maddix:2026-11-04');
+    });
+
+    it('should return the first appointment when Retell retries the function', async () => {
+      const first = await bookingService.bookAppointment(booking);
+      const retry = await bookingService.bookAppointment(booking);
+
+      expect(retry).toEqual({ success: true, appointment: first.appointment, duplicate: true });
+      expect(intakeqService.createAppointment).toHaveBeenCalledTimes(1);
+    });
+
+    it('should create once when retries arrive while the first is in flight', async () => {
+      let finishCreate;
+      intakeqService.createAppointment.mockImplementationOnce(() => new Promise(resolve => {
+        finishCreate = () => resolve({ id: 'apt_100', status: 'scheduled' });
+      }));
+
+      const first = bookingService.bookAppointment(booking);
+      const retry = bookingService.bookAppointment(booking);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      finishCreate();
+
+      const results = await Promise.all([first, retry]);
+      expect(results.map(result => result.duplicate)).toEqual([false, true]);
+      expect(intakeqService.createAppointment).toHaveBeenCalledTimes(1);
+    });
+
+    it('should book the same slot again on a different call', async () => {
+      await bookingService.bookAppointment(booking);
+      await bookingService.bookAppointment({ ...booking, callId: 'call_002' });
+
+      expect(intakeqService.createAppointment).toHaveBeenCalledTimes(2);
+    });
+
+    it('should offer alternatives when another call holds the slot', async () => {
+      await bookingService.holdSlot({ ...slot, callId: 'call_002' });
+
+      const result = await bookingService.bookAppointment(booking);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, reason: 'slot_taken', alternatives: ['10:45', '11:15'] }));
+      expect(intakeqService.createAppointment).not.toHaveBeenCalled();
+      expect(cacheService.store.has('booking:call_001:charles_maddix:2026-11-04:11:00')).toBe(false);
+    });
+
+    it('should offer alternatives when IntakeQ says the slot was booked', async () => {
+      intakeqService.isTimeSlotAvailable.mockResolvedValue(false);
+      intakeqService.getProviderSchedule.mockResolvedValue({
+        appointments: [{ start_time: '2026-11-04T11:00:00-05:00', end_time: '2026-11-04T12:00:00-05:00', status: 'scheduled' }],
+        blocked_times: []
+      });
+
+      const result = await bookingService.bookAppointment(booking);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, reason: 'slot_taken', alternatives: ['10:30', '10:45'] }));
+      expect(intakeqService.createAppointment).not.toHaveBeenCalled();
+      expect(cacheService.store.has('slot-hold:charles_maddix:2026-11-04:11:00')).toBe(false);
+    });
+
+    it('should treat an IntakeQ conflict on create as the slot being taken', async () => {
+      intakeqService.createAppointment.mockRejectedValue(Object.assign(new Error('Conflict'), { response: { status: 409 } }));
+
+      const result = await bookingService.bookAppointment(booking);
+
+      expect(result.reason).toBe('slot_taken');
+    });
+
+    it('should let a retry try again after IntakeQ fails', async () => {
+      intakeqService.createAppointment.mockRejectedValueOnce(new Error('IntakeQ unavailable'));
+
+      await expect(bookingService.bookAppointment(booking)).rejects.toThrow('IntakeQ unavailable');
+      const retry = await bookingService.bookAppointment(booking);
+
+      expect(retry).toEqual(expect.objectContaining({ success: true, duplicate: false }));
+      expect(intakeqService.createAppointment).toHaveBeenCalledTimes(2);
+    });
+
+    it('should still re-check IntakeQ without Redis', async () => {
+      bookingService = new BookingService({ intakeqService, availabilityEngine });
+      intakeqService.isTimeSlotAvailable.mockResolvedValue(false);
+
+      const result = await bookingService.bookAppointment(booking);
+
+      expect(result.reason).toBe('slot_taken');
+      expect(intakeqService.createAppointment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rescheduleAppointment', () => {
+    const appointment = {
+      id: 'apt_001',
+      client_id: 'client_001',
+      provider_id: 'charles_maddix',
+      appointment_type: 'comprehensive_evaluation',
+      start_time: '2026-11-04T14:00:00-05:00',
+      end_time: '2026-11-04T15:00:00-05:00'
+    };
+    const move = { callId: 'call_001', appointment, date, time: '11:00' };
+
+    beforeEach(() => {
+      intakeqService.rescheduleAppointment = jest.fn(async (id, start) => ({ ...appointment, start_time: start, status: 'rescheduled' }));
+    });
+
+    it('should hold the new time, re-check IntakeQ and move the appointment with its type', async () => {
+      const result = await bookingService.rescheduleAppointment(move);
+
+      expect(result).toEqual({
+        success: true,
+        appointment: expect.objectContaining({ status: 'rescheduled' }),
+        startTime: '2026-11-04T11:00:00-05:00',
+        duplicate: false
+      });
+      expect(cacheService.setIfAbsent).toHaveBeenCalledWith('slot-hold:charles_maddix:2026-11-04:11:45', { callId: 'call_001' }, 120);
+      expect(intakeqService.isTimeSlotAvailable).toHaveBeenCalledWith('charles_maddix', '2026-11-04T11:00:00-05:00', '2026-11-04T12:00:00-05:00');
+      expect(intakeqService.rescheduleAppointment).toHaveBeenCalledWith('apt_001', '2026-11-04T11:00:00-05:00', null, 'comprehensive_evaluation');
+      expect(cacheService.store.has('slot-hold:charles_maddix:2026-11-04:11:00')).toBe(false);
+    });
+
+    it('should offer alternatives when another call holds part of the new time', async () => {
+      await bookingService.holdSlot({ ...slot, time: '11:30', callId: 'call_002' });
+
+      const result = await bookingService.rescheduleAppointment(move);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, reason: 'slot_taken' }));
+      expect(intakeqService.rescheduleAppointment).not.toHaveBeenCalled();
+    });
+
+    it('should offer alternatives when IntakeQ says the new time was booked', async () => {
+      intakeqService.isTimeSlotAvailable.mockResolvedValue(false);
+
+      const result = await bookingService.rescheduleAppointment(move);
+
+      expect(result.reason).toBe('slot_taken');
+      expect(intakeqService.rescheduleAppointment).not.toHaveBeenCalled();
+      expect(cacheService.store.has('slot-hold:charles_maddix:2026-11-04:11:00')).toBe(false);
+    });
+
+    it('should only check the part of the new time the appointment doesn\'t already occupy', async () => {
+      await bookingService.rescheduleAppointment({ ...move, time: '14:30' });
+
+      expect(intakeqService.isTimeSlotAvailable).toHaveBeenCalledTimes(1);
+      expect(intakeqService.isTimeSlotAvailable).toHaveBeenCalledWith('charles_maddix', '2026-11-04T15:00:00-05:00', '2026-11-04T15:30:00-05:00');
+    });
+
+    it('should report a retry of a finished move without moving it again', async () => {
+      const result = await bookingService.rescheduleAppointment({ ...move, time: '14:00' });
+
+      expect(result).toEqual({ success: true, appointment, startTime: '2026-11-04T14:00:00-05:00', duplicate: true });
+      expect(intakeqService.rescheduleAppointment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -57,20 +57,6 @@ describe('CacheService', () => {
     });
   });
 
-  describe('getAppointmentAvailability', () => {
-    it('should return cached availability if available', async () => {
-      const providerId = 'charles_maddix';
-      const date = '2024-01-15';
-
-      const availability = await cacheService.getAppointmentAvailability(providerId, date);
-      
-      expect(availability).toBeDefined();
-      expect(availability.providerId).toBe(providerId);
-      expect(availability.date).toBe(date);
-      expect(availability.slots).toBeDefined();
-    });
-  });
-
   describe('cacheClientInfo', () => {
     it('should cache client information', async () => {
       const clientId = 'client_001';
@@ -149,21 +135,6 @@ describe('CacheService', () => {
     });
   });
 
-  describe('generateMockAvailability', () => {
-    it('should generate mock availability data', () => {
-      const providerId = 'charles_maddix';
-      const date = '2024-01-15';
-
-      const availability = cacheService.generateMockAvailability(providerId, date);
-      
-      expect(availability).toBeDefined();
-      expect(availability.providerId).toBe(providerId);
-      expect(availability.date).toBe(date);
-      expect(availability.slots).toBeDefined();
-      expect(Array.isArray(availability.slots)).toBe(true);
-    });
-  });
-
   describe('getStats', () => {
     it('should return cache statistics', async () => {
       const stats = await cacheService.getStats();
@@ -0,0 +1,227 @@
+const CallOutcomeService = require('../src/services/callOutcomeService');
+const InMemoryCallOutcomeStore = require('../src/stores/inMemoryCallOutcomeStore');
+const RedisCallOutcomeStore = require('../src/stores/redisCallOutcomeStore');
+const ConversationFlow = require('../src/flows/conversationFlow');
+const { createFakeCacheService } = require('./helpers/fakeCacheService');
+
+describe('CallOutcomeService', () => {
+  const verifiedState = {
+    callId: 'call_001',
+    step: 'completed',
+    intent: 'schedule',
+    clientVerified: true,
+    clientInfo: { id: 'client_001', name: 'John Doe' },
+    insuranceVerified: true,
+    appointmentType: 'follow_up',
+    preferredProvider: { id: 'charles_maddix' },
+    conversationHistory: [{ role: 'user' }, { role: 'agent' }],
+    startTime: new Date('2026-10-19T14:00:00Z')
+  };
+  const analyzedCall = {
+    start_timestamp: Date.parse('2026-10-19T14:00:00Z'),
+    end_timestamp: Date.parse('2026-10-19T14:06:00Z'),
+    call_analysis: {
+      call_summary: 'Caller booked a follow-up with Charles Maddix.',
+      user_sentiment: 'Positive',
+      custom_analysis_data: { appointment_scheduled: true, insurance_verified: true, client_satisfaction: 'high' }
+    }
+  };
+  let states;
+  let auditLogs;
+  let auditLogger;
+  let intakeqService;
+  let outcomeStore;
+  let service;
+
+  beforeEach(() => {
+    states = new Map();
+    auditLogs = [];
+    auditLogger = {
+      getAuditLogsForCall: jest.fn(callId => auditLogs.filter(log => log.callId === callId)),
+      logDataAccess: jest.fn().mockResolvedValue()
+    };
+    intakeqService = { addClientNote: jest.fn().mockResolvedValue({}) };
+    outcomeStore = new InMemoryCallOutcomeStore();
+    service = new CallOutcomeService({
+      conversationFlow: { loadConversation: jest.fn(async callId => states.get(callId)) },
+      auditLogger,
+      intakeqService,
+      outcomeStore,
+      attachNotes: true
+    });
+  });
+
+  it('should join the analysis with the state captured at call end', async () => {
+    states.set('call_001', verifiedState);
+    auditLogs.push({ callId: 'call_001', event: 'appointment_created', timestamp: '2026-10-19T14:05:00.000Z', data: {} });
+    await service.recordCallEnd('call_001', {});
+    states.delete('call_001');
+
+    const record = await service.recordAnalysis('call_001', analyzedCall);
+
+    expect(record).toEqual(expect.objectContaining({
+      callId: 'call_001',
+      date: '2026-10-19',
+      startedAt: '2026-10-19T14:00:00.000Z',
+      endedAt: '2026-10-19T14:06:00.000Z',
+      outcome: 'scheduled',
+      conversation: expect.objectContaining({ intent: 'schedule', clientId: 'client_001', providerId: 'charles_maddix', turns: 2 }),
+      auditTrail: [{ event: 'appointment_created', timestamp: '2026-10-19T14:05:00.000Z' }],
+      analysis: expect.objectContaining({ summary: 'Caller booked a follow-up with Charles Maddix.', appointmentScheduled: true, clientSatisfaction: 'high' })
+    }));
+    await expect(outcomeStore.get('call_001')).resolves.toEqual(record);
+  });
+
+  it('should attach the summary to a verified client\'s IntakeQ record once', async () => {
+    states.set('call_001', verifiedState);
+
+    await service.recordAnalysis('call_001', analyzedCall);
+    const record = await service.recordAnalysis('call_001', analyzedCall);
+
+    expect(intakeqService.addClientNote).toHaveBeenCalledTimes(1);
+    expect(intakeqService.addClientNote).toHaveBeenCalledWith('client_001', expect.stringContaining('Caller booked a follow-up'));
+    expect(record.intakeqNoteAdded).toBe(true);
+  });
+
+  it('should not attach notes for unverified callers', async () => {
+    states.set('call_002', { ...verifiedState, callId: 'call_002', verificationFailed: true, clientVerified: false, clientInfo: null });
+
+    const record = await service.recordAnalysis('call_002', analyzedCall);
+
+    expect(record.outcome).toBe('scheduled');
+    expect(intakeqService.addClientNote).not.toHaveBeenCalled();
+  });
+
+  it('should keep the record when the IntakeQ note fails', async () => {
+    states.set('call_001', verifiedState);
+    intakeqService.addClientNote.mockRejectedValue(new Error('IntakeQ unavailable'));
+
+    const record = await service.recordAnalysis('call_001', analyzedCall);
+
+    expect(record.intakeqNoteAdded).toBe(false);
+    await expect(outcomeStore.get('call_001')).resolves.toEqual(expect.objectContaining({ outcome: 'scheduled' }));
+  });
+
+  it('should classify calls without a booking from the conversation', async () => {
+    states.set('call_003', { ...verifiedState, callId: 'call_003', verificationFailed: true });
+    states.set('call_004', { ...verifiedState, callId: 'call_004', lastError: 'IntakeQ unavailable' });
+    states.set('call_005', { ...verifiedState, callId: 'call_005' });
+    states.set('call_006', {
+      ...verifiedState,
+      callId: 'call_006',
+      step: 'message_taken',
+      clientVerified: false,
+      clientInfo: null,
+      phoneLine: 'after_hours',
+      message: { text: 'Please call me back about my refill', callerNumber: '+19045550123', takenAt: '2026-10-19T23:10:00.000Z' }
+    });
+    auditLogs.push({ callId: 'call_005', event: 'appointment_cancelled', timestamp: '2026-10-19T14:03:00.000Z' });
+
+    expect((await service.recordCallEnd('call_003', {})).outcome).toBe('verification_failed');
+    expect((await service.recordCallEnd('call_004', {})).outcome).toBe('error');
+    expect((await service.recordCallEnd('call_004', { disconnection_reason: 'call_transfer' })).outcome).toBe('transferred');
+    expect((await service.recordCallEnd('call_005', {})).outcome).toBe('cancelled');
+
+    const message = await service.recordCallEnd('call_006', {});
+    expect(message.outcome).toBe('message_taken');
+    expect(message.conversation).toEqual(expect.objectContaining({
+      phoneLine: 'after_hours',
+      message: expect.objectContaining({ text: 'Please call me back about my refill', callerNumber: '+19045550123' })
+    }));
+  });
+
+  describe('with ConversationFlow', () => {
+    let conversationFlow;
+
+    beforeEach(() => {
+      conversationFlow = new ConversationFlow({
+        verificationService: { verifyClient: jest.fn().mockResolvedValue({ verified: false }) }
+      });
+      service = new CallOutcomeService({ conversationFlow, auditLogger, outcomeStore });
+    });
+
+    it('should record a failed verification', async () => {
+      conversationFlow.initializeConversation('call_001');
+      await conversationFlow.processMessage('call_001', 'I need to schedule an appointment');
+      const response = await conversationFlow.processMessage('call_001', 'My number is 904-123-4567 and my birthday is 03/15/1985');
+
+      expect(response.nextStep).toBe('verification_failed');
+      expect((await service.recordCallEnd('call_001', {})).outcome).toBe('verification_failed');
+    });
+
+    it('should record a flow error', async () => {
+      conversationFlow.initializeConversation('call_001');
+      await conversationFlow.processMessage('call_001', 'I need to schedule an appointment');
+      conversationFlow.verificationService.verifyClient.mockRejectedValue(new Error('IntakeQ unavailable'));
+      const response = await conversationFlow.processMessage('call_001', 'My number is 904-123-4567 and my birthday is 03/15/1985');
+
+      expect(response.nextStep).toBe('error');
+      expect((await service.recordCallEnd('call_001', {})).outcome).toBe('error');
+    });
+  });
+
+  describe('query', () => {
+    it('should filter by date range and outcome', async () => {
+      states.set('call_001', verifiedState);
+      states.set('call_002', { ...verifiedState, callId: 'call_002', verificationFailed: true, startTime: new Date('2026-10-20T14:00:00Z') });
+      states.set('call_003', { ...verifiedState, callId: 'call_003', startTime: new Date('2026-10-25T14:00:00Z') });
+      auditLogs.push({ callId: 'call_001', event: 'appointment_created', timestamp: '2026-10-19T14:05:00.000Z' });
+      for (const callId of ['call_001', 'call_002', 'call_003']) {
+        await service.recordCallEnd(callId, {});
+      }
+
+      const inRange = await service.query({ from: '2026-10-19', to: '2026-10-20' });
+      const scheduled = await service.query({ from: '2026-10-19', to: '2026-10-20', outcome: 'scheduled' });
+
+      expect(inRange.map(record => record.callId)).toEqual(['call_001', 'call_002']);
+      expect(scheduled.map(record => record.callId)).toEqual(['call_001']);
+    });
+
+    it('should reject malformed or unbounded queries', () => {
+      expect(service.getQueryError({ from: '2026-10-01', to: '2026-10-31', outcome: 'scheduled' })).toBeNull();
+      expect(service.getQueryError({ from: '10/01/2026', to: '2026-10-31' })).toMatch('YYYY-MM-DD');
+      expect(service.getQueryError({ from: '2026-10-31', to: '2026-10-01' })).toMatch('before');
+      expect(service.getQueryError({ from: '2026-01-01', to: '2026-12-31' })).toMatch('at most');
+      expect(service.getQueryError({ from: '2026-10-01', to: '2026-10-31', outcome: 'great' })).toMatch('must be one of');
+    });
+  });
+});
+
+describe('RedisCallOutcomeStore', () => {
+  let cacheService;
+  let store;
+
+  beforeEach(() => {
+    cacheService = createFakeCacheService();
+    store = new RedisCallOutcomeStore(cacheService, { retentionDays: 90 });
+  });
+
+  it('should encrypt records at rest', async () => {
+    await store.save({ callId: 'call_001', date: '2026-10-19', outcome: 'scheduled', analysis: { summary: 'John Doe booked a visit' } });
+
+    expect(cacheService.store.get('call_outcome:call_001')).not.toContain('John Doe');
+    await expect(store.get('call_001')).resolves.toEqual(expect.objectContaining({ analysis: { summary: 'John Doe booked a visit' } }));
+  });
+
+  it('should refuse to start without an encryption key', () => {
+    const configuredKey = process.env.ENCRYPTION_KEY;
+    delete process.env.ENCRYPTION_KEY;
+
+    try {
+      expect(() => new RedisCallOutcomeStore(cacheService)).toThrow('ENCRYPTION_KEY is required to store call outcomes');
+    } finally {
+      process.env.ENCRYPTION_KEY = configuredKey;
+    }
+  });
+
+  it('should query records through the per-day index', async () => {
+    await store.save({ callId: 'call_001', date: '2026-10-19', startedAt: '2026-10-19T14:00:00.000Z', outcome: 'scheduled' });
+    await store.save({ callId: 'call_002', date: '2026-10-21', startedAt: '2026-10-21T14:00:00.000Z', outcome: 'no_action' });
+    await store.save({ callId: 'call_003', date: '2026-10-23', startedAt: '2026-10-23T14:00:00.000Z', outcome: 'scheduled' });
+
+    const records = await store.query({ from: '2026-10-19', to: '2026-10-22' });
+
+    expect(records.map(record => record.callId)).toEqual(['call_001', 'call_002']);
+    expect(cacheService.addToSet).toHaveBeenCalledWith('call_outcomes:2026-10-19', 'call_001', 90 * 24 * 60 * 60);
+  });
+});
@@ -0,0 +1,123 @@
+const CallVariableService = require('../src/services/callVariableService');
+const RetellAgent = require('../src/agents/retellAgent');
+const RetellStandIn = require('../src/agents/retellStandIn');
+const ProviderDirectory = require('../src/services/providerDirectory');
+
+describe('CallVariableService', () => {
+  const providerDirectory = new ProviderDirectory({
+    providerSchedules: {
+      charles_maddix: { name: 'Charles Maddix', schedule: { monday: { start: '10:30', end: '18:00' } } },
+      ava_suleiman: { name: 'Ava Suleiman', schedule: { tuesday: { start: '10:30', end: '18:00' } } }
+    },
+    appointmentTypes: {}
+  });
+  let availabilityEngine;
+  let retell;
+  let auditLogger;
+  let service;
+
+  beforeEach(() => {
+    availabilityEngine = { providerDirectory, getNextAvailable: jest.fn() };
+    retell = new RetellStandIn();
+    retell.call = { update: jest.fn().mockResolvedValue({}) };
+    auditLogger = { logDataAccess: jest.fn().mockResolvedValue() };
+    service = new CallVariableService({
+      availabilityEngine,
+      retellAgent: new RetellAgent({ providerDirectory, client: retell }),
+      auditLogger
+    });
+  });
+
+  describe('getInboundVariables', () => {
+    it('should fill practice hours and next openings but leave PHI empty', async () => {
+      availabilityEngine.getNextAvailable.mockImplementation(async (provider) => (
+        provider.id === 'charles_maddix' ? { date: '2026-10-26', time: '10:30' } : null
+      ));
+
+      const variables = await service.getInboundVariables('+19045550123');
+
+      expect(variables).toEqual({
+        caller_number: '+19045550123',
+        phone_line: '',
+        call_flow: 'standard',
+        appointment_type: '',
+        practice_hours: expect.stringContaining('Charles Maddix: '),
+        provider_availability: 'Charles Maddix: next available Monday, October 26th at 10:30 AM\n'
+          + 'Ava Suleiman: no openings in the next two weeks',
+        client_id: '',
+        client_name: '',
+        client_phone: '',
+        client_dob: '',
+        insurance_provider: '',
+        copay_amount: ''
+      });
+    });
+
+    it('should still answer when a provider\'s availability can\'t be loaded', async () => {
+      availabilityEngine.getNextAvailable.mockRejectedValue(new Error('IntakeQ unavailable'));
+
+      const variables = await service.getInboundVariables();
+
+      expect(variables.caller_number).toBe('');
+      expect(variables.provider_availability).toBe('Charles Maddix: availability unknown\nAva Suleiman: availability unknown');
+    });
+
+    it('should set the flow and appointment type from the line called', async () => {
+      availabilityEngine.getNextAvailable.mockResolvedValue(null);
+
+      const variables = await service.getInboundVariables('+19045550123', {
+        id: 'ketamine',
+        name: 'ketamine program line',
+        flow: 'standard',
+        defaultAppointmentType: 'ketamine_consultation'
+      });
+
+      expect(variables).toEqual(expect.objectContaining({
+        phone_line: 'ketamine program line',
+        call_flow: 'standard',
+        appointment_type: 'ketamine consultation'
+      }));
+    });
+  });
+
+  describe('applyVerifiedVariables', () => {
+    const verified = {
+      verified: true,
+      clientId: 'client_001',
+      clientName: 'John Doe',
+      insuranceInfo: { provider: 'Aetna', copay: 30 }
+    };
+    const credentials = { phoneNumber: '904-123-4567', dateOfBirth: '03/15/1985' };
+
+    it('should push the client\'s details to the call once verified', async () => {
+      const applied = await service.applyVerifiedVariables('call_123', verified, credentials);
+
+      expect(applied).toBe(true);
+      expect(retell.call.update).toHaveBeenCalledWith('call_123', {
+        override_dynamic_variables: {
+          client_id: 'client_001',
+          client_name: 'John Doe',
+          client_phone: '904-123-4567',
+          client_dob: '03/15/1985',
+          insurance_provider: 'Aetna',
+          copay_amount: '$30'
+        }
+      });
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith('call_123', 'dynamic_variables', expect.any(String));
+    });
+
+    it('should not share anything when verification failed', async () => {
+      const applied = await service.applyVerifiedVariables('call_123', { verified: false, reason: 'Client not found' }, credentials);
+
+      expect(applied).toBe(false);
+      expect(retell.call.update).not.toHaveBeenCalled();
+    });
+
+    it('should not fail verification when the call update does', async () => {
+      retell.call.update.mockRejectedValue(new Error('Call ended'));
+
+      await expect(service.applyVerifiedVariables('call_123', verified, credentials)).resolves.toBe(false);
+      expect(auditLogger.logDataAccess).not.toHaveBeenCalled();
+    });
+  });
+});
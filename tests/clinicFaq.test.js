@@ -0,0 +1,47 @@
+const ClinicFaq = require('../src/services/clinicFaq');
+
+describe('ClinicFaq', () => {
+  const clinicFaq = new ClinicFaq();
+
+  it('should match common clinic questions to their entries', () => {
+    expect(clinicFaq.match('Where do I park when I get there').id).toBe('parking');
+    expect(clinicFaq.match('Do you take Florida Blue insurance').id).toBe('insurance');
+    expect(clinicFaq.match('Can you prescribe Adderall').id).toBe('controlled_substances');
+    expect(clinicFaq.match('What happens at a ketamine consult').id).toBe('ketamine_consultation');
+    expect(clinicFaq.match('What is your address').id).toBe('address');
+  });
+
+  it('should only match keywords as whole words', () => {
+    expect(clinicFaq.match('I live off Southside Parkway')).toBeNull();
+    expect(clinicFaq.match('I have been feeling down lately')).toBeNull();
+    expect(clinicFaq.match('')).toBeNull();
+  });
+
+  it('should prefer the entry with the most matching keywords', () => {
+    const faq = new ClinicFaq({
+      faq: {
+        name: 'Test FAQ',
+        entries: [
+          { id: 'video', question: 'Video?', keywords: ['video'], answer: 'Video visits are available.' },
+          { id: 'telehealth', question: 'Telehealth?', keywords: ['telehealth', 'video'], answer: 'Telehealth is available.' }
+        ]
+      }
+    });
+
+    expect(faq.match('Is a telehealth video visit possible').id).toBe('telehealth');
+  });
+
+  it('should break ties in favour of the more specific keywords', () => {
+    expect(clinicFaq.match('What\'s the fee for ketamine?').id).toBe('ketamine_consultation');
+    expect(clinicFaq.match('Is there a fee to park?').id).toBe('parking');
+  });
+
+  it('should render the FAQ as markdown and version it by content', () => {
+    const faq = { name: 'Test FAQ', entries: [{ id: 'parking', question: 'Where do I park?', keywords: ['park'], answer: 'Out front.' }] };
+    const changed = { ...faq, entries: [{ ...faq.entries[0], answer: 'Around back.' }] };
+
+    expect(new ClinicFaq({ faq }).toMarkdown()).toBe('# Test FAQ\n\n## Where do I park?\n\nOut front.\n');
+    expect(new ClinicFaq({ faq }).getVersion()).toHaveLength(12);
+    expect(new ClinicFaq({ faq }).getVersion()).not.toBe(new ClinicFaq({ faq: changed }).getVersion());
+  });
+});
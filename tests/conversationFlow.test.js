@@ -1,10 +1,136 @@
+const moment = require('moment-timezone');
 const ConversationFlow = require('../src/flows/conversationFlow');
+const PhoneLineDirectory = require('../src/services/phoneLineDirectory');
+const BookingService = require('../src/services/bookingService');
+const AvailabilityEngine = require('../src/services/availabilityEngine');
+const { createFakeCacheService } = require('./helpers/fakeCacheService');
+
+const everyDay = { start: '10:00', end: '18:00' };
+const clinicTime = (date, time) => moment.tz(`${date} ${time}`, 'America/New_York').format();
+const testProviderSchedules = {
+  charles_maddix: {
+    name: 'Charles Maddix',
+    schedule: {
+      monday: everyDay, tuesday: everyDay, wednesday: everyDay, thursday: everyDay,
+      friday: everyDay, saturday: everyDay, sunday: everyDay
+    }
+  },
+  ava_suleiman: {
+    name: 'Ava Suleiman',
+    schedule: {
+      monday: everyDay, tuesday: everyDay, wednesday: everyDay, thursday: everyDay,
+      friday: everyDay, saturday: everyDay, sunday: everyDay
+    }
+  }
+};
+
+// Mirrors the clinic configuration in env.example
+const weekdayHours = (start, end, days) => Object.fromEntries(days.map(day => [day, { start, end }]));
+const clinicProviderSchedules = {
+  charles_maddix: {
+    name: 'Charles Maddix',
+    schedule: weekdayHours('10:30', '18:00', ['monday', 'tuesday', 'wednesday', 'thursday'])
+  },
+  ava_suleiman: {
+    name: 'Ava Suleiman',
+    schedule: weekdayHours('10:30', '18:00', ['tuesday'])
+  },
+  dr_soto: {
+    name: 'Dr. Soto',
+    schedule: weekdayHours('16:00', '18:00', ['monday', 'tuesday', 'wednesday', 'thursday']),
+    appointment_types: ['follow_up'],
+    accepting_new_patients: false
+  }
+};
+
+// In-memory stand-ins for the services ConversationFlow talks to
+const createFakeServices = () => {
+  const appointments = [];
+  const overlaps = (apt, providerId, startTime, endTime) =>
+    apt.provider_id === providerId && apt.status !== 'cancelled' &&
+    moment(apt.start_time).isBefore(endTime) && moment(apt.end_time).isAfter(startTime);
+
+  return {
+    verificationService: {
+      verifyClient: jest.fn(async (phoneNumber, dateOfBirth) => {
+        if (phoneNumber.replace(/\D/g, '').endsWith('9041234567') && dateOfBirth === '03/15/1985') {
+          return {
+            verified: true,
+            clientId: 'client_001',
+            clientName: 'John Doe',
+            insuranceInfo: { provider: 'Blue Cross Blue Shield', memberId: 'BC123456789', copay: 25 }
+          };
+        }
+        return { verified: false, error: 'Phone number and date of birth do not match our records', attemptsRemaining: 2 };
+      }),
+      normalizeDateOfBirth: jest.fn(() => '1985-03-15')
+    },
+    availityService: {
+      verifyInsurance: jest.fn(async (insuranceInfo) => ({
+        verified: true,
+        memberId: insuranceInfo.memberId,
+        insuranceProvider: insuranceInfo.insuranceProvider,
+        copay: 30,
+        deductible: 1000,
+        deductibleMet: false
+      }))
+    },
+    intakeqService: {
+      appointments,
+      isTimeSlotAvailable: jest.fn(async (providerId, startTime, endTime) =>
+        !appointments.some(apt => overlaps(apt, providerId, startTime, endTime))
+      ),
+      getProviderSchedule: jest.fn(async (providerId, date) => ({
+        appointments: appointments.filter(apt =>
+          apt.provider_id === providerId && moment(apt.start_time).format('YYYY-MM-DD') === date
+        ),
+        blocked_times: []
+      })),
+      createAppointment: jest.fn(async (data) => {
+        const appointment = {
+          id: `apt_${appointments.length + 1}`,
+          client_id: data.clientId,
+          provider_id: data.providerId,
+          appointment_type: data.appointmentType,
+          start_time: data.startTime,
+          end_time: data.endTime,
+          status: 'scheduled'
+        };
+        appointments.push(appointment);
+        return appointment;
+      }),
+      getUpcomingAppointments: jest.fn(async (clientId) =>
+        appointments.filter(apt => apt.client_id === clientId && apt.status !== 'cancelled')
+      ),
+      rescheduleAppointment: jest.fn(async (appointmentId, newDateTime) => {
+        const appointment = appointments.find(apt => apt.id === appointmentId);
+        Object.assign(appointment, { start_time: newDateTime, status: 'rescheduled' });
+        return appointment;
+      }),
+      cancelAppointment: jest.fn(async (appointmentId, reason) => {
+        const appointment = appointments.find(apt => apt.id === appointmentId);
+        Object.assign(appointment, { status: 'cancelled', cancellation_reason: reason });
+        return appointment;
+      }),
+      findClientsByPhone: jest.fn(async (phoneNumber) => (phoneNumber === '+19045550123' ? [{ id: 'client_001' }] : [])),
+      addClientNote: jest.fn(async () => ({}))
+    },
+    auditLogger: {
+      logClientVerification: jest.fn(),
+      logInsuranceVerification: jest.fn(),
+      logAppointmentCreation: jest.fn(),
+      logAppointmentModification: jest.fn(),
+      logAppointmentCancellation: jest.fn(),
+      logDataAccess: jest.fn()
+    }
+  };
+};
 
 describe('ConversationFlow', () => {
   let conversationFlow;
 
   beforeEach(() => {
-    conversationFlow = new ConversationFlow();
+    conversationFlow = new ConversationFlow(createFakeServices());
   });
 
   afterEach(() => {
@@ -135,6 +261,15 @@ describe('ConversationFlow', () => {
   });
 
   describe('getAvailableProviders', () => {
+    beforeEach(() => {
+      process.env.PROVIDER_SCHEDULES = JSON.stringify(clinicProviderSchedules);
+      conversationFlow = new ConversationFlow(createFakeServices());
+    });
+
+    afterEach(() => {
+      delete process.env.PROVIDER_SCHEDULES;
+    });
+
     it('should return providers for comprehensive evaluation', () => {
       const providers = conversationFlow.getAvailableProviders('comprehensive_evaluation');
       
@@ -157,9 +292,55 @@ describe('ConversationFlow', () => {
       
       expect(drSoto).toBeDefined();
     });
+
+    it('should exclude Dr. Soto from other appointment types', () => {
+      const providers = conversationFlow.getAvailableProviders('ketamine_consultation');
+
+      expect(providers.map(p => p.id)).toEqual(['charles_maddix', 'ava_suleiman']);
+    });
+
+    it('should filter by visit type', () => {
+      process.env.PROVIDER_SCHEDULES = JSON.stringify({
+        ...clinicProviderSchedules,
+        ava_suleiman: { ...clinicProviderSchedules.ava_suleiman, telehealth: false }
+      });
+      conversationFlow = new ConversationFlow(createFakeServices());
+
+      const providers = conversationFlow.getAvailableProviders('follow_up', 'telehealth');
+
+      expect(providers.map(p => p.id)).toEqual(['charles_maddix', 'dr_soto']);
+    });
+
+    it('should not crash when providers are missing from the configuration', () => {
+      process.env.PROVIDER_SCHEDULES = JSON.stringify({ charles_maddix: clinicProviderSchedules.charles_maddix });
+      conversationFlow = new ConversationFlow(createFakeServices());
+
+      expect(conversationFlow.getAvailableProviders('follow_up').map(p => p.id)).toEqual(['charles_maddix']);
+    });
+
+    it('should explain why a named provider cannot take the appointment', async () => {
+      const callId = 'call_001';
+      conversationFlow.initializeConversation(callId);
+      conversationFlow.updateConversationState(callId, { step: 'provider_selection', appointmentType: 'ketamine_consultation' });
+
+      const response = await conversationFlow.processMessage(callId, 'Can I see Dr. Soto?');
+
+      expect(response.nextStep).toBe('provider_selection');
+      expect(response.message).toContain('Dr. Soto only sees follow up appointments');
+      expect(response.message).toContain('Charles Maddix or Ava Suleiman');
+    });
   });
 
   describe('detectProviderSelection', () => {
+    beforeEach(() => {
+      process.env.PROVIDER_SCHEDULES = JSON.stringify(clinicProviderSchedules);
+      conversationFlow = new ConversationFlow(createFakeServices());
+    });
+
+    afterEach(() => {
+      delete process.env.PROVIDER_SCHEDULES;
+    });
+
     it('should detect provider by name', () => {
       const providers = conversationFlow.getAvailableProviders('comprehensive_evaluation');
       const selected = conversationFlow.detectProviderSelection('I want to see Charles Maddix', 'comprehensive_evaluation');
@@ -210,6 +391,56 @@ describe('ConversationFlow', () => {
     });
   });
 
+  describe('getAvailableTimes', () => {
+    const provider = {
+      id: 'charles_maddix',
+      name: 'Charles Maddix',
+      schedule: { monday: { start: '10:30', end: '18:00' } }
+    };
+    // A Monday next week
+    const date = moment().add(7, 'days').day(1).format('YYYY-MM-DD');
+
+    afterEach(() => {
+      delete process.env.APPOINTMENT_TYPES;
+    });
+
+    it('should start at the minute the provider starts', async () => {
+      const times = await conversationFlow.getAvailableTimes(provider, date, 'follow_up');
+
+      expect(times[0]).toBe('10:30');
+      expect(times[times.length - 1]).toBe('17:45');
+    });
+
+    it('should fit the full appointment before closing', async () => {
+      const times = await conversationFlow.getAvailableTimes(provider, date, 'comprehensive_evaluation');
+
+      expect(times[times.length - 1]).toBe('17:00');
+    });
+
+    it('should keep appointments clear of the lunch break', async () => {
+      const times = await conversationFlow.getAvailableTimes(provider, date, 'comprehensive_evaluation');
+
+      expect(times).toContain('12:00');
+      expect(times).not.toContain('12:15');
+      expect(times).not.toContain('13:30');
+      expect(times).toContain('14:00');
+    });
+
+    it('should use durations from APPOINTMENT_TYPES', async () => {
+      process.env.APPOINTMENT_TYPES = JSON.stringify({ follow_up: { duration: 45 } });
+      conversationFlow = new ConversationFlow();
+
+      const times = await conversationFlow.getAvailableTimes(provider, date, 'follow_up');
+
+      expect(times).not.toContain('12:30');
+      expect(times[times.length - 1]).toBe('17:15');
+    });
+
+    it('should return no times on days the provider does not work', async () => {
+      await expect(conversationFlow.getAvailableTimes(provider, moment(date).add(1, 'day').format('YYYY-MM-DD'), 'follow_up')).resolves.toEqual([]);
+    });
+  });
+
   describe('detectTimeSelection', () => {
     it('should detect time in HH:MM format', () => {
       const time = conversationFlow.detectTimeSelection('I want to schedule for 10:30');
@@ -217,8 +448,13 @@ describe('ConversationFlow', () => {
     });
 
     it('should detect time with AM/PM', () => {
-      const time = conversationFlow.detectTimeSelection('I want to schedule for 10:30 AM');
-      expect(time).toBe('10:30 AM');
+      const time = conversationFlow.detectTimeSelection('I want to schedule for 10:30 PM');
+      expect(time).toBe('22:30');
+    });
+
+    it('should detect spoken times', () => {
+      const time = conversationFlow.detectTimeSelection('How about three thirty');
+      expect(time).toBe('15:30');
     });
 
     it('should return null for invalid time', () => {
@@ -312,4 +548,738 @@ describe('ConversationFlow', () => {
       expect(conversationFlow.conversationStates.has(callId)).toBe(false);
     });
   });
+
+  describe('rescheduling', () => {
+    const callId = 'call_001';
+    const firstDate = moment().add(3, 'days');
+    const secondDate = moment().add(5, 'days');
+    let intakeqService;
+    let auditLogger;
+
+    beforeEach(() => {
+      process.env.PROVIDER_SCHEDULES = JSON.stringify(testProviderSchedules);
+      const services = createFakeServices();
+      ({ intakeqService, auditLogger } = services);
+      intakeqService.getUpcomingAppointments.mockResolvedValue([
+        { id: 'apt_001', provider_id: 'charles_maddix', appointment_type: 'follow_up', start_time: firstDate.clone().hour(11).minute(0).format() },
+        { id: 'apt_002', provider_id: 'ava_suleiman', appointment_type: 'ketamine_consultation', start_time: secondDate.clone().hour(15).minute(0).format() }
+      ]);
+      intakeqService.rescheduleAppointment.mockResolvedValue({ id: 'apt_002', status: 'rescheduled' });
+      conversationFlow = new ConversationFlow(services);
+      jest.spyOn(conversationFlow, 'checkTimeAvailability').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      delete process.env.PROVIDER_SCHEDULES;
+    });
+
+    it('should list upcoming appointments after verification', async () => {
+      conversationFlow.initializeConversation(callId);
+      await conversationFlow.processMessage(callId, 'I need to reschedule my appointment');
+
+      const response = await conversationFlow.processMessage(callId, 'My phone is 904-123-4567 and DOB is 03/15/1985');
+
+      expect(intakeqService.getUpcomingAppointments).toHaveBeenCalledWith('client_001');
+      expect(response.nextStep).toBe('rescheduling');
+      expect(response.appointments).toHaveLength(2);
+      expect(response.message).toContain('Which one would you like to reschedule');
+    });
+
+    it('should greet a pre-verified portal caller without claiming to have verified them', async () => {
+      conversationFlow.initializeConversation(callId, { clientInfo: { id: 'client_001', name: 'John Doe' } });
+
+      const response = await conversationFlow.processMessage(callId, 'I need to reschedule my appointment');
+
+      expect(response.message).toMatch(/^Hello John Doe! I'm Matt from The Practice\. I see 2 upcoming appointments/);
+      expect(response.message).not.toContain('verified your identity');
+    });
+
+    it('should select an appointment by provider and commit the new time', async () => {
+      const newDate = moment().add(7, 'days').format('YYYY-MM-DD');
+      conversationFlow.initializeConversation(callId);
+      await conversationFlow.processMessage(callId, 'I need to reschedule');
+      await conversationFlow.processMessage(callId, 'My phone is 904-123-4567 and DOB is 03/15/1985');
+
+      const selected = await conversationFlow.processMessage(callId, 'The one with Ava please');
+      expect(selected.provider.id).toBe('ava_suleiman');
+      expect(conversationFlow.getConversationState(callId).appointmentType).toBe('ketamine_consultation');
+
+      await conversationFlow.processMessage(callId, `How about ${newDate}`);
+      const confirm = await conversationFlow.processMessage(callId, '3:30 pm works');
+      expect(confirm.message).toContain('Is that correct');
+
+      const done = await conversationFlow.processMessage(callId, 'Yes');
+
+      expect(done.nextStep).toBe('completed');
+      expect(intakeqService.rescheduleAppointment).toHaveBeenCalledWith('apt_002', clinicTime(newDate, '15:30'), null, 'ketamine_consultation');
+      expect(auditLogger.logAppointmentModification).toHaveBeenCalledWith(callId, 'apt_002', expect.objectContaining({
+        newStartTime: clinicTime(newDate, '15:30'),
+        providerId: 'ava_suleiman'
+      }));
+    });
+
+    it('should select an appointment by date', () => {
+      const appointments = [
+        { id: 'apt_001', provider_id: 'charles_maddix', start_time: firstDate.format() },
+        { id: 'apt_002', provider_id: 'charles_maddix', start_time: secondDate.format() }
+      ];
+
+      const matches = conversationFlow.matchAppointments(`the one on ${secondDate.format('YYYY-MM-DD')}`, appointments);
+
+      expect(matches.map(apt => apt.id)).toEqual(['apt_002']);
+    });
+
+    it('should offer to book a new appointment when none are upcoming', async () => {
+      intakeqService.getUpcomingAppointments.mockResolvedValue([]);
+      conversationFlow.initializeConversation(callId);
+      await conversationFlow.processMessage(callId, 'I need to reschedule');
+
+      const response = await conversationFlow.processMessage(callId, 'My phone is 904-123-4567 and DOB is 03/15/1985');
+
+      expect(response.nextStep).toBe('appointment_type');
+      expect(intakeqService.rescheduleAppointment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancellation', () => {
+    const callId = 'call_001';
+    let intakeqService;
+    let auditLogger;
+
+    const startCancelCall = async (appointments) => {
+      intakeqService.getUpcomingAppointments.mockResolvedValue(appointments);
+      conversationFlow.initializeConversation(callId);
+      await conversationFlow.processMessage(callId, 'I want to cancel my appointment');
+      return conversationFlow.processMessage(callId, 'My phone is 904-123-4567 and DOB is 03/15/1985');
+    };
+
+    beforeEach(() => {
+      process.env.PROVIDER_SCHEDULES = JSON.stringify(testProviderSchedules);
+      process.env.LATE_CANCEL_WINDOW_HOURS = '24';
+      process.env.LATE_CANCEL_FEE = '50';
+      const services = createFakeServices();
+      ({ intakeqService, auditLogger } = services);
+      intakeqService.cancelAppointment.mockResolvedValue({ id: 'apt_001', status: 'cancelled' });
+      conversationFlow = new ConversationFlow(services);
+    });
+
+    afterEach(() => {
+      delete process.env.PROVIDER_SCHEDULES;
+      delete process.env.LATE_CANCEL_WINDOW_HOURS;
+      delete process.env.LATE_CANCEL_FEE;
+    });
+
+    it('should keep the portal greeting when a pre-verified caller cancels', async () => {
+      intakeqService.getUpcomingAppointments.mockResolvedValue([]);
+      conversationFlow.initializeConversation(callId, { clientInfo: { id: 'client_001', name: 'John Doe' } });
+
+      const response = await conversationFlow.processMessage(callId, 'I want to cancel my appointment');
+
+      expect(response.message).toMatch(/^Hello John Doe! I'm Matt from The Practice\. I don't see any upcoming appointments/);
+    });
+
+    it('should confirm, capture a reason and cancel the appointment', async () => {
+      const appointment = { id: 'apt_001', provider_id: 'charles_maddix', appointment_type: 'follow_up', start_time: moment().add(3, 'days').format() };
+
+      const selected = await startCancelCall([appointment]);
+      expect(selected.message).toContain('you\'d like to cancel your follow up with Charles Maddix');
+
+      await conversationFlow.processMessage(callId, 'Yes');
+      const offer = await conversationFlow.processMessage(callId, 'I have a work conflict');
+      expect(offer.lateCancellation).toBe(false);
+      expect(offer.message).toContain('reschedule it for another time instead');
+
+      const done = await conversationFlow.processMessage(callId, 'Please just cancel it');
+
+      expect(done.cancelled).toBe(true);
+      expect(intakeqService.cancelAppointment).toHaveBeenCalledWith('apt_001', 'I have a work conflict');
+      expect(auditLogger.logAppointmentCancellation).toHaveBeenCalledWith(callId, 'apt_001', 'I have a work conflict');
+    });
+
+    it('should warn about the late-cancel fee inside the window', async () => {
+      const appointment = { id: 'apt_001', provider_id: 'charles_maddix', appointment_type: 'follow_up', start_time: moment().add(3, 'hours').format() };
+
+      await startCancelCall([appointment]);
+      await conversationFlow.processMessage(callId, 'Yes');
+      const offer = await conversationFlow.processMessage(callId, 'I am sick');
+
+      expect(offer.lateCancellation).toBe(true);
+      expect(offer.lateCancelFee).toBe(50);
+      expect(offer.message).toContain('a late cancellation fee of $50 applies');
+    });
+
+    it('should switch to rescheduling when the caller accepts the rebook offer', async () => {
+      const appointment = { id: 'apt_001', provider_id: 'charles_maddix', appointment_type: 'follow_up', start_time: moment().add(3, 'days').format() };
+
+      await startCancelCall([appointment]);
+      await conversationFlow.processMessage(callId, 'Yes');
+      await conversationFlow.processMessage(callId, 'Car trouble');
+      const response = await conversationFlow.processMessage(callId, 'Yes, let\'s reschedule instead');
+
+      const state = conversationFlow.getConversationState(callId);
+      expect(response.provider.id).toBe('charles_maddix');
+      expect(state.step).toBe('rescheduling');
+      expect(state.subStep).toBe('select_date');
+      expect(intakeqService.cancelAppointment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('modification', () => {
+    const callId = 'call_001';
+    const bookedDate = moment().add(3, 'days').format('YYYY-MM-DD');
+
+    beforeEach(() => {
+      process.env.PROVIDER_SCHEDULES = JSON.stringify(testProviderSchedules);
+      conversationFlow = new ConversationFlow(createFakeServices());
+      jest.spyOn(conversationFlow, 'checkTimeAvailability').mockResolvedValue(true);
+
+      conversationFlow.initializeConversation(callId);
+      conversationFlow.updateConversationState(callId, {
+        step: 'confirmation',
+        clientVerified: true,
+        clientInfo: { id: 'client_001', name: 'John Doe' },
+        appointmentType: 'comprehensive_evaluation',
+        preferredProvider: conversationFlow.getProviderById('charles_maddix'),
+        preferredDate: bookedDate,
+        preferredTime: '11:00',
+        insuranceVerified: true,
+        insuranceInfo: { verified: true, copay: 25 }
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.PROVIDER_SCHEDULES;
+    });
+
+    it('should enter the modification step when the caller rejects the details', async () => {
+      const response = await conversationFlow.processMessage(callId, 'No');
+
+      expect(response.nextStep).toBe('modification');
+      expect(conversationFlow.getConversationState(callId).step).toBe('modification');
+    });
+
+    it('should change only the time and return to confirmation without insurance', async () => {
+      await conversationFlow.processMessage(callId, 'No');
+      const prompt = await conversationFlow.processMessage(callId, 'I need to change the time');
+      expect(prompt.nextStep).toBe('time_selection');
+
+      const response = await conversationFlow.processMessage(callId, '4:00 pm');
+      const state = conversationFlow.getConversationState(callId);
+
+      expect(response.nextStep).toBe('confirmation');
+      expect(response.appointmentDetails.copay).toBe(25);
+      expect(state.preferredTime).toBe('16:00');
+      expect(state.preferredDate).toBe(bookedDate);
+      expect(state.preferredProvider.id).toBe('charles_maddix');
+      expect(state.modifying).toBe(false);
+    });
+
+    it('should accept a new provider named inline and keep the date and time', async () => {
+      await conversationFlow.processMessage(callId, 'No');
+      const response = await conversationFlow.processMessage(callId, 'Can I see Ava Suleiman instead?');
+      const state = conversationFlow.getConversationState(callId);
+
+      expect(response.nextStep).toBe('confirmation');
+      expect(state.preferredProvider.id).toBe('ava_suleiman');
+      expect(state.preferredDate).toBe(bookedDate);
+      expect(state.preferredTime).toBe('11:00');
+    });
+
+    it('should ask for a new time when the kept time no longer works', async () => {
+      conversationFlow.checkTimeAvailability.mockResolvedValue(false);
+      await conversationFlow.processMessage(callId, 'No');
+
+      const response = await conversationFlow.processMessage(callId, 'Can I see Ava Suleiman instead?');
+
+      expect(response.nextStep).toBe('time_selection');
+      expect(conversationFlow.getConversationState(callId).modifying).toBe(true);
+    });
+  });
+
+  describe('service integration', () => {
+    const callId = 'call_001';
+    const bookedDate = moment().add(3, 'days').format('YYYY-MM-DD');
+    let services;
+
+    beforeEach(() => {
+      process.env.PROVIDER_SCHEDULES = JSON.stringify(testProviderSchedules);
+      services = createFakeServices();
+      conversationFlow = new ConversationFlow(services);
+      conversationFlow.initializeConversation(callId);
+    });
+
+    afterEach(() => {
+      delete process.env.PROVIDER_SCHEDULES;
+    });
+
+    it('should verify the caller through VerificationService', async () => {
+      conversationFlow.updateConversationState(callId, { step: 'verification' });
+
+      const response = await conversationFlow.processMessage(callId, 'My phone is 904-123-4567 and DOB is 03/15/1985');
+
+      expect(services.verificationService.verifyClient).toHaveBeenCalledWith('904-123-4567', '03/15/1985');
+      expect(services.auditLogger.logClientVerification).toHaveBeenCalled();
+      expect(response.clientInfo).toEqual(expect.objectContaining({ id: 'client_001', name: 'John Doe' }));
+    });
+
+    it('should not verify a caller the service rejects', async () => {
+      conversationFlow.updateConversationState(callId, { step: 'verification' });
+
+      const response = await conversationFlow.processMessage(callId, 'My phone is 904-555-0000 and DOB is 01/01/1990');
+
+      expect(response.nextStep).toBe('verification_failed');
+      expect(conversationFlow.getConversationState(callId).clientVerified).toBe(false);
+    });
+
+    it('should verify insurance through AvailityService using the member ID on file', async () => {
+      conversationFlow.updateConversationState(callId, {
+        step: 'insurance_verification',
+        clientInfo: { id: 'client_001', name: 'John Doe', dateOfBirth: '1985-03-15', insurance: { provider: 'Blue Cross Blue Shield', memberId: 'BC123456789' } },
+        appointmentType: 'follow_up',
+        preferredProvider: conversationFlow.getProviderById('charles_maddix'),
+        preferredDate: bookedDate,
+        preferredTime: '11:00'
+      });
+
+      const response = await conversationFlow.processMessage(callId, 'I have Blue Cross Blue Shield');
+
+      expect(services.availityService.verifyInsurance).toHaveBeenCalledWith(expect.objectContaining({
+        memberId: 'BC123456789',
+        firstName: 'John',
+        lastName: 'Doe',
+        dateOfBirth: '1985-03-15'
+      }));
+      expect(response.nextStep).toBe('confirmation');
+      expect(response.message).toContain('Your copay will be $30');
+    });
+
+    it('should ask for a member ID when none is on file for that insurer', async () => {
+      conversationFlow.updateConversationState(callId, {
+        step: 'insurance_verification',
+        clientInfo: { id: 'client_001', name: 'John Doe', dateOfBirth: '1985-03-15', insurance: null },
+        appointmentType: 'follow_up',
+        preferredProvider: conversationFlow.getProviderById('charles_maddix'),
+        preferredDate: bookedDate,
+        preferredTime: '11:00'
+      });
+
+      const prompt = await conversationFlow.processMessage(callId, 'I have Aetna');
+      expect(prompt.message).toContain('member ID');
+      expect(services.availityService.verifyInsurance).not.toHaveBeenCalled();
+
+      const response = await conversationFlow.processMessage(callId, 'It is AET987654321');
+      expect(services.availityService.verifyInsurance).toHaveBeenCalledWith(expect.objectContaining({
+        memberId: 'AET987654321',
+        insuranceProvider: 'aetna'
+      }));
+      expect(response.nextStep).toBe('confirmation');
+    });
+
+    it('should check IntakeQ availability for the full appointment length', async () => {
+      services.intakeqService.appointments.push({
+        id: 'apt_existing',
+        provider_id: 'charles_maddix',
+        start_time: clinicTime(bookedDate, '11:30'),
+        end_time: clinicTime(bookedDate, '12:00'),
+        status: 'scheduled'
+      });
+      const provider = conversationFlow.getProviderById('charles_maddix');
+
+      await expect(conversationFlow.checkTimeAvailability(provider, bookedDate, '11:00', 'follow_up')).resolves.toBe(true);
+      await expect(conversationFlow.checkTimeAvailability(provider, bookedDate, '11:00', 'comprehensive_evaluation')).resolves.toBe(false);
+    });
+
+    it('should create the appointment in IntakeQ on confirmation', async () => {
+      conversationFlow.updateConversationState(callId, {
+        step: 'confirmation',
+        clientInfo: { id: 'client_001', name: 'John Doe' },
+        appointmentType: 'comprehensive_evaluation',
+        preferredProvider: conversationFlow.getProviderById('charles_maddix'),
+        preferredDate: bookedDate,
+        preferredTime: '11:00',
+        insuranceVerified: true,
+        insuranceInfo: { verified: true, copay: 30 }
+      });
+
+      const response = await conversationFlow.processMessage(callId, 'Yes');
+
+      expect(response.nextStep).toBe('completed');
+      expect(response.appointmentId).toBe('apt_1');
+      expect(services.intakeqService.createAppointment).toHaveBeenCalledWith(expect.objectContaining({
+        clientId: 'client_001',
+        providerId: 'charles_maddix',
+        startTime: clinicTime(bookedDate, '11:00'),
+        endTime: clinicTime(bookedDate, '12:00'),
+        copayAmount: 30
+      }));
+      expect(services.auditLogger.logAppointmentCreation).toHaveBeenCalledWith(callId, expect.objectContaining({ appointmentId: 'apt_1' }));
+    });
+
+    it('should keep the caller at confirmation when IntakeQ rejects the booking', async () => {
+      services.intakeqService.createAppointment.mockRejectedValue(new Error('IntakeQ unavailable'));
+      conversationFlow.updateConversationState(callId, {
+        step: 'confirmation',
+        clientInfo: { id: 'client_001', name: 'John Doe' },
+        appointmentType: 'follow_up',
+        preferredProvider: conversationFlow.getProviderById('charles_maddix'),
+        preferredDate: bookedDate,
+        preferredTime: '11:00'
+      });
+
+      const response = await conversationFlow.processMessage(callId, 'Yes');
+
+      expect(response.nextStep).toBe('confirmation');
+      expect(response.error).toBe('IntakeQ unavailable');
+    });
+  });
+
+  describe('slot holds', () => {
+    const bookedDate = moment().add(3, 'days').format('YYYY-MM-DD');
+    let services;
+    let bookingService;
+    let otherCaller;
+
+    const atTimeSelection = (flow, callId) => {
+      flow.initializeConversation(callId);
+      flow.updateConversationState(callId, {
+        step: 'time_selection',
+        clientVerified: true,
+        clientInfo: { id: callId === 'call_001' ? 'client_001' : 'client_002', name: 'John Doe' },
+        appointmentType: 'follow_up',
+        preferredProvider: flow.getProviderById('charles_maddix'),
+        preferredDate: bookedDate
+      });
+    };
+
+    beforeEach(() => {
+      process.env.PROVIDER_SCHEDULES = JSON.stringify(testProviderSchedules);
+      services = createFakeServices();
+      bookingService = new BookingService({
+        intakeqService: services.intakeqService,
+        availabilityEngine: new AvailabilityEngine({ intakeqService: services.intakeqService }),
+        cacheService: createFakeCacheService()
+      });
+      conversationFlow = new ConversationFlow({ ...services, bookingService });
+      otherCaller = new ConversationFlow({ ...services, bookingService });
+      atTimeSelection(conversationFlow, 'call_001');
+      atTimeSelection(otherCaller, 'call_002');
+    });
+
+    afterEach(() => {
+      delete process.env.PROVIDER_SCHEDULES;
+    });
+
+    it('should hold the picked time and offer other times to a second caller', async () => {
+      const first = await conversationFlow.processMessage('call_001', '11am works');
+      expect(first.nextStep).toBe('insurance_verification');
+
+      const second = await otherCaller.processMessage('call_002', '11am please');
+      expect(second).toEqual(expect.objectContaining({ nextStep: 'time_selection', slotTaken: true, options: ['10:45', '11:15'] }));
+      expect(second.message).toBe('I\'m sorry, 11:00 AM was just taken. The closest times I have that day are 10:45 AM and 11:15 AM. Would either of those work?');
+
+      const retry = await otherCaller.processMessage('call_002', '11:15 then');
+      expect(retry.nextStep).toBe('insurance_verification');
+    });
+
+    it('should free the earlier time when the caller picks another', async () => {
+      await conversationFlow.processMessage('call_001', '11am works');
+      conversationFlow.updateConversationState('call_001', { step: 'time_selection' });
+      await conversationFlow.processMessage('call_001', 'actually 2pm');
+
+      const response = await otherCaller.processMessage('call_002', '11am please');
+      expect(response.nextStep).toBe('insurance_verification');
+    });
+
+    it('should offer other times when the slot was booked before the caller confirmed', async () => {
+      await conversationFlow.processMessage('call_001', '11am works');
+      conversationFlow.updateConversationState('call_001', { step: 'confirmation', insuranceVerified: true });
+      // The front desk booked it directly in IntakeQ
+      services.intakeqService.isTimeSlotAvailable.mockResolvedValueOnce(false);
+
+      const response = await conversationFlow.processMessage('call_001', 'Yes');
+
+      expect(response).toEqual(expect.objectContaining({ nextStep: 'time_selection', slotTaken: true, options: ['10:45', '11:15'] }));
+      expect(services.intakeqService.createAppointment).not.toHaveBeenCalled();
+      expect(conversationFlow.getConversationState('call_001').preferredTime).toBeNull();
+    });
+
+    it('should hold a rescheduling caller\'s new time and keep them rescheduling if it goes', async () => {
+      conversationFlow.updateConversationState('call_001', {
+        step: 'rescheduling',
+        subStep: 'select_time',
+        selectedAppointment: {
+          id: 'apt_001',
+          client_id: 'client_001',
+          provider_id: 'charles_maddix',
+          appointment_type: 'follow_up',
+          start_time: clinicTime(moment().add(5, 'days').format('YYYY-MM-DD'), '15:00')
+        }
+      });
+
+      const confirm = await conversationFlow.processMessage('call_001', '11am works');
+      const other = await otherCaller.processMessage('call_002', '11am please');
+      services.intakeqService.isTimeSlotAvailable.mockResolvedValueOnce(false);
+      const response = await conversationFlow.processMessage('call_001', 'Yes');
+
+      expect(confirm.message).toContain('Is that correct');
+      expect(other).toEqual(expect.objectContaining({ nextStep: 'time_selection', slotTaken: true }));
+      expect(response).toEqual(expect.objectContaining({ nextStep: 'rescheduling', slotTaken: true, options: ['10:45', '11:15'] }));
+      expect(services.intakeqService.rescheduleAppointment).not.toHaveBeenCalled();
+      expect(conversationFlow.getConversationState('call_001').subStep).toBe('select_time');
+    });
+
+    it('should release the hold when the call ends without booking', async () => {
+      await conversationFlow.processMessage('call_001', '11am works');
+      await conversationFlow.cleanupConversation('call_001');
+
+      const response = await otherCaller.processMessage('call_002', '11am please');
+      expect(response.nextStep).toBe('insurance_verification');
+    });
+  });
+
+  describe('date and time resolution', () => {
+    const callId = 'call_001';
+
+    beforeEach(() => {
+      // Monday, October 19th 2026 at 10am in New York; only Date is faked
+      jest.useFakeTimers({
+        now: new Date('2026-10-19T14:00:00Z'),
+        doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+      });
+      process.env.PROVIDER_SCHEDULES = JSON.stringify(testProviderSchedules);
+      conversationFlow = new ConversationFlow(createFakeServices());
+
+      conversationFlow.initializeConversation(callId);
+      conversationFlow.updateConversationState(callId, {
+        step: 'date_selection',
+        appointmentType: 'follow_up',
+        preferredProvider: conversationFlow.getProviderById('charles_maddix')
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      delete process.env.PROVIDER_SCHEDULES;
+    });
+
+    it('should ask a clarifying question for an ambiguous date', async () => {
+      const response = await conversationFlow.processMessage(callId, 'next Tuesday');
+
+      expect(response.nextStep).toBe('date_selection');
+      expect(response.message).toBe('Do you mean Tuesday, October 20th or Tuesday, October 27th?');
+      expect(response.options).toEqual(['2026-10-20', '2026-10-27']);
+    });
+
+    it('should resolve a relative date and offer times in the requested part of day', async () => {
+      const response = await conversationFlow.processMessage(callId, 'tomorrow afternoon');
+
+      expect(response.nextStep).toBe('time_selection');
+      expect(response.message).toContain('Tuesday, October 20th');
+      expect(conversationFlow.getConversationState(callId).preferredDate).toBe('2026-10-20');
+      expect(response.availableTimes.every(time => time >= '12:00' && time < '17:00')).toBe(true);
+    });
+
+    it('should say when the provider is not available on the resolved date', async () => {
+      const response = await conversationFlow.processMessage(callId, 'November 30th');
+
+      expect(response.nextStep).toBe('date_selection');
+      expect(response.message).toContain('Charles Maddix isn\'t available on Monday, November 30th');
+    });
+
+    it('should store the spoken time as a slot', async () => {
+      conversationFlow.updateConversationState(callId, { step: 'time_selection', preferredDate: '2026-10-20' });
+
+      const response = await conversationFlow.processMessage(callId, 'quarter past four');
+
+      expect(response.nextStep).toBe('insurance_verification');
+      expect(response.message).toContain('4:15 PM on Tuesday, October 20th');
+      expect(conversationFlow.getConversationState(callId).preferredTime).toBe('16:15');
+    });
+
+    it('should offer the two closest times when the requested time is taken', async () => {
+      jest.spyOn(conversationFlow, 'checkTimeAvailability').mockImplementation(async (provider, date, time) => time !== '15:30');
+      conversationFlow.updateConversationState(callId, { step: 'time_selection', preferredDate: '2026-10-20' });
+
+      const response = await conversationFlow.processMessage(callId, 'three thirty');
+
+      expect(response.nextStep).toBe('time_selection');
+      expect(response.message).toBe('I\'m sorry, 3:30 PM isn\'t available. The closest times I have are 3:15 PM and 3:45 PM. Would either of those work?');
+      expect(response.options).toEqual(['15:15', '15:45']);
+    });
+  });
+
+  describe('clinic questions', () => {
+    const callId = 'call_001';
+
+    beforeEach(() => {
+      conversationFlow.initializeConversation(callId);
+    });
+
+    it('should answer a FAQ question instead of steering straight to scheduling', async () => {
+      const response = await conversationFlow.processMessage(callId, 'Where do I park');
+
+      expect(response.message).toContain('Hi, I\'m Matt from The Practice. There\'s free parking');
+      expect(response.faqId).toBe('parking');
+      expect(response.nextStep).toBe('greeting');
+    });
+
+    it('should carry on with scheduling after answering', async () => {
+      await conversationFlow.processMessage(callId, 'Do you accept Cigna insurance');
+      const response = await conversationFlow.processMessage(callId, 'Great, I want to schedule an appointment');
+
+      expect(response.nextStep).toBe('verification');
+    });
+
+    it('should answer a FAQ question asked partway through and stay on the step', async () => {
+      conversationFlow.updateConversationState(callId, {
+        step: 'time_selection',
+        clientVerified: true,
+        clientInfo: { id: 'client_001', name: 'John Doe' },
+        appointmentType: 'follow_up',
+        preferredProvider: conversationFlow.getProviderById('charles_maddix'),
+        preferredDate: '2026-10-20'
+      });
+      conversationFlow.addToHistory(callId, 'agent', 'What time works best for you?');
+
+      const parking = await conversationFlow.processMessage(callId, 'Where do I park?');
+      const insurance = await conversationFlow.processMessage(callId, 'Do you take Cigna?');
+
+      expect(parking).toEqual(expect.objectContaining({ faqId: 'parking', nextStep: 'time_selection' }));
+      expect(parking.message).toMatch(/^There's free parking.* Now, back to where we were\. What time works best for you\?$/);
+      expect(insurance).toEqual(expect.objectContaining({ faqId: 'insurance', nextStep: 'time_selection' }));
+      expect(insurance.message).toMatch(/Now, back to where we were\. What time works best for you\?$/);
+      expect(insurance.message).not.toContain('free parking');
+      expect(conversationFlow.getConversationState(callId).step).toBe('time_selection');
+    });
+
+    it('should leave answers that fit the step to the step', async () => {
+      conversationFlow.updateConversationState(callId, { step: 'verification', intent: 'schedule' });
+
+      const response = await conversationFlow.processMessage(callId, 'Is my number 904-123-4567 and birthday 03/15/1985 enough to park?');
+
+      expect(response.faqId).toBeUndefined();
+      expect(response.nextStep).not.toBe('verification');
+    });
+
+    it('should still steer unrelated questions back to appointments', async () => {
+      conversationFlow.updateConversationState(callId, { step: 'completed' });
+
+      const response = await conversationFlow.processMessage(callId, 'What is the weather like');
+
+      expect(response.message).toBe('I\'m here to help with appointment scheduling. Would you like to schedule, reschedule, or cancel an appointment?');
+    });
+  });
+
+  describe('phone lines', () => {
+    const callId = 'call_001';
+    const phoneLineDirectory = new PhoneLineDirectory({
+      phoneLines: {
+        main: { number: '+19045550100' },
+        after_hours: { number: '+19045550101', name: 'after-hours line', flow: 'message_only' },
+        ketamine: { number: '+19045550102', default_appointment_type: 'ketamine_consultation' }
+      }
+    });
+    let services;
+
+    beforeEach(() => {
+      process.env.PROVIDER_SCHEDULES = JSON.stringify(testProviderSchedules);
+      services = createFakeServices();
+      conversationFlow = new ConversationFlow({ ...services, phoneLineDirectory });
+      conversationFlow.initializeConversation(callId);
+    });
+
+    afterEach(() => {
+      delete process.env.PROVIDER_SCHEDULES;
+    });
+
+    it('should skip the appointment type question on the ketamine line', async () => {
+      await conversationFlow.applyCallDetails(callId, { from_number: '+19041234567', to_number: '+1 (904) 555-0102' });
+
+      await conversationFlow.processMessage(callId, 'I want to schedule an appointment');
+      const response = await conversationFlow.processMessage(callId, 'My phone is 904-123-4567 and DOB is 03/15/1985');
+
+      expect(response.nextStep).toBe('provider_selection');
+      expect(response.message).toContain('I can help you schedule a ketamine consultation');
+      expect(conversationFlow.getConversationState(callId)).toEqual(expect.objectContaining({
+        phoneLine: 'ketamine',
+        appointmentType: 'ketamine_consultation'
+      }));
+    });
+
+    it('should only take a message on the after-hours line', async () => {
+      await conversationFlow.applyCallDetails(callId, { from_number: '+19045550123', to_number: '+19045550101' });
+
+      const greeting = await conversationFlow.processMessage(callId, 'I want to cancel my appointment');
+      const taken = await conversationFlow.processMessage(callId, 'This is John Doe, please call me back');
+      const added = await conversationFlow.processMessage(callId, 'It is about tomorrow');
+
+      expect(greeting.nextStep).toBe('message');
+      expect(greeting.message).not.toContain('verify your identity');
+      expect(taken).toEqual(expect.objectContaining({ nextStep: 'message_taken', endCall: true }));
+      expect(taken.message).toContain('passed your message to our front desk');
+      expect(added.message).toContain('added that to your message');
+      expect(conversationFlow.getConversationState(callId).message).toEqual(expect.objectContaining({
+        text: 'This is John Doe, please call me back It is about tomorrow',
+        callerNumber: '+19045550123',
+        clientId: 'client_001',
+        delivered: true
+      }));
+      expect(services.verificationService.verifyClient).not.toHaveBeenCalled();
+      expect(services.auditLogger.logDataAccess).toHaveBeenCalledWith(callId, 'front_desk_message', expect.any(String));
+      expect(services.auditLogger.logDataAccess.mock.calls.filter(([, type]) => type === 'front_desk_message')).toHaveLength(1);
+    });
+
+    it('should add the message to the caller\'s IntakeQ record', async () => {
+      await conversationFlow.applyCallDetails(callId, { from_number: '+19045550123', to_number: '+19045550101' });
+
+      await conversationFlow.processMessage(callId, 'Hello?');
+      await conversationFlow.processMessage(callId, 'This is John Doe, please call me back');
+      await conversationFlow.processMessage(callId, 'It is about tomorrow');
+
+      expect(services.intakeqService.findClientsByPhone).toHaveBeenCalledTimes(1);
+      expect(services.intakeqService.addClientNote).toHaveBeenCalledTimes(2);
+      expect(services.intakeqService.addClientNote).toHaveBeenNthCalledWith(1, 'client_001', expect.stringMatching(/^After-hours message .*from \+19045550123[\s\S]*This is John Doe, please call me back$/));
+      expect(services.intakeqService.addClientNote).toHaveBeenNthCalledWith(2, 'client_001', expect.stringMatching(/^Added to the after-hours message[\s\S]*It is about tomorrow$/));
+      expect(services.auditLogger.logDataAccess).toHaveBeenCalledWith(callId, 'client_note', expect.any(String));
+    });
+
+    it('should not promise a call back when the number matches no single client', async () => {
+      services.intakeqService.findClientsByPhone.mockResolvedValue([{ id: 'client_001' }, { id: 'client_002' }]);
+      await conversationFlow.applyCallDetails(callId, { from_number: '+19045550123', to_number: '+19045550101' });
+
+      await conversationFlow.processMessage(callId, 'Hello?');
+      const taken = await conversationFlow.processMessage(callId, 'This is John Doe, please call me back');
+
+      expect(taken.message).not.toContain('passed your message');
+      expect(taken.message).toContain('call back during office hours');
+      expect(services.intakeqService.addClientNote).not.toHaveBeenCalled();
+      expect(conversationFlow.getConversationState(callId).message).toEqual(expect.objectContaining({ clientId: null, delivered: false }));
+    });
+
+    it('should not promise a call back when the note can\'t be added', async () => {
+      services.intakeqService.addClientNote.mockRejectedValue(new Error('IntakeQ unavailable'));
+      await conversationFlow.applyCallDetails(callId, { from_number: '+19045550123', to_number: '+19045550101' });
+
+      await conversationFlow.processMessage(callId, 'Hello?');
+      const taken = await conversationFlow.processMessage(callId, 'This is John Doe, please call me back');
+
+      expect(taken.message).toContain('call back during office hours');
+    });
+
+    it('should use the standard flow for numbers that aren\'t configured', async () => {
+      await conversationFlow.applyCallDetails(callId, { to_number: '+13055550199' });
+
+      const response = await conversationFlow.processMessage(callId, 'I want to schedule an appointment');
+
+      expect(response.nextStep).toBe('verification');
+      expect(conversationFlow.getConversationState(callId).phoneLine).toBeNull();
+    });
+
+    it('should not change the flow once the conversation has started', async () => {
+      await conversationFlow.processMessage(callId, 'I want to schedule an appointment');
+      await conversationFlow.applyCallDetails(callId, { to_number: '+19045550101' });
+
+      expect(conversationFlow.getConversationState(callId).flow).toBe('standard');
+    });
+  });
 });
@@ -0,0 +1,132 @@
+const InMemoryConversationStore = require('../src/stores/inMemoryConversationStore');
+const RedisConversationStore = require('../src/stores/redisConversationStore');
+const ConversationFlow = require('../src/flows/conversationFlow');
+const { createFakeCacheService } = require('./helpers/fakeCacheService');
+
+describe('InMemoryConversationStore', () => {
+  it('should round-trip state through JSON', async () => {
+    const store = new InMemoryConversationStore();
+    const lastActivity = new Date();
+
+    await store.set('call_001', { callId: 'call_001', step: 'verification', lastActivity });
+    const state = await store.get('call_001');
+
+    expect(state.step).toBe('verification');
+    expect(state.lastActivity).toBe(lastActivity.toISOString());
+  });
+
+  it('should expire state ttlSeconds after last activity', async () => {
+    const store = new InMemoryConversationStore({ ttlSeconds: 60 });
+
+    await store.set('call_001', { callId: 'call_001', lastActivity: new Date(Date.now() - 61 * 1000) });
+
+    await expect(store.get('call_001')).resolves.toBeNull();
+  });
+
+  it('should delete state', async () => {
+    const store = new InMemoryConversationStore();
+    await store.set('call_001', { callId: 'call_001', lastActivity: new Date() });
+
+    await store.delete('call_001');
+
+    await expect(store.get('call_001')).resolves.toBeNull();
+  });
+});
+
+describe('RedisConversationStore', () => {
+  let cacheService;
+  let store;
+
+  beforeEach(() => {
+    cacheService = createFakeCacheService();
+    store = new RedisConversationStore(cacheService, { ttlSeconds: 1800 });
+  });
+
+  it('should encrypt state at rest', async () => {
+    await store.set('call_001', {
+      callId: 'call_001',
+      clientInfo: { name: 'John Doe', dateOfBirth: '1985-03-15' },
+      lastActivity: new Date()
+    });
+
+    const raw = cacheService.store.get('conversation:call_001');
+    expect(raw).not.toContain('John Doe');
+    expect(raw).not.toContain('1985-03-15');
+
+    const state = await store.get('call_001');
+    expect(state.clientInfo.name).toBe('John Doe');
+  });
+
+  it('should set the TTL relative to last activity', async () => {
+    await store.set('call_001', { callId: 'call_001', lastActivity: new Date(Date.now() - 600 * 1000) });
+
+    const ttl = cacheService.ttls.get('conversation:call_001');
+    expect(ttl).toBeGreaterThan(1190);
+    expect(ttl).toBeLessThanOrEqual(1200);
+  });
+
+  it('should not store state whose TTL has already passed', async () => {
+    const result = await store.set('call_001', { callId: 'call_001', lastActivity: new Date(Date.now() - 3600 * 1000) });
+
+    expect(result).toBe(false);
+    expect(cacheService.store.has('conversation:call_001')).toBe(false);
+  });
+
+  it('should refuse to start without an encryption key', () => {
+    const configuredKey = process.env.ENCRYPTION_KEY;
+    delete process.env.ENCRYPTION_KEY;
+
+    try {
+      expect(() => new RedisConversationStore(cacheService)).toThrow('ENCRYPTION_KEY is required');
+    } finally {
+      process.env.ENCRYPTION_KEY = configuredKey;
+    }
+  });
+
+  it('should return null for state encrypted with a different key', async () => {
+    const otherStore = new RedisConversationStore(cacheService, { encryptionKey: 'a-different-encryption-key' });
+    await otherStore.set('call_001', { callId: 'call_001', lastActivity: new Date() });
+
+    await expect(store.get('call_001')).resolves.toBeNull();
+  });
+});
+
+describe('ConversationFlow state persistence', () => {
+  it('should continue a call on another instance sharing the store', async () => {
+    const stateStore = new InMemoryConversationStore();
+    const first = new ConversationFlow({ stateStore });
+    const second = new ConversationFlow({ stateStore });
+
+    first.initializeConversation('call_001');
+    await first.processMessage('call_001', 'I want to schedule an appointment');
+
+    const state = await second.loadConversation('call_001');
+
+    expect(state.step).toBe('verification');
+    expect(state.intent).toBe('schedule');
+    expect(state.lastActivity).toBeInstanceOf(Date);
+    expect(state.conversationHistory).toHaveLength(2);
+  });
+
+  it('should remove state from the store on cleanup', async () => {
+    const stateStore = new InMemoryConversationStore();
+    const conversationFlow = new ConversationFlow({ stateStore });
+    conversationFlow.initializeConversation('call_001');
+
+    await conversationFlow.cleanupConversation('call_001');
+
+    await expect(stateStore.get('call_001')).resolves.toBeNull();
+  });
+
+  it('should evict idle working copies', async () => {
+    const conversationFlow = new ConversationFlow();
+    conversationFlow.initializeConversation('call_old');
+    conversationFlow.getConversationState('call_old').lastActivity = new Date(Date.now() - 2 * 3600 * 1000);
+    conversationFlow.initializeConversation('call_new');
+
+    await conversationFlow.persistConversation('call_new');
+
+    expect(conversationFlow.conversationStates.has('call_old')).toBe(false);
+    expect(conversationFlow.conversationStates.has('call_new')).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+const DateResolver = require('../src/utils/dateResolver');
+
+describe('DateResolver', () => {
+  // Monday, October 19th 2026 at 10am in New York
+  const now = '2026-10-19T10:00:00-04:00';
+  let dateResolver;
+
+  beforeEach(() => {
+    dateResolver = new DateResolver({ timezone: 'America/New_York' });
+  });
+
+  describe('resolve', () => {
+    it('should resolve relative days', () => {
+      expect(dateResolver.resolve('tomorrow works', { now })).toEqual({ date: '2026-10-20' });
+      expect(dateResolver.resolve('the day after tomorrow', { now })).toEqual({ date: '2026-10-21' });
+      expect(dateResolver.resolve('in two weeks', { now })).toEqual({ date: '2026-11-02' });
+      expect(dateResolver.resolve('a week from Thursday', { now })).toEqual({ date: '2026-10-29' });
+    });
+
+    it('should resolve today and tomorrow in the clinic timezone', () => {
+      // 10pm on the 19th in New York, already the 20th in UTC
+      const lateEvening = '2026-10-20T02:00:00Z';
+
+      expect(dateResolver.resolve('tomorrow', { now: lateEvening })).toEqual({ date: '2026-10-20' });
+    });
+
+    it('should resolve weekdays', () => {
+      expect(dateResolver.resolve('this Friday', { now })).toEqual({ date: '2026-10-23' });
+      expect(dateResolver.resolve('Friday after next', { now })).toEqual({ date: '2026-10-30' });
+    });
+
+    it('should ask which Tuesday is meant by next Tuesday early in the week', () => {
+      const resolution = dateResolver.resolve('next Tuesday', { now });
+
+      expect(resolution.candidates).toEqual(['2026-10-20', '2026-10-27']);
+      expect(resolution.clarification).toBe('Do you mean Tuesday, October 20th or Tuesday, October 27th?');
+    });
+
+    it('should narrow next Tuesday to the bookable date', () => {
+      const resolution = dateResolver.resolve('next Tuesday', { now, availableDates: ['2026-10-27', '2026-10-28'] });
+
+      expect(resolution).toEqual({ date: '2026-10-27' });
+    });
+
+    it('should resolve spoken month and day', () => {
+      expect(dateResolver.resolve('October twenty-second', { now })).toEqual({ date: '2026-10-22' });
+      expect(dateResolver.resolve('the 5th of January', { now })).toEqual({ date: '2027-01-05' });
+      expect(dateResolver.resolve('May 3rd please', { now })).toEqual({ date: '2027-05-03' });
+    });
+
+    it('should resolve numeric dates', () => {
+      expect(dateResolver.resolve('01/15/2027', { now })).toEqual({ date: '2027-01-15' });
+      expect(dateResolver.resolve('2026-11-04', { now })).toEqual({ date: '2026-11-04' });
+      expect(dateResolver.resolve('11/4', { now })).toEqual({ date: '2026-11-04' });
+    });
+
+    it('should resolve a bare day of the month to the next one', () => {
+      expect(dateResolver.resolve('the 14th', { now })).toEqual({ date: '2026-11-14' });
+    });
+
+    it('should ask which month is meant when both are bookable', () => {
+      const resolution = dateResolver.resolve('the 25th', { now });
+
+      expect(resolution.candidates).toEqual(['2026-10-25', '2026-11-25']);
+    });
+
+    it('should pick the bookable month for a bare day of the month', () => {
+      expect(dateResolver.resolve('the 25th', { now, availableDates: ['2026-11-25'] })).toEqual({ date: '2026-11-25' });
+    });
+
+    it('should use the day of the month when a weekday is named with it', () => {
+      expect(dateResolver.resolve('Friday the 30th', { now })).toEqual({ date: '2026-10-30' });
+      expect(dateResolver.resolve('Tuesday the 3rd', { now })).toEqual({ date: '2026-11-03' });
+      expect(dateResolver.resolve('Monday the 26th', { now })).toEqual({ date: '2026-10-26' });
+      expect(dateResolver.resolve('Wednesday, November 4th', { now })).toEqual({ date: '2026-11-04' });
+    });
+
+    it('should ask when the weekday and the day of the month disagree', () => {
+      expect(dateResolver.resolve('Friday the 29th', { now })).toEqual({
+        clarification: 'October 29th is a Thursday. Do you mean Thursday, October 29th or Friday, October 30th?',
+        candidates: ['2026-10-29', '2026-10-30']
+      });
+      expect(dateResolver.resolve('Monday, November 4th', { now }).candidates).toEqual(['2026-11-02', '2026-11-04']);
+    });
+
+    it('should offer the bookable days of next week', () => {
+      const resolution = dateResolver.resolve('sometime next week', {
+        now,
+        availableDates: ['2026-10-22', '2026-10-26', '2026-10-28']
+      });
+
+      expect(resolution.candidates).toEqual(['2026-10-26', '2026-10-28']);
+      expect(resolution.clarification).toBe('Which day next week works best for you? I have Monday and Wednesday.');
+    });
+
+    it('should resolve the earliest available date', () => {
+      const resolution = dateResolver.resolve('whatever is soonest', { now, availableDates: ['2026-10-21', '2026-10-22'] });
+
+      expect(resolution).toEqual({ date: '2026-10-21' });
+    });
+
+    it('should return the part of day the caller mentions', () => {
+      expect(dateResolver.resolve('tomorrow afternoon', { now })).toEqual({ date: '2026-10-20', partOfDay: 'afternoon' });
+    });
+
+    it('should return null when no date is mentioned', () => {
+      expect(dateResolver.resolve('I want to see Charles', { now })).toBeNull();
+    });
+  });
+
+  describe('formatSpoken', () => {
+    it('should format dates for speech', () => {
+      expect(dateResolver.formatSpoken('2026-10-22')).toBe('Thursday, October 22nd');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Stands in for a connected CacheService with Redis semantics. Values are
+ * kept serialized in `store` and their TTLs in `ttls`, so tests can check
+ * what would reach Redis. Call it in beforeEach: resetMocks clears the
+ * jest.fn implementations between tests.
+ */
+const createFakeCacheService = () => {
+  const store = new Map();
+  const ttls = new Map();
+  const sets = new Map();
+
+  const cache = {
+    store,
+    ttls,
+    isConnected: jest.fn(() => true),
+    get: jest.fn(async (key) => (store.has(key) ? JSON.parse(store.get(key)) : null)),
+    set: jest.fn(async (key, value, ttl = 3600) => {
+      store.set(key, JSON.stringify(value));
+      ttls.set(key, ttl);
+      return true;
+    }),
+    setIfAbsent: jest.fn(async (key, value, ttl = 3600) => {
+      if (store.has(key)) {
+        return false;
+      }
+      store.set(key, JSON.stringify(value));
+      ttls.set(key, ttl);
+      return true;
+    }),
+    extend: jest.fn(async (key, ttl) => {
+      if (!store.has(key)) {
+        return false;
+      }
+      ttls.set(key, ttl);
+      return true;
+    }),
+    del: jest.fn(async (key) => {
+      ttls.delete(key);
+      return store.delete(key);
+    }),
+    addToSet: jest.fn(async (key, member, ttl = 3600) => {
+      sets.set(key, new Set([...(sets.get(key) || []), member]));
+      ttls.set(key, ttl);
+      return true;
+    }),
+    getSetMembers: jest.fn(async (key) => [...(sets.get(key) || [])])
+  };
+
+  cache.invalidateAppointmentCache = jest.fn(id => cache.del(`appointment:${id}`));
+  cache.invalidateClientCache = jest.fn(id => cache.del(`client:${id}`));
+  cache.invalidateProviderSchedule = jest.fn((providerId, date) => cache.del(`schedule:${providerId}:${date}`));
+
+  return cache;
+};
+
+module.exports = { createFakeCacheService };
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const IntakeQStandIn = require('../src/services/intakeqStandIn');
+const IntakeQService = require('../src/services/intakeqService');
+const fixtures = require('./fixtures/intakeq.json');
+
+// These tests talk HTTP to the stand-in, so use the real axios
+jest.unmock('axios');
+
+describe('IntakeQStandIn', () => {
+  const apiKey = 'stand-in-key';
+  let standIn;
+  let service;
+
+  beforeEach(async () => {
+    standIn = new IntakeQStandIn({ fixtures, apiKey });
+    process.env.INTAKEQ_BASE_URL = await standIn.start();
+    process.env.INTAKEQ_API_KEY = apiKey;
+    process.env.INTAKEQ_CLINIC_ID = fixtures.clinic.id;
+    service = new IntakeQService();
+  });
+
+  afterEach(async () => {
+    await standIn.stop();
+    delete process.env.INTAKEQ_BASE_URL;
+    delete process.env.INTAKEQ_API_KEY;
+    delete process.env.INTAKEQ_CLINIC_ID;
+    delete process.env.INTAKEQ_TIMEOUTS;
+  });
+
+  describe('clients', () => {
+    it('should connect and find a fixture client by phone and date of birth', async () => {
+      await service.testConnection();
+      expect(service.isConnected()).toBe(true);
+
+      const client = await service.getClient('(904) 123-4567', '1985-03-15');
+      expect(client).toMatchObject({ id: 'client_001', first_name: 'John' });
+      expect(await service.getClient('(904) 123-4567', '1999-01-01')).toBeNull();
+      expect(standIn.requests.find(request => request.path === '/clients').query).toEqual({
+        phone: '(904) 123-4567',
+        date_of_birth: '1985-03-15',
+        clinic_id: fixtures.clinic.id
+      });
+    });
+
+    it('should create, update and annotate clients', async () => {
+      const client = await service.createClient({ firstName: 'Ana', lastName: 'Reyes', phone: '+19045550111', dateOfBirth: '1992-05-01' });
+      expect(client.id).toMatch(/^client_/);
+      expect(client).not.toHaveProperty('clinic_id');
+
+      await service.updateClient(client.id, { email: 'ana@example.com' });
+      expect((await service.getClientById(client.id)).email).toBe('ana@example.com');
+
+      const note = await service.addClientNote(client.id, 'Called to book an evaluation');
+      expect(note).toMatchObject({ client_id: client.id, text: 'Called to book an evaluation' });
+    });
+
+    it('should reject requests without the API key', async () => {
+      process.env.INTAKEQ_API_KEY = 'wrong';
+      service = new IntakeQService();
+      await expect(service.getClientById('client_001')).rejects.toMatchObject({ response: { status: 401 } });
+    });
+
+    it('should return 404 for unknown clients', async () => {
+      await expect(service.getClientById('client_missing')).rejects.toMatchObject({ response: { status: 404 } });
+    });
+  });
+
+  describe('availability and appointments', () => {
+    it('should serve the provider schedule with appointments and blocked times', async () => {
+      const schedule = await service.getProviderSchedule('charles_maddix', '2026-11-02');
+      expect(schedule.appointments.map(apt => apt.id)).toEqual(['apt_001']);
+      expect(schedule.blocked_times).toHaveLength(1);
+      expect((await service.getProviderSchedule('charles_maddix', '2026-11-03')).appointments).toEqual([]);
+    });
+
+    it('should list open slots around bookings and blocked times', async () => {
+      const slots = await service.getAvailableSlots('charles_maddix', '2026-11-02', 'comprehensive_evaluation');
+      const starts = slots.map(slot => slot.start_time);
+      expect(starts).toEqual([
+        '2026-11-02T11:30:00-05:00',
+        '2026-11-02T14:30:00-05:00',
+        '2026-11-02T15:30:00-05:00',
+        '2026-11-02T16:30:00-05:00'
+      ]);
+
+      const days = await service.getProviderAvailability('ava_suleiman', '2026-11-02', '2026-11-03');
+      expect(days.map(day => [day.date, day.slots.length])).toEqual([['2026-11-02', 0], ['2026-11-03', 15]]);
+    });
+
+    it('should check availability against bookings and working hours', async () => {
+      expect(await service.isTimeSlotAvailable('charles_maddix', '2026-11-02T11:00:00-05:00', '2026-11-02T11:30:00-05:00')).toBe(false);
+      expect(await service.isTimeSlotAvailable('charles_maddix', '2026-11-02T11:30:00-05:00', '2026-11-02T12:00:00-05:00')).toBe(true);
+      expect(await service.isTimeSlotAvailable('charles_maddix', '2026-11-02T09:00:00-05:00', '2026-11-02T09:30:00-05:00')).toBe(false);
+    });
+
+    it('should book, reschedule and cancel appointments', async () => {
+      const appointment = await service.createAppointment({
+        clientId: 'client_002',
+        providerId: 'charles_maddix',
+        appointmentType: 'follow_up',
+        date: '2026-11-03',
+        time: '10:30'
+      });
+      expect(appointment).toMatchObject({
+        start_time: '2026-11-03T10:30:00-05:00',
+        end_time: '2026-11-03T10:45:00-05:00',
+        status: 'scheduled',
+        location: 'in-person'
+      });
+      expect(appointment).not.toHaveProperty('clinic_id');
+      expect(standIn.requests.find(request => request.method === 'POST').body).toMatchObject({
+        clinic_id: fixtures.clinic.id,
+        client_id: 'client_002',
+        status: 'scheduled'
+      });
+
+      await expect(service.createAppointment({
+        clientId: 'client_001',
+        providerId: 'charles_maddix',
+        appointmentType: 'follow_up',
+        startTime: '2026-11-03T10:40:00-05:00',
+        endTime: '2026-11-03T10:55:00-05:00'
+      })).rejects.toMatchObject({ response: { status: 409 } });
+
+      const rescheduled = await service.rescheduleAppointment(appointment.id, '2026-11-04T16:00:00Z');
+      expect(rescheduled).toMatchObject({ start_time: '2026-11-04T11:00:00-05:00', end_time: '2026-11-04T11:15:00-05:00', status: 'rescheduled' });
+
+      const updated = await service.updateAppointment(appointment.id, { start_time: '2026-11-04T11:30:00-05:00', appointment_type: 'ketamine_consultation' });
+      expect(updated).toMatchObject({ end_time: '2026-11-04T12:00:00-05:00', appointment_type: 'ketamine_consultation' });
+
+      await service.cancelAppointment(appointment.id, 'Feeling better');
+      const cancelled = await service.getAppointmentsInRange('2026-11-01T00:00:00-04:00', '2026-11-08T00:00:00-05:00', 'cancelled');
+      expect(cancelled.map(apt => apt.id)).toEqual([appointment.id]);
+    });
+
+    it('should list providers, their appointment types and clinic settings', async () => {
+      expect((await service.getProviders()).map(provider => provider.id)).toEqual(['charles_maddix', 'ava_suleiman', 'dr_soto']);
+      expect(await service.getProviderAppointmentTypes('dr_soto')).toEqual([{ id: 'follow_up', name: 'Follow-up appointment', duration: 15 }]);
+      expect(await service.updateClinicSettings({ reminder_method: 'email' })).toMatchObject({ name: 'The Practice', reminder_method: 'email' });
+      expect(await service.sendAppointmentReminder('apt_001', 'sms')).toMatchObject({ kind: 'reminder', method: 'sms' });
+    });
+
+    it('should reset to the fixtures', async () => {
+      await service.cancelAppointment('apt_001');
+      standIn.reset();
+      expect((await service.getClientAppointments('client_001'))[0].status).toBe('scheduled');
+    });
+  });
+
+  describe('fault injection', () => {
+    it('should answer 429 with Retry-After for the matching endpoint', async () => {
+      standIn.injectFault({ method: 'GET', path: '/providers/:id/schedule', status: 429, retryAfter: 3 });
+
+      const error = await service.getProviderSchedule('charles_maddix', '2026-11-02').catch(err => err);
+      expect(error.response.status).toBe(429);
+      expect(error.response.headers['retry-after']).toBe('3');
+      expect(await service.getProviders()).toHaveLength(3);
+
+      // The fault was used up
+      expect(await service.getProviderSchedule('charles_maddix', '2026-11-02')).toHaveProperty('appointments');
+    });
+
+    it('should keep failing until faults are cleared when times is null', async () => {
+      standIn.injectFault({ path: '/appointments', status: 500, times: null });
+
+      await expect(service.getAppointmentsInRange('2026-11-01', '2026-11-08')).rejects.toMatchObject({ response: { status: 500 } });
+      expect(standIn.requests.filter(request => request.path === '/appointments')).toHaveLength(3);
+
+      standIn.clearFaults();
+      expect(await service.getAppointmentsInRange('2026-11-01T00:00:00-04:00', '2026-11-08T00:00:00-05:00')).toHaveLength(1);
+    });
+
+    it('should delay responses past the client timeout', async () => {
+      process.env.INTAKEQ_TIMEOUTS = JSON.stringify({ 'GET /clients/:id': 50 });
+      service = new IntakeQService();
+      standIn.injectFault({ path: '/clients/:id', delayMs: 500, times: null });
+
+      await expect(service.getClientById('client_001')).rejects.toMatchObject({ code: 'ECONNABORTED' });
+    });
+
+    it('should accept faults over the control endpoint', async () => {
+      await axios.post(`${standIn.url.replace(/\/v1$/, '')}/_stand-in/faults`, { path: '/clients/:id/notes', status: 503 });
+
+      await expect(service.addClientNote('client_001', 'Called back')).rejects.toMatchObject({ response: { status: 503 } });
+      expect(standIn.faults).toEqual([]);
+    });
+  });
+
+  describe('webhooks', () => {
+    const webhookSecret = 'stand-in-webhook-secret';
+    let receiver;
+    let received;
+
+    beforeEach(async () => {
+      received = [];
+      const app = express();
+      app.post('/webhook/intakeq', express.text({ type: '*/*' }), (req, res) => {
+        received.push({ signature: req.headers['x-intakeq-signature'], body: req.body });
+        res.json({ success: true });
+      });
+      receiver = await new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+      });
+
+      await standIn.stop();
+      standIn = new IntakeQStandIn({
+        fixtures,
+        apiKey,
+        webhookUrl: `http://localhost:${receiver.address().port}/webhook/intakeq`,
+        webhookSecret
+      });
+      process.env.INTAKEQ_BASE_URL = await standIn.start();
+      service = new IntakeQService();
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    it('should send signed appointment and client events to /webhook/intakeq', async () => {
+      await service.cancelAppointment('apt_001', 'Conflict');
+      await service.updateClient('client_001', { email: 'john@example.com' });
+      await standIn.settleWebhooks();
+
+      expect(received.map(({ body }) => JSON.parse(body))).toEqual([
+        {
+          id: expect.stringMatching(/^evt_/),
+          event: 'appointment_cancelled',
+          data: expect.objectContaining({ appointment_id: 'apt_001', client_id: 'client_001', status: 'cancelled' })
+        },
+        { id: expect.stringMatching(/^evt_/), event: 'client_updated', data: { client_id: 'client_001' } }
+      ]);
+      received.forEach(({ signature, body }) => {
+        expect(signature).toBe(`sha256=${crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')}`);
+      });
+      expect(standIn.webhooks.map(webhook => webhook.status)).toEqual([200, 200]);
+    });
+  });
+});
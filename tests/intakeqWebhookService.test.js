@@ -0,0 +1,142 @@
+const IntakeQWebhookService = require('../src/services/intakeqWebhookService');
+const AvailabilityEngine = require('../src/services/availabilityEngine');
+const { createFakeCacheService } = require('./helpers/fakeCacheService');
+
+describe('IntakeQWebhookService', () => {
+  const appointment = {
+    appointment_id: 'apt_001',
+    client_id: 'client_001',
+    provider_id: 'charles_maddix',
+    start_time: '2026-11-02T11:00:00-05:00',
+    end_time: '2026-11-02T11:15:00-05:00',
+    status: 'scheduled'
+  };
+  let cacheService;
+  let webhookService;
+
+  beforeEach(() => {
+    cacheService = createFakeCacheService();
+    [
+      'appointment:apt_001', 'client:client_001',
+      'availability:charles_maddix:2026-11-02', 'schedule:charles_maddix:2026-11-02',
+      'availability:charles_maddix:2026-11-03', 'availability:ava_suleiman:2026-11-02'
+    ].forEach(key => cacheService.store.set(key, '{}'));
+    webhookService = new IntakeQWebhookService({
+      cacheService,
+      availabilityEngine: new AvailabilityEngine({ cacheService })
+    });
+  });
+
+  it('should drop the cached appointment and the provider\'s schedule for that day', async () => {
+    const result = await webhookService.handleWebhook({ id: 'evt_001', event: 'appointment_created', data: appointment });
+
+    expect(result).toEqual({ handled: true, duplicate: false });
+    ['appointment:apt_001', 'availability:charles_maddix:2026-11-02', 'schedule:charles_maddix:2026-11-02']
+      .forEach(key => expect(cacheService.store.has(key)).toBe(false));
+    ['client:client_001', 'availability:charles_maddix:2026-11-03', 'availability:ava_suleiman:2026-11-02']
+      .forEach(key => expect(cacheService.store.has(key)).toBe(true));
+  });
+
+  it('should use the clinic date for late-evening UTC timestamps', async () => {
+    await webhookService.handleWebhook({
+      id: 'evt_001',
+      event: 'appointment.updated',
+      data: { ...appointment, start_time: '2026-11-03T01:00:00Z' }
+    });
+
+    expect(cacheService.store.has('availability:charles_maddix:2026-11-02')).toBe(false);
+    expect(cacheService.store.has('availability:charles_maddix:2026-11-03')).toBe(true);
+  });
+
+  it('should clear the day an appointment moved from and report it', async () => {
+    const listener = jest.fn();
+    webhookService.on('appointment.updated', listener);
+    await webhookService.handleWebhook({ id: 'evt_001', event: 'appointment_created', data: appointment });
+    ['availability:charles_maddix:2026-11-02', 'availability:charles_maddix:2026-11-03'].forEach(key => cacheService.store.set(key, '{}'));
+
+    await webhookService.handleWebhook({
+      id: 'evt_002',
+      event: 'appointment_updated',
+      data: { ...appointment, start_time: '2026-11-03T11:00:00-05:00', end_time: '2026-11-03T11:15:00-05:00', status: 'rescheduled' }
+    });
+
+    expect(cacheService.store.has('availability:charles_maddix:2026-11-02')).toBe(false);
+    expect(cacheService.store.has('availability:charles_maddix:2026-11-03')).toBe(false);
+    expect(listener).toHaveBeenCalledWith({
+      id: 'evt_002',
+      type: 'appointment.updated',
+      appointmentId: 'apt_001',
+      clientId: 'client_001',
+      providerId: 'charles_maddix',
+      startTime: '2026-11-03T11:00:00-05:00',
+      endTime: '2026-11-03T11:15:00-05:00',
+      status: 'rescheduled',
+      previous: { providerId: 'charles_maddix', startTime: '2026-11-02T11:00:00-05:00' }
+    });
+  });
+
+  it('should process a redelivered event once', async () => {
+    const listener = jest.fn();
+    webhookService.on('appointment.cancelled', listener);
+    const body = { event: 'appointment_cancelled', data: { ...appointment, status: 'cancelled' } };
+
+    await webhookService.handleWebhook({ id: 'evt_003', ...body });
+    const redelivery = await webhookService.handleWebhook({ id: 'evt_003', ...body });
+    // Without an id the content identifies the event
+    await webhookService.handleWebhook(body);
+    await webhookService.handleWebhook(body);
+
+    expect(redelivery).toEqual({ handled: true, duplicate: true });
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(cacheService.invalidateAppointmentCache).toHaveBeenCalledTimes(2);
+  });
+
+  it('should let a failed event be redelivered', async () => {
+    cacheService.invalidateAppointmentCache.mockRejectedValueOnce(new Error('Redis timeout'));
+    const body = { id: 'evt_004', event: 'appointment_updated', data: appointment };
+
+    await expect(webhookService.handleWebhook(body)).rejects.toThrow('Redis timeout');
+
+    expect(await webhookService.handleWebhook(body)).toEqual({ handled: true, duplicate: false });
+  });
+
+  it('should let a corrected redelivery of an event without IDs through', async () => {
+    const incomplete = await webhookService.handleWebhook({ id: 'evt_006', event: 'appointment_updated', data: { status: 'scheduled' } });
+    const corrected = await webhookService.handleWebhook({ id: 'evt_006', event: 'appointment_updated', data: appointment });
+
+    expect(incomplete).toEqual({ handled: false, duplicate: false });
+    expect(corrected).toEqual({ handled: true, duplicate: false });
+    expect(cacheService.store.has('intakeq-webhook:evt_006')).toBe(true);
+  });
+
+  it('should invalidate the client and publish client updates', async () => {
+    const listener = jest.fn();
+    webhookService.on('client.updated', listener);
+
+    await webhookService.handleWebhook({ id: 'evt_005', event: 'client_updated', data: { client_id: 'client_001' } });
+
+    expect(cacheService.store.has('client:client_001')).toBe(false);
+    expect(cacheService.store.has('appointment:apt_001')).toBe(true);
+    expect(listener).toHaveBeenCalledWith({ id: 'evt_005', type: 'client.updated', clientId: 'client_001' });
+  });
+
+  it('should not fail the webhook when a subscriber throws', async () => {
+    const later = jest.fn();
+    webhookService.on('appointment.created', async () => {
+      throw new Error('SMS provider down');
+    });
+    webhookService.on('appointment.created', later);
+
+    await expect(webhookService.handleWebhook({ id: 'evt_006', event: 'appointment_created', data: appointment }))
+      .resolves.toEqual({ handled: true, duplicate: false });
+    expect(later).toHaveBeenCalled();
+  });
+
+  it('should ignore unknown events and events without an ID', async () => {
+    expect(await webhookService.handleWebhook({ id: 'evt_007', event: 'form_submitted', data: {} }))
+      .toEqual({ handled: false, duplicate: false });
+    expect(await webhookService.handleWebhook({ id: 'evt_008', event: 'appointment_created', data: {} }))
+      .toEqual({ handled: false, duplicate: false });
+    expect(cacheService.invalidateAppointmentCache).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,84 @@
+const RetellAgent = require('../src/agents/retellAgent');
+const RetellStandIn = require('../src/agents/retellStandIn');
+const KnowledgeBaseProvisioner = require('../src/agents/knowledgeBaseProvisioner');
+const ClinicFaq = require('../src/services/clinicFaq');
+const ProviderDirectory = require('../src/services/providerDirectory');
+const { run } = require('../src/cli/faq');
+
+describe('KnowledgeBaseProvisioner', () => {
+  const faq = {
+    name: 'The Practice clinic FAQ',
+    entries: [{ id: 'parking', question: 'Where do I park?', keywords: ['park'], answer: 'In the lot out front.' }]
+  };
+  let retell;
+  let retellAgent;
+
+  const createProvisioner = (faqContent = faq, knowledgeBaseId = null) =>
+    new KnowledgeBaseProvisioner({ retellAgent, clinicFaq: new ClinicFaq({ faq: faqContent }), knowledgeBaseId });
+
+  beforeEach(() => {
+    retell = new RetellStandIn();
+    retellAgent = new RetellAgent({ providerDirectory: new ProviderDirectory({ providerSchedules: {}, appointmentTypes: {} }), client: retell });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('should create the knowledge base with the FAQ on first sync', async () => {
+    const result = await createProvisioner().sync();
+
+    const knowledgeBase = await retell.knowledgeBase.retrieve(result.knowledgeBaseId);
+    expect(knowledgeBase.knowledge_base_name).toBe('The Practice clinic FAQ');
+    expect(knowledgeBase.knowledge_base_sources).toEqual([expect.objectContaining({
+      title: `Clinic FAQ ${new ClinicFaq({ faq }).getVersion()}`,
+      text: expect.stringContaining('## Where do I park?\n\nIn the lot out front.')
+    })]);
+    await expect(createProvisioner().diff()).resolves.toEqual(expect.objectContaining({ exists: true, upToDate: true }));
+  });
+
+  it('should replace the FAQ source when an answer changes', async () => {
+    const { knowledgeBaseId } = await createProvisioner().sync();
+    const changed = { ...faq, entries: [{ ...faq.entries[0], answer: 'Street parking on Hendricks Avenue.' }] };
+
+    const result = await createProvisioner(changed, knowledgeBaseId).sync();
+
+    expect(result.knowledgeBaseId).toBe(knowledgeBaseId);
+    expect(await retell.knowledgeBase.list()).toHaveLength(1);
+    const { knowledge_base_sources: sources } = await retell.knowledgeBase.retrieve(knowledgeBaseId);
+    expect(sources).toEqual([expect.objectContaining({ text: expect.stringContaining('Street parking') })]);
+  });
+
+  it('should leave an up-to-date knowledge base alone', async () => {
+    await createProvisioner().sync();
+    const addSources = jest.spyOn(retell.knowledgeBase, 'addSources');
+
+    const result = await createProvisioner().sync();
+
+    expect(result.changed).toBe(false);
+    expect(addSources).not.toHaveBeenCalled();
+  });
+
+  it('should keep sources that aren\'t the FAQ', async () => {
+    const { knowledgeBaseId } = await createProvisioner().sync();
+    await retell.knowledgeBase.addSources(knowledgeBaseId, { knowledge_base_texts: [{ title: 'New patient paperwork', text: 'Forms.' }] });
+
+    await createProvisioner({ ...faq, name: faq.name, entries: [] }, knowledgeBaseId).sync();
+
+    const { knowledge_base_sources: sources } = await retell.knowledgeBase.retrieve(knowledgeBaseId);
+    expect(sources.map(source => source.title)).toEqual(['New patient paperwork', expect.stringMatching(/^Clinic FAQ /)]);
+  });
+
+  describe('CLI', () => {
+    it('should not create anything on a dry run', async () => {
+      const result = await run(['sync', '--dry-run'], { provisioner: createProvisioner() });
+
+      expect(result.changed).toBe(false);
+      expect(await retell.knowledgeBase.list()).toEqual([]);
+      expect(console.log).toHaveBeenCalledWith('No knowledge base yet; sync will create one.');
+    });
+
+    it('should print the knowledge base ID to attach after a sync', async () => {
+      const result = await run(['sync'], { provisioner: createProvisioner() });
+
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`RETELL_KNOWLEDGE_BASE_ID=${result.knowledgeBaseId}`));
+    });
+  });
+});
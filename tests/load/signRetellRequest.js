@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+/**
+ * Artillery beforeRequest hook: sign function calls the way Retell does so
+ * they pass X-Retell-Signature verification. Uses RETELL_API_KEY from the
+ * environment the load test runs in.
+ */
+function signRetellRequest(requestParams, context, ee, next) {
+  const body = JSON.stringify(requestParams.json);
+  const timestamp = Date.now();
+  const digest = crypto
+    .createHmac('sha256', process.env.RETELL_API_KEY || '')
+    .update(body + timestamp)
+    .digest('hex');
+
+  // Send the exact bytes that were signed
+  delete requestParams.json;
+  requestParams.body = body;
+  requestParams.headers = {
+    ...requestParams.headers,
+    'Content-Type': 'application/json',
+    'X-Retell-Signature': `v=${timestamp},d=${digest}`
+  };
+
+  return next();
+}
+
+module.exports = { signRetellRequest };
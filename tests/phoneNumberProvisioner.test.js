@@ -0,0 +1,112 @@
+const RetellAgent = require('../src/agents/retellAgent');
+const RetellStandIn = require('../src/agents/retellStandIn');
+const PhoneNumberProvisioner = require('../src/agents/phoneNumberProvisioner');
+const PhoneLineDirectory = require('../src/services/phoneLineDirectory');
+const ProviderDirectory = require('../src/services/providerDirectory');
+const { run } = require('../src/cli/phoneNumbers');
+
+describe('PhoneNumberProvisioner', () => {
+  const webhookUrl = 'https://matt.example.com/webhook/retell/inbound';
+  const phoneLineDirectory = new PhoneLineDirectory({
+    phoneLines: {
+      main: { number: '+19045550100', name: 'main line' },
+      after_hours: { number: '+19045550101', name: 'after-hours line', flow: 'message_only', agent_id: 'agent_after_hours' },
+      ketamine: { number: '+19045550102', name: 'ketamine program line', default_appointment_type: 'ketamine_consultation' }
+    },
+    agentId: 'agent_matt'
+  });
+  let retell;
+  let retellAgent;
+  let provisioner;
+
+  beforeEach(async () => {
+    retell = new RetellStandIn();
+    retellAgent = new RetellAgent({ providerDirectory: new ProviderDirectory({ providerSchedules: {}, appointmentTypes: {} }), client: retell });
+    provisioner = new PhoneNumberProvisioner({ retellAgent, phoneLineDirectory, webhookUrl });
+
+    await retell.phoneNumber.import({ phone_number: '+19045550100', termination_uri: 'clinic.pstn.twilio.com', inbound_agent_id: 'agent_old' });
+    await retell.phoneNumber.import({ phone_number: '+19045550101', termination_uri: 'clinic.pstn.twilio.com' });
+    await retell.phoneNumber.import({ phone_number: '+19045550199', termination_uri: 'clinic.pstn.twilio.com' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('should bind each line\'s number to its agent and the inbound webhook', async () => {
+    const result = await provisioner.sync();
+
+    expect(result.changed).toBe(true);
+    await expect(retell.phoneNumber.retrieve('+19045550100')).resolves.toEqual(expect.objectContaining({
+      inbound_agent_id: 'agent_matt',
+      nickname: 'main line',
+      inbound_webhook_url: webhookUrl
+    }));
+    await expect(retell.phoneNumber.retrieve('+19045550101')).resolves.toEqual(expect.objectContaining({ inbound_agent_id: 'agent_after_hours' }));
+    expect((await provisioner.diff()).changes).toEqual([]);
+  });
+
+  it('should report lines without a number and numbers without a line', async () => {
+    const plan = await provisioner.diff();
+
+    expect(plan.missing).toEqual(['ketamine']);
+    expect(plan.unrouted).toEqual(['+19045550199']);
+    expect(plan.changes.find(change => change.line === 'main')).toEqual(expect.objectContaining({
+      current: expect.objectContaining({ inbound_agent_id: 'agent_old' }),
+      updates: expect.objectContaining({ inbound_agent_id: 'agent_matt' })
+    }));
+  });
+
+  it('should not change anything on a dry run', async () => {
+    await provisioner.sync({ dryRun: true });
+
+    await expect(retell.phoneNumber.retrieve('+19045550100')).resolves.toEqual(expect.objectContaining({ inbound_agent_id: 'agent_old' }));
+  });
+
+  it('should buy and import numbers already bound to their line', async () => {
+    const created = await provisioner.create('ketamine', { areaCode: '904' });
+    const imported = await provisioner.import('ketamine', { terminationUri: 'clinic.pstn.twilio.com' });
+
+    expect(created).toEqual(expect.objectContaining({ area_code: 904, inbound_agent_id: 'agent_matt', nickname: 'ketamine program line' }));
+    expect(imported).toEqual(expect.objectContaining({ phone_number: '+19045550102', termination_uri: 'clinic.pstn.twilio.com' }));
+    await expect(provisioner.create('billing')).rejects.toThrow('Unknown phone line billing');
+    await expect(provisioner.import('main')).rejects.toThrow('termination URI');
+  });
+
+  describe('CLI', () => {
+    it('should sync and delete numbers through the command runner', async () => {
+      await run(['sync'], { provisioner });
+      await run(['delete', '+19045550199'], { provisioner });
+
+      const numbers = await run(['list'], { provisioner });
+      expect(numbers.map(number => number.phone_number)).toEqual(['+19045550100', '+19045550101']);
+      expect(console.log).toHaveBeenCalledWith('+19045550100  main  agent agent_matt');
+    });
+  });
+});
+
+describe('PhoneLineDirectory', () => {
+  const directory = new PhoneLineDirectory({
+    phoneLines: {
+      main: { number: '904-555-0100' },
+      ketamine: { number: '+1 (904) 555-0102', flow: 'standard', default_appointment_type: 'ketamine_consultation' }
+    },
+    agentId: 'agent_matt'
+  });
+
+  it('should find the line for a number in any format', () => {
+    expect(directory.getLineForNumber('+19045550100')).toEqual({
+      id: 'main',
+      name: 'main',
+      number: '+19045550100',
+      agentId: 'agent_matt',
+      flow: 'standard',
+      defaultAppointmentType: null
+    });
+    expect(directory.getLineForNumber('9045550102').defaultAppointmentType).toBe('ketamine_consultation');
+    expect(directory.getLineForNumber('+13055550199')).toBeNull();
+    expect(directory.getLineForNumber(undefined)).toBeNull();
+  });
+
+  it('should reject unknown flows', () => {
+    expect(() => new PhoneLineDirectory({ phoneLines: { main: { number: '+19045550100', flow: 'voicemail' } } }))
+      .toThrow('unknown flow voicemail');
+  });
+});
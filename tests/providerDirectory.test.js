@@ -0,0 +1,120 @@
+const ProviderDirectory = require('../src/services/providerDirectory');
+
+describe('ProviderDirectory', () => {
+  const providerSchedules = {
+    charles_maddix: {
+      name: 'Charles Maddix',
+      schedule: {
+        monday: { start: '10:30', end: '18:00' },
+        tuesday: { start: '10:30', end: '18:00' },
+        wednesday: { start: '10:30', end: '18:00' },
+        thursday: { start: '10:30', end: '18:00' }
+      }
+    },
+    ava_suleiman: {
+      name: 'Ava Suleiman',
+      schedule: { tuesday: { start: '10:30', end: '18:00' } },
+      telehealth: false
+    },
+    dr_soto: {
+      name: 'Dr. Soto',
+      schedule: {
+        monday: { start: '16:00', end: '18:00' },
+        wednesday: { start: '16:00', end: '18:00' }
+      },
+      appointment_types: ['follow_up'],
+      accepting_new_patients: false
+    }
+  };
+  let directory;
+
+  beforeEach(() => {
+    directory = new ProviderDirectory({ providerSchedules, appointmentTypes: {} });
+  });
+
+  describe('getProvider', () => {
+    it('should apply defaults for unset capabilities', () => {
+      const provider = directory.getProvider('charles_maddix');
+
+      expect(provider).toEqual(expect.objectContaining({
+        id: 'charles_maddix',
+        name: 'Charles Maddix',
+        appointmentTypes: null,
+        telehealth: true,
+        inPerson: true,
+        acceptingNewPatients: true
+      }));
+    });
+
+    it('should return null for an unconfigured provider', () => {
+      expect(directory.getProvider('dr_nobody')).toBeNull();
+    });
+  });
+
+  describe('getEligibleProviders', () => {
+    it('should honor configured appointment types', () => {
+      expect(directory.getEligibleProviders('follow_up').map(p => p.id)).toEqual(['charles_maddix', 'ava_suleiman', 'dr_soto']);
+      expect(directory.getEligibleProviders('ketamine_consultation').map(p => p.id)).toEqual(['charles_maddix', 'ava_suleiman']);
+    });
+
+    it('should exclude providers not accepting new patients from new-patient visits', () => {
+      directory = new ProviderDirectory({
+        providerSchedules: { ...providerSchedules, ava_suleiman: { ...providerSchedules.ava_suleiman, accepting_new_patients: false } },
+        appointmentTypes: {}
+      });
+
+      expect(directory.getEligibleProviders('comprehensive_evaluation').map(p => p.id)).toEqual(['charles_maddix']);
+    });
+
+    it('should filter by visit type', () => {
+      expect(directory.getEligibleProviders('follow_up', { visitType: 'telehealth' }).map(p => p.id)).toEqual(['charles_maddix', 'dr_soto']);
+    });
+
+    it('should onboard a provider through configuration alone', () => {
+      directory = new ProviderDirectory({
+        providerSchedules: { ...providerSchedules, jane_roe: { name: 'Jane Roe', schedule: { friday: { start: '09:00', end: '12:00' } } } },
+        appointmentTypes: {}
+      });
+
+      expect(directory.getEligibleProviders('ketamine_consultation').map(p => p.id)).toContain('jane_roe');
+    });
+  });
+
+  describe('getIneligibilityReason', () => {
+    it('should explain appointment type restrictions', () => {
+      const reason = directory.getIneligibilityReason(directory.getProvider('dr_soto'), 'ketamine_consultation');
+
+      expect(reason).toBe('Dr. Soto only sees follow up appointments');
+    });
+
+    it('should return null for an eligible provider', () => {
+      expect(directory.getIneligibilityReason(directory.getProvider('charles_maddix'), 'follow_up')).toBeNull();
+    });
+  });
+
+  describe('appointment types', () => {
+    it('should merge configured fields over the defaults', () => {
+      directory = new ProviderDirectory({ providerSchedules, appointmentTypes: { comprehensive_evaluation: { duration: 90 } } });
+
+      expect(directory.getAppointmentDuration('comprehensive_evaluation')).toBe(90);
+      expect(directory.isNewPatientType('comprehensive_evaluation')).toBe(true);
+      expect(directory.getAppointmentDuration('follow_up')).toBe(15);
+    });
+
+    it('should reject appointment types that are not configured', () => {
+      expect(() => directory.getAppointmentDuration('intake_session')).toThrow('Unknown appointment type: intake_session');
+      expect(() => directory.getAppointmentDuration(undefined)).toThrow('Unknown appointment type');
+    });
+  });
+
+  describe('describeForPrompt', () => {
+    it('should describe providers from configuration', () => {
+      const { providers, appointmentTypes } = directory.describeForPrompt();
+
+      expect(providers).toContain('- Charles Maddix: Monday-Thursday, 10:30 AM-6:00 PM');
+      expect(providers).toContain('- Ava Suleiman: Tuesday, 10:30 AM-6:00 PM (in-person only)');
+      expect(providers).toContain('- Dr. Soto: Monday, 4:00 PM-6:00 PM; Wednesday, 4:00 PM-6:00 PM (follow up only; not accepting new patients)');
+      expect(appointmentTypes).toContain('- Comprehensive psychiatric evaluation: 60 minutes (new patients)');
+    });
+  });
+});
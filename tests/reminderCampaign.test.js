@@ -0,0 +1,257 @@
+const ReminderCampaign = require('../src/services/reminderCampaign');
+const ProviderDirectory = require('../src/services/providerDirectory');
+const { createFakeCacheService } = require('./helpers/fakeCacheService');
+
+describe('ReminderCampaign', () => {
+  // 10:00 AM in Jacksonville
+  const now = new Date('2026-10-19T14:00:00Z');
+  const providerDirectory = new ProviderDirectory({
+    providerSchedules: { charles_maddix: { name: 'Charles Maddix', schedule: { tuesday: { start: '10:30', end: '18:00' } } } },
+    appointmentTypes: { follow_up: { duration: 30, label: 'follow-up visit' } }
+  });
+  const appointment = (id, clientId, overrides = {}) => ({
+    id,
+    client_id: clientId,
+    provider_id: 'charles_maddix',
+    appointment_type: 'follow_up',
+    start_time: '2026-10-20T15:00:00-04:00',
+    status: 'scheduled',
+    ...overrides
+  });
+  let clients;
+  let intakeqService;
+  let retellAgent;
+  let cacheService;
+  let auditLogger;
+  let campaign;
+
+  beforeEach(() => {
+    clients = {
+      client_001: { id: 'client_001', first_name: 'John', phone: '(904) 123-4567', date_of_birth: '1985-03-15' },
+      client_002: { id: 'client_002', first_name: 'Jane', phone: '904-555-0100', reminder_calls_opt_out: true },
+      client_003: { id: 'client_003', first_name: 'Sam', phone: '' }
+    };
+    intakeqService = {
+      getAppointmentsInRange: jest.fn().mockResolvedValue([
+        appointment('apt_001', 'client_001'),
+        appointment('apt_002', 'client_002'),
+        appointment('apt_003', 'client_003'),
+        appointment('apt_004', 'client_001', { status: 'cancelled' })
+      ]),
+      getClientById: jest.fn(async (clientId) => clients[clientId]),
+      updateAppointment: jest.fn().mockResolvedValue({}),
+      cancelAppointment: jest.fn().mockResolvedValue({}),
+      updateClient: jest.fn().mockResolvedValue({}),
+      addClientNote: jest.fn().mockResolvedValue({})
+    };
+    retellAgent = { createBatchCall: jest.fn().mockResolvedValue({ batch_call_id: 'batch_001' }) };
+    cacheService = createFakeCacheService();
+    auditLogger = {
+      logAppointmentCancellation: jest.fn().mockResolvedValue(),
+      logAppointmentModification: jest.fn().mockResolvedValue(),
+      logDataAccess: jest.fn().mockResolvedValue()
+    };
+    campaign = new ReminderCampaign({
+      intakeqService,
+      retellAgent,
+      cacheService,
+      auditLogger,
+      providerDirectory,
+      options: { fromNumber: '+19045550000', agentId: 'agent_reminder', maxAttempts: 2, retryIntervalMinutes: 120, batchSize: 50 }
+    });
+  });
+
+  describe('run', () => {
+    it('should call due clients 24 to 48 hours out in one batch', async () => {
+      const result = await campaign.run(now);
+
+      expect(intakeqService.getAppointmentsInRange).toHaveBeenCalledWith('2026-10-20T14:00:00.000Z', '2026-10-21T14:00:00.000Z');
+      expect(retellAgent.createBatchCall).toHaveBeenCalledWith(expect.objectContaining({
+        fromNumber: '+19045550000',
+        agentId: 'agent_reminder',
+        tasks: [{
+          to_number: '+19041234567',
+          retell_llm_dynamic_variables: {
+            client_first_name: 'John',
+            appointment_time: 'Tuesday, October 20th at 3:00 PM',
+            provider_name: 'Charles Maddix',
+            appointment_type: 'follow-up visit',
+            appointment_id: 'apt_001'
+          },
+          metadata: { campaign: 'appointment_reminder', appointment_id: 'apt_001', client_id: 'client_001' }
+        }]
+      }));
+      expect(result).toEqual({
+        appointments: 4,
+        called: 1,
+        skipped: { opted_out: 1, no_phone: 1, not_scheduled: 1 },
+        batchIds: ['batch_001']
+      });
+    });
+
+    it('should not call during quiet hours', async () => {
+      const result = await campaign.run(new Date('2026-10-20T01:30:00Z'));
+
+      expect(result).toEqual({ skipped: 'quiet_hours' });
+      expect(intakeqService.getAppointmentsInRange).not.toHaveBeenCalled();
+    });
+
+    it('should not call when attempts can\'t be tracked', async () => {
+      cacheService.isConnected.mockReturnValue(false);
+
+      await expect(campaign.run(now)).resolves.toEqual({ skipped: 'cache_unavailable' });
+      expect(retellAgent.createBatchCall).not.toHaveBeenCalled();
+    });
+
+    it('should retry unanswered calls after the interval, up to the attempt limit', async () => {
+      await campaign.run(now);
+      await campaign.recordCallResult('call_001', {
+        disconnection_reason: 'dial_no_answer',
+        metadata: { campaign: 'appointment_reminder', appointment_id: 'apt_001', client_id: 'client_001' }
+      });
+
+      const tooSoon = await campaign.run(new Date('2026-10-19T15:00:00Z'));
+      const retry = await campaign.run(new Date('2026-10-19T16:30:00Z'));
+      const exhausted = await campaign.run(new Date('2026-10-19T19:00:00Z'));
+
+      expect(tooSoon.skipped.retry_pending).toBe(1);
+      expect(retry.called).toBe(1);
+      expect(exhausted.skipped.max_attempts).toBe(1);
+      expect(retellAgent.createBatchCall).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip an appointment whose client lookup fails and call the rest', async () => {
+      intakeqService.getAppointmentsInRange.mockResolvedValue([
+        appointment('apt_001', 'client_001'),
+        appointment('apt_005', 'client_005')
+      ]);
+      clients.client_005 = { id: 'client_005', first_name: 'Ana', phone: '904-555-0199' };
+      intakeqService.getClientById.mockImplementation(async (clientId) => {
+        if (clientId === 'client_001') {
+          throw new Error('IntakeQ API error: 404');
+        }
+        return clients[clientId];
+      });
+
+      const result = await campaign.run(now);
+
+      expect(result.called).toBe(1);
+      expect(result.skipped).toEqual({ lookup_failed: 1 });
+      expect(retellAgent.createBatchCall.mock.calls[0][0].tasks.map(task => task.metadata.appointment_id)).toEqual(['apt_005']);
+    });
+
+    it('should leave attempts uncounted when the batch fails', async () => {
+      retellAgent.createBatchCall.mockRejectedValueOnce(new Error('Retell unavailable'));
+
+      const failed = await campaign.run(now);
+      const next = await campaign.run(now);
+
+      expect(failed.skipped.batch_failed).toBe(1);
+      expect(next.called).toBe(1);
+    });
+
+    it('should mark calls as calling before the batch and reset them if it fails', async () => {
+      let during;
+      retellAgent.createBatchCall.mockImplementationOnce(async () => {
+        during = await campaign.getAttempt('apt_001');
+        throw new Error('Retell unavailable');
+      });
+
+      await campaign.run(now);
+
+      expect(during).toEqual(expect.objectContaining({ status: 'calling', attempts: 1 }));
+      expect(await campaign.getAttempt('apt_001')).toEqual(expect.objectContaining({ status: 'pending', attempts: 0 }));
+    });
+
+    it('should count a call with no result after the timeout as unanswered', async () => {
+      await campaign.run(now);
+
+      const waiting = await campaign.run(new Date('2026-10-19T14:30:00Z'));
+      const retry = await campaign.run(new Date('2026-10-19T16:30:00Z'));
+
+      expect(waiting.skipped.call_in_progress).toBe(1);
+      expect(retry.called).toBe(1);
+      expect(await campaign.getAttempt('apt_001')).toEqual(expect.objectContaining({ status: 'calling', attempts: 2 }));
+    });
+
+    it('should stop waiting on the last attempt once it times out', async () => {
+      await campaign.run(now);
+      await campaign.run(new Date('2026-10-19T16:30:00Z'));
+
+      const result = await campaign.run(new Date('2026-10-19T18:00:00Z'));
+
+      expect(result.skipped.max_attempts).toBe(1);
+      expect(await campaign.getAttempt('apt_001')).toEqual(expect.objectContaining({ status: 'exhausted' }));
+    });
+  });
+
+  describe('recordCallResult', () => {
+    const reminderCall = (response, analysis = {}) => ({
+      metadata: { campaign: 'appointment_reminder', appointment_id: 'apt_001', client_id: 'client_001' },
+      call_analysis: { custom_analysis_data: { reminder_response: response, ...analysis } }
+    });
+
+    beforeEach(async () => {
+      await campaign.run(now);
+    });
+
+    it('should record a confirmation on the appointment and stop calling', async () => {
+      const result = await campaign.recordCallResult('call_001', reminderCall('confirmed'));
+
+      expect(result).toEqual({ appointmentId: 'apt_001', status: 'completed', outcome: 'confirmed' });
+      expect(intakeqService.updateAppointment).toHaveBeenCalledWith('apt_001', expect.objectContaining({ reminder_call_outcome: 'confirmed' }));
+      expect((await campaign.run(new Date('2026-10-19T18:00:00Z'))).skipped.completed).toBe(1);
+    });
+
+    it('should cancel the appointment when the client cancels', async () => {
+      await campaign.recordCallResult('call_001', reminderCall('cancelled', { date_of_birth: '03/15/1985' }));
+
+      expect(intakeqService.cancelAppointment).toHaveBeenCalledWith('apt_001', 'Cancelled by client on reminder call');
+      expect(auditLogger.logAppointmentCancellation).toHaveBeenCalledWith('call_001', 'apt_001', 'reminder_call');
+    });
+
+    it('should keep the appointment when the caller doesn\'t confirm the date of birth', async () => {
+      const missing = await campaign.recordCallResult('call_001', reminderCall('cancelled'));
+      const wrong = await campaign.recordCallResult('call_002', reminderCall('cancelled', { date_of_birth: '1985-03-16' }));
+
+      expect(missing.outcome).toBe('cancel_unconfirmed');
+      expect(wrong.outcome).toBe('cancel_unconfirmed');
+      expect(intakeqService.cancelAppointment).not.toHaveBeenCalled();
+      expect(intakeqService.addClientNote).toHaveBeenCalledWith('client_001', expect.stringContaining('did not confirm their date of birth'));
+    });
+
+    it('should apply a redelivered result once', async () => {
+      await campaign.recordCallResult('call_001', reminderCall('reschedule_requested'));
+      const redelivered = await campaign.recordCallResult('call_001', reminderCall('reschedule_requested'));
+
+      expect(redelivered).toEqual({ appointmentId: 'apt_001', status: 'duplicate' });
+      expect(intakeqService.addClientNote).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let a result that failed to apply be redelivered', async () => {
+      intakeqService.updateAppointment.mockRejectedValueOnce(new Error('IntakeQ unavailable'));
+
+      await expect(campaign.recordCallResult('call_001', reminderCall('confirmed'))).rejects.toThrow('IntakeQ unavailable');
+      await expect(campaign.recordCallResult('call_001', reminderCall('confirmed'))).resolves.toEqual(expect.objectContaining({ outcome: 'confirmed' }));
+    });
+
+    it('should flag reschedule requests for the front desk', async () => {
+      await campaign.recordCallResult('call_001', reminderCall('reschedule_requested'));
+
+      expect(intakeqService.updateAppointment).toHaveBeenCalledWith('apt_001', expect.objectContaining({ reminder_call_outcome: 'reschedule_requested' }));
+      expect(intakeqService.addClientNote).toHaveBeenCalledWith('client_001', expect.stringContaining('reschedule'));
+    });
+
+    it('should record an opt-out on the client', async () => {
+      await campaign.recordCallResult('call_001', reminderCall('opt_out'));
+
+      expect(intakeqService.updateClient).toHaveBeenCalledWith('client_001', { reminder_calls_opt_out: true });
+    });
+  });
+
+  it('should recognise reminder calls by their metadata', () => {
+    expect(campaign.isReminderCall({ metadata: { campaign: 'appointment_reminder' } })).toBe(true);
+    expect(campaign.isReminderCall({})).toBe(false);
+    expect(campaign.isReminderCall(undefined)).toBe(false);
+  });
+});
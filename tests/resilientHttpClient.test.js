@@ -0,0 +1,176 @@
+const ResilientHttpClient = require('../src/utils/resilientHttpClient');
+const CircuitBreaker = require('../src/utils/circuitBreaker');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers, data: {} }
+});
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+describe('ResilientHttpClient', () => {
+  let now;
+  let axiosClient;
+  let circuitBreaker;
+  let http;
+
+  beforeEach(() => {
+    now = 0;
+    axiosClient = { request: jest.fn() };
+    circuitBreaker = new CircuitBreaker({ name: 'Test', failureThreshold: 3, resetTimeoutMs: 30000, now: () => now });
+    http = new ResilientHttpClient({
+      name: 'Test',
+      timeouts: { read: 400, write: 2500, 'GET /providers/:id/schedule': 800 },
+      circuitBreaker,
+      client: axiosClient
+    });
+    jest.spyOn(http, 'sleep').mockResolvedValue();
+  });
+
+  describe('timeouts', () => {
+    it('should use the endpoint timeout, else the read or write default', async () => {
+      axiosClient.request.mockResolvedValue({ status: 200, data: {} });
+
+      await http.get('/providers/charles_maddix/schedule', { params: { date: '2026-11-02' } });
+      await http.get('/clients');
+      await http.post('/appointments', { client_id: 'client_001' });
+
+      expect(axiosClient.request.mock.calls.map(([config]) => [config.method, config.url, config.timeout])).toEqual([
+        ['GET', '/providers/charles_maddix/schedule', 800],
+        ['GET', '/clients', 400],
+        ['POST', '/appointments', 2500]
+      ]);
+      expect(axiosClient.request.mock.calls[0][0].params).toEqual({ date: '2026-11-02' });
+    });
+  });
+
+  describe('retries', () => {
+    it('should retry idempotent requests after 5xx and timeouts with jittered backoff', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      axiosClient.request
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(networkError('ECONNABORTED'))
+        .mockResolvedValueOnce({ status: 200, data: { id: 'client_001' } });
+
+      const response = await http.get('/clients/client_001');
+
+      expect(response.data).toEqual({ id: 'client_001' });
+      expect(axiosClient.request).toHaveBeenCalledTimes(3);
+      expect(http.sleep.mock.calls).toEqual([[50], [100]]);
+    });
+
+    it('should give up after maxRetries', async () => {
+      axiosClient.request.mockRejectedValue(httpError(500));
+
+      await expect(http.put('/appointments/apt_001', { status: 'cancelled' })).rejects.toMatchObject({ response: { status: 500 } });
+      expect(axiosClient.request).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry a POST that may have reached the server', async () => {
+      axiosClient.request.mockRejectedValueOnce(httpError(503));
+      await expect(http.post('/appointments', {})).rejects.toMatchObject({ response: { status: 503 } });
+
+      axiosClient.request.mockRejectedValueOnce(networkError('ECONNRESET'));
+      await expect(http.post('/appointments', {})).rejects.toMatchObject({ code: 'ECONNRESET' });
+
+      expect(axiosClient.request).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry any method when the request was refused or rate limited', async () => {
+      axiosClient.request
+        .mockRejectedValueOnce(networkError('ECONNREFUSED'))
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '1' }))
+        .mockResolvedValueOnce({ status: 201, data: { id: 'apt_002' } });
+
+      await expect(http.post('/appointments', {})).resolves.toMatchObject({ status: 201 });
+      expect(http.sleep).toHaveBeenLastCalledWith(1000);
+    });
+
+    it('should not wait out a long Retry-After on a live call', async () => {
+      axiosClient.request.mockRejectedValue(httpError(429, { 'retry-after': '30' }));
+
+      await expect(http.get('/clients')).rejects.toMatchObject({ response: { status: 429 } });
+      expect(axiosClient.request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry client errors', async () => {
+      axiosClient.request.mockRejectedValue(httpError(404));
+
+      await expect(http.get('/clients/missing')).rejects.toMatchObject({ response: { status: 404 } });
+      expect(axiosClient.request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should parse Retry-After as seconds or an HTTP date', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-10-19T12:00:00Z'));
+
+      expect(http.parseRetryAfter('2')).toBe(2000);
+      expect(http.parseRetryAfter('Mon, 19 Oct 2026 12:00:01 GMT')).toBe(1000);
+      expect(http.parseRetryAfter(undefined)).toBeNull();
+      expect(http.parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('circuit breaker', () => {
+    beforeEach(() => {
+      http.maxRetries = 0;
+    });
+
+    it('should open after repeated failures and refuse requests without calling the API', async () => {
+      axiosClient.request.mockRejectedValue(httpError(503));
+
+      for (let i = 0; i < 3; i++) {
+        await expect(http.get('/providers')).rejects.toMatchObject({ response: { status: 503 } });
+      }
+      await expect(http.get('/providers')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+      expect(axiosClient.request).toHaveBeenCalledTimes(3);
+      expect(http.getCircuitState()).toEqual({
+        state: 'open',
+        failures: 3,
+        openedAt: '1970-01-01T00:00:00.000Z',
+        retryAt: '1970-01-01T00:00:30.000Z'
+      });
+    });
+
+    it('should let one trial through after the reset timeout and close on success', async () => {
+      axiosClient.request.mockRejectedValue(networkError('ECONNABORTED'));
+      for (let i = 0; i < 3; i++) {
+        await expect(http.get('/providers')).rejects.toBeDefined();
+      }
+
+      now = 30000;
+      let resolveTrial;
+      axiosClient.request.mockReturnValueOnce(new Promise(resolve => { resolveTrial = resolve; }));
+      const trial = http.get('/providers');
+
+      await expect(http.get('/providers')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+      expect(http.getCircuitState().state).toBe('half_open');
+
+      resolveTrial({ status: 200, data: [] });
+      await trial;
+      expect(http.getCircuitState()).toMatchObject({ state: 'closed', failures: 0 });
+    });
+
+    it('should reopen when the trial fails', async () => {
+      axiosClient.request.mockRejectedValue(httpError(500));
+      for (let i = 0; i < 3; i++) {
+        await expect(http.get('/providers')).rejects.toBeDefined();
+      }
+
+      now = 30000;
+      await expect(http.get('/providers')).rejects.toMatchObject({ response: { status: 500 } });
+      expect(http.getCircuitState()).toMatchObject({ state: 'open', retryAt: '1970-01-01T00:01:00.000Z' });
+    });
+
+    it('should count client errors as the API being up', async () => {
+      axiosClient.request
+        .mockRejectedValueOnce(httpError(500))
+        .mockRejectedValueOnce(httpError(500))
+        .mockRejectedValueOnce(httpError(404))
+        .mockRejectedValueOnce(httpError(500));
+
+      for (let i = 0; i < 4; i++) {
+        await expect(http.get('/clients/missing')).rejects.toBeDefined();
+      }
+      expect(http.getCircuitState()).toMatchObject({ state: 'closed', failures: 1 });
+    });
+  });
+});
@@ -0,0 +1,38 @@
+describe('RetellAgent', () => {
+  // Every client method RetellAgent calls
+  const clientMethods = {
+    agent: ['create', 'retrieve', 'update', 'list', 'delete'],
+    llm: ['create', 'retrieve', 'update'],
+    call: ['createPhoneCall', 'createWebCall', 'retrieve', 'update', 'list', 'delete'],
+    batchCall: ['createBatchCall'],
+    knowledgeBase: ['create', 'retrieve', 'list', 'delete', 'addSources', 'deleteSource'],
+    phoneNumber: ['create', 'import', 'retrieve', 'update', 'list', 'delete']
+  };
+
+  const originalApiKey = process.env.RETELL_API_KEY;
+
+  afterEach(() => {
+    if (originalApiKey === undefined) {
+      delete process.env.RETELL_API_KEY;
+    } else {
+      process.env.RETELL_API_KEY = originalApiKey;
+    }
+  });
+
+  it('should build its client from the installed retell-sdk', () => {
+    process.env.RETELL_API_KEY = 'retell_test_key';
+    let agent;
+    jest.isolateModules(() => {
+      jest.doMock('retell-sdk', () => jest.requireActual('retell-sdk'));
+      const RetellAgent = require('../src/agents/retellAgent');
+      agent = new RetellAgent();
+    });
+
+    for (const [resource, methods] of Object.entries(clientMethods)) {
+      for (const method of methods) {
+        expect(`${resource}.${method}: ${typeof (agent.client[resource] && agent.client[resource][method])}`)
+          .toBe(`${resource}.${method}: function`);
+      }
+    }
+  });
+});
@@ -0,0 +1,258 @@
+const EventEmitter = require('events');
+const RetellLlmSocket = require('../src/agents/retellLlmSocket');
+const ConversationFlow = require('../src/flows/conversationFlow');
+const PhoneLineDirectory = require('../src/services/phoneLineDirectory');
+
+// Minimal stand-in for a ws connection
+const createFakeSocket = () => {
+  const ws = new EventEmitter();
+  ws.OPEN = 1;
+  ws.readyState = 1;
+  ws.send = jest.fn();
+  ws.close = jest.fn();
+  ws.sent = () => ws.send.mock.calls.map(([message]) => JSON.parse(message));
+  ws.responses = () => ws.sent().filter(message => message.response_type === 'response');
+  return ws;
+};
+
+describe('RetellLlmSocket', () => {
+  const callId = 'call_ws_001';
+  let conversationFlow;
+  let retellAgent;
+  let llmSocket;
+  let ws;
+
+  const receive = (event) => llmSocket.handleMessage(llmSocket.sessions.get(callId), JSON.stringify(event));
+  const connect = () => llmSocket.handleConnection(ws, { url: `/${callId}` });
+
+  beforeEach(() => {
+    conversationFlow = new ConversationFlow();
+    retellAgent = { getCall: jest.fn(async (id) => ({ call_id: id, call_status: 'ongoing' })) };
+    llmSocket = new RetellLlmSocket({ conversationFlow, retellAgent, maxReminders: 2 });
+    ws = createFakeSocket();
+  });
+
+  it('should send config and an empty begin message on connect', async () => {
+    await connect();
+
+    const [config, begin] = ws.sent();
+    expect(config).toEqual({ response_type: 'config', config: { auto_reconnect: true, call_details: true } });
+    expect(begin).toEqual(expect.objectContaining({ response_type: 'response', response_id: 0, content: '' }));
+    expect(conversationFlow.getConversationState(callId).step).toBe('greeting');
+  });
+
+  it('should reject connections without a call_id', async () => {
+    await llmSocket.handleConnection(ws, { url: '/' });
+
+    expect(ws.close).toHaveBeenCalledWith(1008, 'call_id required');
+  });
+
+  it('should close connections for calls Retell doesn\'t have as live', async () => {
+    retellAgent.getCall.mockRejectedValueOnce(Object.assign(new Error('Not found'), { status: 404 }));
+    await connect();
+
+    const ended = createFakeSocket();
+    retellAgent.getCall.mockResolvedValueOnce({ call_id: callId, call_status: 'ended' });
+    await llmSocket.handleConnection(ended, { url: `/${callId}` });
+
+    expect(retellAgent.getCall).toHaveBeenCalledWith(callId);
+    expect(ws.close).toHaveBeenCalledWith(1008, 'unknown call');
+    expect(ended.close).toHaveBeenCalledWith(1008, 'unknown call');
+    expect(ws.sent()).toEqual([]);
+    expect(llmSocket.sessions.has(callId)).toBe(false);
+    expect(conversationFlow.getConversationState(callId)).toBeUndefined();
+  });
+
+  it('should not attach a verified web call to an unverified connection', async () => {
+    conversationFlow.initializeConversation(callId, { clientInfo: { id: 'client_001', name: 'John Doe' } });
+    retellAgent.getCall.mockRejectedValueOnce(new Error('Not found'));
+    const processMessage = jest.spyOn(conversationFlow, 'processMessage');
+
+    const connected = connect();
+    ws.emit('message', JSON.stringify({
+      interaction_type: 'response_required',
+      response_id: 1,
+      transcript: [{ role: 'user', content: 'When is my next appointment?' }]
+    }));
+    await connected;
+    await Promise.resolve();
+
+    expect(ws.sent()).toEqual([]);
+    expect(processMessage).not.toHaveBeenCalled();
+  });
+
+  it('should fail closed without a Retell client to verify calls with', async () => {
+    llmSocket = new RetellLlmSocket({ conversationFlow, maxReminders: 2 });
+
+    await connect();
+
+    expect(ws.close).toHaveBeenCalledWith(1008, 'unknown call');
+  });
+
+  it('should answer turns that arrive while the call is being verified', async () => {
+    const connected = connect();
+    ws.emit('message', JSON.stringify({
+      interaction_type: 'response_required',
+      response_id: 1,
+      transcript: [{ role: 'user', content: 'I need to schedule an appointment' }]
+    }));
+    await connected;
+    await llmSocket.sessions.get(callId).queue;
+
+    expect(ws.responses().pop()).toEqual(expect.objectContaining({ response_id: 1, content: expect.stringContaining('verify your identity') }));
+  });
+
+  it('should answer response_required with the conversation flow and matching response_id', async () => {
+    await connect();
+
+    await receive({
+      interaction_type: 'response_required',
+      response_id: 1,
+      transcript: [{ role: 'user', content: 'I need to schedule an appointment' }]
+    });
+
+    const response = ws.responses().pop();
+    expect(response.response_id).toBe(1);
+    expect(response.content).toContain('verify your identity');
+    expect(response.content_complete).toBe(true);
+    expect(response.end_call).toBe(false);
+    expect(conversationFlow.getConversationState(callId).step).toBe('verification');
+  });
+
+  it('should only feed the caller turn since the agent last spoke', async () => {
+    await connect();
+    const processMessage = jest.spyOn(conversationFlow, 'processMessage');
+
+    await receive({
+      interaction_type: 'response_required',
+      response_id: 2,
+      transcript: [
+        { role: 'user', content: 'Hi' },
+        { role: 'agent', content: 'How can I help you today?' },
+        { role: 'user', content: 'I need to' },
+        { role: 'user', content: 'cancel my appointment' }
+      ]
+    });
+
+    expect(processMessage).toHaveBeenCalledWith(callId, 'I need to cancel my appointment');
+  });
+
+  it('should reply to ping_pong with the same timestamp', async () => {
+    await connect();
+
+    await receive({ interaction_type: 'ping_pong', timestamp: 1700000000000 });
+
+    expect(ws.sent().pop()).toEqual({ response_type: 'ping_pong', timestamp: 1700000000000 });
+  });
+
+  it('should skip a turn superseded by a newer response_required', async () => {
+    await connect();
+    const processMessage = jest.spyOn(conversationFlow, 'processMessage');
+
+    receive({
+      interaction_type: 'response_required',
+      response_id: 1,
+      transcript: [{ role: 'user', content: 'I want to' }]
+    });
+    await receive({
+      interaction_type: 'response_required',
+      response_id: 2,
+      transcript: [{ role: 'user', content: 'I want to' }, { role: 'user', content: 'reschedule' }]
+    });
+
+    expect(processMessage).toHaveBeenCalledTimes(1);
+    expect(processMessage).toHaveBeenCalledWith(callId, 'I want to reschedule');
+    expect(ws.responses().map(response => response.response_id)).toEqual([0, 2]);
+  });
+
+  it('should drop a response interrupted while it was being generated', async () => {
+    await connect();
+    let release;
+    jest.spyOn(conversationFlow, 'processMessage')
+      .mockImplementationOnce(() => new Promise(resolve => { release = () => resolve({ message: 'stale' }); }))
+      .mockImplementationOnce(async () => ({ message: 'fresh' }));
+
+    const first = receive({ interaction_type: 'response_required', response_id: 1, transcript: [{ role: 'user', content: 'Hi' }] });
+    await new Promise(resolve => setImmediate(resolve));
+    const second = receive({ interaction_type: 'response_required', response_id: 2, transcript: [{ role: 'user', content: 'Hi there' }] });
+    release();
+    await first;
+    await second;
+
+    expect(ws.responses().map(response => response.content)).toEqual(['', 'fresh']);
+  });
+
+  it('should repeat the last question on reminders and end the call after the limit', async () => {
+    await connect();
+    await receive({ interaction_type: 'response_required', response_id: 1, transcript: [{ role: 'user', content: 'I need to schedule' }] });
+    const question = ws.responses().pop().content;
+
+    await receive({ interaction_type: 'reminder_required', response_id: 2, transcript: [] });
+    await receive({ interaction_type: 'reminder_required', response_id: 3, transcript: [] });
+    await receive({ interaction_type: 'reminder_required', response_id: 4, transcript: [] });
+
+    const [first, second, last] = ws.responses().slice(-3);
+    expect(first.content).toBe(`Are you still there? ${question}`);
+    expect(second.content).toBe(`Are you still there? ${question}`);
+    expect(last.end_call).toBe(true);
+  });
+
+  it('should greet a caller who stays silent', async () => {
+    await connect();
+
+    await receive({ interaction_type: 'reminder_required', response_id: 1, transcript: [] });
+
+    expect(ws.responses().pop().content).toContain('How can I help you today?');
+  });
+
+  it('should resume an existing conversation on reconnect', async () => {
+    await connect();
+    await receive({ interaction_type: 'response_required', response_id: 1, transcript: [{ role: 'user', content: 'I need to schedule' }] });
+
+    ws.emit('close', 1006);
+    const reconnected = createFakeSocket();
+    ws = reconnected;
+    await connect();
+
+    expect(reconnected.responses()).toEqual([]);
+    expect(llmSocket.sessions.get(callId).ws).toBe(reconnected);
+    expect(conversationFlow.getConversationState(callId).step).toBe('verification');
+  });
+
+  it('should skip verification for a web call set up as verified', async () => {
+    conversationFlow.initializeConversation(callId, { clientInfo: { id: 'client_001', name: 'John Doe' } });
+    await connect();
+
+    await receive({ interaction_type: 'response_required', response_id: 1, transcript: [{ role: 'user', content: 'I need to schedule an appointment' }] });
+
+    const [begin, response] = ws.responses();
+    expect(begin).toEqual(expect.objectContaining({ response_id: 0, content: '' }));
+    expect(response.content).toContain('Hello John Doe');
+    expect(response.content).not.toContain('verify your identity');
+    expect(conversationFlow.getConversationState(callId).step).toBe('appointment_type');
+  });
+
+  it('should take a message and end the call on a message-only line', async () => {
+    conversationFlow = new ConversationFlow({
+      phoneLineDirectory: new PhoneLineDirectory({ phoneLines: { after_hours: { number: '+19045550101', flow: 'message_only' } } })
+    });
+    llmSocket = new RetellLlmSocket({ conversationFlow, retellAgent, maxReminders: 2 });
+    await connect();
+
+    await receive({ interaction_type: 'call_details', call: { call_id: callId, from_number: '+19045550123', to_number: '+19045550101' } });
+    await receive({ interaction_type: 'response_required', response_id: 1, transcript: [{ role: 'user', content: 'I need to reschedule' }] });
+    await receive({
+      interaction_type: 'response_required',
+      response_id: 2,
+      transcript: [{ role: 'user', content: 'This is John Doe, please call me back about tomorrow' }]
+    });
+
+    const [, greeting, goodbye] = ws.responses();
+    expect(greeting.content).toContain('take a message');
+    expect(goodbye.end_call).toBe(true);
+    expect(conversationFlow.getConversationState(callId).message).toEqual(expect.objectContaining({
+      text: 'This is John Doe, please call me back about tomorrow',
+      callerNumber: '+19045550123'
+    }));
+  });
+});
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const SecurityMiddleware = require('../src/middleware/security');
+
+describe('SecurityMiddleware', () => {
+  const apiKey = 'retell_test_key';
+  const sign = (body, timestamp = Date.now(), key = apiKey) =>
+    `v=${timestamp},d=${crypto.createHmac('sha256', key).update(body + timestamp).digest('hex')}`;
+
+  describe('checkRetellSignature', () => {
+    const body = '{"call":{"call_id":"call_001"},"args":{}}';
+    const toleranceMs = 5 * 60 * 1000;
+
+    it('should accept a valid signature', () => {
+      expect(SecurityMiddleware.checkRetellSignature(body, sign(body), apiKey, toleranceMs)).toBeNull();
+    });
+
+    it('should reject a signature over different bytes', () => {
+      const reordered = '{"args":{},"call":{"call_id":"call_001"}}';
+
+      expect(SecurityMiddleware.checkRetellSignature(reordered, sign(body), apiKey, toleranceMs)).toBe('signature mismatch');
+    });
+
+    it('should reject a signature made with another key', () => {
+      expect(SecurityMiddleware.checkRetellSignature(body, sign(body, Date.now(), 'other_key'), apiKey, toleranceMs)).toBe('signature mismatch');
+    });
+
+    it('should reject timestamps outside the tolerance', () => {
+      const stale = Date.now() - toleranceMs - 1000;
+
+      expect(SecurityMiddleware.checkRetellSignature(body, sign(body, stale), apiKey, toleranceMs)).toBe('timestamp outside tolerance');
+    });
+
+    it('should reject missing and malformed signatures', () => {
+      expect(SecurityMiddleware.checkRetellSignature(body, undefined, apiKey, toleranceMs)).toBe('missing signature');
+      expect(SecurityMiddleware.checkRetellSignature(body, 'sha256=abc', apiKey, toleranceMs)).toBe('malformed signature');
+    });
+
+    it('should fail closed without a signing key', () => {
+      expect(SecurityMiddleware.checkRetellSignature(body, sign(body), undefined, toleranceMs)).toBe('signing key not configured');
+    });
+  });
+
+  describe('verifyRetellSignature', () => {
+    let server;
+    let baseUrl;
+    let auditLogger;
+
+    beforeEach(async () => {
+      auditLogger = { logSecurityEvent: jest.fn(async () => {}) };
+
+      const app = express();
+      app.use(express.json({ verify: SecurityMiddleware.captureRawBody }));
+      app.use('/functions', SecurityMiddleware.verifyRetellSignature({ apiKey, auditLogger }));
+      app.post('/functions/verify-client', (req, res) => res.json({ ok: true }));
+
+      server = app.listen(0);
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const post = (body, signature) => fetch(`${baseUrl}/functions/verify-client`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(signature && { 'X-Retell-Signature': signature }) },
+      body
+    });
+
+    it('should pass requests signed over the raw body', async () => {
+      // Whitespace a re-serialized body would lose
+      const body = '{ "args": { "phoneNumber": "904-123-4567" } }';
+
+      const response = await post(body, sign(body));
+
+      expect(response.status).toBe(200);
+      expect(auditLogger.logSecurityEvent).not.toHaveBeenCalled();
+    });
+
+    it('should reject unsigned requests with an audit event', async () => {
+      const response = await post('{"args":{}}');
+
+      expect(response.status).toBe(401);
+      expect(auditLogger.logSecurityEvent).toHaveBeenCalledWith('authentication_failure', expect.objectContaining({
+        source: 'retell',
+        reason: 'missing signature',
+        url: '/functions/verify-client'
+      }));
+    });
+
+    it('should reject a replayed request', async () => {
+      const body = '{"args":{}}';
+
+      const response = await post(body, sign(body, Date.now() - 10 * 60 * 1000));
+
+      expect(response.status).toBe(401);
+      expect(auditLogger.logSecurityEvent).toHaveBeenCalledWith('authentication_failure', expect.objectContaining({
+        reason: 'timestamp outside tolerance'
+      }));
+    });
+  });
+
+  describe('checkIntakeQSignature', () => {
+    const secret = 'intakeq_webhook_secret';
+    const body = '{"id":"evt_001","event":"client_updated","data":{"client_id":"client_001"}}';
+    const signIntakeQ = (rawBody, key = secret) => `sha256=${crypto.createHmac('sha256', key).update(rawBody).digest('hex')}`;
+
+    it('should accept a valid signature', () => {
+      expect(SecurityMiddleware.checkIntakeQSignature(body, signIntakeQ(body), secret)).toBeNull();
+    });
+
+    it('should reject signatures over other bytes or with another key', () => {
+      expect(SecurityMiddleware.checkIntakeQSignature(body.replace('client_001', 'client_002'), signIntakeQ(body), secret)).toBe('signature mismatch');
+      expect(SecurityMiddleware.checkIntakeQSignature(body, signIntakeQ(body, 'other_secret'), secret)).toBe('signature mismatch');
+    });
+
+    it('should reject missing and malformed signatures, and fail closed without a secret', () => {
+      expect(SecurityMiddleware.checkIntakeQSignature(body, undefined, secret)).toBe('missing signature');
+      expect(SecurityMiddleware.checkIntakeQSignature(body, 'v=1,d=abc', secret)).toBe('malformed signature');
+      expect(SecurityMiddleware.checkIntakeQSignature(body, signIntakeQ(body), undefined)).toBe('signing key not configured');
+    });
+  });
+
+  describe('requireApiKey', () => {
+    const run = async (middleware, authorization) => {
+      const req = { headers: authorization ? { authorization } : {}, method: 'GET', originalUrl: '/reports/calls' };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await middleware(req, res, next);
+      return { res, next };
+    };
+
+    it('should pass requests with the configured bearer token', async () => {
+      const { next } = await run(SecurityMiddleware.requireApiKey({ apiKey: 'reports_key' }), 'Bearer reports_key');
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject a wrong token with an audit event', async () => {
+      const auditLogger = { logSecurityEvent: jest.fn(async () => {}) };
+
+      const { res, next } = await run(SecurityMiddleware.requireApiKey({ apiKey: 'reports_key', auditLogger }), 'Bearer guess');
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(auditLogger.logSecurityEvent).toHaveBeenCalledWith('authentication_failure', expect.objectContaining({ reason: 'api key mismatch' }));
+    });
+
+    it('should fail closed without a configured key', async () => {
+      delete process.env.REPORTS_API_KEY;
+
+      const { res } = await run(SecurityMiddleware.requireApiKey(), 'Bearer ');
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('verifyPortalToken', () => {
+    const secret = 'portal_secret';
+    const run = async (authorization) => {
+      const req = { headers: authorization ? { authorization } : {}, method: 'POST', originalUrl: '/web-call' };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      const auditLogger = { logSecurityEvent: jest.fn(async () => {}) };
+      await SecurityMiddleware.verifyPortalToken({ secret, auditLogger })(req, res, next);
+      return { req, res, next, auditLogger };
+    };
+
+    it('should expose the client ID from a valid portal token', async () => {
+      const { req, next } = await run(`Bearer ${jwt.sign({ sub: 'client_001' }, secret, { expiresIn: '5m' })}`);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.portalSession).toEqual({ clientId: 'client_001' });
+    });
+
+    it('should reject expired tokens with an audit event', async () => {
+      const expired = jwt.sign({ sub: 'client_001', exp: Math.floor(Date.now() / 1000) - 60 }, secret);
+
+      const { res, next, auditLogger } = await run(`Bearer ${expired}`);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(auditLogger.logSecurityEvent).toHaveBeenCalledWith('authentication_failure', expect.objectContaining({
+        source: 'patient_portal',
+        reason: 'token expired'
+      }));
+    });
+
+    it('should reject tokens signed with another secret or without a subject', async () => {
+      expect((await run(`Bearer ${jwt.sign({ sub: 'client_001' }, 'other_secret')}`)).res.status).toHaveBeenCalledWith(401);
+      expect((await run(`Bearer ${jwt.sign({ name: 'John' }, secret)}`)).auditLogger.logSecurityEvent)
+        .toHaveBeenCalledWith('authentication_failure', expect.objectContaining({ reason: 'token has no subject' }));
+    });
+  });
+});
@@ -32,6 +32,7 @@ jest.mock('redis', () => ({
 
 jest.mock('axios', () => ({
   create: jest.fn(() => ({
+    request: jest.fn(),
     get: jest.fn(),
     post: jest.fn(),
     put: jest.fn(),
@@ -39,27 +40,51 @@ jest.mock('axios', () => ({
   }))
 }));
 
-jest.mock('retell-sdk', () => ({
-  __esModule: true,
-  default: jest.fn(() => ({
+// retell-sdk exports the client class itself. A plain function rather than
+// jest.fn(), so resetMocks doesn't strip the implementation between tests
+jest.mock('retell-sdk', () => function Retell() {
+  return {
     agent: {
       create: jest.fn(),
-      get: jest.fn(),
+      retrieve: jest.fn(),
       list: jest.fn(),
       delete: jest.fn(),
       update: jest.fn()
     },
     call: {
       createPhoneCall: jest.fn(),
-      get: jest.fn(),
+      createWebCall: jest.fn(),
+      retrieve: jest.fn(),
       list: jest.fn(),
+      update: jest.fn(),
       delete: jest.fn()
     },
-    retellLLM: {
-      create: jest.fn()
+    llm: {
+      create: jest.fn(),
+      retrieve: jest.fn(),
+      update: jest.fn()
+    },
+    batchCall: {
+      createBatchCall: jest.fn()
+    },
+    knowledgeBase: {
+      create: jest.fn(),
+      retrieve: jest.fn(),
+      list: jest.fn(),
+      delete: jest.fn(),
+      addSources: jest.fn(),
+      deleteSource: jest.fn()
+    },
+    phoneNumber: {
+      create: jest.fn(),
+      import: jest.fn(),
+      retrieve: jest.fn(),
+      list: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn()
     }
-  }))
-}));
+  };
+});
 
 // Global test utilities
 global.createMockCall = (overrides = {}) => ({
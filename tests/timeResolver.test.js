@@ -0,0 +1,99 @@
+const TimeResolver = require('../src/utils/timeResolver');
+
+describe('TimeResolver', () => {
+  const hours = { start: '10:00', end: '18:00' };
+  const slots = (start, end) => {
+    const times = [];
+    for (let minutes = start * 60; minutes < end * 60; minutes += 15) {
+      times.push(`${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`);
+    }
+    return times;
+  };
+  const availableTimes = slots(10, 18);
+  let timeResolver;
+
+  beforeEach(() => {
+    timeResolver = new TimeResolver();
+  });
+
+  describe('resolve', () => {
+    it('should resolve spoken times and infer PM from the provider hours', () => {
+      expect(timeResolver.resolve('three thirty', { availableTimes, hours }).time).toBe('15:30');
+      expect(timeResolver.resolve('quarter past four', { availableTimes, hours }).time).toBe('16:15');
+      expect(timeResolver.resolve('quarter to five', { availableTimes, hours }).time).toBe('16:45');
+      expect(timeResolver.resolve('half past two', { availableTimes, hours }).time).toBe('14:30');
+      expect(timeResolver.resolve('how about 3pm', { availableTimes, hours }).time).toBe('15:00');
+    });
+
+    it('should infer AM for morning hours', () => {
+      expect(timeResolver.resolve('ten thirty', { availableTimes, hours }).time).toBe('10:30');
+      expect(timeResolver.resolve('eleven o\'clock', { availableTimes, hours }).time).toBe('11:00');
+    });
+
+    it('should prefer AM when the provider works mornings', () => {
+      const morningHours = { start: '07:00', end: '12:00' };
+
+      expect(timeResolver.resolve('at 8', { availableTimes: slots(7, 12), hours: morningHours }).time).toBe('08:00');
+    });
+
+    it('should resolve noon', () => {
+      expect(timeResolver.resolve('noon', { availableTimes, hours }).time).toBe('12:00');
+    });
+
+    it('should honor explicit AM or PM', () => {
+      expect(timeResolver.resolve('4:00 p.m.', { availableTimes, hours }).time).toBe('16:00');
+      expect(timeResolver.resolve('11 am', { availableTimes, hours }).time).toBe('11:00');
+    });
+
+    it('should not read "I am" as AM', () => {
+      expect(timeResolver.resolve('I am free at four', { availableTimes, hours }).time).toBe('16:00');
+    });
+
+    it('should not read "that one" as a time', () => {
+      expect(timeResolver.resolve('that one works', { availableTimes, hours })).toBeNull();
+    });
+
+    it('should pick the first open slot for a part of day', () => {
+      const resolution = timeResolver.resolve('late afternoon', { availableTimes, hours });
+
+      expect(resolution.time).toBe('15:00');
+      expect(resolution.alternatives).toEqual(['15:15', '15:30']);
+    });
+
+    it('should pick the first open slot after a time', () => {
+      const resolution = timeResolver.resolve('anytime after 4', { availableTimes, hours });
+
+      expect(resolution.time).toBe('16:00');
+      expect(resolution.label).toBe('after 4:00 PM');
+    });
+
+    it('should snap to the nearest slot', () => {
+      expect(timeResolver.resolve('3:35 pm', { availableTimes, hours }).time).toBe('15:30');
+      expect(timeResolver.resolve('around 3:20', { availableTimes: ['14:00', '15:30', '17:00'], hours }).time).toBe('15:30');
+    });
+
+    it('should offer the two closest alternatives when the time is taken', () => {
+      const resolution = timeResolver.resolve('three thirty', {
+        availableTimes: availableTimes.filter(time => time !== '15:30'),
+        hours
+      });
+
+      expect(resolution.time).toBeNull();
+      expect(resolution.requested).toBe('15:30');
+      expect(resolution.label).toBe('3:30 PM');
+      expect(resolution.alternatives).toEqual(['15:15', '15:45']);
+    });
+
+    it('should return null when no time is mentioned', () => {
+      expect(timeResolver.resolve('whatever works', { availableTimes, hours })).toBeNull();
+    });
+  });
+
+  describe('formatSpoken', () => {
+    it('should format times for speech', () => {
+      expect(timeResolver.formatSpoken('15:30')).toBe('3:30 PM');
+      expect(timeResolver.formatSpoken('09:00')).toBe('9:00 AM');
+      expect(timeResolver.formatSpoken('12:00')).toBe('12:00 PM');
+    });
+  });
+});
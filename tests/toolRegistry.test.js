@@ -0,0 +1,114 @@
+const ToolRegistry = require('../src/agents/toolRegistry');
+const RetellAgent = require('../src/agents/retellAgent');
+const RetellStandIn = require('../src/agents/retellStandIn');
+const ProviderDirectory = require('../src/services/providerDirectory');
+
+describe('ToolRegistry', () => {
+  const providerDirectory = new ProviderDirectory({
+    providerSchedules: {
+      charles_maddix: { name: 'Charles Maddix', schedule: { monday: { start: '10:30', end: '18:00' } } },
+      ava_suleiman: { name: 'Ava Suleiman', schedule: { tuesday: { start: '10:30', end: '18:00' } } }
+    },
+    appointmentTypes: {}
+  });
+  let toolRegistry;
+
+  beforeEach(() => {
+    toolRegistry = new ToolRegistry({ providerDirectory });
+  });
+
+  describe('toRetellTools', () => {
+    it('should define a custom function for every endpoint', () => {
+      const tools = toolRegistry.toRetellTools('https://matt.example.com');
+
+      expect(tools.map(tool => tool.name)).toEqual([
+        'verify_client',
+        'get_availability',
+        'hold_slot',
+        'schedule_appointment',
+        'check_insurance',
+        'reschedule_appointment',
+        'cancel_appointment'
+      ]);
+      expect(tools.find(tool => tool.name === 'get_availability')).toEqual(expect.objectContaining({
+        type: 'custom',
+        url: 'https://matt.example.com/functions/get-availability',
+        parameters: expect.objectContaining({ type: 'object', required: ['date'] })
+      }));
+    });
+
+    it('should take provider and appointment type enums from configuration', () => {
+      const { parameters } = toolRegistry.getTool('schedule_appointment');
+
+      expect(parameters.properties.providerId.enum).toEqual(['charles_maddix', 'ava_suleiman']);
+      expect(parameters.properties.appointmentType.enum).toEqual(['comprehensive_evaluation', 'follow_up', 'ketamine_consultation']);
+    });
+
+    it('should be registered on the LLM the agent is built with', () => {
+      process.env.BASE_URL = 'https://matt.example.com';
+      const retellAgent = new RetellAgent({ providerDirectory, client: new RetellStandIn() });
+
+      const { llm } = retellAgent.getDesiredConfig();
+
+      expect(llm.general_tools).toEqual(toolRegistry.toRetellTools('https://matt.example.com'));
+      delete process.env.BASE_URL;
+    });
+  });
+
+  describe('validateArgs', () => {
+    it('should accept args matching the schema', () => {
+      expect(toolRegistry.validateArgs('schedule_appointment', {
+        clientId: 'client_001',
+        providerId: 'charles_maddix',
+        appointmentType: 'follow_up',
+        date: '2026-10-26',
+        time: '15:30'
+      })).toEqual([]);
+    });
+
+    it('should report missing required args', () => {
+      expect(toolRegistry.validateArgs('verify_client', { phoneNumber: '904-123-4567' })).toEqual(['args.dateOfBirth is required']);
+    });
+
+    it('should report values outside an enum or pattern', () => {
+      const errors = toolRegistry.validateArgs('get_availability', { providerId: 'dr_nobody', date: '10/26/2026' });
+
+      expect(errors).toEqual([
+        'args.providerId must be one of: charles_maddix, ava_suleiman',
+        'args.date is not in the expected format'
+      ]);
+    });
+
+    it('should validate nested objects', () => {
+      expect(toolRegistry.validateArgs('check_insurance', { insuranceInfo: { insuranceProvider: 'Aetna', memberId: 42 } })).toEqual([
+        'args.insuranceInfo.dateOfBirth is required',
+        'args.insuranceInfo.memberId must be a string'
+      ]);
+    });
+
+    it('should reject missing args', () => {
+      expect(toolRegistry.validateArgs('cancel_appointment', undefined)).toEqual(['args must be an object']);
+    });
+  });
+
+  describe('validateRequest', () => {
+    it('should respond 400 with the problems for invalid args', () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      toolRegistry.validateRequest('cancel_appointment')({ body: { call: {}, args: {} } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid arguments', details: ['args.appointmentId is required'] });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should pass valid args through', () => {
+      const next = jest.fn();
+
+      toolRegistry.validateRequest('cancel_appointment')({ body: { args: { appointmentId: 'apt_001' } } }, {}, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
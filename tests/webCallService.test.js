@@ -0,0 +1,78 @@
+const WebCallService = require('../src/services/webCallService');
+const CallVariableService = require('../src/services/callVariableService');
+const ConversationFlow = require('../src/flows/conversationFlow');
+const RetellAgent = require('../src/agents/retellAgent');
+const RetellStandIn = require('../src/agents/retellStandIn');
+const ProviderDirectory = require('../src/services/providerDirectory');
+
+describe('WebCallService', () => {
+  const providerDirectory = new ProviderDirectory({
+    providerSchedules: { charles_maddix: { name: 'Charles Maddix', schedule: { monday: { start: '10:30', end: '18:00' } } } },
+    appointmentTypes: {}
+  });
+  let retell;
+  let intakeqService;
+  let conversationFlow;
+  let auditLogger;
+  let service;
+
+  beforeEach(() => {
+    retell = new RetellStandIn();
+    retell.call = { createWebCall: jest.fn().mockResolvedValue({ call_id: 'call_web_001', access_token: 'token_001' }) };
+    intakeqService = {
+      getClientById: jest.fn(async (clientId) => (clientId === 'client_001' ? {
+        id: 'client_001',
+        first_name: 'John',
+        last_name: 'Doe',
+        phone: '904-123-4567',
+        date_of_birth: '1985-03-15',
+        insurance: { provider: 'Aetna', copay: 30 }
+      } : null))
+    };
+    conversationFlow = new ConversationFlow();
+    auditLogger = { logDataAccess: jest.fn().mockResolvedValue() };
+    service = new WebCallService({
+      retellAgent: new RetellAgent({ providerDirectory, client: retell }),
+      intakeqService,
+      conversationFlow,
+      callVariableService: new CallVariableService({
+        availabilityEngine: { providerDirectory, getNextAvailable: jest.fn().mockResolvedValue(null) }
+      }),
+      auditLogger,
+      agentId: 'agent_matt'
+    });
+  });
+
+  it('should mint a web call with the client\'s details filled in', async () => {
+    const webCall = await service.createWebCall('client_001');
+
+    expect(webCall).toEqual({ callId: 'call_web_001', accessToken: 'token_001' });
+    expect(retell.call.createWebCall).toHaveBeenCalledWith({
+      agent_id: 'agent_matt',
+      retell_llm_dynamic_variables: expect.objectContaining({
+        client_id: 'client_001',
+        client_name: 'John Doe',
+        client_dob: '1985-03-15',
+        insurance_provider: 'Aetna',
+        practice_hours: expect.stringContaining('Charles Maddix')
+      }),
+      metadata: { source: 'patient_portal', client_id: 'client_001' }
+    });
+    expect(auditLogger.logDataAccess).toHaveBeenCalledWith('call_web_001', 'web_call', expect.any(String));
+  });
+
+  it('should start the conversation already verified', async () => {
+    await service.createWebCall('client_001');
+
+    const response = await conversationFlow.processMessage('call_web_001', 'I want to schedule an appointment');
+
+    expect(response.message).toContain('Hello John Doe');
+    expect(response.nextStep).toBe('appointment_type');
+    expect(conversationFlow.getConversationState('call_web_001').clientInfo.id).toBe('client_001');
+  });
+
+  it('should return null for a client IntakeQ doesn\'t know', async () => {
+    await expect(service.createWebCall('client_999')).resolves.toBeNull();
+    expect(retell.call.createWebCall).not.toHaveBeenCalled();
+  });
+});